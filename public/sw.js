@@ -0,0 +1,131 @@
+// Service worker for the driver app
+// Caches the app shell so drivers can launch the app without signal.
+// Supabase API requests are never cached - offline session changes are
+// handled by the IndexedDB sync queue in src/lib/offlineSync.js.
+
+// v2: drops index.html copies cached from error pages by v1
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/offline.html',
+  '/logo.png',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+// Cross-origin hosts whose responses are safe to cache (web fonts)
+const CACHEABLE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Vite fingerprints the JS/CSS bundles, so read their names from index.html
+const getBuiltAssets = (html) => {
+  return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+};
+
+const cacheBuiltAssets = async (cache) => {
+  const response = await cache.match('/index.html');
+  if (!response) return;
+
+  await cache.addAll(getBuiltAssets(await response.text()));
+};
+
+// Remove bundles of earlier deployments; sw.js itself rarely changes, so
+// this runs whenever a new index.html is seen rather than on activate
+const pruneOldAssets = async (html) => {
+  const current = new Set(getBuiltAssets(html));
+  for (const cacheName of [SHELL_CACHE, RUNTIME_CACHE]) {
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    await Promise.all(
+      requests
+        .filter((request) => {
+          const { pathname } = new URL(request.url);
+          return pathname.startsWith('/assets/') && !current.has(pathname);
+        })
+        .map((request) => cache.delete(request))
+    );
+  }
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(async (cache) => {
+        await cache.addAll(APP_SHELL);
+        await cacheBuiltAssets(cache);
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Page loads: network first so deployments show up, falling back to the
+// cached SPA shell (any route, e.g. /driver) and finally the offline page
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+
+    // Error pages and captive-portal redirects must not replace the shell
+    const isHTML = (response.headers.get('content-type') || '').includes('text/html');
+    if (response.ok && !response.redirected && isHTML) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/index.html', response.clone());
+      response.clone().text()
+        .then(pruneOldAssets)
+        .catch((error) => console.error('Error pruning cached assets:', error));
+    }
+    return response;
+  } catch (error) {
+    const cachedShell = await caches.match('/index.html');
+    return cachedShell || caches.match('/offline.html');
+  }
+};
+
+// Static assets: serve from cache and refresh it in the background
+const handleAsset = async (request) => {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await caches.match(request);
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate' && isSameOrigin) {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (isSameOrigin || CACHEABLE_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
@@ -4,7 +4,10 @@ import Login from './components/Login';
 import DriverDashboard from './components/DriverDashboard';
 import AdminDashboard from './components/AdminDashboard';
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { SettingsProvider } from './context/SettingsContext';
 
+// Routing guard only - data access is enforced by RLS policies on the
+// signed access token, so editing the stored user does not grant access
 function PrivateRoute({ children, requireAdmin }) {
   const { user } = useAuth();
   
@@ -36,7 +39,9 @@ function App() {
   return (
     <BrowserRouter>
       <AuthProvider>
-        <AppRoutes />
+        <SettingsProvider>
+          <AppRoutes />
+        </SettingsProvider>
       </AuthProvider>
     </BrowserRouter>
   );
@@ -3,11 +3,22 @@ import { useAuth } from '../context/AuthContext';
 import UserManagement from './UserManagement';
 import DriverPerformance from './DriverPerformance';
 import AuditHistoryViewer from './AuditHistoryViewer';
+import CompanySettings from './CompanySettings';
+import PayrollReport from './PayrollReport';
+import FleetStatusBoard from './FleetStatusBoard';
+import VehicleManagement from './VehicleManagement';
+import MaintenanceSchedule from './MaintenanceSchedule';
+import RouteManagement from './RouteManagement';
+import RouteReport from './RouteReport';
+import DepotManagement from './DepotManagement';
+import BreakChangeRequests from './BreakChangeRequests';
+import SessionImport from './SessionImport';
 
 function AdminDashboard() {
   const { user, logout } = useAuth();
   const [activeTab, setActiveTab] = useState('users');
   const [showAuditHistory, setShowAuditHistory] = useState(false);
+  const [routesVersion, setRoutesVersion] = useState(0);
 
   return (
     <div style={{ minHeight: '100vh' }}>
@@ -36,12 +47,66 @@ function AdminDashboard() {
           >
             👥 User Management
           </button>
+          <button
+            className={activeTab === 'vehicles' ? 'active' : ''}
+            onClick={() => setActiveTab('vehicles')}
+          >
+            🚐 Vehicles
+          </button>
+          <button
+            className={activeTab === 'maintenance' ? 'active' : ''}
+            onClick={() => setActiveTab('maintenance')}
+          >
+            🔧 Maintenance
+          </button>
+          <button
+            className={activeTab === 'routes' ? 'active' : ''}
+            onClick={() => setActiveTab('routes')}
+          >
+            🛣️ Routes
+          </button>
+          <button
+            className={activeTab === 'depots' ? 'active' : ''}
+            onClick={() => setActiveTab('depots')}
+          >
+            🏢 Depots
+          </button>
+          <button
+            className={activeTab === 'fleet' ? 'active' : ''}
+            onClick={() => setActiveTab('fleet')}
+          >
+            🚦 Live Fleet
+          </button>
           <button
             className={activeTab === 'performance' ? 'active' : ''}
             onClick={() => setActiveTab('performance')}
           >
             📊 Driver Performance
           </button>
+          <button
+            className={activeTab === 'break-requests' ? 'active' : ''}
+            onClick={() => setActiveTab('break-requests')}
+          >
+            📝 Break Requests
+          </button>
+          <button
+            className={activeTab === 'payroll' ? 'active' : ''}
+            onClick={() => setActiveTab('payroll')}
+          >
+            💰 Payroll
+          </button>
+          <button
+            className={activeTab === 'import' ? 'active' : ''}
+            onClick={() => setActiveTab('import')}
+          >
+            📥 Import
+          </button>
+          <button
+            className={activeTab === 'settings' ? 'active' : ''}
+            onClick={() => setActiveTab('settings')}
+          >
+            ⚙️ Settings
+          </button>
           <button
             onClick={() => setShowAuditHistory(true)}
             style={{
@@ -61,7 +126,21 @@ function AdminDashboard() {
         </div>
 
         {activeTab === 'users' && <UserManagement />}
+        {activeTab === 'vehicles' && <VehicleManagement />}
+        {activeTab === 'maintenance' && <MaintenanceSchedule />}
+        {activeTab === 'routes' && (
+          <>
+            <RouteManagement onRoutesChanged={() => setRoutesVersion(prev => prev + 1)} />
+            <RouteReport refreshTrigger={routesVersion} />
+          </>
+        )}
+        {activeTab === 'depots' && <DepotManagement />}
+        {activeTab === 'fleet' && <FleetStatusBoard />}
         {activeTab === 'performance' && <DriverPerformance />}
+        {activeTab === 'break-requests' && <BreakChangeRequests />}
+        {activeTab === 'payroll' && <PayrollReport />}
+        {activeTab === 'import' && <SessionImport />}
+        {activeTab === 'settings' && <CompanySettings />}
 
         {/* Audit History Modal */}
         {showAuditHistory && (
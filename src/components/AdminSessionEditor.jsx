@@ -1,12 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../context/SettingsContext';
+import { formatDateInTimezone } from '../lib/timezone';
 import { 
   calculateTotals, 
   validateSession, 
   formatTime, 
   formatTimeForInput,
-  timeInputToISO 
+  formatDateForInput,
+  timeInputToISO,
+  dateTimeInputToISO,
+  shiftTimeToISO,
+  getShiftDayOffset,
+  formatShiftTime,
+  normalizeShiftTimes
 } from '../lib/sessionHelpers';
 import { 
   validateAdminEditForm, 
@@ -14,14 +22,34 @@ import {
   sanitizeTextInput 
 } from '../lib/validationUtils';
 import { logMultipleSessionEdits } from '../lib/auditLogger';
+import { loadRoutes, formatRouteLabel, findSessionRoute } from '../lib/routes';
+import { STOP_TYPES, hasStopLog } from '../lib/stops';
+import { SETTING_KEYS } from '../lib/settings';
+import { getFailureReasons, getReasonLabel, cleanFailureReasons } from '../lib/failureReasons';
+import FailureReasonInputs from './FailureReasonInputs';
+import ProofViewer from './ProofViewer';
+import SessionTrackMap from './SessionTrackMap';
+import { loadSessionTrack, getTrackDistanceKm, compareWithOdometer } from '../lib/gpsTracking';
+import { BREAK_TYPES, DEFAULT_BREAK_TYPE, createBreak, setBreakType, isPaidBreak } from '../lib/breakTypes';
 
 function AdminSessionEditor({ session, onClose, onSave }) {
   const { user } = useAuth();
+  const { settings, getUserTimezone } = useSettings();
+  const failureReasons = getFailureReasons(settings[SETTING_KEYS.FAILURE_REASONS]);
+  // Times are entered in the driver's timezone
+  const timeZone = getUserTimezone(session?.user_id);
   const [loading, setLoading] = useState(false);
   const [validationErrors, setValidationErrors] = useState([]);
+  const [routes, setRoutes] = useState([]);
+  // Counts of sessions with a stop log are derived from the stops
+  const stopLogged = hasStopLog(session);
+  // GPS track, loaded when the admin asks for it
+  const [track, setTrack] = useState(null);
+  const [trackLoading, setTrackLoading] = useState(false);
   
   // Form state
   const [formData, setFormData] = useState({
+    route_id: '',
     route_number: '',
     positive_deliveries: '',
     negative_deliveries: '',
@@ -29,9 +57,11 @@ function AdminSessionEditor({ session, onClose, onSave }) {
     negative_pickups: '',
     delivery_comments: '',
     pickup_comments: '',
+    failure_reasons: { delivery: {}, pickup: {} },
     start_km: '',
     end_km: '',
     start_time: '',
+    end_date: '',
     end_time: '',
     breaks: []
   });
@@ -39,7 +69,10 @@ function AdminSessionEditor({ session, onClose, onSave }) {
   // Initialize form data when session prop changes
   useEffect(() => {
     if (session) {
+      // Older overnight records may have their end/break times on the start date
+      const shiftTimes = normalizeShiftTimes(session, timeZone);
       setFormData({
+        route_id: session.route_id || '',
         route_number: session.route_number || '',
         positive_deliveries: session.positive_deliveries || '',
         negative_deliveries: session.negative_deliveries || '',
@@ -47,14 +80,52 @@ function AdminSessionEditor({ session, onClose, onSave }) {
         negative_pickups: session.negative_pickups || '',
         delivery_comments: session.delivery_comments || '',
         pickup_comments: session.pickup_comments || '',
+        failure_reasons: {
+          delivery: session.failure_reasons?.delivery || {},
+          pickup: session.failure_reasons?.pickup || {}
+        },
         start_km: session.start_km || '',
         end_km: session.end_km || '',
-        start_time: session.start_time ? formatTimeForInput(session.start_time) : '',
-        end_time: session.end_time ? formatTimeForInput(session.end_time) : '',
-        breaks: session.breaks || []
+        start_time: session.start_time ? formatTimeForInput(session.start_time, timeZone) : '',
+        end_date: shiftTimes.end_time ? formatDateForInput(shiftTimes.end_time, timeZone) : '',
+        end_time: shiftTimes.end_time ? formatTimeForInput(shiftTimes.end_time, timeZone) : '',
+        breaks: shiftTimes.breaks
       });
     }
-  }, [session]);
+  }, [session, timeZone]);
+
+  // Retired routes are included so older sessions still show theirs
+  useEffect(() => {
+    const fetchRoutes = async () => {
+      const result = await loadRoutes();
+      if (result.success) {
+        setRoutes(result.routes);
+      }
+    };
+    fetchRoutes();
+  }, []);
+
+  // Older sessions only have a free-text route number: preselect the match
+  useEffect(() => {
+    if (session && !session.route_id && routes.length > 0) {
+      const match = findSessionRoute(session, routes);
+      if (match) {
+        setFormData(prev => (prev.route_id ? prev : { ...prev, route_id: match.id, route_number: match.code }));
+      }
+    }
+  }, [session, routes]);
+
+  // Start is on the session date; the end has its own date so overnight and
+  // multi-day shifts can be recorded
+  const getStartTimeISO = () => {
+    return formData.start_time ? timeInputToISO(formData.start_time, session.date, timeZone) : session.start_time;
+  };
+
+  const getEndTimeISO = () => {
+    return formData.end_time && formData.end_date
+      ? dateTimeInputToISO(formData.end_date, formData.end_time, timeZone)
+      : session.end_time;
+  };
 
   const handleInputChange = (field, value) => {
     // Sanitize text inputs
@@ -73,11 +144,24 @@ function AdminSessionEditor({ session, onClose, onSave }) {
     }
   };
 
+  const handleRouteChange = (routeId) => {
+    const route = routes.find(r => r.id === routeId);
+    setFormData(prev => ({
+      ...prev,
+      route_id: routeId,
+      route_number: route ? route.code : ''
+    }));
+
+    if (validationErrors.length > 0) {
+      setValidationErrors([]);
+    }
+  };
+
   const handleBreakChange = (breakIndex, field, value) => {
     const updatedBreaks = [...formData.breaks];
     updatedBreaks[breakIndex] = {
       ...updatedBreaks[breakIndex],
-      [field]: timeInputToISO(value, session.date)
+      [field]: shiftTimeToISO(value, getStartTimeISO(), timeZone)
     };
     
     setFormData(prev => ({
@@ -86,8 +170,21 @@ function AdminSessionEditor({ session, onClose, onSave }) {
     }));
   };
 
+  const handleBreakTypeChange = (breakIndex, changes) => {
+    const updatedBreaks = [...formData.breaks];
+    updatedBreaks[breakIndex] = changes.type
+      ? setBreakType(updatedBreaks[breakIndex], changes.type)
+      : { ...updatedBreaks[breakIndex], ...changes };
+
+    setFormData(prev => ({
+      ...prev,
+      breaks: updatedBreaks
+    }));
+  };
+
   const addBreak = () => {
     const newBreak = {
+      ...createBreak(DEFAULT_BREAK_TYPE),
       start: null,
       end: null
     };
@@ -106,6 +203,19 @@ function AdminSessionEditor({ session, onClose, onSave }) {
     }));
   };
 
+  const handleShowTrack = async () => {
+    setTrackLoading(true);
+    const result = await loadSessionTrack(session.id);
+    setTrackLoading(false);
+
+    if (!result.success) {
+      alert('Error loading GPS track: ' + result.error);
+      return;
+    }
+    const gpsKm = getTrackDistanceKm(result.points);
+    setTrack({ points: result.points, gpsKm, comparison: compareWithOdometer(gpsKm, session.total_km) });
+  };
+
   const handleSave = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -124,10 +234,10 @@ function AdminSessionEditor({ session, onClose, onSave }) {
       const updatedSession = {
         ...session,
         ...validation.cleanData,
-        start_time: formData.start_time ? 
-          timeInputToISO(formData.start_time, session.date) : session.start_time,
-        end_time: formData.end_time ? 
-          timeInputToISO(formData.end_time, session.date) : session.end_time,
+        route_id: formData.route_id || null,
+        failure_reasons: cleanFailureReasons(formData.failure_reasons),
+        start_time: getStartTimeISO(),
+        end_time: getEndTimeISO(),
         breaks: formData.breaks
       };
 
@@ -173,7 +283,7 @@ function AdminSessionEditor({ session, onClose, onSave }) {
 
       // Check for time changes
       if (formData.start_time && session.start_time) {
-        const newStartTime = timeInputToISO(formData.start_time, session.date);
+        const newStartTime = getStartTimeISO();
         if (newStartTime !== session.start_time) {
           changes.push({
             fieldName: 'start_time',
@@ -184,7 +294,7 @@ function AdminSessionEditor({ session, onClose, onSave }) {
       }
 
       if (formData.end_time && session.end_time) {
-        const newEndTime = timeInputToISO(formData.end_time, session.date);
+        const newEndTime = getEndTimeISO();
         if (newEndTime !== session.end_time) {
           changes.push({
             fieldName: 'end_time',
@@ -194,6 +304,16 @@ function AdminSessionEditor({ session, onClose, onSave }) {
         }
       }
 
+      // Check for failure reason changes (empty counts are not a change)
+      if (!stopLogged && JSON.stringify(updatedSession.failure_reasons) !==
+          JSON.stringify(cleanFailureReasons(session.failure_reasons))) {
+        changes.push({
+          fieldName: 'failure_reasons',
+          oldValue: JSON.stringify(session.failure_reasons || {}),
+          newValue: JSON.stringify(updatedSession.failure_reasons)
+        });
+      }
+
       // Check for break changes
       if (JSON.stringify(formData.breaks) !== JSON.stringify(session.breaks)) {
         changes.push({
@@ -326,7 +446,7 @@ function AdminSessionEditor({ session, onClose, onSave }) {
           color: '#374151'
         }}>
           <strong>Driver:</strong> {session.user?.name || 'Unknown'} | 
-          <strong> Date:</strong> {new Date(session.date).toLocaleDateString()} |
+          <strong> Date:</strong> {formatDateInTimezone(session.date, timeZone)} |
           <strong> Original Route:</strong> {session.route_number || 'N/A'}
         </div>
 
@@ -339,13 +459,32 @@ function AdminSessionEditor({ session, onClose, onSave }) {
             
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
               <div>
-                <label>Route Number</label>
-                <input
-                  type="text"
-                  value={formData.route_number}
-                  onChange={(e) => handleInputChange('route_number', e.target.value)}
-                  placeholder="e.g., Route #42"
-                />
+                <label>Route</label>
+                {routes.length > 0 ? (
+                  <select
+                    value={formData.route_id}
+                    onChange={(e) => handleRouteChange(e.target.value)}
+                  >
+                    <option value="">-- No route --</option>
+                    {routes.map(route => (
+                      <option key={route.id} value={route.id}>
+                        {formatRouteLabel(route)}{route.active ? '' : ' (retired)'}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={formData.route_number}
+                    onChange={(e) => handleInputChange('route_number', e.target.value)}
+                    placeholder="e.g., Route #42"
+                  />
+                )}
+                {routes.length > 0 && !formData.route_id && session.route_number && (
+                  <p style={{ fontSize: '12px', color: '#92400e', marginTop: '-8px' }}>
+                    Recorded as "{session.route_number}" - not linked to a route
+                  </p>
+                )}
               </div>
               
               <div>
@@ -366,7 +505,7 @@ function AdminSessionEditor({ session, onClose, onSave }) {
               ⏰ Time Tracking
             </h3>
             
-            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '16px' }}>
               <div>
                 <label>Start Time</label>
                 <input
@@ -376,6 +515,15 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                 />
               </div>
               
+              <div>
+                <label>End Date</label>
+                <input
+                  type="date"
+                  value={formData.end_date}
+                  onChange={(e) => handleInputChange('end_date', e.target.value)}
+                />
+              </div>
+              
               <div>
                 <label>End Time</label>
                 <input
@@ -385,6 +533,15 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                 />
               </div>
             </div>
+            
+            {getShiftDayOffset(getEndTimeISO(), getStartTimeISO(), timeZone) > 0 && (
+              <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '8px' }}>
+                🌙 Overnight shift: ends {getShiftDayOffset(getEndTimeISO(), getStartTimeISO(), timeZone)} day(s) after it starts
+              </div>
+            )}
+            <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '8px' }}>
+              🌍 Times are in the driver's timezone ({timeZone})
+            </div>
           </div>
 
           {/* Deliveries */}
@@ -392,6 +549,11 @@ function AdminSessionEditor({ session, onClose, onSave }) {
             <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '16px', color: '#374151' }}>
               📦 Deliveries
             </h3>
+            {stopLogged && (
+              <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '12px' }}>
+                📍 Delivery and pickup counts come from the driver's stop log below
+              </div>
+            )}
             
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '12px' }}>
               <div>
@@ -401,6 +563,7 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                   value={formData.positive_deliveries}
                   onChange={(e) => handleInputChange('positive_deliveries', e.target.value)}
                   min="0"
+                  disabled={stopLogged}
                 />
               </div>
               
@@ -411,11 +574,26 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                   value={formData.negative_deliveries}
                   onChange={(e) => handleInputChange('negative_deliveries', e.target.value)}
                   min="0"
+                  disabled={stopLogged}
                 />
               </div>
             </div>
             
-            <div>
+            {(stopLogged || parseInt(formData.negative_deliveries) > 0) && (
+              <FailureReasonInputs
+                reasons={failureReasons}
+                kind="delivery"
+                counts={formData.failure_reasons.delivery}
+                failedCount={formData.negative_deliveries}
+                onChange={(delivery) => setFormData(prev => ({
+                  ...prev,
+                  failure_reasons: { ...prev.failure_reasons, delivery }
+                }))}
+                disabled={stopLogged}
+              />
+            )}
+            
+            <div style={{ marginTop: '12px' }}>
               <label>Delivery Comments</label>
               <textarea
                 value={formData.delivery_comments}
@@ -441,6 +619,7 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                   value={formData.positive_pickups}
                   onChange={(e) => handleInputChange('positive_pickups', e.target.value)}
                   min="0"
+                  disabled={stopLogged}
                 />
               </div>
               
@@ -451,11 +630,26 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                   value={formData.negative_pickups}
                   onChange={(e) => handleInputChange('negative_pickups', e.target.value)}
                   min="0"
+                  disabled={stopLogged}
                 />
               </div>
             </div>
             
-            <div>
+            {(stopLogged || parseInt(formData.negative_pickups) > 0) && (
+              <FailureReasonInputs
+                reasons={failureReasons}
+                kind="pickup"
+                counts={formData.failure_reasons.pickup}
+                failedCount={formData.negative_pickups}
+                onChange={(pickup) => setFormData(prev => ({
+                  ...prev,
+                  failure_reasons: { ...prev.failure_reasons, pickup }
+                }))}
+                disabled={stopLogged}
+              />
+            )}
+            
+            <div style={{ marginTop: '12px' }}>
               <label>Pickup Comments</label>
               <textarea
                 value={formData.pickup_comments}
@@ -467,6 +661,40 @@ function AdminSessionEditor({ session, onClose, onSave }) {
             </div>
           </div>
 
+          {/* Stop log */}
+          {stopLogged && (
+            <div style={{ marginBottom: '24px' }}>
+              <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '16px', color: '#374151' }}>
+                📍 Stop Log ({session.stops.length})
+              </h3>
+              <div style={{ maxHeight: '240px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+                {session.stops.map((stop, idx) => {
+                  const type = STOP_TYPES[stop.type] || { label: stop.type, icon: '📍', successful: true };
+                  return (
+                    <div
+                      key={stop.id || idx}
+                      style={{
+                        padding: '8px 12px',
+                        borderBottom: idx < session.stops.length - 1 ? '1px solid #f3f4f6' : 'none',
+                        fontSize: '13px'
+                      }}
+                    >
+                      <span style={{ color: '#6b7280', marginRight: '8px' }}>
+                        {formatShiftTime(stop.time, session.start_time, timeZone)}
+                      </span>
+                      <span style={{ fontWeight: '600', color: type.successful ? '#065f46' : '#dc2626' }}>
+                        {type.icon} {type.label}
+                      </span>
+                      {stop.reason && <span style={{ color: '#6b7280' }}> - {getReasonLabel(failureReasons, stop.reason)}</span>}
+                      {stop.note && <span style={{ color: '#6b7280' }}> - {stop.note}</span>}
+                      <ProofViewer stop={stop} />
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
           {/* Mileage */}
           <div style={{ marginBottom: '24px' }}>
             <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '16px', color: '#374151' }}>
@@ -512,6 +740,59 @@ function AdminSessionEditor({ session, onClose, onSave }) {
             )}
           </div>
 
+          {/* GPS Track */}
+          <div style={{ marginBottom: '24px' }}>
+            <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '16px', color: '#374151' }}>
+              🗺️ GPS Track
+            </h3>
+            {!track ? (
+              <button
+                type="button"
+                onClick={handleShowTrack}
+                disabled={trackLoading}
+                className="btn btn-primary"
+                style={{ padding: '8px 16px', fontSize: '13px' }}
+              >
+                {trackLoading ? 'Loading...' : '🗺️ Show Track'}
+              </button>
+            ) : track.points.length === 0 ? (
+              <div style={{ fontSize: '13px', color: '#6b7280' }}>
+                No GPS points were recorded for this session.
+              </div>
+            ) : (
+              <>
+                <SessionTrackMap points={track.points} />
+                <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '8px' }}>
+                  {track.points.length} points · 🟢 start · 🔴 end · breaks are not tracked
+                </div>
+                <div style={{
+                  background: track.comparison?.mismatch ? '#fef3c7' : '#f3f4f6',
+                  border: track.comparison?.mismatch ? '1px solid #fcd34d' : 'none',
+                  padding: '8px 12px',
+                  borderRadius: '6px',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  color: track.comparison?.mismatch ? '#92400e' : '#374151',
+                  marginTop: '8px'
+                }}>
+                  GPS distance: {track.gpsKm.toFixed(1)} KM
+                  {track.comparison && (
+                    <>
+                      {' '}· Odometer: {track.comparison.odometerKm.toFixed(1)} KM
+                      {track.comparison.mismatch && (
+                        <div style={{ marginTop: '4px' }}>
+                          ⚠️ Odometer and GPS differ by {Math.abs(track.comparison.differenceKm).toFixed(1)} KM
+                          {track.comparison.differencePercent !== null &&
+                            ` (${Math.abs(track.comparison.differencePercent).toFixed(0)}%)`}
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+
           {/* Breaks */}
           <div style={{ marginBottom: '24px' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
@@ -565,25 +846,54 @@ function AdminSessionEditor({ session, onClose, onSave }) {
                 
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
                   <div>
-                    <label style={{ fontSize: '12px' }}>Start Time</label>
+                    <label style={{ fontSize: '12px' }}>
+                      Start Time{getShiftDayOffset(brk.start, getStartTimeISO(), timeZone) > 0 && ' (next day)'}
+                    </label>
                     <input
                       type="time"
-                      value={brk.start ? formatTimeForInput(brk.start) : ''}
+                      value={brk.start ? formatTimeForInput(brk.start, timeZone) : ''}
                       onChange={(e) => handleBreakChange(index, 'start', e.target.value)}
                       style={{ fontSize: '13px' }}
                     />
                   </div>
                   
                   <div>
-                    <label style={{ fontSize: '12px' }}>End Time</label>
+                    <label style={{ fontSize: '12px' }}>
+                      End Time{getShiftDayOffset(brk.end, getStartTimeISO(), timeZone) > 0 && ' (next day)'}
+                    </label>
                     <input
                       type="time"
-                      value={brk.end ? formatTimeForInput(brk.end) : ''}
+                      value={brk.end ? formatTimeForInput(brk.end, timeZone) : ''}
                       onChange={(e) => handleBreakChange(index, 'end', e.target.value)}
                       style={{ fontSize: '13px' }}
                     />
                   </div>
                 </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', alignItems: 'center', marginTop: '8px' }}>
+                  <div>
+                    <label style={{ fontSize: '12px' }}>Type</label>
+                    <select
+                      value={brk.type || ''}
+                      onChange={(e) => handleBreakTypeChange(index, { type: e.target.value })}
+                      style={{ fontSize: '13px' }}
+                    >
+                      {!brk.type && <option value="">Not set (older break)</option>}
+                      {Object.entries(BREAK_TYPES).map(([type, info]) => (
+                        <option key={type} value={type}>{info.icon} {info.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+                    <input
+                      type="checkbox"
+                      checked={isPaidBreak(brk)}
+                      onChange={(e) => handleBreakTypeChange(index, { paid: e.target.checked })}
+                      style={{ width: 'auto', marginBottom: 0 }}
+                    />
+                    Paid (counts as payable time)
+                  </label>
+                </div>
               </div>
             ))}
           </div>
@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { getAllEditHistory, getEditStatistics } from '../lib/auditLogger';
 import { formatTime } from '../lib/sessionHelpers';
+import { useSettings } from '../context/SettingsContext';
+import { startOfDayInTimezone, endOfDayInTimezone, formatDateInTimezone } from '../lib/timezone';
 
 function AuditHistoryViewer({ onClose }) {
+  const { timeZone, getUserTimezone } = useSettings();
   const [editHistory, setEditHistory] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -15,15 +18,15 @@ function AuditHistoryViewer({ onClose }) {
 
   useEffect(() => {
     loadData();
-  }, [filters]);
+  }, [filters, timeZone]);
 
   const loadData = async () => {
     setLoading(true);
     try {
       // Load edit history with filters
       const filterOptions = {};
-      if (filters.startDate) filterOptions.startDate = new Date(filters.startDate);
-      if (filters.endDate) filterOptions.endDate = new Date(filters.endDate);
+      if (filters.startDate) filterOptions.startDate = startOfDayInTimezone(filters.startDate, timeZone);
+      if (filters.endDate) filterOptions.endDate = endOfDayInTimezone(filters.endDate, timeZone);
       if (filters.userId) filterOptions.userId = filters.userId;
       if (filters.limit) filterOptions.limit = parseInt(filters.limit);
 
@@ -49,7 +52,7 @@ function AuditHistoryViewer({ onClose }) {
   };
 
   const formatDate = (isoString) => {
-    return new Date(isoString).toLocaleDateString('en-US', {
+    return formatDateInTimezone(isoString, timeZone, {
       month: 'short',
       day: 'numeric',
       year: 'numeric',
@@ -72,7 +75,10 @@ function AuditHistoryViewer({ onClose }) {
       'total_km': 'Total KM',
       'start_time': 'Start Time',
       'end_time': 'End Time',
-      'breaks': 'Breaks'
+      'breaks': 'Breaks',
+      'break_edit_approved': 'Driver Break Change (Approved)',
+      'break_edit_rejected': 'Driver Break Change (Rejected)',
+      'session_imported': 'Imported from CSV'
     };
     return fieldMap[fieldName] || fieldName;
   };
@@ -81,7 +87,7 @@ function AuditHistoryViewer({ onClose }) {
     if (value === null || value === undefined) return 'None';
     
     if (fieldName.includes('time') && fieldName !== 'breaks') {
-      return formatTime(value);
+      return formatTime(value, timeZone);
     }
     
     if (fieldName === 'breaks') {
@@ -93,6 +99,15 @@ function AuditHistoryViewer({ onClose }) {
       }
     }
     
+    if (fieldName.startsWith('break_edit_')) {
+      try {
+        const brk = JSON.parse(value);
+        return `${formatTime(brk.start, timeZone)} - ${formatTime(brk.end, timeZone)}`;
+      } catch {
+        return value;
+      }
+    }
+    
     if (fieldName.includes('km')) {
       return `${value} KM`;
     }
@@ -317,7 +332,9 @@ function AuditHistoryViewer({ onClose }) {
                         {edit.session?.user?.name || 'Unknown'}
                       </td>
                       <td style={{ padding: '8px 12px', color: '#6b7280' }}>
-                        {edit.session?.date ? new Date(edit.session.date).toLocaleDateString() : 'N/A'}
+                        {edit.session?.date
+                          ? formatDateInTimezone(edit.session.date, getUserTimezone(edit.session.user?.id))
+                          : 'N/A'}
                       </td>
                       <td style={{ padding: '8px 12px', color: '#374151', fontWeight: '500' }}>
                         {getFieldDisplayName(edit.field_name)}
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { formatDateInTimezone } from '../lib/timezone';
+import { formatShiftTime } from '../lib/sessionHelpers';
+import { formatBreakType } from '../lib/breakTypes';
+import {
+  REQUEST_STATUSES,
+  loadBreakChangeRequests,
+  decideBreakChangeRequest
+} from '../lib/breakChangeRequests';
+
+function BreakChangeRequests() {
+  const { getUserTimezone } = useSettings();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [decidingId, setDecidingId] = useState(null);
+
+  useEffect(() => {
+    refreshRequests();
+  }, [statusFilter]);
+
+  const refreshRequests = async () => {
+    setLoading(true);
+    const result = await loadBreakChangeRequests({ status: statusFilter || undefined });
+    if (result.success) {
+      setRequests(result.requests);
+    }
+    setLoading(false);
+  };
+
+  const handleDecision = async (request, approve) => {
+    const note = window.prompt(
+      approve ? 'Approve this change? Add a note for the driver (optional):' : 'Reject this change? Add a note for the driver (optional):',
+      ''
+    );
+    // Cancelled
+    if (note === null) return;
+
+    setDecidingId(request.id);
+    const result = await decideBreakChangeRequest(request, approve, note);
+    setDecidingId(null);
+
+    if (result.success) {
+      alert(approve ? 'Change approved and applied to the session.' : 'Change rejected.');
+      refreshRequests();
+    } else {
+      alert('Error deciding request: ' + result.error);
+    }
+  };
+
+  const formatBreakTimes = (brk, request) => {
+    const timeZone = getUserTimezone(request.user_id);
+    const shiftStart = request.session?.start_time;
+    return `${formatShiftTime(brk.start, shiftStart, timeZone)} - ${formatShiftTime(brk.end, shiftStart, timeZone)}`;
+  };
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>📝 Break Change Requests</h3>
+        <p style={{ fontSize: '13px', color: '#6b7280' }}>
+          Drivers' edits to their break times wait here. Approving updates the session; every decision
+          is kept in the Audit History.
+        </p>
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value="pending">Waiting for approval</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="">All requests</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading requests...</p>
+        </div>
+      ) : requests.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>📭</div>
+          <p>{statusFilter === 'pending' ? 'No requests waiting for approval.' : 'No requests found.'}</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🚚 Driver</th>
+                <th>📅 Session</th>
+                <th>☕ Break</th>
+                <th>⏱️ Current</th>
+                <th>✏️ Requested</th>
+                <th>💬 Reason</th>
+                <th>⚙️ Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map(request => (
+                <tr key={request.id}>
+                  <td style={{ fontWeight: '600', color: '#374151' }}>
+                    {request.session?.user?.name || 'Unknown'}
+                  </td>
+                  <td>
+                    {request.session?.date
+                      ? formatDateInTimezone(request.session.date, getUserTimezone(request.user_id), {
+                        month: 'short',
+                        day: 'numeric'
+                      })
+                      : '-'}
+                  </td>
+                  <td>
+                    <div>Break {request.break_index + 1}</div>
+                    <div style={{ fontSize: '11px', color: '#6b7280' }}>{formatBreakType(request.original_break)}</div>
+                  </td>
+                  <td style={{ color: '#ef4444' }}>{formatBreakTimes(request.original_break, request)}</td>
+                  <td style={{ color: '#10b981', fontWeight: '600' }}>{formatBreakTimes(request.requested_break, request)}</td>
+                  <td style={{ fontSize: '13px', color: '#6b7280' }}>{request.reason || '-'}</td>
+                  <td>
+                    {request.status === 'pending' ? (
+                      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                        <button
+                          onClick={() => handleDecision(request, true)}
+                          disabled={decidingId === request.id}
+                          className="btn btn-success"
+                          style={{ padding: '8px 16px', fontSize: '13px' }}
+                        >
+                          ✓ Approve
+                        </button>
+                        <button
+                          onClick={() => handleDecision(request, false)}
+                          disabled={decidingId === request.id}
+                          className="btn btn-danger"
+                          style={{ padding: '8px 16px', fontSize: '13px' }}
+                        >
+                          ✗ Reject
+                        </button>
+                      </div>
+                    ) : (
+                      <div style={{ fontSize: '13px' }}>
+                        <span style={{ fontWeight: '600', color: REQUEST_STATUSES[request.status].color }}>
+                          {REQUEST_STATUSES[request.status].icon} {REQUEST_STATUSES[request.status].label}
+                        </span>
+                        <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                          by {request.decider?.name || 'Unknown'}
+                          {request.decision_note && ` · ${request.decision_note}`}
+                        </div>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BreakChangeRequests;
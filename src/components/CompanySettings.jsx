@@ -0,0 +1,489 @@
+import React, { useState, useEffect } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { SETTING_KEYS, withDefaults } from '../lib/settings';
+import {
+  DEFAULT_PAYROLL_SETTINGS,
+  PAY_PERIOD_TYPES,
+  ROUNDING_MODES,
+  ROUNDING_SCOPES,
+  describeRounding
+} from '../lib/payroll';
+import { DEFAULT_LABOUR_RULES, validateLabourRules, describeLabourRules } from '../lib/compliance';
+import {
+  REASON_APPLIES_TO,
+  getFailureReasons,
+  toReasonCode,
+  validateFailureReasons
+} from '../lib/failureReasons';
+import { GEOFENCE_POLICIES, DEFAULT_GEOFENCE_SETTINGS } from '../lib/depots';
+import { getTimezoneOptions, getBrowserTimezone, formatDateInTimezone } from '../lib/timezone';
+import { formatTime } from '../lib/sessionHelpers';
+
+function CompanySettings() {
+  const { settings, companyTimezone, updateSetting } = useSettings();
+  const [timezone, setTimezone] = useState('');
+  const [payroll, setPayroll] = useState(DEFAULT_PAYROLL_SETTINGS);
+  const [labourRules, setLabourRules] = useState(DEFAULT_LABOUR_RULES);
+  const [failureReasons, setFailureReasons] = useState([]);
+  const [geofence, setGeofence] = useState(DEFAULT_GEOFENCE_SETTINGS);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setTimezone(companyTimezone || '');
+  }, [companyTimezone]);
+
+  useEffect(() => {
+    setPayroll(withDefaults(settings[SETTING_KEYS.PAYROLL], DEFAULT_PAYROLL_SETTINGS));
+  }, [settings[SETTING_KEYS.PAYROLL]]);
+
+  useEffect(() => {
+    setLabourRules(withDefaults(settings[SETTING_KEYS.LABOUR_RULES], DEFAULT_LABOUR_RULES));
+  }, [settings[SETTING_KEYS.LABOUR_RULES]]);
+
+  useEffect(() => {
+    setFailureReasons(getFailureReasons(settings[SETTING_KEYS.FAILURE_REASONS]));
+  }, [settings[SETTING_KEYS.FAILURE_REASONS]]);
+
+  useEffect(() => {
+    setGeofence(withDefaults(settings[SETTING_KEYS.GEOFENCE], DEFAULT_GEOFENCE_SETTINGS));
+  }, [settings[SETTING_KEYS.GEOFENCE]]);
+
+  const handleSaveTimezone = async (e) => {
+    e.preventDefault();
+    if (!timezone) {
+      alert('Please select a timezone');
+      return;
+    }
+
+    setSaving(true);
+    const result = await updateSetting(SETTING_KEYS.COMPANY_TIMEZONE, timezone);
+    setSaving(false);
+
+    if (result.success) {
+      alert('Company timezone saved!');
+    } else {
+      alert('Error saving timezone: ' + result.error);
+    }
+  };
+
+  const handleSavePayroll = async (e) => {
+    e.preventDefault();
+
+    const roundingMinutes = parseInt(payroll.roundingMinutes) || 0;
+    if (roundingMinutes < 0 || roundingMinutes > 60) {
+      alert('Rounding must be between 0 and 60 minutes');
+      return;
+    }
+    if (payroll.periodType !== 'monthly' && !payroll.periodAnchor) {
+      alert('Please choose the first day of a pay period');
+      return;
+    }
+
+    setSaving(true);
+    const result = await updateSetting(SETTING_KEYS.PAYROLL, { ...payroll, roundingMinutes });
+    setSaving(false);
+
+    if (result.success) {
+      alert('Payroll settings saved!');
+    } else {
+      alert('Error saving payroll settings: ' + result.error);
+    }
+  };
+
+  const handleSaveLabourRules = async (e) => {
+    e.preventDefault();
+
+    const errors = validateLabourRules(labourRules);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    const rules = {};
+    Object.keys(DEFAULT_LABOUR_RULES).forEach(key => {
+      rules[key] = parseFloat(labourRules[key]);
+    });
+
+    setSaving(true);
+    const result = await updateSetting(SETTING_KEYS.LABOUR_RULES, rules);
+    setSaving(false);
+
+    if (result.success) {
+      alert('Labour rules saved!');
+    } else {
+      alert('Error saving labour rules: ' + result.error);
+    }
+  };
+
+  const updateReason = (idx, changes) => {
+    setFailureReasons(failureReasons.map((reason, i) => (i === idx ? { ...reason, ...changes } : reason)));
+  };
+
+  const handleSaveFailureReasons = async (e) => {
+    e.preventDefault();
+
+    // Codes are fixed once saved so recorded counts keep their label
+    const reasons = failureReasons.map(reason => ({
+      code: reason.code || toReasonCode(reason.label),
+      label: (reason.label || '').trim(),
+      appliesTo: reason.appliesTo,
+      active: reason.active !== false
+    }));
+
+    const errors = validateFailureReasons(reasons);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    const result = await updateSetting(SETTING_KEYS.FAILURE_REASONS, reasons);
+    setSaving(false);
+
+    if (result.success) {
+      alert('Failure reasons saved!');
+    } else {
+      alert('Error saving failure reasons: ' + result.error);
+    }
+  };
+
+  const handleSaveGeofence = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    const result = await updateSetting(SETTING_KEYS.GEOFENCE, geofence);
+    setSaving(false);
+
+    if (result.success) {
+      alert('Depot check-in policy saved!');
+    } else {
+      alert('Error saving depot check-in policy: ' + result.error);
+    }
+  };
+
+  const now = new Date().toISOString();
+
+  return (
+    <div className="card">
+      <h3 style={{ marginBottom: '24px', fontSize: '22px', fontWeight: '700', color: '#1f2937' }}>
+        ⚙️ Company Settings
+      </h3>
+
+      <form
+        onSubmit={handleSaveTimezone}
+        style={{
+          padding: '20px',
+          background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}
+      >
+        <h4 style={{ marginBottom: '8px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+          🌍 Company Timezone
+        </h4>
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          Decides where each working day starts and ends in reports, charts and filters.
+          Drivers can be given their own timezone in User Management.
+        </p>
+
+        {!companyTimezone && (
+          <div style={{
+            background: '#fef3c7',
+            border: '1px solid #fcd34d',
+            borderRadius: '8px',
+            padding: '10px 12px',
+            fontSize: '13px',
+            color: '#92400e',
+            marginBottom: '16px'
+          }}>
+            ⚠️ Not set yet - each device currently uses its own timezone ({getBrowserTimezone()}).
+          </div>
+        )}
+
+        <label>Timezone</label>
+        <select value={timezone} onChange={(e) => setTimezone(e.target.value)}>
+          <option value="">-- Select a timezone --</option>
+          {getTimezoneOptions().map(tz => (
+            <option key={tz} value={tz}>{tz}</option>
+          ))}
+        </select>
+
+        {timezone && (
+          <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+            Current time there: {formatDateInTimezone(now, timezone, { weekday: 'short', month: 'short', day: 'numeric' })}, {formatTime(now, timezone)}
+          </p>
+        )}
+
+        <button type="submit" className="btn btn-success" disabled={saving} style={{ width: '100%' }}>
+          {saving ? 'Saving...' : '✓ Save Timezone'}
+        </button>
+      </form>
+
+      <form
+        onSubmit={handleSavePayroll}
+        style={{
+          padding: '20px',
+          background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}
+      >
+        <h4 style={{ marginBottom: '8px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+          💰 Payroll
+        </h4>
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          Pay period and rounding used by the payroll report.
+        </p>
+
+        <label>Pay Period</label>
+        <select
+          value={payroll.periodType}
+          onChange={(e) => setPayroll({ ...payroll, periodType: e.target.value })}
+        >
+          {Object.entries(PAY_PERIOD_TYPES).map(([value, type]) => (
+            <option key={value} value={value}>{type.label}</option>
+          ))}
+        </select>
+
+        {payroll.periodType !== 'monthly' && (
+          <>
+            <label>First Day of Any Pay Period</label>
+            <input
+              type="date"
+              value={payroll.periodAnchor}
+              onChange={(e) => setPayroll({ ...payroll, periodAnchor: e.target.value })}
+            />
+          </>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '12px' }}>
+          <div>
+            <label>Round To (minutes)</label>
+            <input
+              type="number"
+              min="0"
+              max="60"
+              value={payroll.roundingMinutes}
+              onChange={(e) => setPayroll({ ...payroll, roundingMinutes: e.target.value })}
+            />
+          </div>
+          <div>
+            <label>Direction</label>
+            <select
+              value={payroll.roundingMode}
+              onChange={(e) => setPayroll({ ...payroll, roundingMode: e.target.value })}
+            >
+              {Object.entries(ROUNDING_MODES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label>Apply To</label>
+            <select
+              value={payroll.roundingScope}
+              onChange={(e) => setPayroll({ ...payroll, roundingScope: e.target.value })}
+            >
+              {Object.entries(ROUNDING_SCOPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          {describeRounding(payroll)} (0 = no rounding)
+        </p>
+
+        <button type="submit" className="btn btn-success" disabled={saving} style={{ width: '100%' }}>
+          {saving ? 'Saving...' : '✓ Save Payroll Settings'}
+        </button>
+      </form>
+
+      <form
+        onSubmit={handleSaveLabourRules}
+        style={{
+          padding: '20px',
+          background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}
+      >
+        <h4 style={{ marginBottom: '8px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+          ⚖️ Labour Rules
+        </h4>
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          Drivers are warned on the Time Tracking screen and breaches are flagged in Performance.
+          Set a value to 0 to switch that rule off.
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+          <div>
+            <label>Max Work Hours per Day</label>
+            <input
+              type="number"
+              min="0"
+              max="24"
+              step="0.25"
+              value={labourRules.maxDailyHours}
+              onChange={(e) => setLabourRules({ ...labourRules, maxDailyHours: e.target.value })}
+            />
+          </div>
+          <div>
+            <label>Max Work Hours per Week</label>
+            <input
+              type="number"
+              min="0"
+              max="168"
+              step="0.5"
+              value={labourRules.maxWeeklyHours}
+              onChange={(e) => setLabourRules({ ...labourRules, maxWeeklyHours: e.target.value })}
+            />
+          </div>
+          <div>
+            <label>Break Required After (hours)</label>
+            <input
+              type="number"
+              min="0"
+              max="24"
+              step="0.25"
+              value={labourRules.breakAfterHours}
+              onChange={(e) => setLabourRules({ ...labourRules, breakAfterHours: e.target.value })}
+            />
+          </div>
+          <div>
+            <label>Minimum Break Length (minutes)</label>
+            <input
+              type="number"
+              min="0"
+              max="240"
+              value={labourRules.minBreakMinutes}
+              onChange={(e) => setLabourRules({ ...labourRules, minBreakMinutes: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          {validateLabourRules(labourRules).length === 0 ? describeLabourRules(labourRules) : 'Check the values above'}
+        </p>
+
+        <button type="submit" className="btn btn-success" disabled={saving} style={{ width: '100%' }}>
+          {saving ? 'Saving...' : '✓ Save Labour Rules'}
+        </button>
+      </form>
+
+      <form
+        onSubmit={handleSaveFailureReasons}
+        style={{
+          padding: '20px',
+          background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}
+      >
+        <h4 style={{ marginBottom: '8px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+          🚫 Failure Reasons
+        </h4>
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          Drivers pick one of these for each failed delivery or pickup. Saved reasons cannot be
+          deleted, only taken out of use, so older sessions keep their breakdown.
+        </p>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' }}>
+          {failureReasons.map((reason, idx) => (
+            <div
+              key={reason.code || `new-${idx}`}
+              style={{ display: 'grid', gridTemplateColumns: '2fr 1.5fr auto', gap: '8px', alignItems: 'center' }}
+            >
+              <input
+                type="text"
+                value={reason.label}
+                onChange={(e) => updateReason(idx, { label: e.target.value })}
+                placeholder="e.g., Customer absent"
+                maxLength={60}
+                style={{ marginBottom: 0 }}
+              />
+              <select
+                value={reason.appliesTo}
+                onChange={(e) => updateReason(idx, { appliesTo: e.target.value })}
+                style={{ marginBottom: 0 }}
+              >
+                {Object.entries(REASON_APPLIES_TO).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {reason.code ? (
+                <label style={{ marginBottom: 0, display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px' }}>
+                  <input
+                    type="checkbox"
+                    checked={reason.active !== false}
+                    onChange={(e) => updateReason(idx, { active: e.target.checked })}
+                    style={{ width: 'auto', marginBottom: 0 }}
+                  />
+                  In use
+                </label>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setFailureReasons(failureReasons.filter((_, i) => i !== idx))}
+                  className="btn btn-danger"
+                  style={{ padding: '6px 12px', fontSize: '12px' }}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          onClick={() => setFailureReasons([...failureReasons, { code: '', label: '', appliesTo: 'both', active: true }])}
+          className="btn"
+          style={{ width: '100%', background: '#e5e7eb', color: '#374151', marginBottom: '12px' }}
+        >
+          ➕ Add Reason
+        </button>
+
+        <button type="submit" className="btn btn-success" disabled={saving} style={{ width: '100%' }}>
+          {saving ? 'Saving...' : '✓ Save Failure Reasons'}
+        </button>
+      </form>
+
+      <form
+        onSubmit={handleSaveGeofence}
+        style={{
+          padding: '20px',
+          background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+          borderRadius: '12px',
+          marginBottom: '24px'
+        }}
+      >
+        <h4 style={{ marginBottom: '8px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+          📍 Depot Check-in
+        </h4>
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '16px' }}>
+          Checks the driver's location against the depots when they start work and end the day.
+          Sessions started away from a depot are flagged in Performance. Until depots are added
+          in the Depots tab, locations are only recorded.
+        </p>
+
+        <label>Policy</label>
+        <select
+          value={geofence.policy}
+          onChange={(e) => setGeofence({ ...geofence, policy: e.target.value })}
+        >
+          {Object.entries(GEOFENCE_POLICIES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        <button type="submit" className="btn btn-success" disabled={saving} style={{ width: '100%' }}>
+          {saving ? 'Saving...' : '✓ Save Check-in Policy'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default CompanySettings;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect } from 'react';
+import {
+  loadDepots,
+  createDepot,
+  updateDepot,
+  deleteDepot,
+  validateDepot,
+  getCurrentLocation,
+  DEFAULT_DEPOT_RADIUS_M,
+  MIN_DEPOT_RADIUS_M,
+  MAX_DEPOT_RADIUS_M
+} from '../lib/depots';
+
+const EMPTY_FORM = { name: '', latitude: '', longitude: '', radius_m: DEFAULT_DEPOT_RADIUS_M, active: true };
+
+function DepotManagement() {
+  const [depots, setDepots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingDepot, setEditingDepot] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [locating, setLocating] = useState(false);
+
+  useEffect(() => {
+    refreshDepots();
+  }, []);
+
+  const refreshDepots = async () => {
+    const result = await loadDepots();
+    if (result.success) {
+      setDepots(result.depots);
+    }
+    setLoading(false);
+  };
+
+  const handleUseMyLocation = async () => {
+    setLocating(true);
+    const result = await getCurrentLocation();
+    setLocating(false);
+
+    if (!result.success) {
+      alert('Could not get your location. Enter the coordinates instead.');
+      return;
+    }
+    setFormData({ ...formData, latitude: result.point.latitude, longitude: result.point.longitude });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateDepot(formData, depots, editingDepot?.id);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    if (editingDepot) {
+      const result = await updateDepot(editingDepot.id, formData);
+      if (result.success) {
+        alert('Depot updated successfully!');
+      } else {
+        alert('Error updating depot: ' + result.error);
+        return;
+      }
+    } else {
+      const result = await createDepot(formData);
+      if (result.success) {
+        alert('Depot added successfully!');
+      } else {
+        alert('Error adding depot: ' + result.error);
+        return;
+      }
+    }
+
+    resetForm();
+    refreshDepots();
+  };
+
+  const handleEdit = (depot) => {
+    setEditingDepot(depot);
+    setFormData({
+      name: depot.name,
+      latitude: depot.latitude,
+      longitude: depot.longitude,
+      radius_m: depot.radius_m,
+      active: depot.active
+    });
+    setShowForm(true);
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setShowForm(false);
+    setEditingDepot(null);
+  };
+
+  const handleDelete = async (depot) => {
+    if (window.confirm(`Delete ${depot.name}? Past sessions keep the depot name they were checked against. Consider taking it out of use instead.`)) {
+      const result = await deleteDepot(depot.id);
+      if (result.success) {
+        alert('Depot deleted successfully!');
+        refreshDepots();
+      } else {
+        alert('Error deleting depot: ' + result.error);
+      }
+    }
+  };
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>🏢 Depots</h3>
+        <p style={{ fontSize: '13px', color: '#6b7280' }}>
+          Drivers' start and end locations are checked against these areas when the depot check-in
+          policy is switched on in Settings.
+        </p>
+        <button onClick={() => showForm ? resetForm() : setShowForm(true)} className="btn btn-primary" style={{ width: '100%' }}>
+          {showForm ? '✕ Cancel' : '➕ Add Depot'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            marginBottom: '24px',
+            padding: '20px',
+            background: 'linear-gradient(135deg, #eff6ff 0%, #dbeafe 100%)',
+            borderRadius: '12px',
+            border: '2px solid #93c5fd',
+          }}
+        >
+          <h4 style={{ marginBottom: '16px', fontSize: '16px', fontWeight: '700', color: '#1e40af' }}>
+            {editingDepot ? '✏️ Edit Depot' : '✨ New Depot'}
+          </h4>
+
+          <label>Name</label>
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="e.g., North Depot"
+            required
+          />
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+            <div>
+              <label>Latitude</label>
+              <input
+                type="number"
+                value={formData.latitude}
+                onChange={(e) => setFormData({ ...formData, latitude: e.target.value })}
+                placeholder="e.g., 59.9139"
+                step="any"
+                required
+              />
+            </div>
+            <div>
+              <label>Longitude</label>
+              <input
+                type="number"
+                value={formData.longitude}
+                onChange={(e) => setFormData({ ...formData, longitude: e.target.value })}
+                placeholder="e.g., 10.7522"
+                step="any"
+                required
+              />
+            </div>
+          </div>
+
+          <button
+            type="button"
+            onClick={handleUseMyLocation}
+            disabled={locating}
+            className="btn"
+            style={{ width: '100%', background: '#e5e7eb', color: '#374151', marginBottom: '12px' }}
+          >
+            {locating ? '📍 Finding your location...' : '📍 Use My Current Location'}
+          </button>
+
+          <label>Radius (metres)</label>
+          <input
+            type="number"
+            value={formData.radius_m}
+            onChange={(e) => setFormData({ ...formData, radius_m: e.target.value })}
+            min={MIN_DEPOT_RADIUS_M}
+            max={MAX_DEPOT_RADIUS_M}
+            required
+          />
+          <p style={{ fontSize: '12px', color: '#6b7280', marginTop: '-8px', marginBottom: '12px' }}>
+            Cover the yard and parking area; phone GPS is usually accurate to 10-50 m
+          </p>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={formData.active}
+              onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+              style={{ width: 'auto', marginBottom: 0 }}
+            />
+            In use (drivers can clock in here)
+          </label>
+
+          <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+            <button type="submit" className="btn btn-success" style={{ flex: 1 }}>
+              {editingDepot ? '✓ Update Depot' : '✓ Add Depot'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="btn"
+              style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading depots...</p>
+        </div>
+      ) : depots.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🏢</div>
+          <p>No depots yet. Locations are recorded without a depot check until you add some.</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🏢 Name</th>
+                <th>🌐 Location</th>
+                <th>⭕ Radius</th>
+                <th>📍 Status</th>
+                <th>⚙️ Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {depots.map(depot => (
+                <tr key={depot.id}>
+                  <td style={{ fontWeight: '600', color: '#374151' }}>{depot.name}</td>
+                  <td>
+                    <a
+                      href={`https://www.openstreetmap.org/?mlat=${depot.latitude}&mlon=${depot.longitude}#map=17/${depot.latitude}/${depot.longitude}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{ color: '#3b82f6' }}
+                    >
+                      {depot.latitude}, {depot.longitude}
+                    </a>
+                  </td>
+                  <td>{depot.radius_m} m</td>
+                  <td style={{ fontWeight: '600', color: depot.active ? '#10b981' : '#9ca3af' }}>
+                    {depot.active ? 'In use' : 'Not in use'}
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                      <button
+                        onClick={() => handleEdit(depot)}
+                        className="btn btn-primary"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(depot)}
+                        className="btn btn-danger"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DepotManagement;
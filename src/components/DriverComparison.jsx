@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useSettings } from '../context/SettingsContext';
+import { getDateKey, addDaysToDateKey, startOfDayInTimezone, endOfDayInTimezone } from '../lib/timezone';
+import {
+  COMPARISON_METRICS,
+  formatComparisonMetric,
+  buildDriverComparison,
+  loadDriverTotals,
+  sortComparisonRows
+} from '../lib/driverComparison';
+import SessionExportButtons from './SessionExportButtons';
+
+const DRIVER_COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'];
+
+// Charts stay readable with a handful of drivers side by side
+const MAX_SELECTED_DRIVERS = DRIVER_COLORS.length;
+
+const COLUMNS = [
+  { key: 'name', label: '🚚 Driver' },
+  { key: 'sessions', label: '📅 Sessions' },
+  ...Object.entries(COMPARISON_METRICS).map(([key, metric]) => ({ key, label: `${metric.icon} ${metric.label}` }))
+];
+
+function DriverComparison({ drivers, onSelectDriver, refreshTrigger = 0 }) {
+  const { timeZone } = useSettings();
+  const [days, setDays] = useState(30);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [useCustomRange, setUseCustomRange] = useState(false);
+  const [totals, setTotals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sortKey, setSortKey] = useState('workHours');
+  const [sortDirection, setSortDirection] = useState('desc');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  useEffect(() => {
+    loadTotals();
+  }, [days, startDate, endDate, useCustomRange, timeZone, refreshTrigger]);
+
+  const getRange = () => {
+    const today = getDateKey(new Date(), timeZone);
+    const useCustom = useCustomRange && startDate && endDate;
+    const fromKey = useCustom ? startDate : addDaysToDateKey(today, -days);
+    const toKey = useCustom ? endDate : today;
+    return {
+      fromKey,
+      toKey,
+      from: startOfDayInTimezone(fromKey, timeZone),
+      to: endOfDayInTimezone(toKey, timeZone)
+    };
+  };
+
+  const loadTotals = async () => {
+    setLoading(true);
+    const { from, to } = getRange();
+    const result = await loadDriverTotals({ from, to });
+    setTotals(result.totals);
+    setLoading(false);
+  };
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortDirection(sortDirection === 'desc' ? 'asc' : 'desc');
+    } else {
+      setSortKey(key);
+      setSortDirection(key === 'name' ? 'asc' : 'desc');
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    if (selectedIds.includes(userId)) {
+      setSelectedIds(selectedIds.filter(id => id !== userId));
+    } else if (selectedIds.length >= MAX_SELECTED_DRIVERS) {
+      alert(`You can compare up to ${MAX_SELECTED_DRIVERS} drivers at a time`);
+    } else {
+      setSelectedIds([...selectedIds, userId]);
+    }
+  };
+
+  const rows = sortComparisonRows(buildDriverComparison(totals, drivers), sortKey, sortDirection);
+  const selectedRows = selectedIds
+    .map(id => rows.find(row => row.userId === id))
+    .filter(Boolean);
+
+  return (
+    <div>
+      <h4 style={{ marginBottom: '8px', fontSize: '18px', fontWeight: '700', color: '#1f2937' }}>
+        🏆 Driver Comparison
+      </h4>
+      <p style={{ marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+        Hours exclude breaks. KM per hour only counts sessions with a mileage reading.
+        Tick drivers to chart them side by side, or click a name for their full dashboard.
+      </p>
+
+      <div style={{
+        marginBottom: '24px',
+        padding: '16px',
+        background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+        borderRadius: '12px',
+        display: 'flex',
+        gap: '12px',
+        alignItems: 'center',
+        flexWrap: 'wrap'
+      }}>
+        <label style={{ marginBottom: 0, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '600', fontSize: '14px' }}>
+          <input
+            type="radio"
+            checked={!useCustomRange}
+            onChange={() => setUseCustomRange(false)}
+            style={{ width: 'auto', marginBottom: 0, cursor: 'pointer' }}
+          />
+          Last
+        </label>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          disabled={useCustomRange}
+          style={{ width: 'auto', marginBottom: 0, minWidth: '100px' }}
+        >
+          <option value={7}>7 days</option>
+          <option value={30}>30 days</option>
+          <option value={90}>90 days</option>
+        </select>
+
+        <label style={{ marginBottom: 0, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '600', fontSize: '14px' }}>
+          <input
+            type="radio"
+            checked={useCustomRange}
+            onChange={() => setUseCustomRange(true)}
+            style={{ width: 'auto', marginBottom: 0, cursor: 'pointer' }}
+          />
+          Custom Range
+        </label>
+        <input
+          type="date"
+          value={startDate}
+          onChange={(e) => setStartDate(e.target.value)}
+          disabled={!useCustomRange}
+          style={{ width: 'auto', marginBottom: 0, minWidth: '140px' }}
+        />
+        <span style={{ color: '#6b7280', fontWeight: '600', fontSize: '14px' }}>to</span>
+        <input
+          type="date"
+          value={endDate}
+          onChange={(e) => setEndDate(e.target.value)}
+          disabled={!useCustomRange}
+          style={{ width: 'auto', marginBottom: 0, minWidth: '140px' }}
+        />
+      </div>
+
+      <SessionExportButtons
+        from={getRange().from}
+        to={getRange().to}
+        fileBaseName={`sessions-all-drivers-${getRange().fromKey}-to-${getRange().toKey}`}
+      />
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading driver comparison...</p>
+        </div>
+      ) : rows.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>📭</div>
+          <p>No drivers to compare yet.</p>
+        </div>
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto', marginBottom: '24px' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>#</th>
+                  {COLUMNS.map(column => (
+                    <th key={column.key}>
+                      <button
+                        onClick={() => handleSort(column.key)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          padding: 0,
+                          font: 'inherit',
+                          color: 'inherit',
+                          cursor: 'pointer',
+                          whiteSpace: 'nowrap'
+                        }}
+                      >
+                        {column.label}
+                        {sortKey === column.key && (sortDirection === 'desc' ? ' ▼' : ' ▲')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, idx) => (
+                  <tr key={row.userId}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(row.userId)}
+                        onChange={() => toggleSelected(row.userId)}
+                        style={{ width: 'auto', marginBottom: 0, cursor: 'pointer' }}
+                      />
+                    </td>
+                    <td style={{ color: '#6b7280', fontWeight: '600' }}>{idx + 1}</td>
+                    <td>
+                      <button
+                        onClick={() => onSelectDriver(row.userId)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          padding: 0,
+                          fontWeight: '600',
+                          color: '#667eea',
+                          cursor: 'pointer',
+                          textAlign: 'left'
+                        }}
+                      >
+                        {row.name}
+                      </button>
+                      <div style={{ fontSize: '11px', color: '#6b7280' }}>{row.username}</div>
+                    </td>
+                    <td>{row.sessions}</td>
+                    {Object.keys(COMPARISON_METRICS).map(key => (
+                      <td key={key}>{formatComparisonMetric(row[key], key)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {selectedRows.length === 0 ? (
+            <div style={{ textAlign: 'center', padding: '24px 20px', color: '#9ca3af' }}>
+              <p>Tick drivers in the table to compare them side by side.</p>
+            </div>
+          ) : (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '16px' }}>
+              {Object.entries(COMPARISON_METRICS).map(([key, metric]) => (
+                <div
+                  key={key}
+                  style={{
+                    background: 'white',
+                    padding: '20px',
+                    borderRadius: '12px',
+                    border: '2px solid #f3f4f6'
+                  }}
+                >
+                  <h4 style={{ marginBottom: '16px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+                    {metric.icon} {metric.label}
+                  </h4>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <BarChart data={selectedRows.map(row => ({ name: row.name, value: row[key] }))}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+                      <XAxis dataKey="name" stroke="#6b7280" style={{ fontSize: '12px' }} />
+                      <YAxis stroke="#6b7280" style={{ fontSize: '12px' }} />
+                      <Tooltip
+                        formatter={(value) => formatComparisonMetric(value, key)}
+                        contentStyle={{
+                          background: 'white',
+                          border: '2px solid #667eea',
+                          borderRadius: '8px',
+                          fontSize: '13px'
+                        }}
+                      />
+                      <Bar dataKey="value" name={metric.label} radius={[8, 8, 0, 0]}>
+                        {selectedRows.map(row => (
+                          <Cell key={row.userId} fill={DRIVER_COLORS[selectedIds.indexOf(row.userId)]} />
+                        ))}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DriverComparison;
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import Performance from './Performance';
+import DriverComparison from './DriverComparison';
 import AdminSessionEditor from './AdminSessionEditor';
 
 function DriverPerformance() {
@@ -42,7 +43,7 @@ function DriverPerformance() {
           value={selectedDriver}
           onChange={(e) => setSelectedDriver(e.target.value)}
         >
-          <option value="">-- Select a driver --</option>
+          <option value="">-- All drivers (comparison) --</option>
           {drivers.map(driver => (
             <option key={driver.id} value={driver.id}>
               🚚 {driver.name} ({driver.username})
@@ -59,14 +60,11 @@ function DriverPerformance() {
           refreshTrigger={refreshTrigger}
         />
       ) : (
-        <div style={{ 
-          textAlign: 'center', 
-          padding: '60px 20px',
-          color: '#9ca3af'
-        }}>
-          <div style={{ fontSize: '64px', marginBottom: '16px' }}>👆</div>
-          <p style={{ fontSize: '16px', fontWeight: '500' }}>Select a driver to view their performance</p>
-        </div>
+        <DriverComparison
+          drivers={drivers}
+          onSelectDriver={setSelectedDriver}
+          refreshTrigger={refreshTrigger}
+        />
       )}
 
       {/* Admin Session Editor Modal */}
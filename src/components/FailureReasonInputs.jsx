@@ -0,0 +1,42 @@
+import React from 'react';
+import { getReasonsFor, getReasonLabel, sumReasonCounts } from '../lib/failureReasons';
+
+// Per-reason counts for failed deliveries or pickups
+function FailureReasonInputs({ reasons, kind, counts = {}, failedCount = 0, onChange, disabled = false }) {
+  const options = getReasonsFor(reasons, kind);
+  // Reasons retired since this session was recorded are still shown
+  const retired = Object.keys(counts).filter(code => !options.some(reason => reason.code === code));
+  const assigned = sumReasonCounts(counts);
+  const failed = parseInt(failedCount) || 0;
+
+  const handleChange = (code, value) => {
+    onChange({ ...counts, [code]: value });
+  };
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <label style={{ fontSize: '13px' }}>Failure Reasons</label>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+        {[...options.map(reason => reason.code), ...retired].map(code => (
+          <div key={code} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="number"
+              min="0"
+              value={counts[code] ?? ''}
+              onChange={(e) => handleChange(code, e.target.value)}
+              placeholder="0"
+              disabled={disabled}
+              style={{ width: '64px', marginBottom: 0 }}
+            />
+            <span style={{ fontSize: '13px', color: '#374151' }}>{getReasonLabel(reasons, code)}</span>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: '12px', marginTop: '8px', color: assigned > failed ? '#dc2626' : '#6b7280' }}>
+        {assigned} of {failed} failed {kind === 'delivery' ? 'deliveries' : 'pickups'} have a reason
+      </div>
+    </div>
+  );
+}
+
+export default FailureReasonInputs;
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../context/SettingsContext';
+import { formatTime } from '../lib/sessionHelpers';
+import { getDateKey, startOfDayInTimezone } from '../lib/timezone';
+import { formatHoursMinutes } from '../lib/payroll';
+import { FLEET_STATUSES, applySessionChange, getFleetStatus, countFleetStatus } from '../lib/fleetStatus';
+
+const STATUS_COLORS = {
+  working: { background: '#d1fae5', color: '#065f46' },
+  'on-break': { background: '#fef3c7', color: '#92400e' },
+  ended: { background: '#e5e7eb', color: '#374151' },
+  'not-started': { background: '#f3f4f6', color: '#9ca3af' }
+};
+
+function FleetStatusBoard() {
+  const { users } = useAuth();
+  const { getUserTimezone } = useSettings();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [connection, setConnection] = useState('connecting');
+  const [now, setNow] = useState(new Date());
+
+  const drivers = users.filter(u => u.role === 'driver');
+
+  useEffect(() => {
+    loadSessions();
+
+    const channel = supabase
+      .channel('fleet-status')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'sessions' }, (payload) => {
+        setSessions(prev => applySessionChange(prev, payload));
+      })
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          setConnection('live');
+          // Catch up on anything that changed while (re)connecting
+          loadSessions();
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          setConnection('offline');
+        }
+      });
+
+    const clock = setInterval(() => setNow(new Date()), 30 * 1000);
+
+    return () => {
+      clearInterval(clock);
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      // Open sessions plus anything started since yesterday (UTC) covers
+      // "today" in every driver's timezone
+      const since = startOfDayInTimezone(getDateKey(new Date(), 'UTC'), 'UTC', -1).toISOString();
+      const { data, error } = await supabase
+        .from('sessions')
+        .select('id, user_id, date, start_time, end_time, status, breaks, start_km, route_number')
+        .or(`end_time.is.null,start_time.gte.${since}`);
+
+      if (error) throw error;
+      setSessions(data || []);
+    } catch (error) {
+      console.error('Error loading fleet status:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rows = getFleetStatus(drivers, sessions, getUserTimezone, now);
+  const counts = countFleetStatus(rows);
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '22px', fontWeight: '700', color: '#1f2937' }}>
+          🚦 Live Fleet Status
+        </h3>
+        <span
+          style={{
+            fontSize: '12px',
+            fontWeight: '600',
+            padding: '4px 10px',
+            borderRadius: '999px',
+            background: connection === 'live' ? '#d1fae5' : '#fef3c7',
+            color: connection === 'live' ? '#065f46' : '#92400e'
+          }}
+        >
+          {connection === 'live' ? '● Live' : connection === 'connecting' ? '⏳ Connecting...' : '⚠️ Not live - reconnecting'}
+        </span>
+      </div>
+
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))',
+          gap: '12px',
+          marginBottom: '24px'
+        }}
+      >
+        {Object.entries(FLEET_STATUSES).map(([status, info]) => (
+          <div
+            key={status}
+            style={{
+              ...STATUS_COLORS[status],
+              padding: '16px',
+              borderRadius: '12px',
+              textAlign: 'center'
+            }}
+          >
+            <div style={{ fontSize: '24px', fontWeight: '700' }}>{counts[status]}</div>
+            <div style={{ fontSize: '12px', fontWeight: '600' }}>{info.icon} {info.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading fleet status...</p>
+        </div>
+      ) : rows.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🚚</div>
+          <p>No drivers yet. Add drivers in User Management.</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🚚 Driver</th>
+                <th>📍 Status</th>
+                <th>🕐 Started</th>
+                <th>⏱️ Elapsed</th>
+                <th>☕ Current Break</th>
+                <th>🚗 Start KM</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const timeZone = getUserTimezone(row.driver.id);
+                return (
+                  <tr key={row.driver.id}>
+                    <td style={{ fontWeight: '600', color: '#374151' }}>
+                      {row.driver.name}
+                      {row.session?.route_number && (
+                        <div style={{ fontSize: '11px', color: '#667eea' }}>{row.session.route_number}</div>
+                      )}
+                    </td>
+                    <td>
+                      <span
+                        style={{
+                          ...STATUS_COLORS[row.status],
+                          padding: '4px 10px',
+                          borderRadius: '999px',
+                          fontSize: '12px',
+                          fontWeight: '600',
+                          whiteSpace: 'nowrap'
+                        }}
+                      >
+                        {FLEET_STATUSES[row.status].icon} {FLEET_STATUSES[row.status].label}
+                      </span>
+                    </td>
+                    <td>{row.session ? formatTime(row.session.start_time, timeZone) : '-'}</td>
+                    <td style={{ fontWeight: '600' }}>
+                      {row.session ? formatHoursMinutes(row.elapsedMinutes / 60) : '-'}
+                    </td>
+                    <td style={{ color: '#f59e0b', fontWeight: '600' }}>
+                      {row.status === 'on-break' ? formatHoursMinutes(row.currentBreakMinutes / 60) : '-'}
+                    </td>
+                    <td>{row.startKm !== null ? `${row.startKm} KM` : '-'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FleetStatusBoard;
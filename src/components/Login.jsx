@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { getLogoutMessage } from '../lib/loginSession';
 
 function Login() {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, logoutReason } = useAuth();
+  const logoutMessage = getLogoutMessage(logoutReason);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -51,6 +53,27 @@ function Login() {
           <p style={{ color: '#6b7280', fontSize: '14px' }}>Sign in to your account</p>
         </div>
         
+        {logoutMessage && !error && (
+          <div
+            style={{
+              background: '#eff6ff',
+              color: '#1e40af',
+              padding: '12px 16px',
+              borderRadius: '10px',
+              marginBottom: '16px',
+              fontSize: '14px',
+              fontWeight: '500',
+              border: '2px solid #93c5fd',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+            }}
+          >
+            <span style={{ fontSize: '18px' }}>🔒</span>
+            <span>{logoutMessage}</span>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit}>
           <label>Username</label>
           <input
@@ -0,0 +1,375 @@
+import React, { useState, useEffect } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { getDateKey, formatDateKey } from '../lib/timezone';
+import { loadVehicles, formatVehicleLabel } from '../lib/vehicles';
+import {
+  MAINTENANCE_STATUSES,
+  buildMaintenanceSchedule,
+  validateMaintenancePlan,
+  loadMaintenancePlans,
+  loadMaintenanceMileage,
+  createMaintenancePlan,
+  updateMaintenancePlan,
+  recordService,
+  deleteMaintenancePlan
+} from '../lib/maintenance';
+
+const STATUS_COLORS = {
+  overdue: { background: '#fef2f2', color: '#dc2626' },
+  due: { background: '#fef3c7', color: '#92400e' },
+  ok: { background: '#d1fae5', color: '#065f46' }
+};
+
+function MaintenanceSchedule() {
+  const { timeZone } = useSettings();
+  const [plans, setPlans] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [mileageByPlan, setMileageByPlan] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingPlan, setEditingPlan] = useState(null);
+
+  const emptyForm = () => ({
+    vehicle_id: '',
+    name: '',
+    interval_km: '',
+    interval_days: '',
+    last_service_date: getDateKey(new Date(), timeZone),
+    last_service_km: ''
+  });
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      const [planResult, vehicleResult, mileageResult] = await Promise.all([
+        loadMaintenancePlans(),
+        loadVehicles(),
+        loadMaintenanceMileage(timeZone)
+      ]);
+      setPlans(planResult.plans);
+      setVehicles(vehicleResult.vehicles);
+
+      if (!mileageResult.success) throw new Error(mileageResult.error);
+      setMileageByPlan(mileageResult.mileageByPlan);
+    } catch (error) {
+      console.error('Error loading maintenance data:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData(emptyForm());
+    setShowForm(false);
+    setEditingPlan(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateMaintenancePlan(formData);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    const result = editingPlan
+      ? await updateMaintenancePlan(editingPlan.id, formData)
+      : await createMaintenancePlan(formData);
+
+    if (!result.success) {
+      alert('Error saving maintenance plan: ' + result.error);
+      return;
+    }
+
+    alert(editingPlan ? 'Maintenance plan updated!' : 'Maintenance plan added!');
+    resetForm();
+    loadData();
+  };
+
+  const handleEdit = (plan) => {
+    setEditingPlan(plan);
+    setFormData({
+      vehicle_id: plan.vehicle_id,
+      name: plan.name,
+      interval_km: plan.interval_km ?? '',
+      interval_days: plan.interval_days ?? '',
+      last_service_date: plan.last_service_date,
+      last_service_km: plan.last_service_km ?? ''
+    });
+    setShowForm(true);
+  };
+
+  const handleMarkServiced = async (row) => {
+    if (!window.confirm(`Mark "${row.plan.name}" on ${row.vehicle?.plate || 'this vehicle'} as done today?`)) {
+      return;
+    }
+
+    const result = await recordService(
+      row.plan.id,
+      getDateKey(new Date(), timeZone),
+      row.vehicle?.current_odometer ?? null
+    );
+    if (result.success) {
+      loadData();
+    } else {
+      alert('Error recording service: ' + result.error);
+    }
+  };
+
+  const handleDelete = async (plan) => {
+    if (window.confirm(`Delete the "${plan.name}" plan?`)) {
+      const result = await deleteMaintenancePlan(plan.id);
+      if (result.success) {
+        loadData();
+      } else {
+        alert('Error deleting maintenance plan: ' + result.error);
+      }
+    }
+  };
+
+  const schedule = buildMaintenanceSchedule(plans, vehicles, mileageByPlan, timeZone);
+  const overdueCount = schedule.filter(row => row.status === 'overdue').length;
+  const dueCount = schedule.filter(row => row.status === 'due').length;
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>🔧 Maintenance</h3>
+        <button
+          onClick={() => showForm ? resetForm() : setShowForm(true)}
+          className="btn btn-primary"
+          style={{ width: '100%' }}
+          disabled={vehicles.length === 0}
+        >
+          {showForm ? '✕ Cancel' : '➕ Add Maintenance Plan'}
+        </button>
+      </div>
+
+      {(overdueCount > 0 || dueCount > 0) && (
+        <div style={{
+          background: '#fef3c7',
+          border: '1px solid #fcd34d',
+          borderRadius: '8px',
+          padding: '10px 12px',
+          fontSize: '13px',
+          color: '#92400e',
+          marginBottom: '16px',
+          fontWeight: '600'
+        }}>
+          ⚠️ {overdueCount} overdue, {dueCount} due soon
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            marginBottom: '24px',
+            padding: '20px',
+            background: 'linear-gradient(135deg, #eff6ff 0%, #dbeafe 100%)',
+            borderRadius: '12px',
+            border: '2px solid #93c5fd',
+          }}
+        >
+          <h4 style={{ marginBottom: '16px', fontSize: '16px', fontWeight: '700', color: '#1e40af' }}>
+            {editingPlan ? '✏️ Edit Maintenance Plan' : '✨ New Maintenance Plan'}
+          </h4>
+
+          <label>Vehicle</label>
+          <select
+            value={formData.vehicle_id}
+            onChange={(e) => setFormData({ ...formData, vehicle_id: e.target.value })}
+            required
+          >
+            <option value="">-- Select a vehicle --</option>
+            {vehicles.map(vehicle => (
+              <option key={vehicle.id} value={vehicle.id}>{formatVehicleLabel(vehicle)}</option>
+            ))}
+          </select>
+
+          <label>Service</label>
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="e.g., Oil change"
+            required
+          />
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+            <div>
+              <label>Every (KM)</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={formData.interval_km}
+                onChange={(e) => setFormData({ ...formData, interval_km: e.target.value })}
+                placeholder="e.g., 15000"
+              />
+            </div>
+            <div>
+              <label>Every (days)</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={formData.interval_days}
+                onChange={(e) => setFormData({ ...formData, interval_days: e.target.value })}
+                placeholder="e.g., 365"
+              />
+            </div>
+            <div>
+              <label>Last Service Date</label>
+              <input
+                type="date"
+                value={formData.last_service_date}
+                onChange={(e) => setFormData({ ...formData, last_service_date: e.target.value })}
+                required
+              />
+            </div>
+            <div>
+              <label>Odometer at Last Service (Optional)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={formData.last_service_km}
+                onChange={(e) => setFormData({ ...formData, last_service_km: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+            <button type="submit" className="btn btn-success" style={{ flex: 1 }}>
+              {editingPlan ? '✓ Update Plan' : '✓ Add Plan'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="btn"
+              style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading maintenance schedule...</p>
+        </div>
+      ) : schedule.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🔧</div>
+          <p>
+            {vehicles.length === 0
+              ? 'Add vehicles in the 🚐 Vehicles tab first.'
+              : 'No maintenance plans yet.'}
+          </p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🚐 Vehicle</th>
+                <th>🔧 Service</th>
+                <th>📍 Status</th>
+                <th>🚗 Since Service</th>
+                <th>📅 Next Due</th>
+                <th>⚙️ Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.map(row => (
+                <tr key={row.plan.id}>
+                  <td style={{ fontWeight: '600', color: '#374151' }}>{row.vehicle?.plate || 'Unknown'}</td>
+                  <td>
+                    {row.plan.name}
+                    <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                      Every {[
+                        row.plan.interval_km && `${row.plan.interval_km} KM`,
+                        row.plan.interval_days && `${row.plan.interval_days} days`
+                      ].filter(Boolean).join(' or ')}
+                    </div>
+                  </td>
+                  <td>
+                    <span
+                      style={{
+                        ...STATUS_COLORS[row.status],
+                        padding: '4px 10px',
+                        borderRadius: '999px',
+                        fontSize: '12px',
+                        fontWeight: '600',
+                        whiteSpace: 'nowrap'
+                      }}
+                    >
+                      {MAINTENANCE_STATUSES[row.status].icon} {MAINTENANCE_STATUSES[row.status].label}
+                    </span>
+                  </td>
+                  <td>
+                    {row.kmSinceService.toFixed(1)} KM
+                    <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                      since {formatDateKey(row.plan.last_service_date, { month: 'short', day: 'numeric', year: 'numeric' })}
+                    </div>
+                  </td>
+                  <td>
+                    {row.remainingKm !== null && (
+                      <div>
+                        {row.remainingKm > 0 ? `in ${row.remainingKm.toFixed(0)} KM` : `${Math.abs(row.remainingKm).toFixed(0)} KM over`}
+                      </div>
+                    )}
+                    {row.dueDate && (
+                      <div style={row.remainingKm !== null ? { fontSize: '11px', color: '#6b7280' } : {}}>
+                        {formatDateKey(row.dueDate, { month: 'short', day: 'numeric', year: 'numeric' })}
+                        {row.remainingDays > 0
+                          ? ` (${row.remainingDays} days)`
+                          : row.remainingDays === 0 ? ' (today)' : ` (${Math.abs(row.remainingDays)} days late)`}
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                      <button
+                        onClick={() => handleMarkServiced(row)}
+                        className="btn btn-success"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        ✓ Serviced
+                      </button>
+                      <button
+                        onClick={() => handleEdit(row.plan)}
+                        className="btn btn-primary"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(row.plan)}
+                        className="btn btn-danger"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MaintenanceSchedule;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../context/SettingsContext';
+import { SETTING_KEYS, withDefaults } from '../lib/settings';
+import { getDateKey, startOfDayInTimezone, formatDateKey } from '../lib/timezone';
+import { downloadFile, openPrintableHTML, toFileNamePart } from '../lib/exportUtils';
+import {
+  DEFAULT_PAYROLL_SETTINGS,
+  PAY_PERIOD_TYPES,
+  getPayPeriod,
+  shiftPayPeriod,
+  buildPayrollReport,
+  describeRounding,
+  formatHoursMinutes,
+  payrollReportToCSV,
+  payrollReportToHTML
+} from '../lib/payroll';
+
+// Sessions read per request. The server may return fewer (its max-rows
+// setting), so pages are read until one comes back empty.
+const PAYROLL_BATCH_SIZE = 1000;
+
+function PayrollReport() {
+  const { users } = useAuth();
+  const { settings, timeZone, getUserTimezone } = useSettings();
+  const payrollSettings = withDefaults(settings[SETTING_KEYS.PAYROLL], DEFAULT_PAYROLL_SETTINGS);
+  const [period, setPeriod] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const drivers = users.filter(u => u.role === 'driver');
+
+  // Start on the current pay period; re-align when the period settings change
+  useEffect(() => {
+    setPeriod(getPayPeriod(getDateKey(new Date(), timeZone), payrollSettings));
+  }, [payrollSettings.periodType, payrollSettings.periodAnchor, timeZone]);
+
+  useEffect(() => {
+    if (period) {
+      loadSessions();
+    }
+  }, [period?.start, period?.end]);
+
+  const loadSessions = async () => {
+    setLoading(true);
+    try {
+      // One extra day either side covers drivers in any timezone; sessions
+      // are assigned to the period by their start day in buildPayrollReport
+      const loaded = [];
+      for (let offset = 0; ; ) {
+        const { data, error } = await supabase
+          .from('sessions')
+          .select(`
+            *,
+            user:user_id (
+              id,
+              name,
+              username
+            )
+          `)
+          .gte('date', startOfDayInTimezone(period.start, 'UTC', -1).toISOString())
+          .lt('date', startOfDayInTimezone(period.end, 'UTC', 2).toISOString())
+          .order('date', { ascending: true })
+          .order('id', { ascending: true })
+          .range(offset, offset + PAYROLL_BATCH_SIZE - 1);
+
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+        loaded.push(...data);
+        offset += data.length;
+      }
+      setSessions(loaded);
+    } catch (error) {
+      console.error('Error loading payroll sessions:', error.message);
+      alert('Error loading payroll data: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!period) return null;
+
+  const report = buildPayrollReport(sessions, drivers, period, payrollSettings, getUserTimezone);
+  const openSessions = sessions.filter(s => {
+    if (s.end_time) return false;
+    const dayKey = getDateKey(s.date, getUserTimezone(s.user_id));
+    return dayKey >= period.start && dayKey <= period.end;
+  });
+  const periodLabel = `${formatDateKey(period.start, { month: 'short', day: 'numeric', year: 'numeric' })} – ${formatDateKey(period.end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  const fileBaseName = `payroll-${toFileNamePart(period.start)}-to-${toFileNamePart(period.end)}`;
+
+  const handleExportCSV = () => {
+    downloadFile(payrollReportToCSV(report), `${fileBaseName}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const handlePrint = () => {
+    const html = payrollReportToHTML(report, { roundingDescription: describeRounding(payrollSettings) });
+    openPrintableHTML(html, `${fileBaseName}.html`);
+  };
+
+  return (
+    <div className="card">
+      <h3 style={{ marginBottom: '8px', fontSize: '22px', fontWeight: '700', color: '#1f2937' }}>
+        💰 Payroll Report
+      </h3>
+      <p style={{ marginBottom: '24px', fontSize: '13px', color: '#6b7280' }}>
+        {PAY_PERIOD_TYPES[payrollSettings.periodType]?.label || 'Pay'} periods · {describeRounding(payrollSettings)} · paid breaks count as payable · change in ⚙️ Settings
+      </p>
+
+      <div style={{
+        marginBottom: '24px',
+        padding: '16px',
+        background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+        borderRadius: '12px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '12px',
+        flexWrap: 'wrap'
+      }}>
+        <button
+          onClick={() => setPeriod(shiftPayPeriod(period, -1, payrollSettings))}
+          className="btn"
+          style={{ background: '#e5e7eb', color: '#374151' }}
+        >
+          ◀ Previous
+        </button>
+        <div style={{ textAlign: 'center' }}>
+          <div style={{ fontSize: '12px', color: '#6b7280', fontWeight: '600' }}>PAY PERIOD</div>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: '#1f2937' }}>{periodLabel}</div>
+        </div>
+        <button
+          onClick={() => setPeriod(shiftPayPeriod(period, 1, payrollSettings))}
+          className="btn"
+          style={{ background: '#e5e7eb', color: '#374151' }}
+        >
+          Next ▶
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', marginBottom: '24px', flexWrap: 'wrap' }}>
+        <button onClick={handleExportCSV} className="btn btn-primary" disabled={loading} style={{ flex: 1 }}>
+          📄 Export CSV
+        </button>
+        <button onClick={handlePrint} className="btn btn-success" disabled={loading} style={{ flex: 1 }}>
+          🖨️ Printable Report
+        </button>
+      </div>
+
+      {openSessions.length > 0 && (
+        <div style={{
+          background: '#fef3c7',
+          border: '1px solid #fcd34d',
+          borderRadius: '8px',
+          padding: '10px 12px',
+          fontSize: '13px',
+          color: '#92400e',
+          marginBottom: '16px'
+        }}>
+          ⚠️ {openSessions.length} session(s) in this period have not been ended and are not included.
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading payroll data...</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🚚 Driver</th>
+                <th>📅 Days</th>
+                <th>⏱️ Total</th>
+                <th>☕ Breaks</th>
+                <th>⏳ Paid Breaks</th>
+                <th>💼 Worked</th>
+                <th>💰 Payable</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map(row => (
+                <tr key={row.userId}>
+                  <td style={{ fontWeight: '600', color: '#374151' }}>{row.name}</td>
+                  <td>{row.daysWorked}</td>
+                  <td>{row.totalHours.toFixed(2)}h</td>
+                  <td>{row.breakHours.toFixed(2)}h</td>
+                  <td>{row.paidBreakHours.toFixed(2)}h</td>
+                  <td>{row.workHours.toFixed(2)}h</td>
+                  <td style={{ fontWeight: '700', color: '#059669' }}>
+                    {row.payableHours.toFixed(2)}h ({formatHoursMinutes(row.payableHours)})
+                  </td>
+                </tr>
+              ))}
+              <tr style={{ background: '#f9fafb' }}>
+                <td style={{ fontWeight: '700' }}>Total</td>
+                <td style={{ fontWeight: '700' }}>{report.totals.daysWorked}</td>
+                <td style={{ fontWeight: '700' }}>{report.totals.totalHours.toFixed(2)}h</td>
+                <td style={{ fontWeight: '700' }}>{report.totals.breakHours.toFixed(2)}h</td>
+                <td style={{ fontWeight: '700' }}>{report.totals.paidBreakHours.toFixed(2)}h</td>
+                <td style={{ fontWeight: '700' }}>{report.totals.workHours.toFixed(2)}h</td>
+                <td style={{ fontWeight: '700', color: '#059669' }}>
+                  {report.totals.payableHours.toFixed(2)}h ({formatHoursMinutes(report.totals.payableHours)})
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PayrollReport;
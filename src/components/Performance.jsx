@@ -13,146 +13,225 @@ import {
 } from 'recharts';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../context/SettingsContext';
 import { calculateTimeMetrics } from '../lib/sessionHelpers';
+import { SETTING_KEYS, withDefaults } from '../lib/settings';
+import { DEFAULT_LABOUR_RULES, COMPLIANCE_RULES, evaluateCompliance, countViolations } from '../lib/compliance';
+import { getFailureReasons, getFailureReasonBreakdown } from '../lib/failureReasons';
+import { getLocationFlag } from '../lib/depots';
+import { toFileNamePart } from '../lib/exportUtils';
+import SessionExportButtons from './SessionExportButtons';
+import {
+  getDateKey,
+  getWeekStartKey,
+  startOfDayInTimezone,
+  endOfDayInTimezone,
+  formatDateInTimezone,
+  addDaysToDateKey
+} from '../lib/timezone';
+import {
+  SESSION_PAGE_SIZE,
+  CHART_GRANULARITIES,
+  toPeriodTotals,
+  buildTotalStats,
+  toFailureReasonSession,
+  bucketDailyStats,
+  getPeriodLength,
+  getPreviousPeriod,
+  getPercentChange,
+  alignPreviousBuckets,
+  loadDailyStats,
+  loadPeriodTotals,
+  loadSessionPage
+} from '../lib/performanceStats';
 
 function Performance({ userId, isAdminView = false, onEditSession, refreshTrigger = 0 }) {
-  const { user } = useAuth();
+  const { user, users } = useAuth();
+  const { settings, getUserTimezone } = useSettings();
+  const labourRules = withDefaults(settings[SETTING_KEYS.LABOUR_RULES], DEFAULT_LABOUR_RULES);
+  const failureReasons = getFailureReasons(settings[SETTING_KEYS.FAILURE_REASONS]);
+  // Days are split in the driver's timezone, whoever is viewing
+  const timeZone = getUserTimezone(userId);
+  const [dailyStats, setDailyStats] = useState([]);
+  const [totals, setTotals] = useState(toPeriodTotals());
+  // One page of session rows for the records table
   const [sessions, setSessions] = useState([]);
+  const [sessionCount, setSessionCount] = useState(0);
+  const [page, setPage] = useState(0);
+  // Also covers the start of the first week shown, for weekly hour totals
+  const [complianceSessions, setComplianceSessions] = useState([]);
   const [days, setDays] = useState(7);
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [useCustomRange, setUseCustomRange] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [pageLoading, setPageLoading] = useState(false);
+  const [granularity, setGranularity] = useState('day');
+  const [compareWithPrevious, setCompareWithPrevious] = useState(false);
+  const [previousDailyStats, setPreviousDailyStats] = useState([]);
+  const [previousTotals, setPreviousTotals] = useState(null);
+
+  useEffect(() => {
+    loadStats();
+    loadPage(0);
+  }, [userId, days, startDate, endDate, useCustomRange, refreshTrigger, timeZone]);
 
   useEffect(() => {
-    loadSessions();
-  }, [userId, days, startDate, endDate, useCustomRange, refreshTrigger]);
+    loadPreviousStats();
+  }, [userId, days, startDate, endDate, useCustomRange, refreshTrigger, timeZone, compareWithPrevious]);
+
+  const getRange = () => {
+    const today = getDateKey(new Date(), timeZone);
+    const useCustom = useCustomRange && startDate && endDate;
+    const fromKey = useCustom ? startDate : addDaysToDateKey(today, -days);
+    const toKey = useCustom ? endDate : today;
+    return {
+      fromKey,
+      toKey,
+      from: startOfDayInTimezone(fromKey, timeZone),
+      to: endOfDayInTimezone(toKey, timeZone)
+    };
+  };
+
+  const loadPreviousStats = async () => {
+    if (!compareWithPrevious) {
+      setPreviousDailyStats([]);
+      setPreviousTotals(null);
+      return;
+    }
+
+    const range = getRange();
+    const previous = getPreviousPeriod(range.fromKey, range.toKey);
+    const from = startOfDayInTimezone(previous.fromKey, timeZone);
+    const to = endOfDayInTimezone(previous.toKey, timeZone);
+    const [dailyResult, totalsResult] = await Promise.all([
+      loadDailyStats({ userId, from, to, timeZone }),
+      loadPeriodTotals({ userId, from, to })
+    ]);
+    setPreviousDailyStats(dailyResult.days);
+    setPreviousTotals(totalsResult.success ? totalsResult.totals : null);
+  };
 
-  const loadSessions = async () => {
+  const loadStats = async () => {
     setLoading(true);
+    const { from, to } = getRange();
+    const [dailyResult, totalsResult, complianceRows] = await Promise.all([
+      loadDailyStats({ userId, from, to, timeZone }),
+      loadPeriodTotals({ userId, from, to }),
+      isAdminView ? loadComplianceSessions(from, to) : []
+    ]);
+    setDailyStats(dailyResult.days);
+    setTotals(totalsResult.totals);
+    setComplianceSessions(complianceRows);
+    setLoading(false);
+  };
+
+  // Labour rules need each session's times, so admins still load those
+  // (only the columns the checks use)
+  const loadComplianceSessions = async (from, to) => {
     try {
+      const weekStart = startOfDayInTimezone(getWeekStartKey(getDateKey(from, timeZone)), timeZone);
       let query = supabase
         .from('sessions')
-        .select(`
-          *,
-          user:user_id (
-            id,
-            name,
-            username
-          )
-        `)
+        .select('id, user_id, date, start_time, end_time, breaks')
         .eq('user_id', userId)
-        .not('end_time', 'is', null);
-
-      if (useCustomRange && startDate && endDate) {
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-
-        query = query
-          .gte('date', start.toISOString())
-          .lte('date', end.toISOString());
-      } else {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
-        cutoffDate.setHours(0, 0, 0, 0);
-        query = query.gte('date', cutoffDate.toISOString());
-      }
-
-      const { data, error } = await query.order('date', { ascending: false });
+        .not('end_time', 'is', null)
+        .gte('date', weekStart.toISOString());
+      if (to) query = query.lte('date', to.toISOString());
+
+      const { data, error } = await query;
 
       if (error) throw error;
-      setSessions(data || []);
+      return data || [];
     } catch (error) {
-      console.error('Error loading sessions:', error.message);
-    } finally {
-      setLoading(false);
+      console.error('Error loading sessions for labour rules:', error.message);
+      return [];
     }
   };
 
+  const loadPage = async (pageToLoad) => {
+    setPageLoading(true);
+    const { from, to } = getRange();
+    const result = await loadSessionPage({ userId, from, to, page: pageToLoad });
+    setSessions(result.sessions);
+    setSessionCount(result.count);
+    setPage(pageToLoad);
+    setPageLoading(false);
+  };
+
   const calculateWorkHours = (session) => {
-    const metrics = calculateTimeMetrics(session);
+    const metrics = calculateTimeMetrics(session, timeZone);
     return metrics.workTime.toFixed(2);
   };
 
   const calculateBreakHours = (session) => {
-    const metrics = calculateTimeMetrics(session);
+    const metrics = calculateTimeMetrics(session, timeZone);
     return metrics.breakTime.toFixed(2);
   };
 
-  const calculateTotalHours = (session) => {
-    const metrics = calculateTimeMetrics(session);
-    return metrics.totalTime.toFixed(2);
+  const calculatePaidBreakHours = (session) => {
+    return calculateTimeMetrics(session, timeZone).paidBreakTime;
   };
 
+  const complianceFindings = evaluateCompliance(complianceSessions, labourRules, {
+    getTimezone: () => timeZone
+  });
+  const flaggedSessionCount = complianceSessions
+    .filter(s => new Date(s.date) >= getRange().from)
+    .filter(s => countViolations(complianceFindings[s.id]) > 0).length;
+  const failureBreakdown = getFailureReasonBreakdown([toFailureReasonSession(totals)], failureReasons);
+  const awayFromDepotCount = totals.awayFromDepot;
+  const pageCount = Math.max(1, Math.ceil(sessionCount / SESSION_PAGE_SIZE));
+
   const formatDate = (isoString) => {
-    return new Date(isoString).toLocaleDateString('en-US', {
+    return formatDateInTimezone(isoString, timeZone, {
       month: 'short',
       day: 'numeric',
       year: 'numeric',
     });
   };
 
-  const formatDateShort = (isoString) => {
-    return new Date(isoString).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-    });
-  };
-
+  // Hours are averaged per session, counts are summed per bucket
   const getChartData = () => {
-    return sessions
-      .slice()
-      .reverse()
-      .map((session) => ({
-        date: formatDateShort(session.date),
-        workHours: parseFloat(calculateWorkHours(session)),
-        breakHours: parseFloat(calculateBreakHours(session)),
-        totalHours: parseFloat(calculateTotalHours(session)),
-        positiveDeliveries: session.positive_deliveries || 0,
-        negativeDeliveries: session.negative_deliveries || 0,
-        deliveries: (session.positive_deliveries || 0) + (session.negative_deliveries || 0),
-        positivePickups: session.positive_pickups || 0,
-        negativePickups: session.negative_pickups || 0,
-        pickups: (session.positive_pickups || 0) + (session.negative_pickups || 0),
-        breaks: (session.breaks || []).length,
-        totalKm: session.total_km || 0
-      }));
+    const { fromKey, toKey } = getRange();
+    const buckets = alignPreviousBuckets(
+      bucketDailyStats(dailyStats, granularity),
+      bucketDailyStats(previousDailyStats, granularity),
+      getPeriodLength(fromKey, toKey),
+      granularity
+    );
+    const round = (value) => (value === null ? null : parseFloat(value.toFixed(2)));
+
+    return buckets.map((bucket) => ({
+      date: bucket.label,
+      workHours: round(bucket.avgWorkHours),
+      breakHours: round(bucket.avgBreakHours),
+      previousWorkHours: round(bucket.previousAvgWorkHours),
+      positiveDeliveries: bucket.positiveDeliveries,
+      negativeDeliveries: bucket.negativeDeliveries,
+      deliveries: bucket.positiveDeliveries + bucket.negativeDeliveries,
+      previousDeliveries: bucket.previousDeliveries,
+      positivePickups: bucket.positivePickups,
+      negativePickups: bucket.negativePickups,
+      pickups: bucket.positivePickups + bucket.negativePickups,
+      previousPickups: bucket.previousPickups,
+      totalKm: round(bucket.totalKm)
+    }));
   };
 
-  const getTotalStats = () => {
-    const totalPositiveDeliveries = sessions.reduce((sum, s) => sum + (s.positive_deliveries || 0), 0);
-    const totalNegativeDeliveries = sessions.reduce((sum, s) => sum + (s.negative_deliveries || 0), 0);
-    const totalDeliveries = totalPositiveDeliveries + totalNegativeDeliveries;
-    
-    const totalPositivePickups = sessions.reduce((sum, s) => sum + (s.positive_pickups || 0), 0);
-    const totalNegativePickups = sessions.reduce((sum, s) => sum + (s.negative_pickups || 0), 0);
-    const totalPickups = totalPositivePickups + totalNegativePickups;
-    
-    const totalWorkHours = sessions.reduce((sum, s) => sum + parseFloat(calculateWorkHours(s)), 0);
-    const totalBreakHours = sessions.reduce((sum, s) => sum + parseFloat(calculateBreakHours(s)), 0);
-    const totalHours = sessions.reduce((sum, s) => sum + parseFloat(calculateTotalHours(s)), 0);
-    const totalKm = sessions.reduce((sum, s) => sum + (s.total_km || 0), 0);
-    
-    const avgWorkHours = sessions.length > 0 ? totalWorkHours / sessions.length : 0;
-    const avgBreakHours = sessions.length > 0 ? totalBreakHours / sessions.length : 0;
+  const getTotalStats = () => buildTotalStats(totals);
 
-    return {
-      totalDeliveries,
-      totalPositiveDeliveries,
-      totalNegativeDeliveries,
-      totalPickups,
-      totalPositivePickups,
-      totalNegativePickups,
-      totalWorkHours: totalWorkHours.toFixed(1),
-      totalBreakHours: totalBreakHours.toFixed(1),
-      totalHours: totalHours.toFixed(1),
-      avgWorkHours: avgWorkHours.toFixed(1),
-      avgBreakHours: avgBreakHours.toFixed(1),
-      totalKm: totalKm.toFixed(1),
-      totalDays: sessions.length,
-    };
+  const getExportFileName = () => {
+    const { fromKey, toKey } = getRange();
+    const username = users.find(u => u.id === userId)?.username || (userId === user?.id ? user.username : 'driver');
+    return `sessions-${toFileNamePart(username)}-${fromKey}-to-${toKey}`;
+  };
+
+  // Change against the previous period, or null when not comparing
+  const getChange = (field) => {
+    if (!compareWithPrevious || !previousTotals) return null;
+    const value = (t) => (Array.isArray(field) ? field.reduce((sum, key) => sum + t[key], 0) : t[field]);
+    return getPercentChange(value(totals), value(previousTotals));
   };
 
   if (loading) {
@@ -168,9 +247,12 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
 
   return (
     <div className="card">
-      <h3 style={{ marginBottom: '24px', fontSize: '22px', fontWeight: '700', color: '#1f2937' }}>
+      <h3 style={{ marginBottom: '8px', fontSize: '22px', fontWeight: '700', color: '#1f2937' }}>
         📊 Performance Dashboard
       </h3>
+      <p style={{ marginBottom: '24px', fontSize: '13px', color: '#6b7280' }}>
+        🌍 Days shown in {timeZone}
+      </p>
 
       <div
         style={{
@@ -214,6 +296,8 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
             <option value={7}>7 days</option>
             <option value={14}>14 days</option>
             <option value={30}>30 days</option>
+            <option value={90}>90 days</option>
+            <option value={365}>365 days</option>
           </select>
         </div>
 
@@ -257,9 +341,53 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
             style={{ flex: 1, marginBottom: 0, minWidth: '140px' }}
           />
         </div>
+
+        <div style={{ width: '100%', height: '1px', background: '#d1d5db', margin: '4px 0' }}></div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', width: '100%' }}>
+          <label style={{ marginBottom: 0, fontWeight: '600', fontSize: '14px' }}>Group by</label>
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value)}
+            style={{ width: 'auto', marginBottom: 0, minWidth: '100px' }}
+          >
+            {Object.entries(CHART_GRANULARITIES).map(([key, option]) => (
+              <option key={key} value={key}>{option.label}</option>
+            ))}
+          </select>
+          <label
+            style={{
+              marginBottom: 0,
+              marginLeft: '12px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              fontWeight: '600',
+              fontSize: '14px',
+              cursor: 'pointer'
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={compareWithPrevious}
+              onChange={(e) => setCompareWithPrevious(e.target.checked)}
+              style={{ width: 'auto', marginBottom: 0, cursor: 'pointer' }}
+            />
+            Compare with previous period
+          </label>
+        </div>
       </div>
 
-      {sessions.length === 0 ? (
+      {totals.sessions > 0 && (
+        <SessionExportButtons
+          userId={userId}
+          from={getRange().from}
+          to={getRange().to}
+          fileBaseName={getExportFileName()}
+        />
+      )}
+
+      {totals.sessions === 0 ? (
         <div
           style={{
             textAlign: 'center',
@@ -289,42 +417,48 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                 label: 'Total Deliveries',
                 value: getTotalStats().totalDeliveries,
                 color: '#667eea',
-                subtitle: `${getTotalStats().totalPositiveDeliveries} success, ${getTotalStats().totalNegativeDeliveries} failed`
+                subtitle: `${getTotalStats().totalPositiveDeliveries} success, ${getTotalStats().totalNegativeDeliveries} failed`,
+                change: getChange(['positiveDeliveries', 'negativeDeliveries'])
               },
               {
                 icon: '📥',
                 label: 'Total Pickups',
                 value: getTotalStats().totalPickups,
                 color: '#10b981',
-                subtitle: `${getTotalStats().totalPositivePickups} success, ${getTotalStats().totalNegativePickups} failed`
+                subtitle: `${getTotalStats().totalPositivePickups} success, ${getTotalStats().totalNegativePickups} failed`,
+                change: getChange(['positivePickups', 'negativePickups'])
               },
               {
                 icon: '⏰',
                 label: 'Work Hours',
                 value: getTotalStats().totalWorkHours + 'h',
                 color: '#f59e0b',
-                subtitle: `Avg: ${getTotalStats().avgWorkHours}h/day`
+                subtitle: `Avg: ${getTotalStats().avgWorkHours}h/day`,
+                change: getChange('workHours')
               },
               {
                 icon: '☕',
                 label: 'Break Hours',
                 value: getTotalStats().totalBreakHours + 'h',
                 color: '#ef4444',
-                subtitle: `Avg: ${getTotalStats().avgBreakHours}h/day`
+                subtitle: `Avg: ${getTotalStats().avgBreakHours}h/day`,
+                change: getChange('breakHours')
               },
               {
                 icon: '🕐',
                 label: 'Total Hours',
                 value: getTotalStats().totalHours + 'h',
                 color: '#8b5cf6',
-                subtitle: `Work + Break time`
+                subtitle: `Work + Break time`,
+                change: getChange('totalHours')
               },
               {
                 icon: '🚗',
                 label: 'Distance Driven',
                 value: getTotalStats().totalKm + ' KM',
                 color: '#06b6d4',
-                subtitle: `${sessions.length} days tracked`
+                subtitle: `${getTotalStats().totalDays} days tracked`,
+                change: getChange('totalKm')
               }
             ].map((stat, idx) => (
               <div
@@ -380,6 +514,18 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                     {stat.subtitle}
                   </div>
                 )}
+                {stat.change !== null && (
+                  <div
+                    style={{
+                      fontSize: '11px',
+                      color: '#6b7280',
+                      fontWeight: '600',
+                      marginTop: '4px'
+                    }}
+                  >
+                    {stat.change >= 0 ? '▲' : '▼'} {Math.abs(stat.change).toFixed(0)}% vs previous
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -411,6 +557,7 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                 }}
               >
                 ⏰ Work & Break Hours Trend
+                <span style={{ fontSize: '12px', fontWeight: '500', color: '#6b7280' }}> (avg per session)</span>
               </h4>
               <ResponsiveContainer width="100%" height={250}>
                 <LineChart data={getChartData()}>
@@ -444,6 +591,18 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                     activeDot={{ r: 6 }}
                     name="Break Hours"
                   />
+                  {compareWithPrevious && (
+                    <Line
+                      type="monotone"
+                      dataKey="previousWorkHours"
+                      stroke="#9ca3af"
+                      strokeWidth={2}
+                      strokeDasharray="5 5"
+                      dot={false}
+                      connectNulls
+                      name="Work Hours (previous period)"
+                    />
+                  )}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -483,6 +642,9 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                   <Legend wrapperStyle={{ fontSize: '13px' }} />
                   <Bar dataKey="positiveDeliveries" stackId="deliveries" fill="#10b981" radius={[0, 0, 0, 0]} name="Successful" />
                   <Bar dataKey="negativeDeliveries" stackId="deliveries" fill="#ef4444" radius={[8, 8, 0, 0]} name="Failed" />
+                  {compareWithPrevious && (
+                    <Bar dataKey="previousDeliveries" fill="#d1d5db" radius={[8, 8, 0, 0]} name="Previous Period" />
+                  )}
                 </BarChart>
               </ResponsiveContainer>
             </div>
@@ -522,9 +684,53 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                   <Legend wrapperStyle={{ fontSize: '13px' }} />
                   <Bar dataKey="positivePickups" stackId="pickups" fill="#667eea" radius={[0, 0, 0, 0]} name="Successful" />
                   <Bar dataKey="negativePickups" stackId="pickups" fill="#f59e0b" radius={[8, 8, 0, 0]} name="Failed" />
+                  {compareWithPrevious && (
+                    <Bar dataKey="previousPickups" fill="#d1d5db" radius={[8, 8, 0, 0]} name="Previous Period" />
+                  )}
                 </BarChart>
               </ResponsiveContainer>
             </div>
+
+            {/* Failure Reasons Chart */}
+            {failureBreakdown.length > 0 && (
+              <div
+                style={{
+                  background: 'white',
+                  padding: '24px',
+                  borderRadius: '12px',
+                  border: '2px solid #f3f4f6',
+                }}
+              >
+                <h4
+                  style={{
+                    marginBottom: '20px',
+                    fontSize: '16px',
+                    fontWeight: '700',
+                    color: '#374151',
+                  }}
+                >
+                  🚫 Failures by Reason
+                </h4>
+                <ResponsiveContainer width="100%" height={Math.max(200, failureBreakdown.length * 40)}>
+                  <BarChart data={failureBreakdown} layout="vertical" margin={{ left: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+                    <XAxis type="number" allowDecimals={false} stroke="#6b7280" style={{ fontSize: '12px' }} />
+                    <YAxis type="category" dataKey="label" width={130} stroke="#6b7280" style={{ fontSize: '12px' }} />
+                    <Tooltip
+                      contentStyle={{
+                        background: 'white',
+                        border: '2px solid #ef4444',
+                        borderRadius: '8px',
+                        fontSize: '13px',
+                      }}
+                    />
+                    <Legend wrapperStyle={{ fontSize: '13px' }} />
+                    <Bar dataKey="delivery" stackId="reasons" fill="#ef4444" name="Failed Deliveries" />
+                    <Bar dataKey="pickup" stackId="reasons" fill="#f59e0b" radius={[0, 8, 8, 0]} name="Failed Pickups" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            )}
           </div>
 
           {/* Data Table */}
@@ -546,6 +752,16 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
             >
               📋 Detailed Records {isAdminView && <span style={{ fontSize: '12px', color: '#6b7280' }}>(Click to edit)</span>}
             </h4>
+            {isAdminView && flaggedSessionCount > 0 && (
+              <p style={{ marginBottom: '12px', fontSize: '13px', fontWeight: '600', color: '#dc2626' }}>
+                ⛔ {flaggedSessionCount} session(s) broke labour rules
+              </p>
+            )}
+            {isAdminView && awayFromDepotCount > 0 && (
+              <p style={{ marginBottom: '12px', fontSize: '13px', fontWeight: '600', color: '#92400e' }}>
+                📍 {awayFromDepotCount} session(s) started away from a depot
+              </p>
+            )}
             <div style={{ overflowX: 'auto' }}>
               <table>
                 <thead>
@@ -557,6 +773,8 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                     <th>⏰ Work Hours</th>
                     <th>☕ Break Hours</th>
                     <th>🚗 Distance</th>
+                    {isAdminView && <th>⚖️ Rules</th>}
+                    {isAdminView && <th>📍 Clock-in</th>}
                     {isAdminView && <th>Actions</th>}
                   </tr>
                 </thead>
@@ -620,10 +838,82 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                       </td>
                       <td style={{ color: '#f59e0b', fontWeight: '600' }}>
                         {calculateBreakHours(session)}h
+                        {calculatePaidBreakHours(session) > 0 && (
+                          <div style={{ fontSize: '11px', color: '#059669' }}>
+                            {calculatePaidBreakHours(session).toFixed(2)}h paid
+                          </div>
+                        )}
                       </td>
                       <td style={{ color: '#06b6d4', fontWeight: '600' }}>
                         {session.total_km ? `${session.total_km} KM` : '-'}
                       </td>
+                      {isAdminView && (
+                        <td>
+                          {countViolations(complianceFindings[session.id]) === 0 ? (
+                            <span style={{ color: '#10b981', fontWeight: '600' }}>✓</span>
+                          ) : (
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', alignItems: 'center' }}>
+                              {complianceFindings[session.id]
+                                .filter(finding => finding.severity === 'violation')
+                                .map((finding, idx) => (
+                                  <span
+                                    key={idx}
+                                    title={finding.message}
+                                    style={{
+                                      background: '#fef2f2',
+                                      color: '#dc2626',
+                                      border: '1px solid #fecaca',
+                                      borderRadius: '4px',
+                                      padding: '2px 6px',
+                                      fontSize: '11px',
+                                      fontWeight: '600',
+                                      whiteSpace: 'nowrap'
+                                    }}
+                                  >
+                                    ⛔ {COMPLIANCE_RULES[finding.rule]}
+                                  </span>
+                                ))}
+                            </div>
+                          )}
+                        </td>
+                      )}
+                      {isAdminView && (
+                        <td>
+                          {!session.start_location && !session.end_location ? (
+                            <span style={{ color: '#9ca3af' }}>-</span>
+                          ) : !getLocationFlag(session.start_location) && !getLocationFlag(session.end_location) ? (
+                            <span
+                              title={session.start_location?.depot_name || 'No depots set up'}
+                              style={{ color: '#10b981', fontWeight: '600' }}
+                            >
+                              ✓
+                            </span>
+                          ) : (
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', alignItems: 'center' }}>
+                              {[['Start', session.start_location], ['End', session.end_location]]
+                                .filter(([, location]) => getLocationFlag(location))
+                                .map(([label, location]) => (
+                                  <span
+                                    key={label}
+                                    title={getLocationFlag(location)}
+                                    style={{
+                                      background: '#fef3c7',
+                                      color: '#92400e',
+                                      border: '1px solid #fcd34d',
+                                      borderRadius: '4px',
+                                      padding: '2px 6px',
+                                      fontSize: '11px',
+                                      fontWeight: '600',
+                                      whiteSpace: 'nowrap'
+                                    }}
+                                  >
+                                    📍 {label}: {getLocationFlag(location)}
+                                  </span>
+                                ))}
+                            </div>
+                          )}
+                        </td>
+                      )}
                       {isAdminView && (
                         <td>
                           <button
@@ -651,6 +941,35 @@ function Performance({ userId, isAdminView = false, onEditSession, refreshTrigge
                 </tbody>
               </table>
             </div>
+            {pageCount > 1 && (
+              <div style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '12px',
+                marginTop: '16px'
+              }}>
+                <button
+                  onClick={() => loadPage(page - 1)}
+                  className="btn"
+                  disabled={page === 0 || pageLoading}
+                  style={{ background: '#e5e7eb', color: '#374151' }}
+                >
+                  ◀ Previous
+                </button>
+                <span style={{ fontSize: '13px', color: '#6b7280', fontWeight: '600' }}>
+                  {pageLoading ? 'Loading...' : `Page ${page + 1} of ${pageCount} (${sessionCount} sessions)`}
+                </span>
+                <button
+                  onClick={() => loadPage(page + 1)}
+                  className="btn"
+                  disabled={page >= pageCount - 1 || pageLoading}
+                  style={{ background: '#e5e7eb', color: '#374151' }}
+                >
+                  Next ▶
+                </button>
+              </div>
+            )}
           </div>
         </>
       )}
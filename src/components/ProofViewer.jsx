@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { PROOF_KINDS, getProofKinds, getProofUrl } from '../lib/proofOfDelivery';
+
+// Photos and signatures attached to a stop, loaded on demand
+function ProofViewer({ stop }) {
+  const [files, setFiles] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const kinds = getProofKinds(stop);
+
+  if (kinds.length === 0) return null;
+
+  const handleShow = async () => {
+    setLoading(true);
+    const loaded = await Promise.all(kinds.map(async kind => ({
+      kind,
+      ...(await getProofUrl(stop.proof[kind]))
+    })));
+    setFiles(loaded);
+    setLoading(false);
+  };
+
+  if (!files) {
+    return (
+      <button
+        type="button"
+        onClick={handleShow}
+        disabled={loading}
+        style={{
+          background: '#eff6ff',
+          color: '#1e40af',
+          border: '1px solid #93c5fd',
+          borderRadius: '4px',
+          padding: '2px 8px',
+          fontSize: '12px',
+          cursor: 'pointer',
+          fontWeight: '500',
+          marginLeft: '8px'
+        }}
+      >
+        {loading ? 'Loading...' : `📎 ${kinds.map(kind => PROOF_KINDS[kind].icon).join(' ')} View proof`}
+      </button>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '8px' }}>
+      {files.map(file => (
+        <div key={file.kind} style={{ fontSize: '12px', color: '#6b7280' }}>
+          <div style={{ marginBottom: '4px' }}>{PROOF_KINDS[file.kind].icon} {PROOF_KINDS[file.kind].label}</div>
+          {file.success ? (
+            <a href={file.url} target="_blank" rel="noopener noreferrer">
+              <img
+                src={file.url}
+                alt={`${PROOF_KINDS[file.kind].label} for this stop`}
+                style={{
+                  maxWidth: '220px',
+                  maxHeight: '160px',
+                  borderRadius: '6px',
+                  border: '1px solid #e5e7eb',
+                  background: 'white'
+                }}
+              />
+            </a>
+          ) : (
+            <div style={{ color: '#dc2626' }}>Could not load: {file.error}</div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ProofViewer;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import {
+  loadRoutes,
+  createRoute,
+  updateRoute,
+  deleteRoute,
+  validateRoute
+} from '../lib/routes';
+
+const EMPTY_FORM = { code: '', name: '', depot: '', expected_stops: '', expected_km: '', active: true };
+
+function RouteManagement({ onRoutesChanged }) {
+  const [routes, setRoutes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingRoute, setEditingRoute] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    refreshRoutes();
+  }, []);
+
+  const refreshRoutes = async () => {
+    const result = await loadRoutes();
+    if (result.success) {
+      setRoutes(result.routes);
+    }
+    setLoading(false);
+  };
+
+  const handleRoutesChanged = () => {
+    refreshRoutes();
+    if (onRoutesChanged) onRoutesChanged();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateRoute(formData, routes, editingRoute?.id);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    if (editingRoute) {
+      const result = await updateRoute(editingRoute.id, formData);
+      if (result.success) {
+        alert('Route updated successfully!');
+      } else {
+        alert('Error updating route: ' + result.error);
+        return;
+      }
+    } else {
+      const result = await createRoute(formData);
+      if (result.success) {
+        alert('Route added successfully!');
+      } else {
+        alert('Error adding route: ' + result.error);
+        return;
+      }
+    }
+
+    resetForm();
+    handleRoutesChanged();
+  };
+
+  const handleEdit = (route) => {
+    setEditingRoute(route);
+    setFormData({
+      code: route.code,
+      name: route.name || '',
+      depot: route.depot || '',
+      expected_stops: route.expected_stops ?? '',
+      expected_km: route.expected_km ?? '',
+      active: route.active
+    });
+    setShowForm(true);
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setShowForm(false);
+    setEditingRoute(null);
+  };
+
+  const handleDelete = async (route) => {
+    if (window.confirm(`Delete route ${route.code}? Past sessions keep their route number but lose the link. Consider marking it retired instead.`)) {
+      const result = await deleteRoute(route.id);
+      if (result.success) {
+        alert('Route deleted successfully!');
+        handleRoutesChanged();
+      } else {
+        alert('Error deleting route: ' + result.error);
+      }
+    }
+  };
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>🛣️ Routes</h3>
+        <button onClick={() => showForm ? resetForm() : setShowForm(true)} className="btn btn-primary" style={{ width: '100%' }}>
+          {showForm ? '✕ Cancel' : '➕ Add Route'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            marginBottom: '24px',
+            padding: '20px',
+            background: 'linear-gradient(135deg, #eff6ff 0%, #dbeafe 100%)',
+            borderRadius: '12px',
+            border: '2px solid #93c5fd',
+          }}
+        >
+          <h4 style={{ marginBottom: '16px', fontSize: '16px', fontWeight: '700', color: '#1e40af' }}>
+            {editingRoute ? '✏️ Edit Route' : '✨ New Route'}
+          </h4>
+
+          <label>Route Code</label>
+          <input
+            type="text"
+            value={formData.code}
+            onChange={(e) => setFormData({ ...formData, code: e.target.value })}
+            placeholder="e.g., R42"
+            required
+          />
+
+          <label>Name (Optional)</label>
+          <input
+            type="text"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            placeholder="e.g., City Centre"
+          />
+
+          <label>Depot (Optional)</label>
+          <input
+            type="text"
+            value={formData.depot}
+            onChange={(e) => setFormData({ ...formData, depot: e.target.value })}
+            placeholder="e.g., North Depot"
+          />
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+            <div>
+              <label>Expected Stops</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={formData.expected_stops}
+                onChange={(e) => setFormData({ ...formData, expected_stops: e.target.value })}
+                placeholder="e.g., 85"
+              />
+            </div>
+            <div>
+              <label>Expected Distance (KM)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.1"
+                value={formData.expected_km}
+                onChange={(e) => setFormData({ ...formData, expected_km: e.target.value })}
+                placeholder="e.g., 140"
+              />
+            </div>
+          </div>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={formData.active}
+              onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+              style={{ width: 'auto', marginBottom: 0 }}
+            />
+            Active (shown to drivers)
+          </label>
+
+          <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+            <button type="submit" className="btn btn-success" style={{ flex: 1 }}>
+              {editingRoute ? '✓ Update Route' : '✓ Add Route'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="btn"
+              style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading routes...</p>
+        </div>
+      ) : routes.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🛣️</div>
+          <p>No routes yet. Drivers type the route number by hand until you add some.</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🔖 Code</th>
+                <th>🛣️ Name</th>
+                <th>🏭 Depot</th>
+                <th>📦 Stops</th>
+                <th>🚗 Distance</th>
+                <th>📍 Status</th>
+                <th>⚙️ Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {routes.map(route => (
+                <tr key={route.id}>
+                  <td style={{ fontWeight: '600', color: '#667eea' }}>{route.code}</td>
+                  <td>{route.name || '-'}</td>
+                  <td>{route.depot || '-'}</td>
+                  <td>{route.expected_stops ?? '-'}</td>
+                  <td>{route.expected_km != null ? `${route.expected_km} KM` : '-'}</td>
+                  <td style={{ fontWeight: '600', color: route.active ? '#10b981' : '#9ca3af' }}>
+                    {route.active ? 'Active' : 'Retired'}
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                      <button
+                        onClick={() => handleEdit(route)}
+                        className="btn btn-primary"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(route)}
+                        className="btn btn-danger"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RouteManagement;
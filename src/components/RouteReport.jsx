@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+import { useSettings } from '../context/SettingsContext';
+import { getDateKey, startOfDayInTimezone } from '../lib/timezone';
+import { loadRoutes, buildRouteReport } from '../lib/routes';
+
+// Over 10% off the plan is highlighted
+const VARIANCE_HIGHLIGHT = 10;
+
+const formatVariance = (value) => {
+  if (value === null) return '';
+  const sign = value > 0 ? '+' : '';
+  return `${sign}${value.toFixed(0)}%`;
+};
+
+const varianceColor = (value) => {
+  if (value === null || Math.abs(value) <= VARIANCE_HIGHLIGHT) return '#6b7280';
+  return value > 0 ? '#dc2626' : '#f59e0b';
+};
+
+function RouteReport({ refreshTrigger = 0 }) {
+  const { timeZone } = useSettings();
+  const [days, setDays] = useState(30);
+  const [routes, setRoutes] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadData();
+  }, [days, timeZone, refreshTrigger]);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      const today = getDateKey(new Date(), timeZone);
+      const [routeResult, sessionResult] = await Promise.all([
+        loadRoutes(),
+        supabase
+          .from('sessions')
+          .select('id, route_id, route_number, positive_deliveries, negative_deliveries, positive_pickups, negative_pickups, total_km')
+          .not('end_time', 'is', null)
+          .gte('date', startOfDayInTimezone(today, timeZone, -days).toISOString())
+      ]);
+
+      if (sessionResult.error) throw sessionResult.error;
+      setRoutes(routeResult.routes);
+      setSessions(sessionResult.data || []);
+    } catch (error) {
+      console.error('Error loading route report:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const report = buildRouteReport(sessions, routes);
+
+  return (
+    <div className="card">
+      <h3 style={{ marginBottom: '8px', fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>
+        📈 Expected vs Actual
+      </h3>
+      <p style={{ marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+        Averages per session. Stops are deliveries plus pickups, successful or not.
+      </p>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+        <label style={{ marginBottom: 0, fontWeight: '600', fontSize: '14px' }}>Last</label>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          style={{ width: 'auto', marginBottom: 0, minWidth: '100px' }}
+        >
+          <option value={7}>7 days</option>
+          <option value={30}>30 days</option>
+          <option value={90}>90 days</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading route report...</p>
+        </div>
+      ) : report.rows.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>📭</div>
+          <p>No sessions on known routes in this period.</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🛣️ Route</th>
+                <th>📅 Sessions</th>
+                <th>📦 Stops (expected)</th>
+                <th>✓ Delivered</th>
+                <th>🚗 KM (expected)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map(row => (
+                <tr key={row.route.id}>
+                  <td style={{ fontWeight: '600', color: '#667eea' }}>
+                    {row.route.code}
+                    {row.route.name && <div style={{ fontSize: '11px', color: '#6b7280' }}>{row.route.name}</div>}
+                  </td>
+                  <td>{row.sessions}</td>
+                  <td>
+                    {row.avgStops.toFixed(1)}
+                    {row.expectedStops !== null && <span style={{ color: '#6b7280' }}> ({row.expectedStops})</span>}
+                    <div style={{ fontSize: '11px', fontWeight: '600', color: varianceColor(row.stopsVariance) }}>
+                      {formatVariance(row.stopsVariance)}
+                    </div>
+                  </td>
+                  <td style={{ color: '#10b981', fontWeight: '600' }}>{row.avgSuccessfulDeliveries.toFixed(1)}</td>
+                  <td>
+                    {row.avgKm !== null ? row.avgKm.toFixed(1) : '-'}
+                    {row.expectedKm !== null && <span style={{ color: '#6b7280' }}> ({row.expectedKm})</span>}
+                    <div style={{ fontSize: '11px', fontWeight: '600', color: varianceColor(row.kmVariance) }}>
+                      {formatVariance(row.kmVariance)}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {!loading && report.unmatched.length > 0 && (
+        <div style={{
+          background: '#fef3c7',
+          border: '1px solid #fcd34d',
+          borderRadius: '8px',
+          padding: '10px 12px',
+          fontSize: '13px',
+          color: '#92400e',
+          marginTop: '16px'
+        }}>
+          ⚠️ Sessions not matched to a route:{' '}
+          {report.unmatched.map(item => `${item.routeNumber} (${item.sessions})`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RouteReport;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { useSettings } from '../context/SettingsContext';
+import { SETTING_KEYS } from '../lib/settings';
+import { getFailureReasons } from '../lib/failureReasons';
+import { downloadFile, XLSX_MIME_TYPE } from '../lib/exportUtils';
+import {
+  buildSessionExportRows,
+  sessionsToCSV,
+  sessionsToXLSX,
+  loadSessionsForExport
+} from '../lib/sessionExport';
+
+function SessionExportButtons({ userId = null, from, to, fileBaseName }) {
+  const { settings, getUserTimezone } = useSettings();
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    const result = await loadSessionsForExport({ userId, from, to });
+    setExporting(false);
+
+    if (!result.success) {
+      alert('Failed to export sessions: ' + result.error);
+      return;
+    }
+    if (result.sessions.length === 0) {
+      alert('No sessions to export for this period');
+      return;
+    }
+
+    const rows = buildSessionExportRows(result.sessions, {
+      getTimezone: getUserTimezone,
+      failureReasons: getFailureReasons(settings[SETTING_KEYS.FAILURE_REASONS])
+    });
+    if (format === 'xlsx') {
+      downloadFile(sessionsToXLSX(rows), `${fileBaseName}.xlsx`, XLSX_MIME_TYPE);
+    } else {
+      downloadFile(sessionsToCSV(rows), `${fileBaseName}.csv`, 'text/csv;charset=utf-8');
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '12px', marginBottom: '24px', flexWrap: 'wrap' }}>
+      <button
+        onClick={() => handleExport('csv')}
+        className="btn btn-primary"
+        disabled={exporting}
+        style={{ flex: 1 }}
+      >
+        📄 Export CSV
+      </button>
+      <button
+        onClick={() => handleExport('xlsx')}
+        className="btn btn-success"
+        disabled={exporting}
+        style={{ flex: 1 }}
+      >
+        {exporting ? '⏳ Exporting...' : '📊 Export Excel'}
+      </button>
+    </div>
+  );
+}
+
+export default SessionExportButtons;
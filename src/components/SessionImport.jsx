@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../context/SettingsContext';
+import { downloadFile } from '../lib/exportUtils';
+import { formatTime } from '../lib/sessionHelpers';
+import { getDateKey, formatDateKey } from '../lib/timezone';
+import { loadRoutes } from '../lib/routes';
+import {
+  buildImportTemplate,
+  parseImportCSV,
+  planSessionImport,
+  loadExistingSessionsForImport,
+  importSessions
+} from '../lib/sessionImport';
+
+// Valid rows listed in the dry-run report before "and N more"
+const PREVIEW_ROWS = 20;
+
+function SessionImport() {
+  const { users } = useAuth();
+  const { getUserTimezone } = useSettings();
+  const [fileName, setFileName] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [fileInputKey, setFileInputKey] = useState(0);
+
+  const drivers = users.filter(u => u.role === 'driver');
+
+  const reset = () => {
+    setPlan(null);
+    setFileName('');
+    setFileInputKey(prev => prev + 1);
+  };
+
+  const handleDownloadTemplate = () => {
+    downloadFile(buildImportTemplate(), 'session-import-template.csv', 'text/csv;charset=utf-8');
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setChecking(true);
+    setPlan(null);
+    setFileName(file.name);
+    try {
+      const parsed = parseImportCSV(await file.text());
+      if (parsed.errors.length > 0) {
+        alert('Cannot read this file:\n' + parsed.errors.join('\n'));
+        reset();
+        return;
+      }
+      if (parsed.rows.length === 0) {
+        alert('The file has no session rows');
+        reset();
+        return;
+      }
+
+      const [existing, routeResult] = await Promise.all([
+        loadExistingSessionsForImport(parsed.rows, drivers),
+        loadRoutes()
+      ]);
+      if (!existing.success) {
+        alert('Failed to check existing sessions: ' + existing.error);
+        reset();
+        return;
+      }
+
+      setPlan(planSessionImport(parsed.rows, {
+        drivers,
+        getTimezone: getUserTimezone,
+        routes: routeResult.routes || [],
+        existingSessions: existing.sessions
+      }));
+    } catch (error) {
+      console.error('Error reading import file:', error.message);
+      alert('Failed to read file: ' + error.message);
+      reset();
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const count = plan.valid.length;
+    const skipped = plan.invalid.length > 0 ? ` ${plan.invalid.length} row(s) with errors will be skipped.` : '';
+    if (!confirm(`Import ${count} session(s) from ${fileName}?${skipped}`)) return;
+
+    setImporting(true);
+    const result = await importSessions(plan.valid, { fileName });
+    setImporting(false);
+
+    if (result.success) {
+      alert(`Imported ${result.imported} session(s)`);
+    } else {
+      alert(`Import stopped after ${result.imported} session(s): ${result.error}`);
+    }
+    reset();
+  };
+
+  return (
+    <div className="card">
+      <h3 style={{ marginBottom: '8px', fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>
+        📥 Import Sessions
+      </h3>
+      <p style={{ marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+        Back-fill sessions from paper logs with a CSV file: one row per shift with the driver's
+        username, date (YYYY-MM-DD), start and end times (HH:MM in the driver's timezone) and
+        optionally breaks, route, counts, comments and km. Every row is checked like an admin
+        edit and nothing is saved until you confirm the dry-run report below.
+      </p>
+
+      <div style={{
+        marginBottom: '24px',
+        padding: '16px',
+        background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+        borderRadius: '12px',
+        display: 'flex',
+        gap: '12px',
+        alignItems: 'center',
+        flexWrap: 'wrap'
+      }}>
+        <button onClick={handleDownloadTemplate} className="btn btn-primary">
+          📄 Download Template
+        </button>
+        <input
+          key={fileInputKey}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleFileChange}
+          disabled={checking || importing}
+          style={{ width: 'auto', marginBottom: 0, flex: 1, minWidth: '200px' }}
+        />
+      </div>
+
+      {checking && (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Checking {fileName}...</p>
+        </div>
+      )}
+
+      {!checking && !plan && (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>📂</div>
+          <p>Choose a CSV file to see what would be imported.</p>
+        </div>
+      )}
+
+      {!checking && plan && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+            <div style={{ padding: '16px', background: '#ecfdf5', border: '2px solid #a7f3d0', borderRadius: '12px' }}>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: '#065f46' }}>✅ Ready to import</div>
+              <div style={{ fontSize: '28px', fontWeight: '700', color: '#065f46' }}>{plan.valid.length}</div>
+            </div>
+            <div style={{ padding: '16px', background: '#fef2f2', border: '2px solid #fecaca', borderRadius: '12px' }}>
+              <div style={{ fontSize: '13px', fontWeight: '600', color: '#dc2626' }}>❌ Rows with errors</div>
+              <div style={{ fontSize: '28px', fontWeight: '700', color: '#dc2626' }}>{plan.invalid.length}</div>
+            </div>
+          </div>
+
+          {plan.invalid.length > 0 && (
+            <div style={{ marginBottom: '24px' }}>
+              <h4 style={{ marginBottom: '12px', fontSize: '16px', fontWeight: '700', color: '#dc2626' }}>
+                ❌ Errors
+              </h4>
+              <div style={{ overflowX: 'auto' }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Driver</th>
+                      <th>Date</th>
+                      <th>Errors</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.invalid.map(row => (
+                      <tr key={row.rowNumber}>
+                        <td style={{ fontWeight: '600' }}>{row.rowNumber}</td>
+                        <td>{row.values.username || '-'}</td>
+                        <td>{row.values.date || '-'}</td>
+                        <td>
+                          <ul style={{ margin: 0, paddingLeft: '18px', color: '#dc2626', fontSize: '13px' }}>
+                            {row.errors.map((error, idx) => <li key={idx}>{error}</li>)}
+                          </ul>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {plan.valid.length > 0 && (
+            <div style={{ marginBottom: '24px' }}>
+              <h4 style={{ marginBottom: '12px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+                ✅ Sessions to import
+              </h4>
+              <div style={{ overflowX: 'auto' }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Driver</th>
+                      <th>Date</th>
+                      <th>Start</th>
+                      <th>End</th>
+                      <th>Breaks</th>
+                      <th>Route</th>
+                      <th>Deliveries</th>
+                      <th>Pickups</th>
+                      <th>KM</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {plan.valid.slice(0, PREVIEW_ROWS).map(({ rowNumber, session, driver }) => {
+                      const timeZone = getUserTimezone(driver.id);
+                      return (
+                        <tr key={rowNumber}>
+                          <td style={{ fontWeight: '600' }}>{rowNumber}</td>
+                          <td>{driver.name}</td>
+                          <td>{formatDateKey(getDateKey(session.start_time, timeZone), { month: 'short', day: 'numeric', year: 'numeric' })}</td>
+                          <td>{formatTime(session.start_time, timeZone)}</td>
+                          <td>{formatTime(session.end_time, timeZone)}</td>
+                          <td>{session.breaks.length}</td>
+                          <td>{session.route_number || '-'}</td>
+                          <td>{session.positive_deliveries}/{session.negative_deliveries}</td>
+                          <td>{session.positive_pickups}/{session.negative_pickups}</td>
+                          <td>{session.total_km ?? '-'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {plan.valid.length > PREVIEW_ROWS && (
+                <p style={{ marginTop: '8px', fontSize: '13px', color: '#6b7280' }}>
+                  ...and {plan.valid.length - PREVIEW_ROWS} more
+                </p>
+              )}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button
+              onClick={handleImport}
+              className="btn btn-success"
+              disabled={importing || plan.valid.length === 0}
+              style={{ flex: 1 }}
+            >
+              {importing ? '⏳ Importing...' : `📥 Import ${plan.valid.length} session(s)`}
+            </button>
+            <button
+              onClick={reset}
+              className="btn"
+              disabled={importing}
+              style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default SessionImport;
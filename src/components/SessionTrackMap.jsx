@@ -0,0 +1,79 @@
+import React from 'react';
+import { TILE_SIZE, MAP_TILE_URL, fitTrackToView, projectPoint } from '../lib/gpsTracking';
+
+const MAP_WIDTH = 640;
+const MAP_HEIGHT = 380;
+
+// GPS track drawn over OpenStreetMap tiles (scales to the container width)
+function SessionTrackMap({ points }) {
+  if (points.length === 0) return null;
+
+  const { zoom, originX, originY } = fitTrackToView(points, MAP_WIDTH, MAP_HEIGHT);
+  const tileCount = 2 ** zoom;
+
+  const tiles = [];
+  const firstX = Math.floor(originX / TILE_SIZE);
+  const lastX = Math.floor((originX + MAP_WIDTH) / TILE_SIZE);
+  const firstY = Math.max(0, Math.floor(originY / TILE_SIZE));
+  const lastY = Math.min(tileCount - 1, Math.floor((originY + MAP_HEIGHT) / TILE_SIZE));
+  for (let x = firstX; x <= lastX; x++) {
+    for (let y = firstY; y <= lastY; y++) {
+      const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+      tiles.push({
+        key: `${x}-${y}`,
+        href: MAP_TILE_URL.replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', y),
+        x: x * TILE_SIZE - originX,
+        y: y * TILE_SIZE - originY
+      });
+    }
+  }
+
+  const path = points.map(point => {
+    const { x, y } = projectPoint(point, zoom);
+    return { x: x - originX, y: y - originY };
+  });
+  const start = path[0];
+  const end = path[path.length - 1];
+
+  return (
+    <div style={{ position: 'relative', borderRadius: '8px', overflow: 'hidden', border: '1px solid #e5e7eb' }}>
+      <svg
+        viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+        style={{ display: 'block', width: '100%', height: 'auto', background: '#e5e7eb' }}
+      >
+        {tiles.map(tile => (
+          <image key={tile.key} href={tile.href} x={tile.x} y={tile.y} width={TILE_SIZE} height={TILE_SIZE} />
+        ))}
+        <polyline
+          points={path.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}
+          fill="none"
+          stroke="#667eea"
+          strokeWidth="4"
+          strokeLinejoin="round"
+          strokeLinecap="round"
+          opacity="0.85"
+        />
+        <circle cx={start.x} cy={start.y} r="7" fill="#10b981" stroke="white" strokeWidth="2" />
+        <circle cx={end.x} cy={end.y} r="7" fill="#ef4444" stroke="white" strokeWidth="2" />
+      </svg>
+      <a
+        href="https://www.openstreetmap.org/copyright"
+        target="_blank"
+        rel="noopener noreferrer"
+        style={{
+          position: 'absolute',
+          right: 0,
+          bottom: 0,
+          background: 'rgba(255, 255, 255, 0.8)',
+          padding: '1px 6px',
+          fontSize: '10px',
+          color: '#374151'
+        }}
+      >
+        © OpenStreetMap contributors
+      </a>
+    </div>
+  );
+}
+
+export default SessionTrackMap;
@@ -0,0 +1,114 @@
+import React, { useRef, useState, useEffect } from 'react';
+
+// On-screen signature capture (finger, stylus or mouse)
+function SignaturePad({ onSave, onCancel, saving = false }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [isEmpty, setIsEmpty] = useState(true);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    // Match the drawing surface to the displayed size so strokes line up
+    canvas.width = canvas.offsetWidth;
+    canvas.height = canvas.offsetHeight;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+  }, []);
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    context.beginPath();
+    context.moveTo(x, y);
+    drawingRef.current = true;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    e.preventDefault();
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    context.lineTo(x, y);
+    context.stroke();
+    setIsEmpty(false);
+  };
+
+  const handlePointerUp = () => {
+    drawingRef.current = false;
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    setIsEmpty(true);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        style={{
+          width: '100%',
+          height: '180px',
+          background: 'white',
+          border: '2px dashed #9ca3af',
+          borderRadius: '8px',
+          touchAction: 'none',
+          cursor: 'crosshair'
+        }}
+      />
+      <p style={{ fontSize: '12px', color: '#6b7280', margin: '4px 0 12px' }}>
+        Ask the customer to sign above
+      </p>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          type="button"
+          onClick={() => onSave(canvasRef.current.toDataURL('image/png'))}
+          className="btn btn-success"
+          style={{ flex: 1 }}
+          disabled={isEmpty || saving}
+        >
+          {saving ? 'Saving...' : '✓ Save Signature'}
+        </button>
+        <button
+          type="button"
+          onClick={handleClear}
+          className="btn"
+          style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+          disabled={saving}
+        >
+          Clear
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="btn"
+          style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+          disabled={saving}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SignaturePad;
@@ -1,24 +1,93 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { supabase } from '../lib/supabase';
+import { useSettings } from '../context/SettingsContext';
+import { SETTING_KEYS, withDefaults } from '../lib/settings';
+import { formatDateInTimezone, getDateKey, getWeekStartKey, startOfDayInTimezone } from '../lib/timezone';
+import { DEFAULT_LABOUR_RULES, evaluateCompliance } from '../lib/compliance';
+import { loadVehicles, formatVehicleLabel } from '../lib/vehicles';
+import { loadRoutes, formatRouteLabel } from '../lib/routes';
+import { STOP_TYPES, createStop, getStopTotals, hasStopLog, summariseFailedStopNotes } from '../lib/stops';
+import { getFailureReasons, getReasonsFor, getReasonLabel, cleanFailureReasons } from '../lib/failureReasons';
+import {
+  PROOF_KINDS,
+  attachProof,
+  dataUrlToBlob,
+  getProofKinds,
+  getProofPath,
+  resizePhoto,
+  uploadProof
+} from '../lib/proofOfDelivery';
+import {
+  toTrackPoint,
+  shouldRecordPoint,
+  queueTrackPoint,
+  reassignQueuedTrackPoints,
+  flushTrackPoints
+} from '../lib/gpsTracking';
+import {
+  DEFAULT_GEOFENCE_SETTINGS,
+  loadDepotsForCheck,
+  getCurrentLocation,
+  buildClockLocation,
+  getGeofenceError
+} from '../lib/depots';
+import { BREAK_TYPES, DEFAULT_BREAK_TYPE, createBreak, getBreakTypeInfo, isPaidBreak, formatBreakType } from '../lib/breakTypes';
+import {
+  REQUEST_STATUSES,
+  buildBreakChangeRequest,
+  createBreakChangeRequest,
+  loadBreakChangeRequests,
+  getLatestRequestForBreak,
+  applyApprovedBreakChanges,
+  isSameBreak
+} from '../lib/breakChangeRequests';
+import FailureReasonInputs from './FailureReasonInputs';
+import SignaturePad from './SignaturePad';
 import { 
   calculateTotals, 
   validateSession, 
   formatTime, 
   formatTimeForInput,
-  timeInputToISO,
+  formatShiftTime,
+  getShiftDayOffset,
+  shiftTimeToISO,
   validateBreakTimeEdit,
   getDefaultFormValues,
   areCommentsRecommended
 } from '../lib/sessionHelpers';
+import {
+  saveSessionLocally,
+  cacheServerSession,
+  discardLocalSession,
+  getLocalOpenSession,
+  hasPendingChanges,
+  getPendingWrites,
+  retryPendingWrite,
+  queueProofUpload,
+  getPendingProofs,
+  retryPendingProof,
+  isTemporarySessionId,
+  syncPendingSessions,
+  SYNC_RETRY_INTERVAL_MS
+} from '../lib/offlineSync';
 
 function TimeTracking({ userId }) {
+  const { settings, timeZone } = useSettings();
+  const labourRules = withDefaults(settings[SETTING_KEYS.LABOUR_RULES], DEFAULT_LABOUR_RULES);
+  const failureReasons = getFailureReasons(settings[SETTING_KEYS.FAILURE_REASONS]);
+  const geofence = withDefaults(settings[SETTING_KEYS.GEOFENCE], DEFAULT_GEOFENCE_SETTINGS);
   const [status, setStatus] = useState('not-started');
   const [currentSession, setCurrentSession] = useState(null);
+  // Latest session for handlers that resume after an await (e.g. uploads)
+  const currentSessionRef = useRef(null);
+  currentSessionRef.current = currentSession;
   const [showEndDayForm, setShowEndDayForm] = useState(false);
   const [showStartForm, setShowStartForm] = useState(false);
   
   // Enhanced form state for end-of-day
   const [routeNumber, setRouteNumber] = useState('');
+  const [routes, setRoutes] = useState([]);
+  const [routeId, setRouteId] = useState('');
   const [positiveDeliveries, setPositiveDeliveries] = useState('');
   const [negativeDeliveries, setNegativeDeliveries] = useState('');
   const [positivePickups, setPositivePickups] = useState('');
@@ -26,27 +95,194 @@ function TimeTracking({ userId }) {
   const [deliveryComments, setDeliveryComments] = useState('');
   const [pickupComments, setPickupComments] = useState('');
   const [endKm, setEndKm] = useState('');
+  const [reasonCounts, setReasonCounts] = useState({ delivery: {}, pickup: {} });
+  const [stopNote, setStopNote] = useState('');
+  const [stopReason, setStopReason] = useState('');
+  const [signingStopId, setSigningStopId] = useState(null);
+  const [uploadingStopId, setUploadingStopId] = useState(null);
   
-  // State for starting mileage
+  // State for starting mileage and vehicle
   const [startKm, setStartKm] = useState('');
+  const [vehicles, setVehicles] = useState([]);
+  const [vehicleId, setVehicleId] = useState('');
+  const selectedVehicle = vehicles.find(v => v.id === vehicleId);
+  const selectedRoute = routes.find(r => r.id === routeId);
   
+  // Type picked for the next break
+  const [breakType, setBreakType] = useState(DEFAULT_BREAK_TYPE);
+
   // State for break editing
   const [editingBreak, setEditingBreak] = useState(null);
   const [editBreakStart, setEditBreakStart] = useState('');
   const [editBreakEnd, setEditBreakEnd] = useState('');
+  const [editBreakReason, setEditBreakReason] = useState('');
+  const [breakRequests, setBreakRequests] = useState([]);
+  const hasPendingBreakRequest = breakRequests.some(request => request.status === 'pending');
   
   // Validation state
   const [validationErrors, setValidationErrors] = useState([]);
 
+  // Offline sync state
+  const [pendingWrites, setPendingWrites] = useState([]);
+  const [pendingProofs, setPendingProofs] = useState([]);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  // Labour-rule checks: earlier sessions this week and a clock that ticks
+  // while the shift is running
+  const [weekSessions, setWeekSessions] = useState([]);
+  const [now, setNow] = useState(new Date());
+
+  // GPS breadcrumbs: 'off', 'waiting', 'active', 'denied' or 'unavailable'
+  const [gpsStatus, setGpsStatus] = useState('off');
+  const lastTrackPointRef = useRef(null);
+
+  // Depot check-in at start and end of day
+  const [depots, setDepots] = useState([]);
+  const [checkingLocation, setCheckingLocation] = useState(false);
+
   useEffect(() => {
     loadTodaySession();
   }, [userId]);
 
-  const loadTodaySession = async () => {
+  useEffect(() => {
+    loadWeekSessions();
+  }, [userId, timeZone]);
+
+  // Keep the depot list on this device while there is signal
+  useEffect(() => {
+    refreshDepots();
+  }, [geofence.policy]);
+
+  useEffect(() => {
+    if (status !== 'working' && status !== 'on-break') return;
+    setNow(new Date());
+    const clock = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(clock);
+  }, [status]);
+
+  // Record the route while working; breaks pause tracking
+  const isTrackingGps = status === 'working';
+
+  useEffect(() => {
+    if (!isTrackingGps || !currentSession?.id) return;
+    if (!navigator.geolocation) {
+      setGpsStatus('unavailable');
+      return;
+    }
+
+    const sessionId = currentSession.id;
+    setGpsStatus('waiting');
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        setGpsStatus('active');
+        const point = toTrackPoint(position);
+        if (shouldRecordPoint(point, lastTrackPointRef.current)) {
+          lastTrackPointRef.current = point;
+          queueTrackPoint(sessionId, userId, point);
+        }
+      },
+      (error) => {
+        setGpsStatus(error.code === error.PERMISSION_DENIED ? 'denied' : 'unavailable');
+      },
+      { enableHighAccuracy: true, maximumAge: 30 * 1000, timeout: 60 * 1000 }
+    );
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      setGpsStatus('off');
+    };
+  }, [isTrackingGps, currentSession?.id, userId]);
+
+  // Break change requests for the open session; checked again while any
+  // are waiting so approvals reach this device
+  useEffect(() => {
+    const sessionId = currentSession?.id;
+    if (!sessionId || isTemporarySessionId(sessionId)) {
+      setBreakRequests([]);
+      return;
+    }
+
+    refreshBreakRequests(sessionId);
+    if (!hasPendingBreakRequest) return;
+    const poll = setInterval(() => refreshBreakRequests(sessionId), SYNC_RETRY_INTERVAL_MS);
+    return () => clearInterval(poll);
+  }, [currentSession?.id, hasPendingBreakRequest]);
+
+  // Approved changes were made on the server; copy them to this device so
+  // the next save does not put the old times back
+  useEffect(() => {
+    if (!currentSession) return;
+    const breaks = applyApprovedBreakChanges(currentSession.breaks, breakRequests);
+    if (breaks) {
+      saveSession({ ...currentSession, breaks });
+    }
+  }, [breakRequests]);
+
+  // Replay queued changes on start, when signal returns and periodically
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const retryInterval = setInterval(syncNow, SYNC_RETRY_INTERVAL_MS);
+    syncNow();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(retryInterval);
+    };
+  }, []);
+
+  // A new session gets its real id once the queued insert reaches the server
+  const handleSessionSynced = (previousId, savedSession) => {
+    setCurrentSession(prev => (
+      prev && prev.id === previousId ? { ...prev, id: savedSession.id } : prev
+    ));
+    reassignQueuedTrackPoints(previousId, savedSession.id, userId);
+  };
+
+  const syncNow = async () => {
     try {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+      const result = await syncPendingSessions(userId, handleSessionSynced);
+      if (result.conflicts.length > 0) {
+        setSyncConflicts(prev => [...prev, ...result.conflicts]);
+      }
+      setPendingWrites(await getPendingWrites(userId));
+      setPendingProofs(await getPendingProofs(userId));
+      await flushTrackPoints(userId);
+    } catch (error) {
+      console.error('Error syncing sessions:', error.message);
+    }
+  };
+
+  // Writes that stopped retrying automatically are retried on request
+  const handleRetrySync = async () => {
+    for (const write of pendingWrites.filter(w => w.stalled)) {
+      await retryPendingWrite(write.sessionId);
+    }
+    for (const proof of pendingProofs.filter(p => p.stalled)) {
+      await retryPendingProof(proof.path);
+    }
+    syncNow();
+  };
 
+  const loadTodaySession = async () => {
+    // Show the copy stored on this device first so the app works offline
+    const localSession = await getLocalOpenSession(userId);
+    if (localSession) {
+      setCurrentSession(localSession);
+      setStatus(localSession.status);
+    }
+
+    try {
+      // Any open session counts, not just today's: overnight shifts are
+      // still running after midnight
       const { data, error } = await supabase
         .from('sessions')
         .select(`
@@ -68,21 +304,36 @@ function TimeTracking({ userId }) {
           start_km,
           end_km,
           total_km,
-          breaks
+          vehicle_id,
+          breaks,
+          stops,
+          failure_reasons
         `)
         .eq('user_id', userId)
-        .gte('date', today.toISOString())
         .is('end_time', null)
+        .order('start_time', { ascending: false })
+        .limit(1)
         .single();
 
       if (error) {
         if (error.code !== 'PGRST116') { // PGRST116 is "no rows returned"
           console.error('Error loading session:', error);
+        } else if (localSession && !isTemporarySessionId(localSession.id) &&
+                   !(await hasPendingChanges(localSession.id))) {
+          // The stored session was ended elsewhere (e.g. by an admin)
+          await discardLocalSession(localSession.id);
+          setCurrentSession(null);
+          setStatus('not-started');
         }
         return;
       }
 
       if (data) {
+        // Unsynced edits on this device are newer than the server copy
+        if (await hasPendingChanges(data.id)) {
+          return;
+        }
+        await cacheServerSession(data);
         setCurrentSession(data);
         setStatus(data.status);
       }
@@ -91,10 +342,42 @@ function TimeTracking({ userId }) {
     }
   };
 
-  const saveSession = async (session) => {
+  const refreshBreakRequests = async (sessionId) => {
+    const result = await loadBreakChangeRequests({ sessionId });
+    if (result.success) {
+      setBreakRequests(result.requests);
+    }
+  };
+
+  const loadWeekSessions = async () => {
+    try {
+      const weekStart = startOfDayInTimezone(getWeekStartKey(getDateKey(new Date(), timeZone)), timeZone);
+      const { data, error } = await supabase
+        .from('sessions')
+        .select('id, user_id, date, start_time, end_time, status, breaks')
+        .eq('user_id', userId)
+        .not('end_time', 'is', null)
+        .gte('start_time', weekStart.toISOString());
+
+      if (error) throw error;
+      setWeekSessions(data || []);
+    } catch (error) {
+      // Offline: checks fall back to the current session alone
+      console.error('Error loading week sessions:', error.message);
+    }
+  };
+
+  const getComplianceFindings = () => {
+    if (!currentSession) return [];
+    const sessions = [...weekSessions.filter(s => s.id !== currentSession.id), currentSession];
+    const findings = evaluateCompliance(sessions, labourRules, { getTimezone: () => timeZone, now });
+    return findings[currentSession.id] || [];
+  };
+
+  const saveSession = async (session, validationOptions = {}) => {
     try {
       // Validate session data before saving
-      const errors = validateSession(session);
+      const errors = validateSession(session, validationOptions);
       if (errors.length > 0) {
         setValidationErrors(errors);
         return false;
@@ -106,44 +389,65 @@ function TimeTracking({ userId }) {
       // Calculate totals for backward compatibility
       const sessionWithTotals = calculateTotals(session);
       
-      if (session.id && !session.id.includes('temp-')) {
-        // Update existing session
-        const { data, error } = await supabase
-          .from('sessions')
-          .update(sessionWithTotals)
-          .eq('id', session.id)
-          .select()
-          .single();
-
-        if (error) throw error;
-        setCurrentSession(data);
-      } else {
-        // Create new session
-        const { id, ...sessionData } = sessionWithTotals;
-        const { data, error } = await supabase
-          .from('sessions')
-          .insert([sessionData])
-          .select()
-          .single();
-
-        if (error) throw error;
-        setCurrentSession(data);
-      }
+      // Write to this device first so taps are never lost without signal,
+      // then upload in the background
+      await saveSessionLocally(sessionWithTotals);
+      setCurrentSession(sessionWithTotals);
+      setPendingWrites(await getPendingWrites(userId));
+      syncNow();
       
       return true;
     } catch (error) {
       console.error('Error saving session:', error.message);
-      alert('Error saving session. Please try again.');
+      alert('Error saving session on this device. Please try again.');
       return false;
     }
   };
 
-  const handleStartWork = () => {
+  const refreshDepots = async () => {
+    if (geofence.policy === 'off') return;
+    const result = await loadDepotsForCheck();
+    if (result.depots) {
+      setDepots(result.depots);
+    }
+  };
+
+  // Locate the driver for the depot check-in policy. Returns {location}
+  // (undefined when the policy is off), or {error} when the action has to
+  // be blocked. The depot list is loaded (or read from this device) first,
+  // so the check never runs against a list that has not arrived yet.
+  const checkClockLocation = async (action) => {
+    if (geofence.policy === 'off') return {};
+
+    setCheckingLocation(true);
+    const [result, depotList] = await Promise.all([getCurrentLocation(), loadDepotsForCheck()]);
+    setCheckingLocation(false);
+
+    if (depotList.depots) {
+      setDepots(depotList.depots);
+    }
+    const location = buildClockLocation(result.point, depotList.depots, result.error);
+    const error = getGeofenceError(location, geofence.policy, action);
+    return error ? { error } : { location };
+  };
+
+  const handleStartWork = async () => {
     setShowStartForm(true);
+    refreshDepots();
+    const result = await loadVehicles(true);
+    if (result.success) {
+      setVehicles(result.vehicles);
+    }
   };
 
   const submitStartWork = async (e) => {
     e.preventDefault();
+
+    const clockIn = await checkClockLocation('start work');
+    if (clockIn.error) {
+      setValidationErrors([clockIn.error]);
+      return;
+    }
     
     const session = {
       id: 'temp-' + Date.now(),
@@ -152,18 +456,23 @@ function TimeTracking({ userId }) {
       start_time: new Date().toISOString(),
       status: 'working',
       breaks: [],
+      stops: [],
       start_km: startKm ? parseFloat(startKm) : null,
+      vehicle_id: vehicleId || null,
+      start_location: clockIn.location || null,
       positive_deliveries: 0,
       negative_deliveries: 0,
       positive_pickups: 0,
       negative_pickups: 0
     };
     
-    const success = await saveSession(session);
+    const success = await saveSession(session, { previousEndKm: selectedVehicle?.current_odometer ?? null });
     if (success) {
       setStatus('working');
       setShowStartForm(false);
       setStartKm('');
+      setVehicleId('');
+      loadWeekSessions();
     }
   };
 
@@ -171,17 +480,18 @@ function TimeTracking({ userId }) {
     const updated = {
       ...currentSession,
       status: 'on-break',
-      breaks: [...(currentSession.breaks || []), { start: new Date().toISOString() }],
+      breaks: [...(currentSession.breaks || []), createBreak(breakType)],
     };
     const success = await saveSession(updated);
     if (success) {
       setStatus('on-break');
+      setBreakType(DEFAULT_BREAK_TYPE);
     }
   };
 
   const handleEndBreak = async () => {
     const breaks = [...(currentSession.breaks || [])];
-    breaks[breaks.length - 1].end = new Date().toISOString();
+    breaks[breaks.length - 1] = { ...breaks[breaks.length - 1], end: new Date().toISOString() };
 
     const updated = {
       ...currentSession,
@@ -194,25 +504,125 @@ function TimeTracking({ userId }) {
     }
   };
 
-  const handleEndDay = () => {
+  const handleLogStop = async (type) => {
+    const { kind, successful } = STOP_TYPES[type];
+    if (!successful) {
+      const options = getReasonsFor(failureReasons, kind);
+      if (options.length > 0 && !options.some(reason => reason.code === stopReason)) {
+        alert(stopReason
+          ? `"${getReasonLabel(failureReasons, stopReason)}" is not a reason for a failed ${kind}`
+          : `Please choose why the ${kind} failed`);
+        return;
+      }
+    }
+
+    const updated = {
+      ...currentSession,
+      stops: [...(currentSession.stops || []), createStop(type, { note: stopNote, reason: stopReason })]
+    };
+    const success = await saveSession(updated);
+    if (success) {
+      setStopNote('');
+      setStopReason('');
+    }
+  };
+
+  const handleRemoveStop = async (stopId) => {
+    if (!window.confirm('Remove this stop from the log?')) {
+      return;
+    }
+    const updated = {
+      ...currentSession,
+      stops: (currentSession.stops || []).filter(stop => stop.id !== stopId)
+    };
+    await saveSession(updated);
+  };
+
+  // Upload a photo or signature and record it on the stop. Without signal
+  // the file waits on this device and is uploaded by the next sync.
+  const saveProof = async (stopId, kind, file, extension) => {
+    const path = getProofPath(userId, stopId, kind, extension);
+    setUploadingStopId(stopId);
+    const upload = navigator.onLine
+      ? await uploadProof(file, path)
+      : { success: false };
+    setUploadingStopId(null);
+
+    let savedPath = upload.path;
+    if (!upload.success) {
+      try {
+        await queueProofUpload(userId, path, file);
+        savedPath = path;
+        setPendingProofs(await getPendingProofs(userId));
+      } catch (error) {
+        console.error('Error saving proof on this device:', error.message);
+        alert(`Could not save the ${PROOF_KINDS[kind].label.toLowerCase()}. Please try again.`);
+        return false;
+      }
+    }
+
+    // The session may have changed while the file was uploading
+    const latest = currentSessionRef.current;
+    const updated = {
+      ...latest,
+      stops: (latest.stops || []).map(stop => (stop.id === stopId ? attachProof(stop, kind, savedPath) : stop))
+    };
+    return saveSession(updated);
+  };
+
+  const handleAttachPhoto = async (stopId, file) => {
+    if (!file) return;
+    const photo = await resizePhoto(file);
+    await saveProof(stopId, 'photo', photo, 'jpg');
+  };
+
+  const handleSaveSignature = async (dataUrl) => {
+    const success = await saveProof(signingStopId, 'signature', dataUrlToBlob(dataUrl), 'png');
+    if (success) {
+      setSigningStopId(null);
+    }
+  };
+
+  const handleEndDay = async () => {
     setShowEndDayForm(true);
+    refreshDepots();
+    // Without signal the driver types the route number instead
+    const result = await loadRoutes(true);
+    if (result.success) {
+      setRoutes(result.routes);
+    }
   };
 
   const submitEndDay = async (e) => {
     e.preventDefault();
 
+    const clockOut = await checkClockLocation('end the day');
+    if (clockOut.error) {
+      setValidationErrors([clockOut.error]);
+      return;
+    }
+
+    // With a stop log the counts come from the stops, not the form
+    const counts = stopTotals || {
+      positive_deliveries: parseInt(positiveDeliveries) || 0,
+      negative_deliveries: parseInt(negativeDeliveries) || 0,
+      positive_pickups: parseInt(positivePickups) || 0,
+      negative_pickups: parseInt(negativePickups) || 0
+    };
+    const stops = currentSession.stops || [];
+
     const updated = {
       ...currentSession,
       end_time: new Date().toISOString(),
       status: 'ended',
-      route_number: routeNumber,
-      positive_deliveries: parseInt(positiveDeliveries) || 0,
-      negative_deliveries: parseInt(negativeDeliveries) || 0,
-      positive_pickups: parseInt(positivePickups) || 0,
-      negative_pickups: parseInt(negativePickups) || 0,
-      delivery_comments: deliveryComments.trim() || null,
-      pickup_comments: pickupComments.trim() || null,
-      end_km: endKm ? parseFloat(endKm) : null
+      route_id: selectedRoute?.id || null,
+      route_number: selectedRoute ? selectedRoute.code : routeNumber,
+      ...counts,
+      failure_reasons: cleanFailureReasons(reasonCounts),
+      delivery_comments: deliveryComments.trim() || summariseFailedStopNotes(stops, 'delivery'),
+      pickup_comments: pickupComments.trim() || summariseFailedStopNotes(stops, 'pickup'),
+      end_km: endKm ? parseFloat(endKm) : null,
+      end_location: clockOut.location || null
     };
     
     const success = await saveSession(updated);
@@ -222,6 +632,8 @@ function TimeTracking({ userId }) {
       // Reset form values
       const defaultValues = getDefaultFormValues();
       setRouteNumber(defaultValues.routeNumber);
+      setRouteId('');
+      setReasonCounts({ delivery: {}, pickup: {} });
       setPositiveDeliveries(defaultValues.positiveDeliveries);
       setNegativeDeliveries(defaultValues.negativeDeliveries);
       setPositivePickups(defaultValues.positivePickups);
@@ -236,14 +648,15 @@ function TimeTracking({ userId }) {
   const startEditingBreak = (breakIndex) => {
     const breakToEdit = currentSession.breaks[breakIndex];
     setEditingBreak(breakIndex);
-    setEditBreakStart(formatTimeForInput(breakToEdit.start));
-    setEditBreakEnd(formatTimeForInput(breakToEdit.end));
+    setEditBreakStart(formatTimeForInput(breakToEdit.start, timeZone));
+    setEditBreakEnd(formatTimeForInput(breakToEdit.end, timeZone));
   };
 
   const cancelEditingBreak = () => {
     setEditingBreak(null);
     setEditBreakStart('');
     setEditBreakEnd('');
+    setEditBreakReason('');
   };
 
   const saveBreakEdit = async () => {
@@ -252,7 +665,8 @@ function TimeTracking({ userId }) {
       editingBreak, 
       'start', 
       editBreakStart, 
-      currentSession
+      currentSession,
+      timeZone
     );
     
     if (!validation.isValid) {
@@ -260,12 +674,18 @@ function TimeTracking({ userId }) {
       return;
     }
 
+    // Check the new end against the new start, not the old one
+    const breakStart = shiftTimeToISO(editBreakStart, currentSession.start_time, timeZone);
+    const breaksWithNewStart = [...currentSession.breaks];
+    breaksWithNewStart[editingBreak] = { ...breaksWithNewStart[editingBreak], start: breakStart };
+
     const endValidation = validateBreakTimeEdit(
-      currentSession.breaks, 
+      breaksWithNewStart, 
       editingBreak, 
       'end', 
       editBreakEnd, 
-      currentSession
+      currentSession,
+      timeZone
     );
     
     if (!endValidation.isValid) {
@@ -273,29 +693,93 @@ function TimeTracking({ userId }) {
       return;
     }
 
-    const updatedBreaks = [...currentSession.breaks];
-    updatedBreaks[editingBreak] = {
-      start: timeInputToISO(editBreakStart, currentSession.date),
-      end: timeInputToISO(editBreakEnd, currentSession.date)
+    const requestedBreak = {
+      ...currentSession.breaks[editingBreak],
+      start: breakStart,
+      end: shiftTimeToISO(editBreakEnd, currentSession.start_time, timeZone)
     };
 
-    const updated = {
-      ...currentSession,
-      breaks: updatedBreaks
-    };
-
-    const success = await saveSession(updated);
-    if (success) {
+    if (isSameBreak(requestedBreak, currentSession.breaks[editingBreak])) {
       cancelEditingBreak();
+      return;
+    }
+
+    // Changes are approved by an admin, so they need the saved session
+    if (isTemporarySessionId(currentSession.id) || !navigator.onLine) {
+      alert('Break changes are sent to an admin for approval and need a connection. Please try again when you are back online.');
+      return;
+    }
+
+    const result = await createBreakChangeRequest(
+      buildBreakChangeRequest(currentSession, editingBreak, requestedBreak, editBreakReason)
+    );
+    if (!result.success) {
+      alert('Error sending the change request: ' + result.error);
+      return;
     }
+
+    alert('Change sent to an admin for approval. Your break keeps its current times until then.');
+    cancelEditingBreak();
+    refreshBreakRequests(currentSession.id);
   };
 
-  const formatTime = (isoString) => {
-    return new Date(isoString).toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-    });
+  const complianceFindings = status === 'not-started' ? [] : getComplianceFindings();
+  const stopTotals = hasStopLog(currentSession) ? getStopTotals(currentSession.stops) : null;
+  const currentBreak = status === 'on-break' ? currentSession?.breaks?.[currentSession.breaks.length - 1] : null;
+  const currentBreakInfo = getBreakTypeInfo(currentBreak);
+  const gpsMessage = {
+    waiting: '📍 Finding your location...',
+    active: '📍 Location is being recorded',
+    denied: '⚠️ Location access is blocked - your route is not being recorded',
+    unavailable: '⚠️ Location unavailable - your route is not being recorded'
+  }[gpsStatus] || '';
+  const shownDeliveries = stopTotals
+    ? { positive: stopTotals.positive_deliveries, negative: stopTotals.negative_deliveries }
+    : { positive: positiveDeliveries, negative: negativeDeliveries };
+  const shownPickups = stopTotals
+    ? { positive: stopTotals.positive_pickups, negative: stopTotals.negative_pickups }
+    : { positive: positivePickups, negative: negativePickups };
+  const stopButtonStyle = {
+    background: '#f3f4f6',
+    color: '#374151',
+    border: '1px solid #d1d5db',
+    borderRadius: '4px',
+    padding: '4px 8px',
+    fontSize: '12px',
+    cursor: 'pointer',
+    fontWeight: '500',
+    display: 'inline-block',
+    marginBottom: 0
   };
+  const proofAttachedStyle = { background: '#d1fae5', borderColor: '#10b981', color: '#065f46' };
+  const countedInputStyle = stopTotals
+    ? { background: '#f9fafb', color: '#6b7280', marginBottom: '8px' }
+    : { marginBottom: '8px' };
+
+  // Latest change request for a break, e.g. "⏳ Change to 12:00 - 12:30: Waiting for approval"
+  const renderBreakRequestStatus = (breakIndex) => {
+    const request = getLatestRequestForBreak(breakRequests, breakIndex);
+    if (!request) return null;
+
+    const info = REQUEST_STATUSES[request.status];
+    return (
+      <div style={{ width: '100%', fontSize: '12px', color: info.color }}>
+        {info.icon} Change to {formatShiftTime(request.requested_break.start, currentSession.start_time, timeZone)}
+        {' - '}{formatShiftTime(request.requested_break.end, currentSession.start_time, timeZone)}: {info.label}
+        {request.decision_note && ` (${request.decision_note})`}
+      </div>
+    );
+  };
+
+  const pendingSyncCount = pendingWrites.length;
+  const pendingProofCount = pendingProofs.length;
+  const failedWrites = pendingWrites.filter(write => write.lastError);
+  const failedProofs = pendingProofs.filter(proof => proof.lastError);
+  const hasStalledWrites = [...failedWrites, ...failedProofs].some(write => write.stalled);
+  const pendingSummary = [
+    pendingSyncCount > 0 && `${pendingSyncCount} session update${pendingSyncCount === 1 ? '' : 's'}`,
+    pendingProofCount > 0 && `${pendingProofCount} photo/signature upload${pendingProofCount === 1 ? '' : 's'}`
+  ].filter(Boolean).join(' and ');
 
   return (
     <div className="card">
@@ -303,6 +787,123 @@ function TimeTracking({ userId }) {
         ⏱️ Time Tracking
       </h3>
 
+      {(pendingSummary || !isOnline) && (
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            gap: '12px',
+            flexWrap: 'wrap',
+            marginBottom: '16px',
+            padding: '10px 14px',
+            background: '#fffbeb',
+            border: '1px solid #fcd34d',
+            borderRadius: '8px',
+            fontSize: '13px',
+            fontWeight: '600',
+            color: '#92400e'
+          }}
+        >
+          <span>
+            {isOnline ? '⏳' : '📴'} {!isOnline && 'Offline. '}
+            {pendingSummary
+              ? `${pendingSummary} pending sync`
+              : 'Changes will be saved on this device'}
+          </span>
+          {isOnline && pendingSummary && (
+            <button
+              onClick={hasStalledWrites ? handleRetrySync : syncNow}
+              style={{
+                background: '#f59e0b',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                padding: '4px 10px',
+                fontSize: '12px',
+                cursor: 'pointer',
+                fontWeight: '600'
+              }}
+            >
+              🔄 {hasStalledWrites ? 'Retry' : 'Sync Now'}
+            </button>
+          )}
+          {failedWrites.map(write => (
+            <div key={write.sessionId} style={{ width: '100%', fontSize: '12px', fontWeight: '500', color: '#dc2626' }}>
+              ❌ Not saved after {write.attempts} attempt{write.attempts === 1 ? '' : 's'}: {write.lastError}
+              {write.stalled && ' - automatic retries stopped, tap Retry once the problem is fixed'}
+            </div>
+          ))}
+          {failedProofs.map(proof => (
+            <div key={proof.path} style={{ width: '100%', fontSize: '12px', fontWeight: '500', color: '#dc2626' }}>
+              ❌ Photo/signature not uploaded after {proof.attempts} attempt{proof.attempts === 1 ? '' : 's'}: {proof.lastError}
+              {proof.stalled && ' - automatic retries stopped, tap Retry once the problem is fixed'}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {syncConflicts.length > 0 && (
+        <div
+          style={{
+            marginBottom: '16px',
+            padding: '10px 14px',
+            background: '#fef3c7',
+            border: '1px solid #fcd34d',
+            borderRadius: '8px',
+            fontSize: '13px',
+            color: '#92400e'
+          }}
+        >
+          <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+            ⚠️ Some details were also changed on the server while you were offline. The server's values were kept - ask an admin if yours were right:
+          </div>
+          {syncConflicts.map((conflict, idx) => (
+            <div key={idx}>{conflict.fields.map(field => field.replace(/_/g, ' ')).join(', ')}</div>
+          ))}
+          <button
+            onClick={() => setSyncConflicts([])}
+            style={{
+              marginTop: '8px',
+              background: '#f59e0b',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              padding: '4px 10px',
+              fontSize: '12px',
+              cursor: 'pointer',
+              fontWeight: '600'
+            }}
+          >
+            OK
+          </button>
+        </div>
+      )}
+
+      {complianceFindings.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+          {complianceFindings.map((finding, idx) => {
+            const isViolation = finding.severity === 'violation';
+            return (
+              <div
+                key={idx}
+                style={{
+                  padding: '10px 14px',
+                  background: isViolation ? '#fef2f2' : '#fef3c7',
+                  border: `1px solid ${isViolation ? '#fecaca' : '#fcd34d'}`,
+                  borderRadius: '8px',
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  color: isViolation ? '#dc2626' : '#92400e'
+                }}
+              >
+                {isViolation ? '⛔' : '⚠️'} {finding.message}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {status === 'not-started' && (
         <div style={{ textAlign: 'center', padding: '40px 20px' }}>
           <div style={{ fontSize: '48px', marginBottom: '20px' }}>🚚</div>
@@ -335,6 +936,22 @@ function TimeTracking({ userId }) {
             🚀 Start Your Work Day
           </h4>
           <form onSubmit={submitStartWork}>
+            {vehicles.length > 0 && (
+              <>
+                <label>Vehicle</label>
+                <select
+                  value={vehicleId}
+                  onChange={(e) => setVehicleId(e.target.value)}
+                  required
+                >
+                  <option value="">-- Select your vehicle --</option>
+                  {vehicles.map(vehicle => (
+                    <option key={vehicle.id} value={vehicle.id}>{formatVehicleLabel(vehicle)}</option>
+                  ))}
+                </select>
+              </>
+            )}
+
             <label>Starting Vehicle Mileage (KM)</label>
             <input
               type="number"
@@ -345,9 +962,18 @@ function TimeTracking({ userId }) {
               min="0"
             />
             <p style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px' }}>
-              Optional: Enter your vehicle's current odometer reading
+              {selectedVehicle?.current_odometer != null
+                ? `Last recorded reading for this vehicle: ${selectedVehicle.current_odometer} KM`
+                : "Optional: Enter your vehicle's current odometer reading"}
             </p>
 
+            {geofence.policy !== 'off' && (
+              <p style={{ fontSize: '12px', color: '#6b7280', marginTop: '12px' }}>
+                📍 Your location is {geofence.policy === 'require' ? 'checked' : 'recorded'} when you start work
+                {geofence.policy === 'require' && depots.length > 0 ? ' - you need to be at a depot' : ''}
+              </p>
+            )}
+
             {validationErrors.length > 0 && (
               <div style={{ 
                 background: '#fef2f2', 
@@ -368,8 +994,8 @@ function TimeTracking({ userId }) {
             )}
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', marginTop: '16px' }}>
-              <button type="submit" className="btn btn-success" style={{ width: '100%' }}>
-                ✓ Start Work Day
+              <button type="submit" className="btn btn-success" disabled={checkingLocation} style={{ width: '100%' }}>
+                {checkingLocation ? '📍 Checking location...' : '✓ Start Work Day'}
               </button>
               <button
                 type="button"
@@ -398,13 +1024,76 @@ function TimeTracking({ userId }) {
               Working
             </span>
             <p style={{ marginTop: '12px', color: '#065f46', fontSize: '16px', fontWeight: '600' }}>
-              Started at {formatTime(currentSession.start_time)}
+              Started at {formatTime(currentSession.start_time, timeZone)}
+              {getShiftDayOffset(new Date().toISOString(), currentSession.start_time, timeZone) > 0 &&
+                ` on ${formatDateInTimezone(currentSession.start_time, timeZone, { weekday: 'long' })}`}
+            </p>
+            <p style={{ marginTop: '4px', fontSize: '12px', color: gpsStatus === 'active' || gpsStatus === 'waiting' ? '#065f46' : '#92400e' }}>
+              {gpsMessage}
             </p>
           </div>
+          <div
+            style={{
+              marginBottom: '24px',
+              padding: '16px',
+              background: 'linear-gradient(135deg, #f9fafb 0%, #f3f4f6 100%)',
+              borderRadius: '12px',
+              border: '1px solid #e5e7eb'
+            }}
+          >
+            <h4 style={{ marginBottom: '12px', fontSize: '16px', fontWeight: '700', color: '#374151' }}>
+              📍 Log a Stop
+            </h4>
+            <input
+              type="text"
+              value={stopNote}
+              onChange={(e) => setStopNote(e.target.value)}
+              placeholder="Note (optional)"
+              maxLength={200}
+            />
+            <select value={stopReason} onChange={(e) => setStopReason(e.target.value)}>
+              <option value="">-- Reason (failed stops only) --</option>
+              {failureReasons.filter(reason => reason.active !== false).map(reason => (
+                <option key={reason.code} value={reason.code}>{reason.label}</option>
+              ))}
+            </select>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+              {Object.entries(STOP_TYPES).map(([type, info]) => (
+                <button
+                  key={type}
+                  onClick={() => handleLogStop(type)}
+                  className={`btn ${info.successful ? 'btn-success' : 'btn-danger'}`}
+                  style={{ width: '100%', padding: '12px 8px', fontSize: '14px' }}
+                >
+                  {info.icon} {info.label}
+                </button>
+              ))}
+            </div>
+            {stopTotals && (
+              <div style={{ marginTop: '12px', fontSize: '13px', fontWeight: '600', color: '#374151' }}>
+                Deliveries: {stopTotals.positive_deliveries} ✓ / {stopTotals.negative_deliveries} ✗
+                {' · '}
+                Pickups: {stopTotals.positive_pickups} ✓ / {stopTotals.negative_pickups} ✗
+              </div>
+            )}
+          </div>
           <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-            <button onClick={handleStartBreak} className="btn btn-warning" style={{ width: '100%' }}>
-              ☕ Start Break
-            </button>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', alignItems: 'center' }}>
+              <select
+                value={breakType}
+                onChange={(e) => setBreakType(e.target.value)}
+                style={{ marginBottom: 0 }}
+              >
+                {Object.entries(BREAK_TYPES).map(([type, info]) => (
+                  <option key={type} value={type}>
+                    {info.icon} {info.label} ({info.paid ? 'paid' : 'unpaid'})
+                  </option>
+                ))}
+              </select>
+              <button onClick={handleStartBreak} className="btn btn-warning" style={{ width: '100%' }}>
+                {BREAK_TYPES[breakType].icon} Start Break
+              </button>
+            </div>
             <button onClick={handleEndDay} className="btn btn-danger" style={{ width: '100%' }}>
               🏁 End Day
             </button>
@@ -424,10 +1113,12 @@ function TimeTracking({ userId }) {
             }}
           >
             <span className="status-badge status-break" style={{ fontSize: '14px' }}>
-              On Break
+              On Break{currentBreak?.type ? ` · ${currentBreakInfo.icon} ${currentBreakInfo.label}` : ''}
             </span>
             <p style={{ marginTop: '12px', color: '#92400e', fontSize: '16px', fontWeight: '600' }}>
-              Take your time to rest
+              {currentBreak && isPaidBreak(currentBreak)
+                ? 'Paid time - end the break when you are on the move again'
+                : 'Take your time to rest'}
             </p>
           </div>
           <button onClick={handleEndBreak} className="btn btn-success" style={{ width: '100%' }}>
@@ -471,14 +1162,33 @@ function TimeTracking({ userId }) {
             📋 End of Day Report
           </h4>
           <form onSubmit={submitEndDay}>
-            <label>Route Number</label>
-            <input
-              type="text"
-              value={routeNumber}
-              onChange={(e) => setRouteNumber(e.target.value)}
-              placeholder="e.g., Route #42"
-              required
-            />
+            <label>Route</label>
+            {routes.length > 0 ? (
+              <select
+                value={routeId}
+                onChange={(e) => setRouteId(e.target.value)}
+                required
+              >
+                <option value="">-- Select your route --</option>
+                {routes.map(route => (
+                  <option key={route.id} value={route.id}>{formatRouteLabel(route)}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={routeNumber}
+                onChange={(e) => setRouteNumber(e.target.value)}
+                placeholder="e.g., Route #42"
+                required
+              />
+            )}
+
+            {stopTotals && (
+              <p style={{ fontSize: '12px', color: '#6b7280', marginTop: '12px' }}>
+                📍 Counts are taken from the {currentSession.stops.length} stop{currentSession.stops.length === 1 ? '' : 's'} you logged today
+              </p>
+            )}
 
             {/* Deliveries Section */}
             <div style={{ 
@@ -507,12 +1217,13 @@ function TimeTracking({ userId }) {
                   </label>
                   <input
                     type="number"
-                    value={positiveDeliveries}
+                    value={shownDeliveries.positive}
                     onChange={(e) => setPositiveDeliveries(e.target.value)}
                     placeholder="0"
                     min="0"
-                    required
-                    style={{ marginBottom: '8px' }}
+                    required={!stopTotals}
+                    disabled={!!stopTotals}
+                    style={countedInputStyle}
                   />
                 </div>
                 
@@ -522,12 +1233,13 @@ function TimeTracking({ userId }) {
                   </label>
                   <input
                     type="number"
-                    value={negativeDeliveries}
+                    value={shownDeliveries.negative}
                     onChange={(e) => setNegativeDeliveries(e.target.value)}
                     placeholder="0"
                     min="0"
-                    required
-                    style={{ marginBottom: '8px' }}
+                    required={!stopTotals}
+                    disabled={!!stopTotals}
+                    style={countedInputStyle}
                   />
                 </div>
               </div>
@@ -541,19 +1253,31 @@ function TimeTracking({ userId }) {
                 color: '#374151',
                 marginTop: '8px'
               }}>
-                Total Deliveries: {(parseInt(positiveDeliveries) || 0) + (parseInt(negativeDeliveries) || 0)}
+                Total Deliveries: {(parseInt(shownDeliveries.positive) || 0) + (parseInt(shownDeliveries.negative) || 0)}
               </div>
 
-              {areCommentsRecommended(negativeDeliveries) && (
+              {!stopTotals && areCommentsRecommended(negativeDeliveries) && (
+                <FailureReasonInputs
+                  reasons={failureReasons}
+                  kind="delivery"
+                  counts={reasonCounts.delivery}
+                  failedCount={negativeDeliveries}
+                  onChange={(delivery) => setReasonCounts({ ...reasonCounts, delivery })}
+                />
+              )}
+
+              {areCommentsRecommended(shownDeliveries.negative) && (
                 <div style={{ marginTop: '12px' }}>
                   <label style={{ fontSize: '13px' }}>
-                    Reason for Failed Deliveries 
+                    Comments on Failed Deliveries
                     <span style={{ color: '#f59e0b', fontWeight: '600' }}> (Recommended)</span>
                   </label>
                   <textarea
                     value={deliveryComments}
                     onChange={(e) => setDeliveryComments(e.target.value)}
-                    placeholder="e.g., Customer not home, wrong address, package damaged..."
+                    placeholder={stopTotals
+                      ? 'Leave empty to use the notes from your failed stops'
+                      : 'e.g., Customer not home, wrong address, package damaged...'}
                     rows="2"
                     style={{ resize: 'vertical', minHeight: '60px' }}
                   />
@@ -588,12 +1312,13 @@ function TimeTracking({ userId }) {
                   </label>
                   <input
                     type="number"
-                    value={positivePickups}
+                    value={shownPickups.positive}
                     onChange={(e) => setPositivePickups(e.target.value)}
                     placeholder="0"
                     min="0"
-                    required
-                    style={{ marginBottom: '8px' }}
+                    required={!stopTotals}
+                    disabled={!!stopTotals}
+                    style={countedInputStyle}
                   />
                 </div>
                 
@@ -603,12 +1328,13 @@ function TimeTracking({ userId }) {
                   </label>
                   <input
                     type="number"
-                    value={negativePickups}
+                    value={shownPickups.negative}
                     onChange={(e) => setNegativePickups(e.target.value)}
                     placeholder="0"
                     min="0"
-                    required
-                    style={{ marginBottom: '8px' }}
+                    required={!stopTotals}
+                    disabled={!!stopTotals}
+                    style={countedInputStyle}
                   />
                 </div>
               </div>
@@ -622,19 +1348,31 @@ function TimeTracking({ userId }) {
                 color: '#374151',
                 marginTop: '8px'
               }}>
-                Total Pickups: {(parseInt(positivePickups) || 0) + (parseInt(negativePickups) || 0)}
+                Total Pickups: {(parseInt(shownPickups.positive) || 0) + (parseInt(shownPickups.negative) || 0)}
               </div>
 
-              {areCommentsRecommended(negativePickups) && (
+              {!stopTotals && areCommentsRecommended(negativePickups) && (
+                <FailureReasonInputs
+                  reasons={failureReasons}
+                  kind="pickup"
+                  counts={reasonCounts.pickup}
+                  failedCount={negativePickups}
+                  onChange={(pickup) => setReasonCounts({ ...reasonCounts, pickup })}
+                />
+              )}
+
+              {areCommentsRecommended(shownPickups.negative) && (
                 <div style={{ marginTop: '12px' }}>
                   <label style={{ fontSize: '13px' }}>
-                    Reason for Failed Pickups 
+                    Comments on Failed Pickups
                     <span style={{ color: '#f59e0b', fontWeight: '600' }}> (Recommended)</span>
                   </label>
                   <textarea
                     value={pickupComments}
                     onChange={(e) => setPickupComments(e.target.value)}
-                    placeholder="e.g., Package not ready, business closed, incorrect pickup time..."
+                    placeholder={stopTotals
+                      ? 'Leave empty to use the notes from your failed stops'
+                      : 'e.g., Package not ready, business closed, incorrect pickup time...'}
                     rows="2"
                     style={{ resize: 'vertical', minHeight: '60px' }}
                   />
@@ -709,6 +1447,13 @@ function TimeTracking({ userId }) {
               )}
             </div>
 
+            {geofence.policy !== 'off' && (
+              <p style={{ fontSize: '12px', color: '#6b7280', marginTop: '16px' }}>
+                📍 Your location is {geofence.policy === 'require' ? 'checked' : 'recorded'} when you submit
+                {geofence.policy === 'require' && depots.length > 0 ? ' - you need to be at a depot' : ''}
+              </p>
+            )}
+
             {validationErrors.length > 0 && (
               <div style={{ 
                 background: '#fef2f2', 
@@ -729,8 +1474,8 @@ function TimeTracking({ userId }) {
             )}
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '12px', marginTop: '20px' }}>
-              <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
-                ✓ Submit Report
+              <button type="submit" className="btn btn-primary" disabled={checkingLocation} style={{ width: '100%' }}>
+                {checkingLocation ? '📍 Checking location...' : '✓ Submit Report'}
               </button>
               <button
                 type="button"
@@ -745,6 +1490,127 @@ function TimeTracking({ userId }) {
         </div>
       )}
 
+      {stopTotals && (
+        <div
+          style={{
+            marginTop: '24px',
+            padding: '20px',
+            background: '#f9fafb',
+            borderRadius: '12px',
+            border: '1px solid #e5e7eb',
+          }}
+        >
+          <h4
+            style={{ marginBottom: '16px', fontSize: '16px', fontWeight: '700', color: '#374151' }}
+          >
+            📍 Stops Today ({currentSession.stops.length})
+          </h4>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', maxHeight: '320px', overflowY: 'auto' }}>
+            {currentSession.stops.map((stop, idx) => {
+              const type = STOP_TYPES[stop.type] || { label: stop.type, icon: '📍', successful: true };
+              return (
+                <div
+                  key={stop.id || idx}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '8px',
+                    padding: '10px 16px',
+                    background: 'white',
+                    borderRadius: '8px',
+                    border: '1px solid #e5e7eb',
+                    fontSize: '14px'
+                  }}
+                >
+                  <div>
+                    <span style={{ fontWeight: '600', color: type.successful ? '#065f46' : '#dc2626' }}>
+                      {idx + 1}. {type.icon} {type.label}
+                    </span>
+                    <span style={{ color: '#6b7280', marginLeft: '8px' }}>
+                      {formatShiftTime(stop.time, currentSession.start_time, timeZone)}
+                    </span>
+                    {(stop.reason || stop.note) && (
+                      <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '2px' }}>
+                        {[stop.reason && getReasonLabel(failureReasons, stop.reason), stop.note].filter(Boolean).join(' - ')}
+                      </div>
+                    )}
+                  </div>
+                  {status !== 'ended' && (
+                    <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                      <label
+                        style={{
+                          ...stopButtonStyle,
+                          ...(stop.proof?.photo ? proofAttachedStyle : {}),
+                          opacity: uploadingStopId === stop.id ? 0.6 : 1
+                        }}
+                      >
+                        {PROOF_KINDS.photo.icon}{stop.proof?.photo && ' ✓'}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          capture="environment"
+                          disabled={uploadingStopId === stop.id}
+                          onChange={(e) => {
+                            handleAttachPhoto(stop.id, e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                          style={{ display: 'none' }}
+                        />
+                      </label>
+                      <button
+                        onClick={() => setSigningStopId(stop.id)}
+                        disabled={uploadingStopId === stop.id}
+                        style={{ ...stopButtonStyle, ...(stop.proof?.signature ? proofAttachedStyle : {}) }}
+                      >
+                        {PROOF_KINDS.signature.icon}{stop.proof?.signature && ' ✓'}
+                      </button>
+                      <button
+                        onClick={() => handleRemoveStop(stop.id)}
+                        style={stopButtonStyle}
+                      >
+                        ✕ Remove
+                      </button>
+                    </div>
+                  )}
+                  {status === 'ended' && getProofKinds(stop).length > 0 && (
+                    <span style={{ fontSize: '14px' }}>
+                      {getProofKinds(stop).map(kind => PROOF_KINDS[kind].icon).join(' ')}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          {signingStopId && (
+            <div style={{ marginTop: '16px' }}>
+              <h5 style={{ fontSize: '14px', fontWeight: '700', color: '#374151', marginBottom: '8px' }}>
+                ✍️ Signature for stop {currentSession.stops.findIndex(stop => stop.id === signingStopId) + 1}
+              </h5>
+              <SignaturePad
+                onSave={handleSaveSignature}
+                onCancel={() => setSigningStopId(null)}
+                saving={uploadingStopId === signingStopId}
+              />
+            </div>
+          )}
+
+          {status !== 'ended' && !signingStopId && (
+            <div style={{ 
+              marginTop: '12px', 
+              padding: '8px 12px', 
+              background: '#eff6ff', 
+              borderRadius: '6px',
+              fontSize: '12px',
+              color: '#1e40af'
+            }}>
+              💡 Tip: Tap 📷 or ✍️ on a stop to add a photo or the customer's signature (needs a connection)
+            </div>
+          )}
+        </div>
+      )}
+
       {currentSession && currentSession.breaks && currentSession.breaks.length > 0 && (
         <div
           style={{
@@ -812,6 +1678,14 @@ function TimeTracking({ userId }) {
                         />
                       </div>
                     </div>
+                    <input
+                      type="text"
+                      value={editBreakReason}
+                      onChange={(e) => setEditBreakReason(e.target.value)}
+                      placeholder="Reason for the change (optional)"
+                      maxLength={200}
+                      style={{ marginBottom: 0, fontSize: '13px' }}
+                    />
                     <div style={{ display: 'flex', gap: '8px' }}>
                       <button
                         onClick={saveBreakEdit}
@@ -826,7 +1700,7 @@ function TimeTracking({ userId }) {
                           fontWeight: '600'
                         }}
                       >
-                        ✓ Save
+                        ✓ Request Change
                       </button>
                       <button
                         onClick={cancelEditingBreak}
@@ -856,10 +1730,14 @@ function TimeTracking({ userId }) {
                     <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
                       <span style={{ fontWeight: '600', color: '#374151' }}>Break {idx + 1}</span>
                       <span style={{ color: '#6b7280' }}>
-                        {formatTime(brk.start)} {brk.end && `- ${formatTime(brk.end)}`}
+                        {formatShiftTime(brk.start, currentSession.start_time, timeZone)}
+                        {brk.end && ` - ${formatShiftTime(brk.end, currentSession.start_time, timeZone)}`}
+                      </span>
+                      <span style={{ fontSize: '12px', color: isPaidBreak(brk) ? '#059669' : '#6b7280' }}>
+                        {formatBreakType(brk)}
                       </span>
                     </div>
-                    {brk.end && status !== 'ended' && (
+                    {brk.end && status !== 'ended' && getLatestRequestForBreak(breakRequests, idx)?.status !== 'pending' && (
                       <button
                         onClick={() => startEditingBreak(idx)}
                         style={{
@@ -879,6 +1757,7 @@ function TimeTracking({ userId }) {
                         ✏️ Edit
                       </button>
                     )}
+                    {renderBreakRequestStatus(idx)}
                   </div>
                 )}
               </div>
@@ -894,7 +1773,7 @@ function TimeTracking({ userId }) {
               fontSize: '12px',
               color: '#1e40af'
             }}>
-              💡 Tip: You can edit completed break times by clicking the "Edit" button
+              💡 Tip: You can ask to change completed break times with the "Edit" button; an admin approves each change
             </div>
           )}
         </div>
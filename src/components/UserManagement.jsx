@@ -1,8 +1,11 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useSettings } from '../context/SettingsContext';
+import { getTimezoneOptions } from '../lib/timezone';
 
 function UserManagement() {
-  const { users, createUser, deleteUser, updateUser } = useAuth();
+  const { users, createUser, deleteUser, updateUser, revokeUserSessions } = useAuth();
+  const { companyTimezone } = useSettings();
   const [showForm, setShowForm] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
   const [formData, setFormData] = useState({
@@ -12,14 +15,18 @@ function UserManagement() {
     email: '',
     password: '',
     role: 'driver',
+    timezone: '',
   });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    // Empty timezone means "use the company timezone"
+    const userData = { ...formData, timezone: formData.timezone || null };
+    
     if (editingUser) {
       // Update existing user
-      const updates = { ...formData };
+      const updates = userData;
       if (!updates.password) {
         delete updates.password; // Don't update password if empty
       }
@@ -31,7 +38,7 @@ function UserManagement() {
       }
     } else {
       // Create new user
-      const result = await createUser(formData);
+      const result = await createUser(userData);
       if (result.success) {
         alert('User created successfully!');
       } else {
@@ -51,12 +58,13 @@ function UserManagement() {
       email: user.email || '',
       password: '', // Don't show existing password
       role: user.role,
+      timezone: user.timezone || '',
     });
     setShowForm(true);
   };
 
   const resetForm = () => {
-    setFormData({ name: '', username: '', mobile: '', email: '', password: '', role: 'driver' });
+    setFormData({ name: '', username: '', mobile: '', email: '', password: '', role: 'driver', timezone: '' });
     setShowForm(false);
     setEditingUser(null);
   };
@@ -72,6 +80,18 @@ function UserManagement() {
     }
   };
 
+  const handleRevokeSessions = async (user) => {
+    if (window.confirm(`Log ${user.name} out on every device?`)) {
+      const result = await revokeUserSessions(user.id);
+      if (result.success) {
+        alert(`Ended ${result.count} active login session(s).`);
+      } else {
+        alert('Error logging out user: ' + result.error);
+      }
+    }
+  };
+
+  // Changing a role also ends the user's login sessions (database trigger)
   const handleRoleChange = async (userId, newRole) => {
     const result = await updateUser(userId, { role: newRole });
     if (!result.success) {
@@ -163,6 +183,17 @@ function UserManagement() {
             <option value="admin">👑 Admin</option>
           </select>
 
+          <label>Timezone</label>
+          <select
+            value={formData.timezone}
+            onChange={(e) => setFormData({ ...formData, timezone: e.target.value })}
+          >
+            <option value="">🏢 Company default ({companyTimezone || 'not set'})</option>
+            {getTimezoneOptions().map(tz => (
+              <option key={tz} value={tz}>{tz}</option>
+            ))}
+          </select>
+
           <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
             <button type="submit" className="btn btn-success" style={{ flex: 1 }}>
               {editingUser ? '✓ Update User' : '✓ Create User'}
@@ -222,6 +253,13 @@ function UserManagement() {
                     >
                       ✏️ Edit
                     </button>
+                    <button
+                      onClick={() => handleRevokeSessions(user)}
+                      className="btn btn-warning"
+                      style={{ padding: '8px 16px', fontSize: '13px' }}
+                    >
+                      🔒 Log Out Everywhere
+                    </button>
                     <button
                       onClick={() => handleDelete(user.id)}
                       className="btn btn-danger"
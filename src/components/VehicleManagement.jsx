@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import {
+  loadVehicles,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle,
+  validateVehicle
+} from '../lib/vehicles';
+
+const EMPTY_FORM = { plate: '', model: '', current_odometer: '', active: true };
+
+function VehicleManagement() {
+  const [vehicles, setVehicles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingVehicle, setEditingVehicle] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    refreshVehicles();
+  }, []);
+
+  const refreshVehicles = async () => {
+    const result = await loadVehicles();
+    if (result.success) {
+      setVehicles(result.vehicles);
+    }
+    setLoading(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateVehicle(formData, vehicles, editingVehicle?.id);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+
+    if (editingVehicle) {
+      const result = await updateVehicle(editingVehicle.id, formData, editingVehicle);
+      if (result.success) {
+        alert('Vehicle updated successfully!');
+      } else {
+        alert('Error updating vehicle: ' + result.error);
+        return;
+      }
+    } else {
+      const result = await createVehicle(formData);
+      if (result.success) {
+        alert('Vehicle added successfully!');
+      } else {
+        alert('Error adding vehicle: ' + result.error);
+        return;
+      }
+    }
+
+    resetForm();
+    refreshVehicles();
+  };
+
+  const handleEdit = (vehicle) => {
+    setEditingVehicle(vehicle);
+    setFormData({
+      plate: vehicle.plate,
+      model: vehicle.model || '',
+      current_odometer: vehicle.current_odometer ?? '',
+      active: vehicle.active
+    });
+    setShowForm(true);
+  };
+
+  const resetForm = () => {
+    setFormData(EMPTY_FORM);
+    setShowForm(false);
+    setEditingVehicle(null);
+  };
+
+  const handleDelete = async (vehicle) => {
+    if (window.confirm(`Delete ${vehicle.plate}? Past sessions keep their mileage but lose the vehicle link. Consider marking it retired instead.`)) {
+      const result = await deleteVehicle(vehicle.id);
+      if (result.success) {
+        alert('Vehicle deleted successfully!');
+        refreshVehicles();
+      } else {
+        alert('Error deleting vehicle: ' + result.error);
+      }
+    }
+  };
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px', marginBottom: '24px' }}>
+        <h3 style={{ fontSize: '20px', fontWeight: '700', color: '#1f2937' }}>🚐 Vehicles</h3>
+        <button onClick={() => showForm ? resetForm() : setShowForm(true)} className="btn btn-primary" style={{ width: '100%' }}>
+          {showForm ? '✕ Cancel' : '➕ Add Vehicle'}
+        </button>
+      </div>
+
+      {showForm && (
+        <form
+          onSubmit={handleSubmit}
+          style={{
+            marginBottom: '24px',
+            padding: '20px',
+            background: 'linear-gradient(135deg, #eff6ff 0%, #dbeafe 100%)',
+            borderRadius: '12px',
+            border: '2px solid #93c5fd',
+          }}
+        >
+          <h4 style={{ marginBottom: '16px', fontSize: '16px', fontWeight: '700', color: '#1e40af' }}>
+            {editingVehicle ? '✏️ Edit Vehicle' : '✨ New Vehicle'}
+          </h4>
+
+          <label>Number Plate</label>
+          <input
+            type="text"
+            value={formData.plate}
+            onChange={(e) => setFormData({ ...formData, plate: e.target.value })}
+            placeholder="e.g., AB 12345"
+            required
+          />
+
+          <label>Model (Optional)</label>
+          <input
+            type="text"
+            value={formData.model}
+            onChange={(e) => setFormData({ ...formData, model: e.target.value })}
+            placeholder="e.g., Ford Transit"
+          />
+
+          <label>Current Odometer (KM)</label>
+          <input
+            type="number"
+            value={formData.current_odometer}
+            onChange={(e) => setFormData({ ...formData, current_odometer: e.target.value })}
+            placeholder="e.g., 12345.5"
+            step="0.1"
+            min="0"
+          />
+          <p style={{ fontSize: '12px', color: '#6b7280', marginTop: '-8px', marginBottom: '12px' }}>
+            Updated automatically from each driver's ending KM
+          </p>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              type="checkbox"
+              checked={formData.active}
+              onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+              style={{ width: 'auto', marginBottom: 0 }}
+            />
+            In service (shown to drivers)
+          </label>
+
+          <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+            <button type="submit" className="btn btn-success" style={{ flex: 1 }}>
+              {editingVehicle ? '✓ Update Vehicle' : '✓ Add Vehicle'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="btn"
+              style={{ flex: 1, background: '#e5e7eb', color: '#374151' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#6b7280' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>⏳</div>
+          <p>Loading vehicles...</p>
+        </div>
+      ) : vehicles.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '40px 20px', color: '#9ca3af' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🚐</div>
+          <p>No vehicles yet. Drivers can start work without choosing one until you add some.</p>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table>
+            <thead>
+              <tr>
+                <th>🔖 Plate</th>
+                <th>🚐 Model</th>
+                <th>🚗 Odometer</th>
+                <th>📍 Status</th>
+                <th>⚙️ Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {vehicles.map(vehicle => (
+                <tr key={vehicle.id}>
+                  <td style={{ fontWeight: '600', color: '#374151' }}>{vehicle.plate}</td>
+                  <td>{vehicle.model || '-'}</td>
+                  <td>{vehicle.current_odometer != null ? `${vehicle.current_odometer} KM` : '-'}</td>
+                  <td style={{ fontWeight: '600', color: vehicle.active ? '#10b981' : '#9ca3af' }}>
+                    {vehicle.active ? 'In service' : 'Retired'}
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                      <button
+                        onClick={() => handleEdit(vehicle)}
+                        className="btn btn-primary"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        ✏️ Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(vehicle)}
+                        className="btn btn-danger"
+                        style={{ padding: '8px 16px', fontSize: '13px' }}
+                      >
+                        🗑️ Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VehicleManagement;
@@ -1,8 +1,23 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { supabase } from '../lib/supabase';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { supabase, setAccessToken } from '../lib/supabase';
+import {
+  ACTIVITY_EVENTS,
+  LOGIN_CHECK_INTERVAL_MS,
+  SERVER_TOUCH_INTERVAL_MS,
+  createLoginSession,
+  getLoginSessionState,
+  loadLoginSession,
+  saveLoginSession,
+  clearLoginSession
+} from '../lib/loginSession';
+import { getLocalOpenSession, getPendingCount, getPendingProofs, syncPendingSessions, stopSyncing } from '../lib/offlineSync';
+import { reassignQueuedTrackPoints } from '../lib/gpsTracking';
 
 const AuthContext = createContext();
 
+// Columns readable through the API - password hashes are never selected
+const USER_COLUMNS = 'id, name, username, mobile, email, role, timezone, created_at';
+
 export function useAuth() {
   return useContext(AuthContext);
 }
@@ -11,17 +26,73 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [logoutReason, setLogoutReason] = useState(null);
+  const loginSessionRef = useRef(null);
+  const lastServerTouchRef = useRef(0);
 
   useEffect(() => {
-    loadUsers();
     checkCurrentUser();
   }, []);
 
+  // Track activity and end the login when it expires, goes idle or is revoked
+  useEffect(() => {
+    if (!user) return;
+
+    const recordActivity = () => {
+      if (loginSessionRef.current) {
+        loginSessionRef.current.lastActivityAt = new Date().toISOString();
+      }
+    };
+
+    const checkLoginSession = async () => {
+      const session = loginSessionRef.current;
+      if (!session) return;
+
+      // An open shift counts as activity: the driver may be driving or out
+      // of signal, and their queued changes need the login to sync
+      if (await getLocalOpenSession(user.id)) {
+        session.lastActivityAt = new Date().toISOString();
+      }
+      if (loginSessionRef.current !== session) return;
+
+      const state = getLoginSessionState(session);
+      if (state !== 'active') {
+        endLoginSession(state);
+        return;
+      }
+
+      saveLoginSession(session);
+
+      const lastActivity = new Date(session.lastActivityAt).getTime();
+      const sinceLastTouch = Date.now() - lastServerTouchRef.current;
+      if (lastActivity > lastServerTouchRef.current && sinceLastTouch >= SERVER_TOUCH_INTERVAL_MS) {
+        verifyLoginSession();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, recordActivity, { passive: true }));
+    const interval = setInterval(checkLoginSession, LOGIN_CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, recordActivity));
+      clearInterval(interval);
+    };
+  }, [user?.id]);
+
+  // Only admins are allowed to list users (enforced by RLS)
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      loadUsers();
+    } else {
+      setUsers([]);
+    }
+  }, [user?.id, user?.role]);
+
   const loadUsers = async () => {
     try {
       const { data, error } = await supabase
         .from('users')
-        .select('*')
+        .select(USER_COLUMNS)
         .order('created_at', { ascending: true });
 
       if (error) throw error;
@@ -33,31 +104,90 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const checkCurrentUser = () => {
+  const checkCurrentUser = async () => {
     const storedUser = localStorage.getItem('currentUser');
-    if (storedUser) {
+    const session = loadLoginSession();
+    let state = getLoginSessionState(session);
+
+    // Token stored by releases before login sessions existed
+    localStorage.removeItem('authToken');
+
+    // Reopening the app mid-shift is not idle (see checkLoginSession)
+    if (storedUser && state === 'idle' && await getLocalOpenSession(JSON.parse(storedUser).id)) {
+      session.lastActivityAt = new Date().toISOString();
+      state = getLoginSessionState(session);
+    }
+
+    if (storedUser && state === 'active') {
+      loginSessionRef.current = session;
+      setAccessToken(session.token);
       setUser(JSON.parse(storedUser));
+      verifyLoginSession();
+    } else {
+      if (storedUser && session) {
+        setLogoutReason(state);
+      }
+      clearLoginSession();
+      localStorage.removeItem('currentUser');
     }
     setLoading(false);
   };
 
+  // Report activity to the server and log out if the session was revoked
+  // (admin "log out everywhere", user deleted, demoted or password changed)
+  const verifyLoginSession = async () => {
+    try {
+      const { data, error } = await supabase.rpc('touch_login_session');
+
+      // Network errors keep the session - drivers are often offline
+      if (error) throw error;
+
+      lastServerTouchRef.current = Date.now();
+      if (data === false) {
+        endLoginSession('revoked');
+      }
+    } catch (error) {
+      console.error('Error verifying login session:', error.message);
+    }
+  };
+
+  // Clear the local login without contacting the server
+  const endLoginSession = (reason = null) => {
+    stopSyncing();
+    loginSessionRef.current = null;
+    lastServerTouchRef.current = 0;
+    setAccessToken(null);
+    setUser(null);
+    setLogoutReason(reason);
+    clearLoginSession();
+    localStorage.removeItem('currentUser');
+  };
+
   const login = async (username, password) => {
     try {
+      // Password is verified against the stored hash inside the database
       const { data, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('username', username)
-        .eq('password', password)
-        .single();
+        .rpc('authenticate_user', {
+          p_username: username,
+          p_password: password
+        })
+        .maybeSingle();
 
       if (error || !data) {
         return false;
       }
 
-      const userWithoutPassword = { ...data };
-      delete userWithoutPassword.password;
-      setUser(userWithoutPassword);
-      localStorage.setItem('currentUser', JSON.stringify(userWithoutPassword));
+      // Keep the token and session details out of the stored user
+      const { access_token, session_expires_at, idle_timeout_minutes, ...loggedInUser } = data;
+      const session = createLoginSession(data);
+
+      loginSessionRef.current = session;
+      lastServerTouchRef.current = Date.now();
+      setAccessToken(session.token);
+      setUser(loggedInUser);
+      setLogoutReason(null);
+      saveLoginSession(session);
+      localStorage.setItem('currentUser', JSON.stringify(loggedInUser));
       return true;
     } catch (error) {
       console.error('Login error:', error.message);
@@ -65,17 +195,58 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    localStorage.removeItem('currentUser');
+  // Queued shift changes and proof files are only sent with their driver's
+  // login, so try to send them first and let the driver decide if some are
+  // still waiting.
+  // Returns false when the driver chose to stay logged in.
+  const logout = async () => {
+    if (user) {
+      await syncPendingSessions(user.id, (previousId, saved) => reassignQueuedTrackPoints(previousId, saved.id, user.id));
+      const pending = await getPendingCount(user.id) + (await getPendingProofs(user.id)).length;
+      if (pending > 0 && !window.confirm(
+        `${pending} change${pending === 1 ? ' has' : 's have'} not reached the server yet. ` +
+        'They stay on this device and are sent the next time you log in here.\n\nLog out anyway?'
+      )) {
+        return false;
+      }
+    }
+
+    try {
+      const { error } = await supabase.rpc('end_login_session');
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error ending login session:', error.message);
+    } finally {
+      endLoginSession();
+    }
+    return true;
+  };
+
+  // Log a user out of every device ("log out everywhere")
+  const revokeUserSessions = async (userId) => {
+    try {
+      const { data, error } = await supabase
+        .rpc('revoke_user_login_sessions', { p_user_id: userId });
+
+      if (error) throw error;
+
+      if (userId === user?.id) {
+        endLoginSession('revoked');
+      }
+      return { success: true, count: data || 0 };
+    } catch (error) {
+      console.error('Error revoking login sessions:', error.message);
+      return { success: false, error: error.message };
+    }
   };
 
+  // Passwords are sent as entered and hashed by the users table trigger
   const createUser = async (userData) => {
     try {
       const { data, error } = await supabase
         .from('users')
         .insert([userData])
-        .select()
+        .select(USER_COLUMNS)
         .single();
 
       if (error) throw error;
@@ -126,11 +297,13 @@ export function AuthProvider({ children }) {
     user,
     users,
     loading,
+    logoutReason,
     login,
     logout,
     createUser,
     deleteUser,
     updateUser,
+    revokeUserSessions,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,82 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from './AuthContext';
+import { loadSettings, saveSetting, SETTING_KEYS } from '../lib/settings';
+import { resolveTimezone } from '../lib/timezone';
+
+const SettingsContext = createContext();
+
+export function useSettings() {
+  return useContext(SettingsContext);
+}
+
+export function SettingsProvider({ children }) {
+  const { user, users } = useAuth();
+  const [settings, setSettings] = useState({});
+  const [ownTimezone, setOwnTimezone] = useState(null);
+
+  useEffect(() => {
+    if (user) {
+      refreshSettings();
+      loadOwnTimezone();
+    } else {
+      setSettings({});
+      setOwnTimezone(null);
+    }
+  }, [user?.id]);
+
+  const refreshSettings = async () => {
+    const result = await loadSettings();
+    if (result.success) {
+      setSettings(result.settings);
+    }
+  };
+
+  // The stored login user predates per-user timezones, so read it separately
+  const loadOwnTimezone = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('timezone')
+        .eq('id', user.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      setOwnTimezone(data?.timezone || null);
+    } catch (error) {
+      console.error('Error loading timezone:', error.message);
+    }
+  };
+
+  const updateSetting = async (key, value) => {
+    const result = await saveSetting(key, value, user.id);
+    if (result.success) {
+      setSettings(prev => ({ ...prev, [key]: value }));
+    }
+    return result;
+  };
+
+  const companyTimezone = settings[SETTING_KEYS.COMPANY_TIMEZONE] || null;
+
+  // A driver's days follow their own timezone, falling back to the company's
+  // (admins have every user loaded, drivers only know their own)
+  const getUserTimezone = (userId) => {
+    const targetId = userId || user?.id;
+    const match = users.find(u => u.id === targetId);
+    if (match) {
+      return resolveTimezone(match.timezone, companyTimezone);
+    }
+    return resolveTimezone(targetId === user?.id ? ownTimezone : null, companyTimezone);
+  };
+
+  const value = {
+    settings,
+    companyTimezone,
+    timeZone: getUserTimezone(user?.id),
+    getUserTimezone,
+    updateSetting,
+    refreshSettings,
+  };
+
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
+}
@@ -0,0 +1,184 @@
+// Helper functions for driver break change requests
+// Drivers cannot rewrite a break themselves: each edit is saved as a
+// pending request with the original and requested break. Admins approve
+// (the session's break is replaced) or reject it, and every decision is
+// recorded in session_edit_history. Decisions are made in the database
+// (decide_break_change_request) so the session, the request and the audit
+// entry change together.
+import { supabase } from './supabase';
+
+export const REQUEST_STATUSES = {
+  pending: { label: 'Waiting for approval', icon: '⏳', color: '#92400e' },
+  approved: { label: 'Approved', icon: '✅', color: '#059669' },
+  rejected: { label: 'Rejected', icon: '❌', color: '#dc2626' }
+};
+
+const isSameTime = (a, b) => {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+};
+
+/**
+ * Check whether two breaks have the same times
+ * @param {Object} a - Break
+ * @param {Object} b - Break
+ * @returns {boolean} Whether start and end match
+ */
+export const isSameBreak = (a, b) => {
+  return Boolean(a && b) && isSameTime(a.start, b.start) && isSameTime(a.end, b.end);
+};
+
+/**
+ * Build a change request for a driver's break
+ * @param {Object} session - Saved session (not a temporary one)
+ * @param {number} breakIndex - Position of the break in session.breaks
+ * @param {Object} requestedBreak - Break with the new times
+ * @param {string} reason - Driver's explanation (optional)
+ * @returns {Object} Row for break_change_requests
+ */
+export const buildBreakChangeRequest = (session, breakIndex, requestedBreak, reason = '') => ({
+  session_id: session.id,
+  user_id: session.user_id,
+  break_index: breakIndex,
+  original_break: session.breaks[breakIndex],
+  requested_break: requestedBreak,
+  reason: reason.trim() || null,
+  status: 'pending'
+});
+
+/**
+ * Find the latest request for a break
+ * @param {Array} requests - Requests for one session
+ * @param {number} breakIndex - Position of the break
+ * @returns {Object|null} Most recent request, or null
+ */
+export const getLatestRequestForBreak = (requests = [], breakIndex) => {
+  return requests
+    .filter(request => request.break_index === breakIndex)
+    .sort((a, b) => new Date(b.requested_at) - new Date(a.requested_at))[0] || null;
+};
+
+/**
+ * Apply a request to a list of breaks
+ * @param {Array} breaks - Current session breaks
+ * @param {Object} request - Change request
+ * @returns {Array|null} Updated breaks, or null when the break no longer
+ *   matches the one the driver asked to change
+ */
+export const applyBreakChange = (breaks = [], request) => {
+  if (!isSameBreak(breaks[request.break_index], request.original_break)) {
+    return null;
+  }
+
+  const updated = [...breaks];
+  updated[request.break_index] = { ...breaks[request.break_index], ...request.requested_break };
+  return updated;
+};
+
+/**
+ * Bring a driver's local copy of a session up to date with approved requests
+ * Approvals are applied on the server; without this the driver's next save
+ * from the device would put the old times back.
+ * @param {Array} breaks - Breaks on the device
+ * @param {Array} requests - Requests for the session
+ * @returns {Array|null} Updated breaks, or null when nothing changed
+ */
+export const applyApprovedBreakChanges = (breaks = [], requests = []) => {
+  let updated = breaks;
+  requests
+    .filter(request => request.status === 'approved')
+    .forEach(request => {
+      updated = applyBreakChange(updated, request) || updated;
+    });
+  return updated === breaks ? null : updated;
+};
+
+/**
+ * Send a break change request (drivers)
+ * @param {Object} request - Result of buildBreakChangeRequest
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const createBreakChangeRequest = async (request) => {
+  try {
+    const { error } = await supabase
+      .from('break_change_requests')
+      .insert([request]);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating break change request:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Load break change requests
+ * @param {Object} options - {sessionId, status}
+ * @returns {Object} {success: boolean, requests: Array, error: string}
+ */
+export const loadBreakChangeRequests = async (options = {}) => {
+  try {
+    let query = supabase
+      .from('break_change_requests')
+      .select(`
+        *,
+        session:session_id (
+          id,
+          date,
+          start_time,
+          end_time,
+          breaks,
+          user:user_id (
+            id,
+            name,
+            username
+          )
+        ),
+        decider:decided_by (
+          id,
+          name
+        )
+      `)
+      .order('requested_at', { ascending: false });
+
+    if (options.sessionId) {
+      query = query.eq('session_id', options.sessionId);
+    }
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, requests: data || [] };
+  } catch (error) {
+    console.error('Error loading break change requests:', error.message);
+    return { success: false, requests: [], error: error.message };
+  }
+};
+
+/**
+ * Approve or reject a request (admins only)
+ * Approving replaces the break on the session, unless it has changed since
+ * the request was made. The original break stays on the request.
+ * @param {Object} request - Request row
+ * @param {boolean} approve - Approve (true) or reject (false)
+ * @param {string} note - Optional note for the driver
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const decideBreakChangeRequest = async (request, approve, note = '') => {
+  try {
+    const { error } = await supabase.rpc('decide_break_change_request', {
+      p_request_id: request.id,
+      p_approve: approve,
+      p_note: note.trim() || null
+    });
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deciding break change request:', error.message);
+    return { success: false, error: error.message };
+  }
+};
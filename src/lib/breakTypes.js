@@ -0,0 +1,90 @@
+// Helper functions for break types
+// Each break records its type and whether it is paid. Paid breaks (waiting
+// to load, a breakdown, traffic) are not the driver's own time, so they
+// count as payable and working time; unpaid breaks (meal, rest) do not.
+// Breaks saved before types existed have no type and count as unpaid.
+
+export const BREAK_TYPES = {
+  meal: { label: 'Meal', icon: '🍽️', paid: false },
+  rest: { label: 'Rest', icon: '☕', paid: false },
+  loading_wait: { label: 'Loading Wait', icon: '⏳', paid: true },
+  vehicle_breakdown: { label: 'Vehicle Breakdown', icon: '🔧', paid: true },
+  traffic: { label: 'Traffic', icon: '🚦', paid: true }
+};
+
+export const DEFAULT_BREAK_TYPE = 'rest';
+
+// Shown for breaks saved before types existed
+const UNTYPED_BREAK = { label: 'Break', icon: '☕', paid: false };
+
+/**
+ * Create a break starting now
+ * The paid flag is copied from the type so it can be changed per break.
+ * @param {string} type - One of BREAK_TYPES
+ * @param {Date} now - Start of the break
+ * @returns {Object} Break {start, type, paid}
+ */
+export const createBreak = (type = DEFAULT_BREAK_TYPE, now = new Date()) => ({
+  start: now.toISOString(),
+  type,
+  paid: BREAK_TYPES[type]?.paid ?? false
+});
+
+/**
+ * Change the type of a break, resetting the paid flag to the type's default
+ * @param {Object} brk - Break
+ * @param {string} type - One of BREAK_TYPES
+ * @returns {Object} Updated break (a new object)
+ */
+export const setBreakType = (brk, type) => ({
+  ...brk,
+  type,
+  paid: BREAK_TYPES[type]?.paid ?? false
+});
+
+/**
+ * Look up how a break is shown
+ * @param {Object} brk - Break
+ * @returns {Object} {label, icon, paid}: the type's defaults
+ */
+export const getBreakTypeInfo = (brk) => {
+  return BREAK_TYPES[brk?.type] || UNTYPED_BREAK;
+};
+
+/**
+ * Check whether a break counts as paid time
+ * @param {Object} brk - Break
+ * @returns {boolean} The break's own flag, else its type's default
+ */
+export const isPaidBreak = (brk) => {
+  if (typeof brk?.paid === 'boolean') return brk.paid;
+  return getBreakTypeInfo(brk).paid;
+};
+
+/**
+ * Describe a break for lists
+ * @param {Object} brk - Break
+ * @returns {string} e.g. "⏳ Loading Wait (paid)"
+ */
+export const formatBreakType = (brk) => {
+  const info = getBreakTypeInfo(brk);
+  return `${info.icon} ${info.label} (${isPaidBreak(brk) ? 'paid' : 'unpaid'})`;
+};
+
+/**
+ * Validate break types
+ * @param {Array} breaks - Session breaks
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateBreakTypes = (breaks) => {
+  const errors = [];
+  if (!Array.isArray(breaks)) return errors;
+
+  breaks.forEach((brk, idx) => {
+    if (brk.type != null && !BREAK_TYPES[brk.type]) {
+      errors.push(`Break ${idx + 1}: Unknown break type`);
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,243 @@
+// Helper functions for labour-rule compliance
+// Checks sessions against the company's working-time rules (daily and weekly
+// hour caps, mandatory breaks, minimum break length). Open sessions are
+// measured up to "now" so drivers see problems while they are working.
+// Paid breaks (loading waits, breakdowns, traffic) are working time, not
+// rest: they count towards the hour caps and do not satisfy break rules.
+import { normalizeShiftTimes, calculateTimeMetrics, formatTime } from './sessionHelpers';
+import { isPaidBreak } from './breakTypes';
+import { getDateKey, getWeekStartKey } from './timezone';
+import { formatHoursMinutes } from './payroll';
+
+// A value of 0 switches a rule off
+export const DEFAULT_LABOUR_RULES = {
+  maxDailyHours: 10,
+  maxWeeklyHours: 48,
+  breakAfterHours: 6,
+  minBreakMinutes: 30
+};
+
+export const COMPLIANCE_RULES = {
+  daily_hours: 'Daily hours',
+  weekly_hours: 'Weekly hours',
+  break_required: 'Break required',
+  short_break: 'Short break'
+};
+
+// How early drivers are warned before a limit is reached
+export const COMPLIANCE_WARNING_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+};
+
+/**
+ * Validate labour rules before saving
+ * @param {Object} rules - Labour rules
+ * @returns {Array} Error messages (empty when valid)
+ */
+export const validateLabourRules = (rules) => {
+  const errors = [];
+  const fields = [
+    ['maxDailyHours', 'Max daily hours', 24],
+    ['maxWeeklyHours', 'Max weekly hours', 168],
+    ['breakAfterHours', 'Break required after', 24],
+    ['minBreakMinutes', 'Minimum break length', 240]
+  ];
+
+  fields.forEach(([key, label, max]) => {
+    const value = parseFloat(rules[key]);
+    if (rules[key] === '' || rules[key] === null || rules[key] === undefined || Number.isNaN(value)) {
+      errors.push(`${label} must be a number (0 to switch it off)`);
+    } else if (value < 0 || value > max) {
+      errors.push(`${label} must be between 0 and ${max}`);
+    }
+  });
+
+  const daily = parseFloat(rules.maxDailyHours);
+  const weekly = parseFloat(rules.maxWeeklyHours);
+  if (daily > 0 && weekly > 0 && weekly < daily) {
+    errors.push('Max weekly hours cannot be less than max daily hours');
+  }
+
+  return errors;
+};
+
+// Treat a running session (and a running break) as ending now
+const closeAt = (session, now) => {
+  const nowISO = new Date(now).toISOString();
+  return {
+    ...session,
+    end_time: session.end_time || nowISO,
+    breaks: (session.breaks || []).map(brk => (brk.end ? brk : { ...brk, end: nowISO }))
+  };
+};
+
+/**
+ * Measure the longest stretch of work without a qualifying break
+ * Only unpaid breaks of at least minBreakMinutes restart the count; shorter
+ * unpaid breaks pause it. Paid breaks count as work.
+ * @param {Object} session - Session with start_time and breaks
+ * @param {number} minBreakMinutes - Minimum length of a qualifying break
+ * @param {Date|string} now - End point for open sessions
+ * @param {string} timeZone - Driver's timezone (optional, defaults to the browser's)
+ * @returns {Object} {longestMinutes, currentMinutes}
+ */
+export const getContinuousWorkMinutes = (session, minBreakMinutes = 0, now = new Date(), timeZone = null) => {
+  if (!session.start_time) {
+    return { longestMinutes: 0, currentMinutes: 0 };
+  }
+
+  const { start_time, end_time, breaks } = normalizeShiftTimes(closeAt(session, now), timeZone);
+  const minBreakMs = toNumber(minBreakMinutes) * MINUTE_MS;
+  let cursor = new Date(start_time).getTime();
+  let current = 0;
+  let longest = 0;
+
+  breaks
+    .filter(brk => brk.start && !isPaidBreak(brk))
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+    .forEach(brk => {
+      const breakStart = new Date(brk.start).getTime();
+      const breakEnd = new Date(brk.end).getTime();
+      current += Math.max(0, breakStart - cursor);
+      longest = Math.max(longest, current);
+      if (breakEnd - breakStart >= minBreakMs) {
+        current = 0;
+      }
+      cursor = Math.max(cursor, breakEnd);
+    });
+
+  current += Math.max(0, new Date(end_time).getTime() - cursor);
+  longest = Math.max(longest, current);
+
+  return { longestMinutes: longest / MINUTE_MS, currentMinutes: current / MINUTE_MS };
+};
+
+/**
+ * Check sessions against the labour rules
+ * Daily and weekly totals add up every session given for the same driver,
+ * grouped by the day (and ISO week) the session started in the driver's
+ * timezone. Pass enough history to cover the week of the first session.
+ * @param {Array} sessions - Session rows, ended or open
+ * @param {Object} rules - Labour rules
+ * @param {Object} options - {getTimezone, now}
+ * @returns {Object} Findings keyed by session id; each finding is
+ *   {rule, severity: 'violation'|'warning', message}
+ */
+export const evaluateCompliance = (sessions, rules = DEFAULT_LABOUR_RULES, options = {}) => {
+  const { getTimezone = () => null, now = new Date() } = options;
+  const maxDailyMinutes = toNumber(rules.maxDailyHours) * 60;
+  const maxWeeklyMinutes = toNumber(rules.maxWeeklyHours) * 60;
+  const breakAfterMinutes = toNumber(rules.breakAfterHours) * 60;
+  const minBreakMinutes = toNumber(rules.minBreakMinutes);
+
+  const dayTotals = new Map();
+  const weekTotals = new Map();
+  const findings = {};
+
+  const checkLimit = (list, rule, minutes, limit, isOpen, describe) => {
+    if (!limit) return;
+    if (minutes > limit) {
+      list.push({ rule, severity: 'violation', message: describe.over(minutes, limit) });
+    } else if (isOpen && limit - minutes <= COMPLIANCE_WARNING_MINUTES) {
+      list.push({ rule, severity: 'warning', message: describe.near(limit - minutes) });
+    }
+  };
+
+  sessions
+    .filter(session => session.start_time)
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+    .forEach(session => {
+      const timeZone = getTimezone(session.user_id);
+      const isOpen = !session.end_time;
+      const closed = closeAt(session, now);
+      const workMinutes = Math.max(0, calculateTimeMetrics(closed, timeZone).payableTime * 60);
+      const dayKey = getDateKey(session.start_time, timeZone);
+      const dayId = `${session.user_id}|${dayKey}`;
+      const weekId = `${session.user_id}|${getWeekStartKey(dayKey)}`;
+      const dayMinutes = (dayTotals.get(dayId) || 0) + workMinutes;
+      const weekMinutes = (weekTotals.get(weekId) || 0) + workMinutes;
+      dayTotals.set(dayId, dayMinutes);
+      weekTotals.set(weekId, weekMinutes);
+
+      const list = [];
+
+      checkLimit(list, 'daily_hours', dayMinutes, maxDailyMinutes, isOpen, {
+        over: (minutes, limit) => `Worked ${formatHoursMinutes(minutes / 60)} on this day (limit ${limit / 60}h)`,
+        near: (left) => `Daily limit of ${maxDailyMinutes / 60}h reached in ${Math.ceil(left)} min`
+      });
+
+      checkLimit(list, 'weekly_hours', weekMinutes, maxWeeklyMinutes, isOpen, {
+        over: (minutes, limit) => `Worked ${formatHoursMinutes(minutes / 60)} this week (limit ${limit / 60}h)`,
+        near: (left) => `Weekly limit of ${maxWeeklyMinutes / 60}h reached in ${Math.ceil(left)} min`
+      });
+
+      if (breakAfterMinutes) {
+        const { longestMinutes, currentMinutes } = getContinuousWorkMinutes(session, minBreakMinutes, now, timeZone);
+        const breakLabel = minBreakMinutes ? `a break of at least ${minBreakMinutes} min` : 'a break';
+        if (longestMinutes > breakAfterMinutes) {
+          list.push({
+            rule: 'break_required',
+            severity: 'violation',
+            message: `Worked ${formatHoursMinutes(longestMinutes / 60)} without ${breakLabel} (limit ${breakAfterMinutes / 60}h)`
+          });
+        } else if (isOpen && session.status !== 'on-break' &&
+                   breakAfterMinutes - currentMinutes <= COMPLIANCE_WARNING_MINUTES) {
+          list.push({
+            rule: 'break_required',
+            severity: 'warning',
+            message: `Take ${breakLabel} within ${Math.ceil(breakAfterMinutes - currentMinutes)} min`
+          });
+        }
+      }
+
+      if (minBreakMinutes) {
+        normalizeShiftTimes(session, timeZone).breaks.forEach(brk => {
+          if (!brk.start || !brk.end || isPaidBreak(brk)) return;
+          const breakMinutes = (new Date(brk.end) - new Date(brk.start)) / MINUTE_MS;
+          if (breakMinutes < minBreakMinutes) {
+            list.push({
+              rule: 'short_break',
+              severity: 'violation',
+              message: `Break at ${formatTime(brk.start, timeZone)} lasted ${Math.round(breakMinutes)} min (minimum ${minBreakMinutes} min)`
+            });
+          }
+        });
+      }
+
+      findings[session.id] = list;
+    });
+
+  return findings;
+};
+
+/**
+ * Count violations (not warnings) in a list of findings
+ * @param {Array} list - Findings for one session
+ * @returns {number} Number of violations
+ */
+export const countViolations = (list = []) => {
+  return list.filter(finding => finding.severity === 'violation').length;
+};
+
+/**
+ * Describe the labour rules in words
+ * @param {Object} rules - Labour rules
+ * @returns {string} e.g. "Max 10h/day · Max 48h/week · 30 min break after 6h"
+ */
+export const describeLabourRules = (rules = DEFAULT_LABOUR_RULES) => {
+  const parts = [];
+  if (toNumber(rules.maxDailyHours)) parts.push(`Max ${toNumber(rules.maxDailyHours)}h/day`);
+  if (toNumber(rules.maxWeeklyHours)) parts.push(`Max ${toNumber(rules.maxWeeklyHours)}h/week`);
+  if (toNumber(rules.breakAfterHours)) {
+    const minBreak = toNumber(rules.minBreakMinutes);
+    parts.push(`${minBreak ? `${minBreak} min ` : ''}break after ${toNumber(rules.breakAfterHours)}h`);
+  } else if (toNumber(rules.minBreakMinutes)) {
+    parts.push(`Breaks of at least ${toNumber(rules.minBreakMinutes)} min`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'No labour rules set';
+};
@@ -0,0 +1,329 @@
+// Helper functions for depot geofences and clock-in/out locations
+// Admins manage depots (a centre point and a radius); everyone logged in can
+// read them (RLS). Depending on the company's geofence policy, the driver's
+// location is recorded, or required to be at a depot, when starting work and
+// ending the day ('require' is enforced by the database too). The depot list
+// is kept on the device for checks without signal.
+import { supabase } from './supabase';
+import { getDistanceMeters, toTrackPoint, GPS_MAX_ACCURACY_METERS } from './gpsTracking';
+
+export const GEOFENCE_POLICIES = {
+  off: 'Off - no location check',
+  record: 'Record location (flag sessions away from a depot)',
+  require: 'Require drivers to be at a depot'
+};
+
+export const DEFAULT_GEOFENCE_SETTINGS = {
+  policy: 'off'
+};
+
+export const DEFAULT_DEPOT_RADIUS_M = 200;
+export const MIN_DEPOT_RADIUS_M = 25;
+export const MAX_DEPOT_RADIUS_M = 5000;
+
+// Give up waiting for a fix after 15 seconds
+export const LOCATION_TIMEOUT_MS = 15 * 1000;
+
+const DEPOT_CACHE_KEY = 'depot-cache';
+
+const LOCATION_ERRORS = {
+  unsupported: 'This device cannot share its location',
+  denied: 'Location access was denied',
+  unavailable: 'Location could not be found'
+};
+
+/**
+ * Validate depot form data
+ * @param {Object} depotData - {name, latitude, longitude, radius_m}
+ * @param {Array} depots - Existing depots (for duplicate names)
+ * @param {string} editingId - Id of the depot being edited, if any
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateDepot = (depotData, depots = [], editingId = null) => {
+  const errors = [];
+  const name = (depotData.name || '').trim();
+
+  if (!name) {
+    errors.push('Depot name is required');
+  } else if (depots.some(d => d.id !== editingId && d.name.trim().toLowerCase() === name.toLowerCase())) {
+    errors.push('A depot with this name already exists');
+  }
+
+  const latitude = parseFloat(depotData.latitude);
+  if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+    errors.push('Latitude must be between -90 and 90');
+  }
+
+  const longitude = parseFloat(depotData.longitude);
+  if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+    errors.push('Longitude must be between -180 and 180');
+  }
+
+  const radius = parseInt(depotData.radius_m);
+  if (isNaN(radius) || radius < MIN_DEPOT_RADIUS_M || radius > MAX_DEPOT_RADIUS_M) {
+    errors.push(`Radius must be between ${MIN_DEPOT_RADIUS_M} and ${MAX_DEPOT_RADIUS_M} metres`);
+  }
+
+  return errors;
+};
+
+/**
+ * Describe a distance for drivers and admins
+ * @param {number} meters - Distance in metres
+ * @returns {string} e.g. "850 m" or "3.2 km"
+ */
+export const formatDistance = (meters) => {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+};
+
+/**
+ * Find the active depot closest to a point
+ * The fix's accuracy counts in the driver's favour (up to the accuracy
+ * limit used for GPS tracking), so a poor fix at the gate is not flagged.
+ * @param {Object} point - {latitude, longitude, accuracy}
+ * @param {Array} depots - Depot rows
+ * @returns {Object|null} {depot, distanceMeters, inside}, or null without active depots
+ */
+export const findNearestDepot = (point, depots = []) => {
+  const slack = Math.min(point.accuracy || 0, GPS_MAX_ACCURACY_METERS);
+  let nearest = null;
+
+  depots.filter(depot => depot.active !== false).forEach(depot => {
+    const distanceMeters = getDistanceMeters(point, depot);
+    if (!nearest || distanceMeters < nearest.distanceMeters) {
+      nearest = { depot, distanceMeters, inside: distanceMeters - slack <= depot.radius_m };
+    }
+  });
+
+  return nearest;
+};
+
+/**
+ * Build the location record saved on a session at clock-in or clock-out
+ * @param {Object|null} point - Track point, or null when no fix was available
+ * @param {Array|null} depots - Depot rows, or null when the list could not
+ *   be loaded
+ * @param {string} error - Key of LOCATION_ERRORS when there is no fix
+ * @param {Date} now - Time of the attempt
+ * @returns {Object} {latitude, longitude, accuracy, recorded_at, depot_id,
+ *   depot_name, distance_m, inside_depot} or {error, recorded_at}; without a
+ *   depot list inside_depot is null and depots_unavailable is true
+ */
+export const buildClockLocation = (point, depots = [], error = 'unavailable', now = new Date()) => {
+  if (!point) {
+    return { error, recorded_at: now.toISOString() };
+  }
+
+  if (!depots) {
+    return {
+      ...point,
+      depot_id: null,
+      depot_name: null,
+      distance_m: null,
+      inside_depot: null,
+      depots_unavailable: true
+    };
+  }
+
+  const nearest = findNearestDepot(point, depots);
+  return {
+    ...point,
+    depot_id: nearest?.depot.id || null,
+    depot_name: nearest?.depot.name || null,
+    distance_m: nearest ? Math.round(nearest.distanceMeters) : null,
+    // Unknown (null) when no depots have been set up yet
+    inside_depot: nearest ? nearest.inside : null
+  };
+};
+
+/**
+ * Describe a saved clock-in/out location when it needs an admin's attention
+ * Locations that could not be checked against a depot are flagged too.
+ * @param {Object|null} location - sessions.start_location or end_location
+ * @returns {string|null} e.g. "3.2 km from Main Depot", or null when no
+ *   location was recorded or it was at a depot
+ */
+export const getLocationFlag = (location) => {
+  if (!location) return null;
+  if (location.error) return LOCATION_ERRORS[location.error] || LOCATION_ERRORS.unavailable;
+  if (location.depots_unavailable) return 'Not checked - depot list unavailable';
+  if (location.inside_depot === false) {
+    return `${formatDistance(location.distance_m)} from ${location.depot_name}`;
+  }
+  if (location.inside_depot !== true) return 'Not checked - no depots set up';
+  return null;
+};
+
+/**
+ * Check a location against the geofence policy
+ * @param {Object} location - Result of buildClockLocation
+ * @param {string} policy - Key of GEOFENCE_POLICIES
+ * @param {string} action - What the driver is doing, e.g. 'start work'
+ * @returns {string|null} Error message when the action must be blocked
+ */
+export const getGeofenceError = (location, policy, action) => {
+  if (policy !== 'require') return null;
+  if (location.error) {
+    return `${LOCATION_ERRORS[location.error] || LOCATION_ERRORS.unavailable}. Your location is needed to ${action} - allow location access and try again.`;
+  }
+  if (location.depots_unavailable) {
+    return `The depot list could not be loaded, so your location cannot be checked. Connect to the internet and try again to ${action}.`;
+  }
+  if (location.inside_depot === false) {
+    return `You are ${formatDistance(location.distance_m)} from ${location.depot_name}. You can only ${action} at a depot.`;
+  }
+  if (location.inside_depot !== true) {
+    return `No depots have been set up, so your location cannot be checked. Ask an admin to add a depot before you ${action}.`;
+  }
+  return null;
+};
+
+/**
+ * Get the device's current location once
+ * @param {number} timeoutMs - How long to wait for a fix
+ * @returns {Promise<Object>} {success: boolean, point: Object, error: string}
+ *   where error is a key of LOCATION_ERRORS
+ */
+export const getCurrentLocation = (timeoutMs = LOCATION_TIMEOUT_MS) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    return Promise.resolve({ success: false, point: null, error: 'unsupported' });
+  }
+
+  return new Promise(resolve => {
+    navigator.geolocation.getCurrentPosition(
+      position => resolve({ success: true, point: toTrackPoint(position) }),
+      error => resolve({
+        success: false,
+        point: null,
+        error: error.code === error.PERMISSION_DENIED ? 'denied' : 'unavailable'
+      }),
+      { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 30 * 1000 }
+    );
+  });
+};
+
+/**
+ * Load depots
+ * @param {boolean} activeOnly - Leave out depots not in use
+ * @returns {Object} {success: boolean, depots: Array, error: string}
+ */
+export const loadDepots = async (activeOnly = false) => {
+  try {
+    let query = supabase
+      .from('depots')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, depots: data || [] };
+  } catch (error) {
+    console.error('Error loading depots:', error.message);
+    return { success: false, depots: [], error: error.message };
+  }
+};
+
+const readCachedDepots = () => {
+  try {
+    const cached = JSON.parse(localStorage.getItem(DEPOT_CACHE_KEY));
+    return Array.isArray(cached) ? cached : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Load the active depots for a clock-in/out check
+ * Each successful load is kept on the device; without signal the last
+ * loaded list is used.
+ * @returns {Object} {depots: Array|null, cached: boolean} - depots is null
+ *   when the list has never been loaded on this device
+ */
+export const loadDepotsForCheck = async () => {
+  const result = await loadDepots(true);
+  if (!result.success) {
+    return { depots: readCachedDepots(), cached: true };
+  }
+
+  try {
+    localStorage.setItem(DEPOT_CACHE_KEY, JSON.stringify(result.depots));
+  } catch (error) {
+    console.error('Error caching depots:', error.message);
+  }
+  return { depots: result.depots, cached: false };
+};
+
+// Form values to table columns
+const toDepotRow = (depotData) => ({
+  name: depotData.name.trim(),
+  latitude: Number(parseFloat(depotData.latitude).toFixed(6)),
+  longitude: Number(parseFloat(depotData.longitude).toFixed(6)),
+  radius_m: parseInt(depotData.radius_m),
+  active: depotData.active !== false
+});
+
+/**
+ * Create a depot (admins only)
+ * @param {Object} depotData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const createDepot = async (depotData) => {
+  try {
+    const { error } = await supabase
+      .from('depots')
+      .insert([toDepotRow(depotData)]);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating depot:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a depot (admins only)
+ * @param {string} depotId - Depot to update
+ * @param {Object} depotData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const updateDepot = async (depotId, depotData) => {
+  try {
+    const { error } = await supabase
+      .from('depots')
+      .update(toDepotRow(depotData))
+      .eq('id', depotId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating depot:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a depot (admins only)
+ * Sessions keep the depot name in their saved clock-in/out location.
+ * @param {string} depotId - Depot to delete
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const deleteDepot = async (depotId) => {
+  try {
+    const { error } = await supabase
+      .from('depots')
+      .delete()
+      .eq('id', depotId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting depot:', error.message);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,111 @@
+// Helper functions for the cross-driver comparison in Driver Performance
+// Each driver's ended sessions over a date range are totalled in the
+// database (performance_by_driver); drivers are then ranked by work hours,
+// success rates and productivity per hour worked.
+import { supabase } from './supabase';
+
+export const COMPARISON_METRICS = {
+  workHours: { label: 'Work Hours', icon: '⏰', suffix: 'h', decimals: 1 },
+  deliverySuccessRate: { label: 'Delivery Success', icon: '📦', suffix: '%', decimals: 1 },
+  pickupSuccessRate: { label: 'Pickup Success', icon: '📥', suffix: '%', decimals: 1 },
+  kmPerHour: { label: 'KM per Hour', icon: '🚗', suffix: '', decimals: 1 },
+  deliveriesPerHour: { label: 'Deliveries per Hour', icon: '⚡', suffix: '', decimals: 2 }
+};
+
+/**
+ * Format a comparison metric for tables and tooltips
+ * @param {number|null} value - Metric value
+ * @param {string} metric - Key of COMPARISON_METRICS
+ * @returns {string} e.g. "92.5%", or "-" when there is no data
+ */
+export const formatComparisonMetric = (value, metric) => {
+  if (value === null || value === undefined) return '-';
+  const { suffix, decimals } = COMPARISON_METRICS[metric];
+  return `${value.toFixed(decimals)}${suffix}`;
+};
+
+/**
+ * Rate each driver's totals
+ * Success rates are successful / all attempts. KM per hour only uses
+ * sessions with mileage, so drivers who skip the odometer are not
+ * penalised. Deliveries per hour counts successful deliveries.
+ * @param {Array} totals - Rows of performance_by_driver
+ * @param {Array} drivers - Drivers to list, even without sessions
+ * @returns {Array} Rows {userId, name, username, sessions, workHours,
+ *   deliveries, successfulDeliveries, pickups, successfulPickups, km,
+ *   deliverySuccessRate, pickupSuccessRate, kmPerHour, deliveriesPerHour};
+ *   rates are null without data
+ */
+export const buildDriverComparison = (totals, drivers) => {
+  const totalsByUser = new Map(totals.map(row => [row.user_id, row]));
+  const number = (value) => Number(value) || 0;
+
+  const rows = drivers.map(driver => {
+    const total = totalsByUser.get(driver.id) || {};
+    return {
+      userId: driver.id,
+      name: driver.name,
+      username: driver.username,
+      sessions: number(total.sessions),
+      workHours: number(total.work_hours),
+      deliveries: number(total.positive_deliveries) + number(total.negative_deliveries),
+      successfulDeliveries: number(total.positive_deliveries),
+      pickups: number(total.positive_pickups) + number(total.negative_pickups),
+      successfulPickups: number(total.positive_pickups),
+      km: number(total.total_km),
+      kmWorkHours: number(total.km_work_hours)
+    };
+  });
+
+  const rate = (part, whole) => (whole > 0 ? (part / whole) * 100 : null);
+  const perHour = (amount, hours) => (hours > 0 ? amount / hours : null);
+
+  return rows.map(({ kmWorkHours, ...row }) => ({
+    ...row,
+    deliverySuccessRate: rate(row.successfulDeliveries, row.deliveries),
+    pickupSuccessRate: rate(row.successfulPickups, row.pickups),
+    kmPerHour: perHour(row.km, kmWorkHours),
+    deliveriesPerHour: perHour(row.successfulDeliveries, row.workHours)
+  }));
+};
+
+/**
+ * Load each driver's totals over a date range (admins see every driver)
+ * @param {Object} range - {from, to}: Dates bounding the session dates
+ * @returns {Object} {success: boolean, totals: Array, error: string}
+ */
+export const loadDriverTotals = async ({ from = null, to = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('performance_by_driver', {
+      p_from: from ? from.toISOString() : null,
+      p_to: to ? to.toISOString() : null
+    });
+
+    if (error) throw error;
+    return { success: true, totals: data || [] };
+  } catch (error) {
+    console.error('Error loading driver comparison:', error.message);
+    return { success: false, totals: [], error: error.message };
+  }
+};
+
+/**
+ * Sort comparison rows by a column
+ * Drivers without data for the column always come last.
+ * @param {Array} rows - Result of buildDriverComparison
+ * @param {string} key - 'name', 'sessions' or a key of COMPARISON_METRICS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} Sorted copy
+ */
+export const sortComparisonRows = (rows, key, direction = 'desc') => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const aValue = a[key];
+    const bValue = b[key];
+    if (aValue === null && bValue === null) return a.name.localeCompare(b.name);
+    if (aValue === null) return 1;
+    if (bValue === null) return -1;
+    if (typeof aValue === 'string') return sign * aValue.localeCompare(bValue);
+    return sign * (aValue - bValue) || a.name.localeCompare(b.name);
+  });
+};
@@ -0,0 +1,334 @@
+// Helper functions for exporting reports as CSV, Excel (XLSX) and printable HTML
+// Used by the payroll report and session exports, and to read CSV imports
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV cell
+ * Text that a spreadsheet would read as a formula is prefixed with ' so it
+ * opens as plain text; numbers are written as they are.
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell text
+ */
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value !== 'number' && CSV_FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build CSV text from rows
+ * @param {Array} columns - [{key, label}] in output order
+ * @param {Array} rows - Row objects keyed by column key
+ * @returns {string} CSV text with a header row
+ */
+export const toCSV = (columns, rows) => {
+  const header = columns.map(col => escapeCSVValue(col.label)).join(',');
+  const lines = rows.map(row =>
+    columns.map(col => escapeCSVValue(row[col.key])).join(',')
+  );
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with commas, line breaks and doubled quotes, and
+ * skips blank lines and a leading byte order mark.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of cell strings
+ */
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Pack files into a ZIP archive (stored, without compression)
+ * @param {Array} files - [{name, content}] with text content
+ * @returns {Uint8Array} ZIP file
+ */
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+const escapeXML = (value) => {
+  // Control characters are not allowed in XML
+  return escapeHTML(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+};
+
+const getColumnLetter = (index) => {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+/**
+ * Build the worksheet XML for a table
+ * Numbers become number cells; everything else is text. The header row is bold.
+ * @param {Array} columns - [{key, label}] in output order
+ * @param {Array} rows - Row objects keyed by column key
+ * @returns {string} SpreadsheetML worksheet
+ */
+export const buildSheetXML = (columns, rows) => {
+  const renderCell = (value, ref, style = '') => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && isFinite(value)) {
+      return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+  };
+
+  const header = columns.map((col, idx) => renderCell(col.label, `${getColumnLetter(idx)}1`, ' s="1"')).join('');
+  const lines = rows.map((row, rowIdx) => {
+    const cells = columns.map((col, idx) => renderCell(row[col.key], `${getColumnLetter(idx)}${rowIdx + 2}`)).join('');
+    return `<row r="${rowIdx + 2}">${cells}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData><row r="1">${header}</row>${lines.join('')}</sheetData>` +
+    '</worksheet>';
+};
+
+/**
+ * Build an Excel workbook with one sheet
+ * @param {Array} columns - [{key, label}] in output order
+ * @param {Array} rows - Row objects keyed by column key
+ * @param {string} sheetName - Sheet tab name
+ * @returns {Uint8Array} XLSX file
+ */
+export const toXLSX = (columns, rows, sheetName = 'Sheet1') => {
+  // Sheet names are limited to 31 characters and a few symbols are not allowed
+  const safeSheetName = escapeXML(String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: buildSheetXML(columns, rows)
+    }
+  ]);
+};
+
+/**
+ * Escape text for safe use inside HTML
+ * @param {any} value - Text to escape
+ * @returns {string} Escaped HTML text
+ */
+export const escapeHTML = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Make a string safe to use in a file name
+ * @param {string} text - Text such as a date range
+ * @returns {string} File name part
+ */
+export const toFileNamePart = (text) => {
+  return String(text).trim().replace(/[^a-zA-Z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Trigger a browser download
+ * @param {string|Uint8Array|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type (ignored for Blobs)
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  // BOM so Excel opens UTF-8 CSV files (names with accents) correctly
+  const blob = content instanceof Blob
+    ? content
+    : content instanceof Uint8Array
+    ? new Blob([content], { type: mimeType })
+    : new Blob([mimeType.startsWith('text/csv') ? '\uFEFF' : '', content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Open an HTML document in a new window and show the print dialog
+ * Falls back to downloading the file when pop-ups are blocked.
+ * @param {string} html - Complete HTML document
+ * @param {string} fileName - File name for the download fallback
+ */
+export const openPrintableHTML = (html, fileName) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    downloadFile(html, fileName, 'text/html;charset=utf-8');
+    return;
+  }
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.onload = () => printWindow.print();
+};
@@ -0,0 +1,178 @@
+// Helper functions for failed delivery/pickup reason codes
+// The catalogue is a company setting. Sessions store how many failures had
+// each reason: {delivery: {code: count}, pickup: {code: count}}.
+
+export const FAILURE_KINDS = {
+  delivery: { label: 'Deliveries', field: 'negative_deliveries' },
+  pickup: { label: 'Pickups', field: 'negative_pickups' }
+};
+
+export const REASON_APPLIES_TO = {
+  both: 'Deliveries and pickups',
+  delivery: 'Deliveries only',
+  pickup: 'Pickups only'
+};
+
+// Failures the driver did not give a reason for
+export const UNSPECIFIED_REASON = 'unspecified';
+
+export const DEFAULT_FAILURE_REASONS = [
+  { code: 'customer_absent', label: 'Customer absent', appliesTo: 'both', active: true },
+  { code: 'wrong_address', label: 'Wrong address', appliesTo: 'both', active: true },
+  { code: 'refused', label: 'Refused by customer', appliesTo: 'delivery', active: true },
+  { code: 'damaged', label: 'Package damaged', appliesTo: 'both', active: true },
+  { code: 'access_denied', label: 'Access denied', appliesTo: 'both', active: true },
+  { code: 'not_ready', label: 'Package not ready', appliesTo: 'pickup', active: true },
+  { code: 'other', label: 'Other', appliesTo: 'both', active: true }
+];
+
+/**
+ * Read the reason catalogue from its setting value
+ * @param {Array|null} value - Stored setting value
+ * @returns {Array} Reasons {code, label, appliesTo, active}
+ */
+export const getFailureReasons = (value) => {
+  return Array.isArray(value) && value.length > 0 ? value : DEFAULT_FAILURE_REASONS;
+};
+
+/**
+ * Reasons a driver can pick for a failed delivery or pickup
+ * @param {Array} reasons - Reason catalogue
+ * @param {string} kind - 'delivery' or 'pickup'
+ * @returns {Array} Active reasons that apply to this kind
+ */
+export const getReasonsFor = (reasons, kind) => {
+  return reasons.filter(reason => reason.active !== false &&
+    (reason.appliesTo === 'both' || reason.appliesTo === kind));
+};
+
+/**
+ * Turn a label into a reason code
+ * @param {string} label - e.g. "Customer absent"
+ * @returns {string} e.g. "customer_absent"
+ */
+export const toReasonCode = (label) => {
+  return (label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+/**
+ * Look up the label for a reason code
+ * Codes no longer in the catalogue are shown as stored.
+ * @param {Array} reasons - Reason catalogue
+ * @param {string} code - Reason code
+ * @returns {string} Label
+ */
+export const getReasonLabel = (reasons, code) => {
+  if (code === UNSPECIFIED_REASON) return 'Not specified';
+  const reason = reasons.find(r => r.code === code);
+  return reason ? reason.label : code;
+};
+
+/**
+ * Validate the reason catalogue before saving
+ * @param {Array} reasons - Reasons {code, label, appliesTo, active}
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateFailureReasons = (reasons) => {
+  const errors = [];
+  const codes = new Set();
+
+  if (!reasons.some(reason => reason.active !== false)) {
+    errors.push('Keep at least one reason in use');
+  }
+
+  reasons.forEach((reason, idx) => {
+    if (!(reason.label || '').trim()) {
+      errors.push(`Reason ${idx + 1}: Label is required`);
+      return;
+    }
+    if (!reason.code || reason.code === UNSPECIFIED_REASON) {
+      errors.push(`Reason ${idx + 1}: Choose a different label`);
+    } else if (codes.has(reason.code)) {
+      errors.push(`Reason ${idx + 1}: "${reason.label}" is listed twice`);
+    }
+    codes.add(reason.code);
+    if (!REASON_APPLIES_TO[reason.appliesTo]) {
+      errors.push(`Reason ${idx + 1}: Choose what it applies to`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Add up per-reason counts
+ * @param {Object} counts - {code: count}
+ * @returns {number} Total
+ */
+export const sumReasonCounts = (counts) => {
+  return Object.values(counts || {}).reduce((sum, count) => sum + (parseInt(count) || 0), 0);
+};
+
+/**
+ * Drop empty and zero counts before saving
+ * @param {Object} failureReasons - {delivery: {code: count}, pickup: {code: count}}
+ * @returns {Object} Same shape with whole, positive counts only
+ */
+export const cleanFailureReasons = (failureReasons) => {
+  const cleaned = { delivery: {}, pickup: {} };
+  Object.keys(FAILURE_KINDS).forEach(kind => {
+    Object.entries(failureReasons?.[kind] || {}).forEach(([code, count]) => {
+      const value = parseInt(count) || 0;
+      if (value > 0) cleaned[kind][code] = value;
+    });
+  });
+  return cleaned;
+};
+
+/**
+ * Check per-reason counts against the session's failed counts
+ * @param {Object} sessionData - Session with negative counts and failure_reasons
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateReasonCounts = (sessionData) => {
+  const errors = [];
+  const failureReasons = sessionData.failure_reasons;
+  if (!failureReasons) return errors;
+
+  Object.entries(FAILURE_KINDS).forEach(([kind, { field }]) => {
+    const counts = failureReasons[kind] || {};
+    if (Object.values(counts).some(count => (parseInt(count) || 0) < 0)) {
+      errors.push('Failure reason counts cannot be negative');
+    } else if (sumReasonCounts(counts) > (parseInt(sessionData[field]) || 0)) {
+      errors.push(`Failure reasons add up to more than the failed ${kind === 'delivery' ? 'deliveries' : 'pickups'}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Count failures per reason over a set of sessions
+ * Failures without a reason are counted as UNSPECIFIED_REASON.
+ * @param {Array} sessions - Session rows
+ * @param {Array} reasons - Reason catalogue (for labels)
+ * @returns {Array} Rows {code, label, delivery, pickup, total}, most frequent first
+ */
+export const getFailureReasonBreakdown = (sessions, reasons) => {
+  const rows = new Map();
+  const add = (code, kind, count) => {
+    if (count <= 0) return;
+    if (!rows.has(code)) {
+      rows.set(code, { code, label: getReasonLabel(reasons, code), delivery: 0, pickup: 0, total: 0 });
+    }
+    const row = rows.get(code);
+    row[kind] += count;
+    row.total += count;
+  };
+
+  sessions.forEach(session => {
+    Object.entries(FAILURE_KINDS).forEach(([kind, { field }]) => {
+      const counts = session.failure_reasons?.[kind] || {};
+      Object.entries(counts).forEach(([code, count]) => add(code, kind, parseInt(count) || 0));
+      add(UNSPECIFIED_REASON, kind, (parseInt(session[field]) || 0) - sumReasonCounts(counts));
+    });
+  });
+
+  return Array.from(rows.values()).sort((a, b) => b.total - a.total);
+};
@@ -0,0 +1,122 @@
+// Helper functions for the live fleet status board
+// Works out what every driver is doing right now from their latest session
+// and keeps the session list current as realtime changes arrive.
+import { normalizeShiftTimes } from './sessionHelpers';
+import { getDateKey } from './timezone';
+
+export const FLEET_STATUSES = {
+  working: { label: 'Working', icon: '🟢', order: 0 },
+  'on-break': { label: 'On Break', icon: '☕', order: 1 },
+  ended: { label: 'Day Ended', icon: '✅', order: 2 },
+  'not-started': { label: 'Not Started', icon: '⏸️', order: 3 }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Apply a realtime change from the sessions table to a list of sessions
+ * @param {Array} sessions - Current session rows
+ * @param {Object} payload - Realtime payload {eventType, new, old}
+ * @returns {Array} Updated session rows (a new array)
+ */
+export const applySessionChange = (sessions, payload) => {
+  const { eventType } = payload;
+
+  if (eventType === 'DELETE') {
+    const deletedId = payload.old?.id;
+    return sessions.filter(session => session.id !== deletedId);
+  }
+
+  const changed = payload.new;
+  if (!changed?.id) return sessions;
+
+  const index = sessions.findIndex(session => session.id === changed.id);
+  if (index === -1) {
+    return [...sessions, changed];
+  }
+
+  const updated = [...sessions];
+  updated[index] = { ...updated[index], ...changed };
+  return updated;
+};
+
+/**
+ * Work out the current status of every driver
+ * An open session wins; otherwise a session that started today (in the
+ * driver's timezone) means the day has ended.
+ * @param {Array} drivers - Driver users
+ * @param {Array} sessions - Recent session rows (open or from today)
+ * @param {Function} getTimezone - Returns the timezone for a user id
+ * @param {Date} now - Current time
+ * @returns {Array} Rows {driver, status, session, elapsedMinutes,
+ *   currentBreakMinutes, breakMinutes, startKm}, busiest first
+ */
+export const getFleetStatus = (drivers, sessions, getTimezone = () => null, now = new Date()) => {
+  const nowMs = new Date(now).getTime();
+
+  return drivers
+    .map(driver => {
+      const timeZone = getTimezone(driver.id);
+      const today = getDateKey(now, timeZone);
+      const driverSessions = sessions
+        .filter(session => session.user_id === driver.id && session.start_time)
+        .sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
+
+      const session = driverSessions.find(s => !s.end_time) ||
+        driverSessions.find(s => getDateKey(s.start_time, timeZone) === today);
+
+      if (!session) {
+        return {
+          driver,
+          status: 'not-started',
+          session: null,
+          elapsedMinutes: 0,
+          currentBreakMinutes: 0,
+          breakMinutes: 0,
+          startKm: null
+        };
+      }
+
+      const { start_time, end_time, breaks } = normalizeShiftTimes(session, timeZone);
+      const isOpen = !session.end_time;
+      const endMs = isOpen ? nowMs : new Date(end_time).getTime();
+      const openBreak = isOpen ? breaks.find(brk => brk.start && !brk.end) : null;
+      const status = !isOpen ? 'ended' : openBreak ? 'on-break' : 'working';
+
+      const breakMinutes = breaks.reduce((total, brk) => {
+        if (!brk.start) return total;
+        const breakEnd = brk.end ? new Date(brk.end).getTime() : endMs;
+        return total + Math.max(0, breakEnd - new Date(brk.start).getTime()) / MINUTE_MS;
+      }, 0);
+
+      return {
+        driver,
+        status,
+        session,
+        elapsedMinutes: Math.max(0, endMs - new Date(start_time).getTime()) / MINUTE_MS,
+        currentBreakMinutes: openBreak ? Math.max(0, nowMs - new Date(openBreak.start).getTime()) / MINUTE_MS : 0,
+        breakMinutes,
+        startKm: session.start_km ?? null
+      };
+    })
+    .sort((a, b) => (
+      FLEET_STATUSES[a.status].order - FLEET_STATUSES[b.status].order ||
+      (a.driver.name || '').localeCompare(b.driver.name || '')
+    ));
+};
+
+/**
+ * Count drivers in each status
+ * @param {Array} rows - Result of getFleetStatus
+ * @returns {Object} Counts keyed by status
+ */
+export const countFleetStatus = (rows) => {
+  const counts = {};
+  Object.keys(FLEET_STATUSES).forEach(status => {
+    counts[status] = 0;
+  });
+  rows.forEach(row => {
+    counts[row.status] += 1;
+  });
+  return counts;
+};
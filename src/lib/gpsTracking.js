@@ -0,0 +1,320 @@
+// Helper functions for GPS breadcrumbs recorded while a session is working
+// (breaks are not tracked). Points are kept on the device first, in a queue
+// per driver, and uploaded to session_locations in batches, so tracking
+// carries on without signal. The GPS distance is used to cross-check the
+// odometer reading.
+import { supabase } from './supabase';
+import { isTemporarySessionId } from './offlineSync';
+
+// Keep at most one point a minute, and only after the vehicle has moved
+export const GPS_SAMPLE_INTERVAL_MS = 60 * 1000;
+export const GPS_MIN_MOVE_METERS = 25;
+// Fixes less accurate than this are ignored
+export const GPS_MAX_ACCURACY_METERS = 100;
+
+// GPS and odometer distances further apart than 15% (and 2 km) are flagged
+export const ODOMETER_TOLERANCE = 0.15;
+export const ODOMETER_MIN_DIFFERENCE_KM = 2;
+
+export const TILE_SIZE = 256;
+export const MAP_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+const QUEUE_KEY_PREFIX = 'gps-track-queue:';
+// Shared queue of releases before queues were kept per driver
+const LEGACY_QUEUE_KEY = 'gps-track-queue';
+const EARTH_RADIUS_METERS = 6371000;
+
+// Upload errors that retrying cannot fix: the session was deleted (foreign
+// key) or is not the driver's (row-level security)
+const FOREIGN_KEY_VIOLATION = '23503';
+const RLS_VIOLATION = '42501';
+
+// In-memory fallback for browsers (and tests) without localStorage
+const memoryQueues = {};
+
+/**
+ * Convert a browser geolocation position to a track point
+ * @param {GeolocationPosition} position - From navigator.geolocation
+ * @returns {Object} {latitude, longitude, accuracy, recorded_at}
+ */
+export const toTrackPoint = (position) => ({
+  latitude: Number(position.coords.latitude.toFixed(6)),
+  longitude: Number(position.coords.longitude.toFixed(6)),
+  accuracy: position.coords.accuracy != null ? Math.round(position.coords.accuracy) : null,
+  recorded_at: new Date(position.timestamp || Date.now()).toISOString()
+});
+
+/**
+ * Distance between two points along the earth's surface (haversine)
+ * @param {Object} a - {latitude, longitude}
+ * @param {Object} b - {latitude, longitude}
+ * @returns {number} Metres
+ */
+export const getDistanceMeters = (a, b) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Decide whether a new fix is worth recording
+ * @param {Object} point - New track point
+ * @param {Object|null} lastPoint - Last recorded point
+ * @returns {boolean} Whether to keep the point
+ */
+export const shouldRecordPoint = (point, lastPoint) => {
+  if (point.accuracy != null && point.accuracy > GPS_MAX_ACCURACY_METERS) return false;
+  if (!lastPoint) return true;
+
+  const elapsed = new Date(point.recorded_at) - new Date(lastPoint.recorded_at);
+  return elapsed >= GPS_SAMPLE_INTERVAL_MS && getDistanceMeters(lastPoint, point) >= GPS_MIN_MOVE_METERS;
+};
+
+/**
+ * Total distance along a track
+ * @param {Array} points - Track points (any order)
+ * @returns {number} Kilometres
+ */
+export const getTrackDistanceKm = (points) => {
+  const sorted = [...points].sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at));
+  let meters = 0;
+  for (let i = 1; i < sorted.length; i++) {
+    meters += getDistanceMeters(sorted[i - 1], sorted[i]);
+  }
+  return meters / 1000;
+};
+
+/**
+ * Compare the GPS distance with the odometer distance
+ * GPS points are straight lines between fixes, so GPS usually reads a
+ * little short; only large differences are flagged.
+ * @param {number} gpsKm - Distance along the GPS track
+ * @param {number|string|null} odometerKm - Session total_km
+ * @returns {Object|null} {gpsKm, odometerKm, differenceKm, differencePercent, mismatch},
+ *   or null without an odometer distance
+ */
+export const compareWithOdometer = (gpsKm, odometerKm) => {
+  const odometer = parseFloat(odometerKm);
+  if (odometerKm == null || isNaN(odometer)) return null;
+
+  const differenceKm = gpsKm - odometer;
+  const differencePercent = odometer > 0 ? (differenceKm / odometer) * 100 : null;
+  const mismatch = Math.abs(differenceKm) > ODOMETER_MIN_DIFFERENCE_KM &&
+    (odometer === 0 || Math.abs(differenceKm) / odometer > ODOMETER_TOLERANCE);
+
+  return { gpsKm, odometerKm: odometer, differenceKm, differencePercent, mismatch };
+};
+
+/**
+ * Project a point to map pixels (Web Mercator, as used by map tiles)
+ * @param {Object} point - {latitude, longitude}
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} {x, y} in pixels from the map's top-left corner
+ */
+export const projectPoint = (point, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const latRadians = point.latitude * Math.PI / 180;
+  return {
+    x: (point.longitude + 180) / 360 * scale,
+    y: (1 - Math.log(Math.tan(latRadians) + 1 / Math.cos(latRadians)) / Math.PI) / 2 * scale
+  };
+};
+
+/**
+ * Pick the zoom and position that fit a track into a view
+ * @param {Array} points - Track points
+ * @param {number} width - View width in pixels
+ * @param {number} height - View height in pixels
+ * @param {number} padding - Space to keep around the track
+ * @returns {Object} {zoom, originX, originY}: top-left of the view in map pixels
+ */
+export const fitTrackToView = (points, width, height, padding = 24) => {
+  let zoom = 17;
+  for (; zoom > 2; zoom--) {
+    const projected = points.map(point => projectPoint(point, zoom));
+    const xs = projected.map(p => p.x);
+    const ys = projected.map(p => p.y);
+    if (Math.max(...xs) - Math.min(...xs) <= width - 2 * padding &&
+        Math.max(...ys) - Math.min(...ys) <= height - 2 * padding) {
+      break;
+    }
+  }
+
+  const projected = points.map(point => projectPoint(point, zoom));
+  const xs = projected.map(p => p.x);
+  const ys = projected.map(p => p.y);
+  return {
+    zoom,
+    originX: (Math.min(...xs) + Math.max(...xs)) / 2 - width / 2,
+    originY: (Math.min(...ys) + Math.max(...ys)) / 2 - height / 2
+  };
+};
+
+const readStoredQueue = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeQueue = (userId, queue) => {
+  if (typeof localStorage === 'undefined') {
+    memoryQueues[userId] = queue;
+    return;
+  }
+  localStorage.setItem(QUEUE_KEY_PREFIX + userId, JSON.stringify(queue));
+};
+
+// Moves the driver's points out of the legacy shared queue on first read
+const readQueue = (userId) => {
+  if (typeof localStorage === 'undefined') return memoryQueues[userId] || {};
+
+  const queue = readStoredQueue(QUEUE_KEY_PREFIX + userId);
+  const legacy = readStoredQueue(LEGACY_QUEUE_KEY);
+  let moved = false;
+  Object.keys(legacy).forEach(sessionId => {
+    const own = legacy[sessionId].filter(point => point.user_id === userId);
+    if (own.length === 0) return;
+    queue[sessionId] = [...(queue[sessionId] || []), ...own];
+    legacy[sessionId] = legacy[sessionId].filter(point => point.user_id !== userId);
+    if (legacy[sessionId].length === 0) delete legacy[sessionId];
+    moved = true;
+  });
+
+  if (moved) {
+    writeQueue(userId, queue);
+    if (Object.keys(legacy).length > 0) {
+      localStorage.setItem(LEGACY_QUEUE_KEY, JSON.stringify(legacy));
+    } else {
+      localStorage.removeItem(LEGACY_QUEUE_KEY);
+    }
+  }
+  return queue;
+};
+
+/**
+ * Keep a track point on this device until it is uploaded
+ * @param {string} sessionId - Session the point belongs to (may be temporary)
+ * @param {string} userId - Driver
+ * @param {Object} point - Track point
+ */
+export const queueTrackPoint = (sessionId, userId, point) => {
+  const queue = readQueue(userId);
+  queue[sessionId] = [...(queue[sessionId] || []), { ...point, user_id: userId }];
+  writeQueue(userId, queue);
+};
+
+/**
+ * Points waiting to be uploaded for a session
+ * @param {string} sessionId - Session id
+ * @param {string} userId - Driver
+ * @returns {Array} Track points
+ */
+export const getQueuedTrackPoints = (sessionId, userId) => {
+  return readQueue(userId)[sessionId] || [];
+};
+
+/**
+ * Move queued points to a session's real id once it has been saved
+ * @param {string} previousId - Temporary session id
+ * @param {string} sessionId - Saved session id
+ * @param {string} userId - Driver
+ */
+export const reassignQueuedTrackPoints = (previousId, sessionId, userId) => {
+  const queue = readQueue(userId);
+  if (!queue[previousId]) return;
+  queue[sessionId] = [...(queue[sessionId] || []), ...queue[previousId]];
+  delete queue[previousId];
+  writeQueue(userId, queue);
+};
+
+/**
+ * Upload a driver's queued points of saved sessions
+ * Points of sessions that are not on the server yet stay queued. Each
+ * session is uploaded on its own: points the server rejects for good (the
+ * session was deleted or is not the driver's) are dropped, other failures
+ * are kept for the next try.
+ * @param {string} userId - Logged-in driver
+ * @returns {Object} {success: boolean, uploaded: number, dropped: number, error: string}
+ */
+export const flushTrackPoints = async (userId) => {
+  const queue = readQueue(userId);
+  const sessionIds = Object.keys(queue).filter(id => !isTemporarySessionId(id) && queue[id].length > 0);
+  let uploaded = 0;
+  let dropped = 0;
+  let lastError = null;
+
+  // A lapsed login fails row-level security too; only drop points while the
+  // login is known to be valid
+  let loginActive = null;
+  const isLoginActive = async () => {
+    if (loginActive === null) {
+      const { data, error } = await supabase.rpc('touch_login_session');
+      loginActive = !error && data === true;
+    }
+    return loginActive;
+  };
+
+  for (const sessionId of sessionIds) {
+    const points = queue[sessionId];
+
+    try {
+      const { error } = await supabase
+        .from('session_locations')
+        .insert(points.map(point => ({ ...point, session_id: sessionId })));
+
+      if (error) {
+        const rejected = error.code === FOREIGN_KEY_VIOLATION ||
+          (error.code === RLS_VIOLATION && await isLoginActive());
+        if (!rejected) throw error;
+
+        console.warn(`Dropping ${points.length} GPS points of session ${sessionId}:`, error.message);
+        dropped += points.length;
+      } else {
+        uploaded += points.length;
+      }
+
+      // Points queued while uploading are kept for next time
+      const latest = readQueue(userId);
+      const remaining = (latest[sessionId] || []).slice(points.length);
+      if (remaining.length > 0) {
+        latest[sessionId] = remaining;
+      } else {
+        delete latest[sessionId];
+      }
+      writeQueue(userId, latest);
+    } catch (error) {
+      console.error(`Error uploading GPS points of session ${sessionId}:`, error.message);
+      lastError = error.message;
+    }
+  }
+
+  return lastError
+    ? { success: false, uploaded, dropped, error: lastError }
+    : { success: true, uploaded, dropped };
+};
+
+/**
+ * Load the recorded track of a session
+ * @param {string} sessionId - Session id
+ * @returns {Object} {success: boolean, points: Array, error: string}
+ */
+export const loadSessionTrack = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('session_locations')
+      .select('latitude, longitude, accuracy, recorded_at')
+      .eq('session_id', sessionId)
+      .order('recorded_at', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, points: data || [] };
+  } catch (error) {
+    console.error('Error loading GPS track:', error.message);
+    return { success: false, points: [], error: error.message };
+  }
+};
@@ -0,0 +1,99 @@
+// Login session helpers for expiry and idle timeout handling
+// Used by AuthContext to decide when a stored login is no longer valid
+
+const STORAGE_KEY = 'loginSession';
+
+// How often the client re-checks expiry/idle state locally
+export const LOGIN_CHECK_INTERVAL_MS = 60 * 1000;
+
+// How often activity is reported to the server (keeps the server-side
+// idle timer alive and detects revoked sessions)
+export const SERVER_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Browser events that count as user activity
+export const ACTIVITY_EVENTS = ['mousedown', 'keydown', 'touchstart', 'scroll'];
+
+/**
+ * Build a login session record from the authenticate_user response
+ * @param {Object} loginResult - Row returned by authenticate_user
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {Object} {token, expiresAt, idleTimeoutMinutes, lastActivityAt}
+ */
+export const createLoginSession = (loginResult, now = Date.now()) => ({
+  token: loginResult.access_token,
+  expiresAt: loginResult.session_expires_at,
+  idleTimeoutMinutes: loginResult.idle_timeout_minutes,
+  lastActivityAt: new Date(now).toISOString()
+});
+
+/**
+ * Work out whether a login session can still be used
+ * @param {Object} session - Login session record
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {string} 'active', 'expired' or 'idle'
+ */
+export const getLoginSessionState = (session, now = Date.now()) => {
+  if (!session || !session.token || !session.expiresAt) {
+    return 'expired';
+  }
+
+  if (new Date(session.expiresAt).getTime() <= now) {
+    return 'expired';
+  }
+
+  if (session.idleTimeoutMinutes && session.lastActivityAt) {
+    const idleMs = now - new Date(session.lastActivityAt).getTime();
+    if (idleMs >= session.idleTimeoutMinutes * 60 * 1000) {
+      return 'idle';
+    }
+  }
+
+  return 'active';
+};
+
+/**
+ * Get a user-facing message explaining why the user was logged out
+ * @param {string} reason - 'expired', 'idle' or 'revoked'
+ * @returns {string} Message for the login screen (empty for normal logout)
+ */
+export const getLogoutMessage = (reason) => {
+  switch (reason) {
+    case 'expired':
+      return 'Your session has expired. Please log in again.';
+    case 'idle':
+      return 'You were logged out after a period of inactivity.';
+    case 'revoked':
+      return 'Your session was ended by an administrator. Please log in again.';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Read the stored login session
+ * @returns {Object|null} Login session record
+ */
+export const loadLoginSession = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error reading login session:', error);
+    return null;
+  }
+};
+
+/**
+ * Persist the login session
+ * @param {Object} session - Login session record
+ */
+export const saveLoginSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+};
+
+/**
+ * Remove the stored login session
+ */
+export const clearLoginSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
@@ -0,0 +1,260 @@
+// Helper functions for vehicle maintenance plans
+// A plan is due every N km and/or every N days. Distance since the last
+// service comes from the database (maintenance_mileage): the vehicle's
+// odometer minus the reading at the service, or without a reading the sum of
+// the mileage logged in sessions on that vehicle since the service date.
+import { supabase } from './supabase';
+import { addDaysToDateKey, getDateKey, getCalendarDayDifference } from './timezone';
+
+export const MAINTENANCE_STATUSES = {
+  overdue: { label: 'Overdue', icon: '🔴', order: 0 },
+  due: { label: 'Due soon', icon: '🟠', order: 1 },
+  ok: { label: 'OK', icon: '🟢', order: 2 }
+};
+
+// A plan is "due soon" within the last 10% of its interval
+// (at least 7 days for date-based plans)
+export const DUE_SOON_FRACTION = 0.1;
+export const DUE_SOON_MIN_DAYS = 7;
+
+const toPositiveNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Validate maintenance plan form data
+ * @param {Object} planData - {vehicle_id, name, interval_km, interval_days, last_service_date}
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateMaintenancePlan = (planData) => {
+  const errors = [];
+
+  if (!planData.vehicle_id) {
+    errors.push('Please choose a vehicle');
+  }
+  if (!(planData.name || '').trim()) {
+    errors.push('Service name is required');
+  }
+
+  const hasKm = planData.interval_km !== '' && planData.interval_km != null;
+  const hasDays = planData.interval_days !== '' && planData.interval_days != null;
+  if (!hasKm && !hasDays) {
+    errors.push('Enter a distance interval, a time interval or both');
+  }
+  if (hasKm && toPositiveNumber(planData.interval_km) === null) {
+    errors.push('Distance interval must be a positive number');
+  }
+  if (hasDays && (!Number.isInteger(Number(planData.interval_days)) || Number(planData.interval_days) <= 0)) {
+    errors.push('Time interval must be a whole number of days');
+  }
+  if (!planData.last_service_date) {
+    errors.push('Last service date is required');
+  }
+
+  return errors;
+};
+
+/**
+ * Work out how close a plan is to its next service
+ * The plan is as urgent as whichever interval (km or days) is closer.
+ * @param {Object} plan - Maintenance plan row
+ * @param {number} kmSinceService - Distance driven since the last service
+ * @param {string} todayKey - Today in YYYY-MM-DD format
+ * @returns {Object} {status, kmSinceService, remainingKm, dueDate, remainingDays}
+ */
+export const getMaintenanceStatus = (plan, kmSinceService, todayKey) => {
+  const intervalKm = toPositiveNumber(plan.interval_km);
+  const intervalDays = toPositiveNumber(plan.interval_days);
+  let status = 'ok';
+
+  const raise = (next) => {
+    if (MAINTENANCE_STATUSES[next].order < MAINTENANCE_STATUSES[status].order) {
+      status = next;
+    }
+  };
+
+  let remainingKm = null;
+  if (intervalKm) {
+    remainingKm = intervalKm - kmSinceService;
+    if (remainingKm <= 0) raise('overdue');
+    else if (remainingKm <= intervalKm * DUE_SOON_FRACTION) raise('due');
+  }
+
+  let dueDate = null;
+  let remainingDays = null;
+  if (intervalDays) {
+    dueDate = addDaysToDateKey(plan.last_service_date, intervalDays);
+    // Date keys parse as UTC midnight, so count the days between them in UTC
+    remainingDays = getCalendarDayDifference(todayKey, dueDate, 'UTC');
+    if (remainingDays <= 0) raise('overdue');
+    else if (remainingDays <= Math.max(DUE_SOON_MIN_DAYS, intervalDays * DUE_SOON_FRACTION)) raise('due');
+  }
+
+  return { status, kmSinceService, remainingKm, dueDate, remainingDays };
+};
+
+/**
+ * Build the upcoming-services list for every plan
+ * @param {Array} plans - Maintenance plan rows
+ * @param {Array} vehicles - Vehicle rows
+ * @param {Object} mileageByPlan - Kilometres since the last service by plan id
+ * @param {string} timeZone - Company timezone
+ * @param {Date} now - Current time
+ * @returns {Array} Rows {plan, vehicle, ...status}, most urgent first
+ */
+export const buildMaintenanceSchedule = (plans, vehicles, mileageByPlan, timeZone, now = new Date()) => {
+  const todayKey = getDateKey(now, timeZone);
+
+  return plans
+    .map(plan => {
+      const kmSinceService = mileageByPlan[plan.id] || 0;
+      return {
+        plan,
+        vehicle: vehicles.find(v => v.id === plan.vehicle_id) || null,
+        ...getMaintenanceStatus(plan, kmSinceService, todayKey)
+      };
+    })
+    .sort((a, b) => {
+      const byStatus = MAINTENANCE_STATUSES[a.status].order - MAINTENANCE_STATUSES[b.status].order;
+      if (byStatus !== 0) return byStatus;
+      // Then by how much of the interval is left (smallest share first)
+      const share = (row) => Math.min(
+        row.remainingKm !== null ? row.remainingKm / parseFloat(row.plan.interval_km) : Infinity,
+        row.remainingDays !== null ? row.remainingDays / parseFloat(row.plan.interval_days) : Infinity
+      );
+      return share(a) - share(b);
+    });
+};
+
+// Form values to table columns
+const toPlanRow = (planData) => ({
+  vehicle_id: planData.vehicle_id,
+  name: planData.name.trim(),
+  interval_km: toPositiveNumber(planData.interval_km),
+  interval_days: planData.interval_days === '' || planData.interval_days == null ? null : parseInt(planData.interval_days),
+  last_service_date: planData.last_service_date,
+  last_service_km: planData.last_service_km === '' || planData.last_service_km == null ? null : parseFloat(planData.last_service_km)
+});
+
+/**
+ * Load all maintenance plans (admins only)
+ * @returns {Object} {success: boolean, plans: Array, error: string}
+ */
+export const loadMaintenancePlans = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('maintenance_plans')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return { success: true, plans: data || [] };
+  } catch (error) {
+    console.error('Error loading maintenance plans:', error.message);
+    return { success: false, plans: [], error: error.message };
+  }
+};
+
+/**
+ * Load the kilometres driven since each plan's last service (admins only)
+ * @param {string} timeZone - Timezone the service dates are in
+ * @returns {Object} {success: boolean, mileageByPlan: Object, error: string}
+ */
+export const loadMaintenanceMileage = async (timeZone) => {
+  try {
+    const { data, error } = await supabase.rpc('maintenance_mileage', { p_time_zone: timeZone });
+
+    if (error) throw error;
+    const mileageByPlan = {};
+    (data || []).forEach(row => {
+      mileageByPlan[row.plan_id] = parseFloat(row.km_since_service) || 0;
+    });
+    return { success: true, mileageByPlan };
+  } catch (error) {
+    console.error('Error loading maintenance mileage:', error.message);
+    return { success: false, mileageByPlan: {}, error: error.message };
+  }
+};
+
+/**
+ * Create a maintenance plan (admins only)
+ * @param {Object} planData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const createMaintenancePlan = async (planData) => {
+  try {
+    const { error } = await supabase
+      .from('maintenance_plans')
+      .insert([toPlanRow(planData)]);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating maintenance plan:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a maintenance plan (admins only)
+ * @param {string} planId - Plan to update
+ * @param {Object} planData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const updateMaintenancePlan = async (planId, planData) => {
+  try {
+    const { error } = await supabase
+      .from('maintenance_plans')
+      .update(toPlanRow(planData))
+      .eq('id', planId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating maintenance plan:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Record that a planned service was done, restarting its intervals
+ * @param {string} planId - Plan that was serviced
+ * @param {string} serviceDate - Date in YYYY-MM-DD format
+ * @param {number|null} odometer - Odometer reading at the service
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const recordService = async (planId, serviceDate, odometer = null) => {
+  try {
+    const { error } = await supabase
+      .from('maintenance_plans')
+      .update({ last_service_date: serviceDate, last_service_km: odometer })
+      .eq('id', planId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error recording service:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a maintenance plan (admins only)
+ * @param {string} planId - Plan to delete
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const deleteMaintenancePlan = async (planId) => {
+  try {
+    const { error } = await supabase
+      .from('maintenance_plans')
+      .delete()
+      .eq('id', planId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting maintenance plan:', error.message);
+    return { success: false, error: error.message };
+  }
+};
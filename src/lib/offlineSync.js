@@ -0,0 +1,542 @@
+// Offline-first storage for driver sessions
+// Session changes are written to IndexedDB first, queued, and replayed to
+// Supabase when connectivity returns. Proof of delivery files taken without
+// signal wait here too and are uploaded by the same sync. Used by
+// TimeTracking. Queued writes belong to the driver who made them and are
+// only replayed with that driver's login, so a shared device never sends one
+// driver's changes as another.
+import { supabase } from './supabase';
+import { calculateTotals } from './sessionHelpers';
+import { uploadProof } from './proofOfDelivery';
+
+const DB_NAME = 'transport-tracker';
+const DB_VERSION = 2;
+const SESSIONS_STORE = 'sessions';
+const QUEUE_STORE = 'pendingWrites';
+const PROOFS_STORE = 'pendingProofs';
+
+// Retry interval for queued writes while the app is open
+export const SYNC_RETRY_INTERVAL_MS = 30 * 1000;
+
+// Failed attempts before a queued write is only retried on request
+export const MAX_SYNC_ATTEMPTS = 10;
+
+// Server-managed or joined fields that are never written back
+const READ_ONLY_FIELDS = ['id', 'created_at', 'user'];
+
+let dbPromise = null;
+let syncPromise = null;
+// Driver whose writes are being replayed; cleared on logout to stop a run
+let syncUserId = null;
+
+// In-memory fallback for browsers (and tests) without IndexedDB
+const memoryStores = {
+  [SESSIONS_STORE]: new Map(),
+  [QUEUE_STORE]: new Map(),
+  [PROOFS_STORE]: new Map()
+};
+
+/**
+ * Check whether a session id was generated locally and not yet saved
+ * @param {string} id - Session id
+ * @returns {boolean} True for temporary ids
+ */
+export const isTemporarySessionId = (id) => {
+  return typeof id === 'string' && id.startsWith('temp-');
+};
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'sessionId' });
+        }
+        if (!db.objectStoreNames.contains(PROOFS_STORE)) {
+          db.createObjectStore(PROOFS_STORE, { keyPath: 'path' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  if (!db) {
+    return operation(memoryStores[storeName], true);
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName), false);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Map and IDBObjectStore share get/delete; put/getAll differ
+const getRecord = (storeName, key) => runRequest(storeName, 'readonly', (store) => store.get(key));
+
+const getAllRecords = (storeName) => runRequest(storeName, 'readonly', (store, isMemory) => {
+  return isMemory ? Array.from(store.values()) : store.getAll();
+});
+
+// Memory records are cloned like IndexedDB would, so later edits to the
+// caller's objects cannot change what was stored
+const putRecord = (storeName, keyField, record) => runRequest(storeName, 'readwrite', (store, isMemory) => {
+  return isMemory ? store.set(record[keyField], structuredClone(record)) : store.put(record);
+});
+
+const deleteRecord = (storeName, key) => runRequest(storeName, 'readwrite', (store) => store.delete(key));
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Merge breaks changed both on the device and on the server
+ * The server's breaks are kept as they are (ended breaks can only be
+ * changed by an admin); the device can only close a break that is still
+ * open on the server and add breaks it started after the base.
+ * @param {Array} baseBreaks - Breaks the local edits started from
+ * @param {Array} localBreaks - Locally edited breaks
+ * @param {Array} remoteBreaks - Current server breaks
+ * @returns {Array} Merged breaks
+ */
+export const mergeBreaks = (baseBreaks = [], localBreaks = [], remoteBreaks = []) => {
+  const merged = remoteBreaks.map((brk, idx) => {
+    const localBreak = localBreaks[idx];
+    if (!brk.end && localBreak?.end && localBreak.start === brk.start) {
+      return { ...brk, end: localBreak.end };
+    }
+    return brk;
+  });
+
+  // Only a server break left open may be followed by new local breaks
+  const lastRemote = merged[merged.length - 1];
+  if (!lastRemote || lastRemote.end) {
+    merged.push(...localBreaks.slice(Math.max(baseBreaks.length, remoteBreaks.length)));
+  }
+
+  return merged;
+};
+
+/**
+ * Three-way merge of a locally edited session with the server copy
+ * Fields changed only on one side keep that side's value. Fields changed on
+ * both sides keep the server value (e.g. an admin's edit) and are reported
+ * as conflicts; breaks are merged with mergeBreaks.
+ * @param {Object|null} base - Server version the local edits started from
+ * @param {Object} local - Locally edited session
+ * @param {Object|null} remote - Current server version
+ * @returns {Object} {session: Object, conflicts: Array}
+ */
+export const mergeSessionChanges = (base, local, remote) => {
+  if (!remote || !base) {
+    return { session: { ...local }, conflicts: [] };
+  }
+
+  const merged = { ...remote };
+  const conflicts = [];
+
+  Object.keys(local).forEach((field) => {
+    if (READ_ONLY_FIELDS.includes(field)) return;
+
+    const changedLocally = !isSameValue(local[field], base[field]);
+    const changedRemotely = !isSameValue(remote[field], base[field]);
+
+    if (!changedLocally) return;
+
+    if (!changedRemotely || isSameValue(local[field], remote[field])) {
+      merged[field] = local[field];
+      return;
+    }
+
+    if (field === 'breaks') {
+      merged.breaks = mergeBreaks(base.breaks || [], local.breaks || [], remote.breaks || []);
+      if (isSameValue(merged.breaks, local.breaks)) return;
+    }
+    conflicts.push(field);
+  });
+
+  return { session: merged, conflicts };
+};
+
+/**
+ * Save a session to the local store and queue it for upload
+ * Repeated saves of the same session are coalesced into one queued write
+ * that keeps the original server base for conflict detection.
+ * @param {Object} session - Full session object (may have a temporary id)
+ * @returns {number} Number of sessions waiting to sync
+ */
+export const saveSessionLocally = async (session) => {
+  const cached = await getRecord(SESSIONS_STORE, session.id);
+  const queued = await getRecord(QUEUE_STORE, session.id);
+
+  await putRecord(SESSIONS_STORE, 'id', {
+    id: session.id,
+    userId: session.user_id,
+    session,
+    server: cached ? cached.server : null
+  });
+
+  await putRecord(QUEUE_STORE, 'sessionId', {
+    sessionId: session.id,
+    userId: session.user_id,
+    session,
+    base: queued ? queued.base : (cached ? cached.server : null),
+    // Fixed id for new sessions so a retried insert cannot create duplicates
+    insertId: isTemporarySessionId(session.id)
+      ? (queued?.insertId || crypto.randomUUID())
+      : null,
+    queuedAt: new Date().toISOString(),
+    attempts: queued ? queued.attempts : 0,
+    lastError: null
+  });
+
+  return getPendingCount(session.user_id);
+};
+
+/**
+ * Cache a session confirmed by the server (e.g. after loading it)
+ * @param {Object} session - Session row from Supabase
+ */
+export const cacheServerSession = async (session) => {
+  await putRecord(SESSIONS_STORE, 'id', {
+    id: session.id,
+    userId: session.user_id,
+    session,
+    server: session
+  });
+};
+
+/**
+ * Get the latest local copy of a session
+ * @param {string} sessionId - Session id
+ * @returns {Object|null} Session object
+ */
+export const getLocalSession = async (sessionId) => {
+  const cached = await getRecord(SESSIONS_STORE, sessionId);
+  return cached ? cached.session : null;
+};
+
+/**
+ * Find the user's most recent open (not ended) session in the local store
+ * @param {string} userId - Driver's user id
+ * @returns {Object|null} Session object
+ */
+export const getLocalOpenSession = async (userId) => {
+  const records = await getAllRecords(SESSIONS_STORE);
+  const open = records
+    .filter(record => record.userId === userId && !record.session.end_time)
+    .map(record => record.session)
+    .sort((a, b) => new Date(b.start_time) - new Date(a.start_time));
+
+  return open[0] || null;
+};
+
+/**
+ * Remove a session from the local store (e.g. it was ended on another device)
+ * @param {string} sessionId - Session id
+ */
+export const discardLocalSession = async (sessionId) => {
+  await deleteRecord(SESSIONS_STORE, sessionId);
+};
+
+/**
+ * Check whether a session has local changes waiting to sync
+ * @param {string} sessionId - Session id
+ * @returns {boolean} True if queued
+ */
+export const hasPendingChanges = async (sessionId) => {
+  return Boolean(await getRecord(QUEUE_STORE, sessionId));
+};
+
+// Entries queued before userId was stored carry it on the session
+const getEntryUserId = (entry) => entry.userId || entry.session?.user_id;
+
+const getUserQueue = async (userId) => {
+  const queue = await getAllRecords(QUEUE_STORE);
+  return queue.filter(entry => getEntryUserId(entry) === userId);
+};
+
+/**
+ * Check whether a queued write has stopped being retried automatically
+ * @param {Object} entry - Queued write
+ * @returns {boolean} True after MAX_SYNC_ATTEMPTS failures
+ */
+export const isStalledWrite = (entry) => (entry.attempts || 0) >= MAX_SYNC_ATTEMPTS;
+
+/**
+ * Count a driver's sessions waiting to sync
+ * @param {string} userId - Driver's user id
+ * @returns {number} Number of queued sessions
+ */
+export const getPendingCount = async (userId) => {
+  const queued = await getUserQueue(userId);
+  return queued.length;
+};
+
+/**
+ * List a driver's queued writes with their sync state
+ * @param {string} userId - Driver's user id
+ * @returns {Array} [{sessionId, queuedAt, attempts, lastError, stalled}]
+ */
+export const getPendingWrites = async (userId) => {
+  const queued = await getUserQueue(userId);
+  return queued.map(entry => ({
+    sessionId: entry.sessionId,
+    queuedAt: entry.queuedAt,
+    attempts: entry.attempts || 0,
+    lastError: entry.lastError,
+    stalled: isStalledWrite(entry)
+  }));
+};
+
+/**
+ * Allow a stalled write to be retried by the next sync
+ * @param {string} sessionId - Session id of the queued write
+ */
+export const retryPendingWrite = async (sessionId) => {
+  const entry = await getRecord(QUEUE_STORE, sessionId);
+  if (entry) {
+    await putRecord(QUEUE_STORE, 'sessionId', { ...entry, attempts: 0 });
+  }
+};
+
+/**
+ * Keep a proof file on this device until the next sync uploads it
+ * The path is already recorded on the stop, so the file keeps its name.
+ * @param {string} userId - Driver who took the photo or signature
+ * @param {string} path - Storage path from getProofPath
+ * @param {Blob} file - Image to upload
+ */
+export const queueProofUpload = async (userId, path, file) => {
+  await putRecord(PROOFS_STORE, 'path', {
+    path,
+    userId,
+    file,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null
+  });
+};
+
+const getUserProofs = async (userId) => {
+  const proofs = await getAllRecords(PROOFS_STORE);
+  return proofs.filter(entry => entry.userId === userId);
+};
+
+/**
+ * List a driver's proof files waiting to upload with their sync state
+ * @param {string} userId - Driver's user id
+ * @returns {Array} [{path, queuedAt, attempts, lastError, stalled}]
+ */
+export const getPendingProofs = async (userId) => {
+  const queued = await getUserProofs(userId);
+  return queued.map(entry => ({
+    path: entry.path,
+    queuedAt: entry.queuedAt,
+    attempts: entry.attempts || 0,
+    lastError: entry.lastError,
+    stalled: isStalledWrite(entry)
+  }));
+};
+
+/**
+ * Allow a stalled proof upload to be retried by the next sync
+ * @param {string} path - Storage path of the queued file
+ */
+export const retryPendingProof = async (path) => {
+  const entry = await getRecord(PROOFS_STORE, path);
+  if (entry) {
+    await putRecord(PROOFS_STORE, 'path', { ...entry, attempts: 0 });
+  }
+};
+
+// Strip fields the API must not receive
+const toWritableSession = (session) => {
+  return Object.fromEntries(
+    Object.entries(calculateTotals(session)).filter(([key, value]) =>
+      value !== undefined && !READ_ONLY_FIELDS.includes(key)
+    )
+  );
+};
+
+const replayQueuedWrite = async (entry) => {
+  const { session, base } = entry;
+  let targetId = session.id;
+
+  if (isTemporarySessionId(session.id)) {
+    const { data, error } = await supabase
+      .from('sessions')
+      .insert([{ ...toWritableSession(session), id: entry.insertId }])
+      .select()
+      .single();
+
+    // 23505 = unique violation: an earlier attempt was saved but its
+    // response never arrived, so fall through and update that row instead
+    if (!error) return { saved: data, conflicts: [] };
+    if (error.code !== '23505') throw error;
+    targetId = entry.insertId;
+  }
+
+  const { data: remote, error: fetchError } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', targetId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const { session: merged, conflicts } = mergeSessionChanges(base, session, remote);
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .update(toWritableSession(merged))
+    .eq('id', targetId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { saved: data, conflicts };
+};
+
+// Upload queued proof files; a file saved by an earlier attempt whose
+// response never arrived already exists and counts as uploaded
+const uploadQueuedProofs = async (userId, proofs, result) => {
+  for (const entry of proofs) {
+    if (syncUserId !== userId) break;
+
+    const upload = await uploadProof(entry.file, entry.path);
+    if (upload.success || /already exists/i.test(upload.error || '')) {
+      await deleteRecord(PROOFS_STORE, entry.path);
+      result.synced++;
+    } else {
+      result.failed++;
+      await putRecord(PROOFS_STORE, 'path', {
+        ...entry,
+        attempts: (entry.attempts || 0) + 1,
+        lastError: upload.error
+      });
+    }
+  }
+};
+
+const syncQueuedWrites = async (userId, onSessionSynced) => {
+  const result = { synced: 0, failed: 0, conflicts: [] };
+  const queue = (await getUserQueue(userId)).filter(entry => !isStalledWrite(entry));
+  const proofs = (await getUserProofs(userId)).filter(entry => !isStalledWrite(entry));
+
+  // Queued writes can arrive long after the driver's last tap; report the
+  // activity first so the login is not treated as idle once the shift ends
+  if (queue.length > 0 || proofs.length > 0) {
+    const { error } = await supabase.rpc('touch_login_session');
+    if (error) console.error('Error refreshing login session:', error.message);
+  }
+
+  for (const entry of queue) {
+    // Logged out (or another driver logged in) while syncing
+    if (syncUserId !== userId) break;
+
+    try {
+      const { saved, conflicts } = await replayQueuedWrite(entry);
+
+      // Only clear the queue entry if nothing new was saved meanwhile
+      const latest = await getRecord(QUEUE_STORE, entry.sessionId);
+      const changedMeanwhile = latest && latest.queuedAt !== entry.queuedAt;
+
+      await deleteRecord(QUEUE_STORE, entry.sessionId);
+      if (entry.sessionId !== saved.id) {
+        await deleteRecord(SESSIONS_STORE, entry.sessionId);
+      }
+
+      if (changedMeanwhile) {
+        // Re-queue the newer local edits against the saved row
+        const newer = { ...latest.session, id: saved.id };
+        await putRecord(SESSIONS_STORE, 'id', { id: saved.id, userId: saved.user_id, session: newer, server: saved });
+        await putRecord(QUEUE_STORE, 'sessionId', {
+          ...latest,
+          sessionId: saved.id,
+          session: newer,
+          base: saved,
+          insertId: null
+        });
+      } else {
+        await cacheServerSession(saved);
+      }
+
+      result.synced++;
+      if (conflicts.length > 0) {
+        console.warn(`Sync conflicts on session ${saved.id} (kept server values):`, conflicts);
+        result.conflicts.push({ sessionId: saved.id, fields: conflicts });
+      }
+
+      if (onSessionSynced) {
+        onSessionSynced(entry.sessionId, saved);
+      }
+    } catch (error) {
+      console.error('Error syncing session:', error.message);
+      result.failed++;
+
+      // Record the failure on the latest queued version, keeping newer edits
+      const latest = await getRecord(QUEUE_STORE, entry.sessionId);
+      if (latest) {
+        await putRecord(QUEUE_STORE, 'sessionId', {
+          ...latest,
+          attempts: (latest.attempts || 0) + 1,
+          lastError: error.message
+        });
+      }
+    }
+  }
+
+  await uploadQueuedProofs(userId, proofs, result);
+  return result;
+};
+
+/**
+ * Replay a driver's queued session writes and proof uploads to Supabase
+ * Only one sync runs at a time; concurrent callers for the same driver
+ * share the same run. Stalled writes are skipped until retried.
+ * @param {string} userId - Logged-in driver; other drivers' writes stay queued
+ * @param {Function} onSessionSynced - Called with (previousId, savedSession)
+ * @returns {Object} {synced, failed, conflicts: [{sessionId, fields}]}
+ */
+export const syncPendingSessions = async (userId, onSessionSynced) => {
+  if (!userId || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+    return { synced: 0, failed: 0, conflicts: [] };
+  }
+
+  if (syncPromise && syncUserId !== userId) {
+    await syncPromise;
+  }
+
+  if (!syncPromise) {
+    syncUserId = userId;
+    syncPromise = syncQueuedWrites(userId, onSessionSynced).finally(() => {
+      syncPromise = null;
+    });
+  }
+
+  return syncPromise;
+};
+
+/**
+ * Stop replaying writes (on logout); queued writes stay on the device
+ */
+export const stopSyncing = () => {
+  syncUserId = null;
+};
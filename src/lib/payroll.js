@@ -0,0 +1,293 @@
+// Helper functions for the payroll report
+// Groups ended sessions by driver and pay period, applies the company's
+// rounding rule and renders the result as CSV or printable HTML.
+import { calculateTimeMetrics } from './sessionHelpers';
+import { getDateKey, addDaysToDateKey, formatDateKey, getCalendarDayDifference } from './timezone';
+import { toCSV, escapeHTML } from './exportUtils';
+
+export const PAY_PERIOD_TYPES = {
+  weekly: { label: 'Weekly', days: 7 },
+  biweekly: { label: 'Every two weeks', days: 14 },
+  monthly: { label: 'Monthly', days: null }
+};
+
+export const ROUNDING_MODES = {
+  nearest: 'Nearest',
+  up: 'Up',
+  down: 'Down'
+};
+
+export const ROUNDING_SCOPES = {
+  session: 'Each session',
+  period: 'Period total'
+};
+
+// periodAnchor is the first day of any weekly/biweekly pay period
+export const DEFAULT_PAYROLL_SETTINGS = {
+  periodType: 'biweekly',
+  periodAnchor: '2024-01-01',
+  roundingMinutes: 15,
+  roundingMode: 'nearest',
+  roundingScope: 'session'
+};
+
+/**
+ * Find the pay period containing a date
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {Object} settings - Payroll settings
+ * @returns {Object} {start, end} as YYYY-MM-DD (inclusive)
+ */
+export const getPayPeriod = (dateKey, settings = DEFAULT_PAYROLL_SETTINGS) => {
+  const type = PAY_PERIOD_TYPES[settings.periodType] ? settings.periodType : DEFAULT_PAYROLL_SETTINGS.periodType;
+
+  if (type === 'monthly') {
+    const [year, month] = dateKey.split('-').map(Number);
+    const start = `${year}-${String(month).padStart(2, '0')}-01`;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { start, end: `${year}-${String(month).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}` };
+  }
+
+  const length = PAY_PERIOD_TYPES[type].days;
+  const anchor = settings.periodAnchor || DEFAULT_PAYROLL_SETTINGS.periodAnchor;
+  // Date keys parse as UTC midnight, so count the days between them in UTC
+  const index = Math.floor(getCalendarDayDifference(anchor, dateKey, 'UTC') / length);
+  const start = addDaysToDateKey(anchor, index * length);
+  return { start, end: addDaysToDateKey(start, length - 1) };
+};
+
+/**
+ * Get the pay period before or after another one
+ * @param {Object} period - {start, end}
+ * @param {number} direction - -1 for previous, 1 for next
+ * @param {Object} settings - Payroll settings
+ * @returns {Object} {start, end}
+ */
+export const shiftPayPeriod = (period, direction, settings = DEFAULT_PAYROLL_SETTINGS) => {
+  const edge = direction < 0 ? period.start : period.end;
+  return getPayPeriod(addDaysToDateKey(edge, direction < 0 ? -1 : 1), settings);
+};
+
+/**
+ * Round a number of minutes according to the rounding rule
+ * @param {number} minutes - Minutes worked
+ * @param {Object} settings - Payroll settings (roundingMinutes, roundingMode)
+ * @returns {number} Rounded minutes
+ */
+export const roundPayableMinutes = (minutes, settings = DEFAULT_PAYROLL_SETTINGS) => {
+  const increment = parseInt(settings.roundingMinutes) || 0;
+  if (increment <= 0) return minutes;
+
+  const steps = minutes / increment;
+  switch (settings.roundingMode) {
+    case 'up':
+      return Math.ceil(steps - 1e-9) * increment;
+    case 'down':
+      return Math.floor(steps + 1e-9) * increment;
+    default:
+      return Math.round(steps) * increment;
+  }
+};
+
+/**
+ * Describe the rounding rule in words
+ * @param {Object} settings - Payroll settings
+ * @returns {string} e.g. "Rounded to the nearest 15 minutes per session"
+ */
+export const describeRounding = (settings = DEFAULT_PAYROLL_SETTINGS) => {
+  const increment = parseInt(settings.roundingMinutes) || 0;
+  if (increment <= 0) return 'No rounding (exact minutes)';
+
+  const mode = settings.roundingMode === 'up' ? 'up to' : settings.roundingMode === 'down' ? 'down to' : 'to the nearest';
+  const scope = settings.roundingScope === 'period' ? 'on the period total' : 'per session';
+  return `Rounded ${mode} ${increment} minutes ${scope}`;
+};
+
+/**
+ * Format hours as h:mm
+ * @param {number} hours - Decimal hours
+ * @returns {string} e.g. "7:45"
+ */
+export const formatHoursMinutes = (hours) => {
+  const totalMinutes = Math.round((hours || 0) * 60);
+  const sign = totalMinutes < 0 ? '-' : '';
+  const abs = Math.abs(totalMinutes);
+  return `${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Build the payroll report for one pay period
+ * Sessions belong to the day they started on in the driver's timezone.
+ * Sessions that have not ended are left out. Payable time is worked time
+ * plus paid breaks, before rounding.
+ * @param {Array} sessions - Session rows (any range covering the period)
+ * @param {Array} drivers - Users to list, even with no hours
+ * @param {Object} period - {start, end} as YYYY-MM-DD
+ * @param {Object} settings - Payroll settings
+ * @param {Function} getTimezone - Returns the timezone for a user id
+ * @returns {Object} {period, rows, totals}
+ */
+export const buildPayrollReport = (sessions, drivers, period, settings, getTimezone) => {
+  const rowsByUser = new Map();
+
+  const getRow = (userId, userInfo) => {
+    if (!rowsByUser.has(userId)) {
+      rowsByUser.set(userId, {
+        userId,
+        name: userInfo?.name || 'Unknown',
+        username: userInfo?.username || '',
+        days: new Set(),
+        sessions: 0,
+        totalMinutes: 0,
+        breakMinutes: 0,
+        paidBreakMinutes: 0,
+        workMinutes: 0,
+        payableMinutes: 0
+      });
+    }
+    return rowsByUser.get(userId);
+  };
+
+  drivers.forEach(driver => getRow(driver.id, driver));
+
+  sessions.forEach(session => {
+    if (!session.end_time) return;
+
+    const dayKey = getDateKey(session.date || session.start_time, getTimezone(session.user_id));
+    if (dayKey < period.start || dayKey > period.end) return;
+
+    const metrics = calculateTimeMetrics(session, getTimezone(session.user_id));
+    const workMinutes = metrics.workTime * 60;
+    const paidBreakMinutes = metrics.paidBreakTime * 60;
+    const row = getRow(session.user_id, session.user || drivers.find(d => d.id === session.user_id));
+
+    row.days.add(dayKey);
+    row.sessions += 1;
+    row.totalMinutes += metrics.totalTime * 60;
+    row.breakMinutes += metrics.breakTime * 60;
+    row.paidBreakMinutes += paidBreakMinutes;
+    row.workMinutes += workMinutes;
+    if (settings.roundingScope !== 'period') {
+      row.payableMinutes += roundPayableMinutes(workMinutes + paidBreakMinutes, settings);
+    }
+  });
+
+  const rows = Array.from(rowsByUser.values())
+    .map(row => {
+      const payableMinutes = settings.roundingScope === 'period'
+        ? roundPayableMinutes(row.workMinutes + row.paidBreakMinutes, settings)
+        : row.payableMinutes;
+      return {
+        userId: row.userId,
+        name: row.name,
+        username: row.username,
+        daysWorked: row.days.size,
+        sessions: row.sessions,
+        totalHours: row.totalMinutes / 60,
+        breakHours: row.breakMinutes / 60,
+        paidBreakHours: row.paidBreakMinutes / 60,
+        workHours: row.workMinutes / 60,
+        payableHours: payableMinutes / 60
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const totals = rows.reduce((sum, row) => ({
+    daysWorked: sum.daysWorked + row.daysWorked,
+    sessions: sum.sessions + row.sessions,
+    totalHours: sum.totalHours + row.totalHours,
+    breakHours: sum.breakHours + row.breakHours,
+    paidBreakHours: sum.paidBreakHours + row.paidBreakHours,
+    workHours: sum.workHours + row.workHours,
+    payableHours: sum.payableHours + row.payableHours
+  }), { daysWorked: 0, sessions: 0, totalHours: 0, breakHours: 0, paidBreakHours: 0, workHours: 0, payableHours: 0 });
+
+  return { period, rows, totals };
+};
+
+const PAYROLL_COLUMNS = [
+  { key: 'name', label: 'Driver' },
+  { key: 'username', label: 'Username' },
+  { key: 'periodStart', label: 'Period Start' },
+  { key: 'periodEnd', label: 'Period End' },
+  { key: 'daysWorked', label: 'Days Worked' },
+  { key: 'sessions', label: 'Sessions' },
+  { key: 'totalHours', label: 'Total Hours' },
+  { key: 'breakHours', label: 'Break Hours' },
+  { key: 'paidBreakHours', label: 'Paid Break Hours' },
+  { key: 'workHours', label: 'Worked Hours' },
+  { key: 'payableHours', label: 'Payable Hours' },
+  { key: 'payableTime', label: 'Payable (h:mm)' }
+];
+
+const toExportRow = (row, period) => ({
+  ...row,
+  periodStart: period.start,
+  periodEnd: period.end,
+  totalHours: row.totalHours.toFixed(2),
+  breakHours: row.breakHours.toFixed(2),
+  paidBreakHours: row.paidBreakHours.toFixed(2),
+  workHours: row.workHours.toFixed(2),
+  payableHours: row.payableHours.toFixed(2),
+  payableTime: formatHoursMinutes(row.payableHours)
+});
+
+/**
+ * Render the payroll report as CSV
+ * @param {Object} report - Result of buildPayrollReport
+ * @returns {string} CSV text
+ */
+export const payrollReportToCSV = (report) => {
+  const rows = report.rows.map(row => toExportRow(row, report.period));
+  rows.push(toExportRow({ ...report.totals, name: 'TOTAL', username: '' }, report.period));
+  return toCSV(PAYROLL_COLUMNS, rows);
+};
+
+/**
+ * Render the payroll report as a printable HTML document
+ * @param {Object} report - Result of buildPayrollReport
+ * @param {Object} options - {companyName, roundingDescription, generatedAt}
+ * @returns {string} Complete HTML document
+ */
+export const payrollReportToHTML = (report, options = {}) => {
+  const { companyName = 'Hussnain Transport', roundingDescription = '', generatedAt = new Date().toLocaleString('en-US') } = options;
+  const periodLabel = `${formatDateKey(report.period.start, { month: 'short', day: 'numeric', year: 'numeric' })} – ${formatDateKey(report.period.end, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  const columns = PAYROLL_COLUMNS.filter(col => !['username', 'periodStart', 'periodEnd'].includes(col.key));
+
+  const renderRow = (row, isTotal = false) => {
+    const exportRow = toExportRow(row, report.period);
+    const cells = columns.map(col => `<td${col.key === 'name' ? '' : ' class="num"'}>${escapeHTML(exportRow[col.key])}</td>`).join('');
+    return `<tr${isTotal ? ' class="total"' : ''}>${cells}</tr>`;
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHTML(`Payroll ${report.period.start} to ${report.period.end}`)}</title>
+<style>
+  body { font-family: Inter, Arial, sans-serif; color: #1f2937; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  p { margin: 0 0 4px; color: #4b5563; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 13px; }
+  th, td { border: 1px solid #d1d5db; padding: 6px 8px; text-align: left; }
+  th { background: #f3f4f6; }
+  td.num { text-align: right; }
+  tr.total td { font-weight: 700; background: #f9fafb; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(companyName)} – Payroll Report</h1>
+<p><strong>Pay period:</strong> ${escapeHTML(periodLabel)}</p>
+<p><strong>Rounding:</strong> ${escapeHTML(roundingDescription)}</p>
+<p><strong>Generated:</strong> ${escapeHTML(generatedAt)}</p>
+<table>
+<thead><tr>${columns.map(col => `<th>${escapeHTML(col.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${report.rows.map(row => renderRow(row)).join('\n')}
+${renderRow({ ...report.totals, name: 'TOTAL' }, true)}
+</tbody>
+</table>
+</body>
+</html>`;
+};
@@ -0,0 +1,302 @@
+// Helper functions for the Performance dashboard's server-side totals
+// Daily and period totals come from the performance_daily and
+// performance_totals functions (supabase-performance-aggregates.sql); only
+// one page of session rows is downloaded for the records table. Daily
+// totals are grouped into weeks or months here for the charts.
+import { supabase } from './supabase';
+import { addDaysToDateKey, getWeekStartKey, formatDateKey } from './timezone';
+
+export const SESSION_PAGE_SIZE = 25;
+
+export const CHART_GRANULARITIES = {
+  day: { label: 'Day' },
+  week: { label: 'Week' },
+  month: { label: 'Month' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUMMED_FIELDS = [
+  'sessions',
+  'totalHours',
+  'breakHours',
+  'paidBreakHours',
+  'workHours',
+  'positiveDeliveries',
+  'negativeDeliveries',
+  'positivePickups',
+  'negativePickups',
+  'totalKm'
+];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Convert a performance_daily row to chart-friendly numbers
+ * @param {Object} row - Row from performance_daily
+ * @returns {Object} {day, sessions, totalHours, breakHours, paidBreakHours,
+ *   workHours, positiveDeliveries, negativeDeliveries, positivePickups,
+ *   negativePickups, totalKm}
+ */
+export const toDailyStat = (row) => ({
+  day: row.day,
+  sessions: toNumber(row.sessions),
+  totalHours: toNumber(row.total_hours),
+  breakHours: toNumber(row.break_hours),
+  paidBreakHours: toNumber(row.paid_break_hours),
+  workHours: toNumber(row.work_hours),
+  positiveDeliveries: toNumber(row.positive_deliveries),
+  negativeDeliveries: toNumber(row.negative_deliveries),
+  positivePickups: toNumber(row.positive_pickups),
+  negativePickups: toNumber(row.negative_pickups),
+  totalKm: toNumber(row.total_km)
+});
+
+/**
+ * Convert a performance_totals row to numbers
+ * @param {Object|undefined} row - Row from performance_totals (none when
+ *   there are no sessions)
+ * @returns {Object} Same fields as toDailyStat without day, plus
+ *   {awayFromDepot, failureReasons}
+ */
+export const toPeriodTotals = (row = {}) => {
+  const { day, ...totals } = toDailyStat(row);
+  return {
+    ...totals,
+    awayFromDepot: toNumber(row.away_from_depot),
+    failureReasons: row.failure_reasons || {}
+  };
+};
+
+/**
+ * Summary card figures for a period
+ * @param {Object} totals - Result of toPeriodTotals
+ * @returns {Object} Delivery and pickup counts, plus hour and km totals
+ *   formatted to one decimal
+ */
+export const buildTotalStats = (totals) => {
+  const average = (value) => (totals.sessions > 0 ? value / totals.sessions : 0);
+
+  return {
+    totalDeliveries: totals.positiveDeliveries + totals.negativeDeliveries,
+    totalPositiveDeliveries: totals.positiveDeliveries,
+    totalNegativeDeliveries: totals.negativeDeliveries,
+    totalPickups: totals.positivePickups + totals.negativePickups,
+    totalPositivePickups: totals.positivePickups,
+    totalNegativePickups: totals.negativePickups,
+    totalWorkHours: totals.workHours.toFixed(1),
+    totalBreakHours: totals.breakHours.toFixed(1),
+    totalHours: totals.totalHours.toFixed(1),
+    avgWorkHours: average(totals.workHours).toFixed(1),
+    avgBreakHours: average(totals.breakHours).toFixed(1),
+    totalKm: totals.totalKm.toFixed(1),
+    totalDays: totals.sessions
+  };
+};
+
+/**
+ * Shape period totals like a session for getFailureReasonBreakdown
+ * @param {Object} totals - Result of toPeriodTotals
+ * @returns {Object} {failure_reasons, negative_deliveries, negative_pickups}
+ */
+export const toFailureReasonSession = (totals) => ({
+  failure_reasons: totals.failureReasons,
+  negative_deliveries: totals.negativeDeliveries,
+  negative_pickups: totals.negativePickups
+});
+
+/**
+ * Get the bucket a day falls in
+ * @param {string} dayKey - Day in YYYY-MM-DD format
+ * @param {string} granularity - Key of CHART_GRANULARITIES
+ * @returns {string} First day of the bucket: the day itself, the Monday of
+ *   its ISO week or the first of its month
+ */
+export const getBucketKey = (dayKey, granularity) => {
+  if (granularity === 'week') return getWeekStartKey(dayKey);
+  if (granularity === 'month') return `${dayKey.slice(0, 7)}-01`;
+  return dayKey;
+};
+
+/**
+ * Label a bucket for a chart axis
+ * @param {string} bucketKey - Result of getBucketKey
+ * @param {string} granularity - Key of CHART_GRANULARITIES
+ * @returns {string} e.g. "Jan 15", "Wk of Jan 15" or "Jan 2024"
+ */
+export const formatBucketLabel = (bucketKey, granularity) => {
+  if (granularity === 'week') return `Wk of ${formatDateKey(bucketKey)}`;
+  if (granularity === 'month') return formatDateKey(bucketKey, { month: 'short', year: 'numeric' });
+  return formatDateKey(bucketKey);
+};
+
+/**
+ * Group daily totals into days, ISO weeks or months
+ * Counts, hours and km are summed; hours are also averaged per session.
+ * @param {Array} days - Results of toDailyStat, any order
+ * @param {string} granularity - Key of CHART_GRANULARITIES
+ * @returns {Array} Buckets in date order: {bucket, label, ...summed fields,
+ *   avgWorkHours, avgBreakHours}
+ */
+export const bucketDailyStats = (days, granularity = 'day') => {
+  const buckets = new Map();
+
+  days.forEach(day => {
+    const key = getBucketKey(day.day, granularity);
+    if (!buckets.has(key)) {
+      buckets.set(key, Object.fromEntries(SUMMED_FIELDS.map(field => [field, 0])));
+    }
+    const bucket = buckets.get(key);
+    SUMMED_FIELDS.forEach(field => {
+      bucket[field] += day[field] || 0;
+    });
+  });
+
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, bucket]) => ({
+      bucket: key,
+      label: formatBucketLabel(key, granularity),
+      ...bucket,
+      avgWorkHours: bucket.sessions > 0 ? bucket.workHours / bucket.sessions : 0,
+      avgBreakHours: bucket.sessions > 0 ? bucket.breakHours / bucket.sessions : 0
+    }));
+};
+
+/**
+ * Number of days in a period
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day (YYYY-MM-DD)
+ * @returns {number} Days, counting both ends
+ */
+export const getPeriodLength = (fromKey, toKey) => {
+  return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS) + 1;
+};
+
+/**
+ * Get the period of the same length just before a period
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day (YYYY-MM-DD)
+ * @returns {Object} {fromKey, toKey} of the previous period
+ */
+export const getPreviousPeriod = (fromKey, toKey) => {
+  const length = getPeriodLength(fromKey, toKey);
+  return {
+    fromKey: addDaysToDateKey(fromKey, -length),
+    toKey: addDaysToDateKey(fromKey, -1)
+  };
+};
+
+/**
+ * Percentage change from the previous period
+ * @param {number} current - This period's value
+ * @param {number} previous - Previous period's value
+ * @returns {number|null} e.g. 12.5 for +12.5%, or null when the previous
+ *   period had nothing to compare with
+ */
+export const getPercentChange = (current, previous) => {
+  if (!previous) return null;
+  return ((current - previous) / previous) * 100;
+};
+
+/**
+ * Line up the previous period's buckets with this period's
+ * Each bucket is matched with the bucket one period length earlier.
+ * @param {Array} current - Buckets of this period
+ * @param {Array} previous - Buckets of the previous period
+ * @param {number} periodLength - Days in a period
+ * @param {string} granularity - Key of CHART_GRANULARITIES
+ * @returns {Array} Current buckets with previousAvgWorkHours,
+ *   previousDeliveries and previousPickups (null without a match)
+ */
+export const alignPreviousBuckets = (current, previous, periodLength, granularity = 'day') => {
+  const previousByKey = new Map(previous.map(bucket => [bucket.bucket, bucket]));
+  return current.map(bucket => {
+    const match = previousByKey.get(getBucketKey(addDaysToDateKey(bucket.bucket, -periodLength), granularity));
+    return {
+      ...bucket,
+      previousAvgWorkHours: match ? match.avgWorkHours : null,
+      previousDeliveries: match ? match.positiveDeliveries + match.negativeDeliveries : null,
+      previousPickups: match ? match.positivePickups + match.negativePickups : null
+    };
+  });
+};
+
+/**
+ * Load totals per day
+ * @param {Object} filters - {userId, from, to, timeZone}: a null user means
+ *   every driver the caller can see; from/to are Dates (to is optional)
+ * @returns {Object} {success: boolean, days: Array, error: string}
+ */
+export const loadDailyStats = async ({ userId = null, from = null, to = null, timeZone }) => {
+  try {
+    const { data, error } = await supabase.rpc('performance_daily', {
+      p_user_id: userId,
+      p_from: from ? from.toISOString() : null,
+      p_to: to ? to.toISOString() : null,
+      p_time_zone: timeZone
+    });
+
+    if (error) throw error;
+    return { success: true, days: (data || []).map(toDailyStat) };
+  } catch (error) {
+    console.error('Error loading daily stats:', error.message);
+    return { success: false, days: [], error: error.message };
+  }
+};
+
+/**
+ * Load totals for a whole period
+ * @param {Object} filters - {userId, from, to}
+ * @returns {Object} {success: boolean, totals: Object, error: string}
+ */
+export const loadPeriodTotals = async ({ userId = null, from = null, to = null }) => {
+  try {
+    const { data, error } = await supabase.rpc('performance_totals', {
+      p_user_id: userId,
+      p_from: from ? from.toISOString() : null,
+      p_to: to ? to.toISOString() : null
+    });
+
+    if (error) throw error;
+    return { success: true, totals: toPeriodTotals(data?.[0]) };
+  } catch (error) {
+    console.error('Error loading period totals:', error.message);
+    return { success: false, totals: toPeriodTotals(), error: error.message };
+  }
+};
+
+/**
+ * Load one page of ended sessions, newest first
+ * @param {Object} filters - {userId, from, to, page, pageSize}: page starts at 0
+ * @returns {Object} {success: boolean, sessions: Array, count: number, error: string}
+ */
+export const loadSessionPage = async ({ userId = null, from = null, to = null, page = 0, pageSize = SESSION_PAGE_SIZE }) => {
+  try {
+    let query = supabase
+      .from('sessions')
+      .select(`
+        *,
+        user:user_id (
+          id,
+          name,
+          username
+        )
+      `, { count: 'exact' })
+      .not('end_time', 'is', null);
+
+    if (userId) query = query.eq('user_id', userId);
+    if (from) query = query.gte('date', from.toISOString());
+    if (to) query = query.lte('date', to.toISOString());
+
+    const { data, error, count } = await query
+      .order('date', { ascending: false })
+      .range(page * pageSize, (page + 1) * pageSize - 1);
+
+    if (error) throw error;
+    return { success: true, sessions: data || [], count: count || 0 };
+  } catch (error) {
+    console.error('Error loading sessions:', error.message);
+    return { success: false, sessions: [], count: 0, error: error.message };
+  }
+};
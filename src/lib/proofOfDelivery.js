@@ -0,0 +1,153 @@
+// Helper functions for proof of delivery (photos and signatures per stop)
+// Files go to the private 'proof-of-delivery' storage bucket and the path is
+// kept on the stop. Set VITE_PROOF_STORAGE=local to keep files in the
+// browser instead (for testing without a storage bucket).
+import { supabase } from './supabase';
+
+export const PROOF_BUCKET = 'proof-of-delivery';
+
+export const PROOF_KINDS = {
+  photo: { label: 'Photo', icon: '📷' },
+  signature: { label: 'Signature', icon: '✍️' }
+};
+
+// Photos are scaled down to this many pixels on the longest side
+export const MAX_PHOTO_DIMENSION = 1600;
+
+// Signed links for admins expire after an hour
+const SIGNED_URL_SECONDS = 60 * 60;
+
+const LOCAL_PREFIX = 'local:';
+const localFiles = new Map();
+
+const useLocalStorage = () => import.meta.env.VITE_PROOF_STORAGE === 'local';
+
+/**
+ * Build the storage path for a proof file
+ * The first folder must be the driver's id (storage policies check it).
+ * @param {string} userId - Driver the stop belongs to
+ * @param {string} stopId - Stop the proof is for
+ * @param {string} kind - 'photo' or 'signature'
+ * @param {string} extension - File extension, e.g. 'jpg'
+ * @param {Date} now - Capture time (keeps retakes apart)
+ * @returns {string} e.g. "<user id>/stop-123-photo-1705312800000.jpg"
+ */
+export const getProofPath = (userId, stopId, kind, extension, now = new Date()) => {
+  return `${userId}/${stopId}-${kind}-${now.getTime()}.${extension}`;
+};
+
+/**
+ * Record a proof file on a stop
+ * @param {Object} stop - Stop log entry
+ * @param {string} kind - 'photo' or 'signature'
+ * @param {string} path - Storage path of the file
+ * @returns {Object} Updated stop (a new object)
+ */
+export const attachProof = (stop, kind, path) => ({
+  ...stop,
+  proof: { ...(stop.proof || {}), [kind]: path }
+});
+
+/**
+ * List the kinds of proof attached to a stop
+ * @param {Object} stop - Stop log entry
+ * @returns {Array} e.g. ['photo', 'signature']
+ */
+export const getProofKinds = (stop) => {
+  return Object.keys(PROOF_KINDS).filter(kind => stop?.proof?.[kind]);
+};
+
+/**
+ * Convert a data URL (e.g. from a signature canvas) to a Blob
+ * @param {string} dataUrl - "data:<type>;base64,<data>"
+ * @returns {Blob} Binary file
+ */
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = dataUrl.split(',');
+  const type = header.match(/data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+};
+
+/**
+ * Scale a camera photo down to a JPEG small enough to upload on mobile data
+ * Returns the original file when the browser cannot decode it.
+ * @param {File} file - Photo from the camera or gallery
+ * @param {number} maxDimension - Longest side in pixels
+ * @returns {Promise<Blob>} JPEG image
+ */
+export const resizePhoto = async (file, maxDimension = MAX_PHOTO_DIMENSION) => {
+  if (typeof createImageBitmap === 'undefined') return file;
+
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return await new Promise(resolve => {
+      canvas.toBlob(blob => resolve(blob || file), 'image/jpeg', 0.8);
+    });
+  } catch (error) {
+    console.error('Error resizing photo:', error.message);
+    return file;
+  }
+};
+
+/**
+ * Upload a proof file
+ * @param {Blob} file - Image to store
+ * @param {string} path - Path from getProofPath
+ * @returns {Object} {success: boolean, path: string, error: string}
+ */
+export const uploadProof = async (file, path) => {
+  if (useLocalStorage()) {
+    const localPath = LOCAL_PREFIX + path;
+    localFiles.set(localPath, URL.createObjectURL(file));
+    return { success: true, path: localPath };
+  }
+
+  try {
+    const { error } = await supabase.storage
+      .from(PROOF_BUCKET)
+      .upload(path, file, { contentType: file.type || 'image/jpeg', upsert: false });
+
+    if (error) throw error;
+    return { success: true, path };
+  } catch (error) {
+    console.error('Error uploading proof:', error.message);
+    return { success: false, path: null, error: error.message };
+  }
+};
+
+/**
+ * Get a link to view a proof file
+ * @param {string} path - Path saved on the stop
+ * @returns {Object} {success: boolean, url: string, error: string}
+ */
+export const getProofUrl = async (path) => {
+  if (path.startsWith(LOCAL_PREFIX)) {
+    const url = localFiles.get(path);
+    return url
+      ? { success: true, url }
+      : { success: false, url: null, error: 'This file was stored on another device' };
+  }
+
+  try {
+    const { data, error } = await supabase.storage
+      .from(PROOF_BUCKET)
+      .createSignedUrl(path, SIGNED_URL_SECONDS);
+
+    if (error) throw error;
+    return { success: true, url: data.signedUrl };
+  } catch (error) {
+    console.error('Error loading proof:', error.message);
+    return { success: false, url: null, error: error.message };
+  }
+};
@@ -0,0 +1,245 @@
+// Helper functions for route master data
+// Admins manage routes; everyone logged in can read them (RLS). Sessions
+// store the route id and copy the route code into route_number.
+import { supabase } from './supabase';
+import { validateRouteNumber } from './validationUtils';
+
+/**
+ * Reduce a route number to a comparable key
+ * Ignores case, spaces, '#' and a leading "Route" (same rule as the
+ * link_sessions_to_routes database function).
+ * @param {string} routeNumber - Route code or free-text route number
+ * @returns {string} e.g. "Route #42" -> "42"
+ */
+export const getRouteKey = (routeNumber) => {
+  return (routeNumber || '').toUpperCase().replace(/^ROUTE/, '').replace(/[\s#]/g, '');
+};
+
+/**
+ * Find the route a session belongs to
+ * Uses route_id, falling back to matching the free-text route number of
+ * older sessions.
+ * @param {Object} session - Session row
+ * @param {Array} routes - Route rows
+ * @returns {Object|null} Matching route
+ */
+export const findSessionRoute = (session, routes) => {
+  if (session.route_id) {
+    const byId = routes.find(route => route.id === session.route_id);
+    if (byId) return byId;
+  }
+  const key = getRouteKey(session.route_number);
+  if (!key) return null;
+  return routes.find(route => getRouteKey(route.code) === key) || null;
+};
+
+/**
+ * Validate route form data
+ * @param {Object} routeData - {code, name, depot, expected_stops, expected_km}
+ * @param {Array} routes - Existing routes (for duplicate codes)
+ * @param {string} editingId - Id of the route being edited, if any
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateRoute = (routeData, routes = [], editingId = null) => {
+  const errors = [];
+
+  const codeValidation = validateRouteNumber(routeData.code);
+  if (!codeValidation.isValid) {
+    errors.push(codeValidation.error.replace('Route number', 'Route code'));
+  } else if (routes.some(route => route.id !== editingId && getRouteKey(route.code) === getRouteKey(routeData.code))) {
+    errors.push('A route with this code already exists');
+  }
+
+  if (routeData.expected_stops !== '' && routeData.expected_stops != null) {
+    const stops = Number(routeData.expected_stops);
+    if (!Number.isInteger(stops) || stops < 0) {
+      errors.push('Expected stops must be a whole number');
+    }
+  }
+
+  if (routeData.expected_km !== '' && routeData.expected_km != null) {
+    const km = parseFloat(routeData.expected_km);
+    if (isNaN(km) || km < 0) {
+      errors.push('Expected distance must be a positive number');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Describe a route for pickers and tables
+ * @param {Object} route - Route row
+ * @returns {string} e.g. "R42 - City Centre (Oslo Depot)"
+ */
+export const formatRouteLabel = (route) => {
+  if (!route) return '';
+  let label = route.code;
+  if (route.name) label += ` - ${route.name}`;
+  if (route.depot) label += ` (${route.depot})`;
+  return label;
+};
+
+/**
+ * Compare expected and actual figures per route
+ * Stops are deliveries plus pickups, successful or not.
+ * @param {Array} sessions - Ended session rows
+ * @param {Array} routes - Route rows
+ * @returns {Object} {rows, unmatched}: rows per route with averages and
+ *   variances; unmatched lists free-text route numbers with no route
+ */
+export const buildRouteReport = (sessions, routes) => {
+  const byRoute = new Map();
+  const unmatched = new Map();
+
+  sessions.forEach(session => {
+    const route = findSessionRoute(session, routes);
+    if (!route) {
+      const label = (session.route_number || '').trim() || '(none)';
+      unmatched.set(label, (unmatched.get(label) || 0) + 1);
+      return;
+    }
+
+    if (!byRoute.has(route.id)) {
+      byRoute.set(route.id, { route, sessions: 0, stops: 0, deliveries: 0, kmSessions: 0, km: 0 });
+    }
+    const row = byRoute.get(route.id);
+    const deliveries = (session.positive_deliveries || 0) + (session.negative_deliveries || 0);
+    const pickups = (session.positive_pickups || 0) + (session.negative_pickups || 0);
+
+    row.sessions += 1;
+    row.deliveries += session.positive_deliveries || 0;
+    row.stops += deliveries + pickups;
+    if (session.total_km != null) {
+      row.kmSessions += 1;
+      row.km += parseFloat(session.total_km) || 0;
+    }
+  });
+
+  const variance = (actual, expected) => (
+    expected ? ((actual - expected) / expected) * 100 : null
+  );
+
+  const rows = Array.from(byRoute.values())
+    .map(row => {
+      const avgStops = row.stops / row.sessions;
+      const avgKm = row.kmSessions > 0 ? row.km / row.kmSessions : null;
+      const expectedStops = row.route.expected_stops ?? null;
+      const expectedKm = row.route.expected_km != null ? parseFloat(row.route.expected_km) : null;
+      return {
+        route: row.route,
+        sessions: row.sessions,
+        avgStops,
+        avgSuccessfulDeliveries: row.deliveries / row.sessions,
+        expectedStops,
+        stopsVariance: variance(avgStops, expectedStops),
+        avgKm,
+        expectedKm,
+        kmVariance: avgKm !== null ? variance(avgKm, expectedKm) : null
+      };
+    })
+    .sort((a, b) => a.route.code.localeCompare(b.route.code));
+
+  return {
+    rows,
+    unmatched: Array.from(unmatched.entries())
+      .map(([routeNumber, count]) => ({ routeNumber, sessions: count }))
+      .sort((a, b) => b.sessions - a.sessions)
+  };
+};
+
+/**
+ * Load routes
+ * @param {boolean} activeOnly - Leave out retired routes
+ * @returns {Object} {success: boolean, routes: Array, error: string}
+ */
+export const loadRoutes = async (activeOnly = false) => {
+  try {
+    let query = supabase
+      .from('routes')
+      .select('*')
+      .order('code', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, routes: data || [] };
+  } catch (error) {
+    console.error('Error loading routes:', error.message);
+    return { success: false, routes: [], error: error.message };
+  }
+};
+
+// Form values to table columns
+const toRouteRow = (routeData) => ({
+  code: routeData.code.trim(),
+  name: (routeData.name || '').trim() || null,
+  depot: (routeData.depot || '').trim() || null,
+  expected_stops: routeData.expected_stops === '' || routeData.expected_stops == null ? null : parseInt(routeData.expected_stops),
+  expected_km: routeData.expected_km === '' || routeData.expected_km == null ? null : parseFloat(routeData.expected_km),
+  active: routeData.active !== false
+});
+
+/**
+ * Create a route (admins only)
+ * @param {Object} routeData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const createRoute = async (routeData) => {
+  try {
+    const { error } = await supabase
+      .from('routes')
+      .insert([toRouteRow(routeData)]);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating route:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a route (admins only)
+ * @param {string} routeId - Route to update
+ * @param {Object} routeData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const updateRoute = async (routeId, routeData) => {
+  try {
+    const { error } = await supabase
+      .from('routes')
+      .update(toRouteRow(routeData))
+      .eq('id', routeId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating route:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a route (admins only)
+ * Sessions keep their route number but lose the link to the route.
+ * @param {string} routeId - Route to delete
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const deleteRoute = async (routeId) => {
+  try {
+    const { error } = await supabase
+      .from('routes')
+      .delete()
+      .eq('id', routeId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting route:', error.message);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,198 @@
+// Helper functions for exporting session history to CSV and Excel
+// One row per ended session with its route, vehicle, counts, failure
+// reasons, comments, km, breaks and the hours calculated the same way as
+// Performance and payroll. Times after midnight are marked "(+1 day)".
+import { supabase } from './supabase';
+import { calculateTimeMetrics, formatShiftTime } from './sessionHelpers';
+import { getBreakTypeInfo, isPaidBreak } from './breakTypes';
+import { DEFAULT_FAILURE_REASONS, getReasonLabel } from './failureReasons';
+import { getDateKey } from './timezone';
+import { toCSV, toXLSX } from './exportUtils';
+
+// Rows asked for per request. The server may return fewer (its max-rows
+// setting), so pages are read until one comes back empty.
+const EXPORT_BATCH_SIZE = 1000;
+
+export const SESSION_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Driver' },
+  { key: 'username', label: 'Username' },
+  { key: 'date', label: 'Date' },
+  { key: 'routeNumber', label: 'Route' },
+  { key: 'routeName', label: 'Route Name' },
+  { key: 'vehicle', label: 'Vehicle' },
+  { key: 'startTime', label: 'Start Time' },
+  { key: 'endTime', label: 'End Time' },
+  { key: 'totalHours', label: 'Total Hours' },
+  { key: 'breakHours', label: 'Break Hours' },
+  { key: 'paidBreakHours', label: 'Paid Break Hours' },
+  { key: 'workHours', label: 'Work Hours' },
+  { key: 'payableHours', label: 'Payable Hours' },
+  { key: 'breakCount', label: 'Breaks' },
+  { key: 'breakDetails', label: 'Break Details' },
+  { key: 'positiveDeliveries', label: 'Successful Deliveries' },
+  { key: 'negativeDeliveries', label: 'Failed Deliveries' },
+  { key: 'totalDeliveries', label: 'Total Deliveries' },
+  { key: 'deliveryComments', label: 'Delivery Comments' },
+  { key: 'deliveryFailureReasons', label: 'Delivery Failure Reasons' },
+  { key: 'positivePickups', label: 'Successful Pickups' },
+  { key: 'negativePickups', label: 'Failed Pickups' },
+  { key: 'totalPickups', label: 'Total Pickups' },
+  { key: 'pickupComments', label: 'Pickup Comments' },
+  { key: 'pickupFailureReasons', label: 'Pickup Failure Reasons' },
+  { key: 'startKm', label: 'Start KM' },
+  { key: 'endKm', label: 'End KM' },
+  { key: 'totalKm', label: 'Total KM' }
+];
+
+const toHours = (value) => Number(value.toFixed(2));
+
+const toKm = (value) => {
+  const km = parseFloat(value);
+  return value === null || value === undefined || isNaN(km) ? null : km;
+};
+
+/**
+ * Describe a session's breaks in one cell
+ * @param {Array} breaks - Session breaks
+ * @param {string} shiftStart - Shift start ISO string, for the "+1 day" marker
+ * @param {string} timeZone - Timezone to show times in
+ * @returns {string} e.g. "12:00 PM-12:30 PM Meal (unpaid); 02:10 AM (+1 day)-02:25 AM (+1 day) Traffic (paid)"
+ */
+export const formatBreakDetails = (breaks = [], shiftStart = null, timeZone = null) => {
+  return breaks
+    .map(brk => {
+      const end = brk.end ? formatShiftTime(brk.end, shiftStart, timeZone) : 'open';
+      const paid = isPaidBreak(brk) ? 'paid' : 'unpaid';
+      return `${formatShiftTime(brk.start, shiftStart, timeZone)}-${end} ${getBreakTypeInfo(brk).label} (${paid})`;
+    })
+    .join('; ');
+};
+
+/**
+ * Describe a session's failure reason counts for one kind in one cell
+ * @param {Object} failureReasons - sessions.failure_reasons
+ * @param {string} kind - Key of FAILURE_KINDS
+ * @param {Array} reasons - Reason catalogue, for labels
+ * @returns {string} e.g. "Customer absent: 2; Wrong address: 1"
+ */
+export const formatFailureReasons = (failureReasons, kind, reasons = DEFAULT_FAILURE_REASONS) => {
+  return Object.entries(failureReasons?.[kind] || {})
+    .filter(([, count]) => count > 0)
+    .map(([code, count]) => `${getReasonLabel(reasons, code)}: ${count}`)
+    .join('; ');
+};
+
+/**
+ * Build export rows for sessions
+ * @param {Array} sessions - Session rows with the user, route and vehicle joins
+ * @param {Object} options - {getTimezone(userId), failureReasons}: timezone
+ *   for each driver's dates and times, and the reason catalogue for labels
+ * @returns {Array} Rows keyed by SESSION_EXPORT_COLUMNS
+ */
+export const buildSessionExportRows = (sessions, options = {}) => {
+  const { getTimezone = () => null, failureReasons = DEFAULT_FAILURE_REASONS } = options;
+
+  return sessions.map(session => {
+    const timeZone = getTimezone(session.user_id);
+    const metrics = calculateTimeMetrics(session, timeZone);
+    const positiveDeliveries = session.positive_deliveries || 0;
+    const negativeDeliveries = session.negative_deliveries || 0;
+    const positivePickups = session.positive_pickups || 0;
+    const negativePickups = session.negative_pickups || 0;
+
+    return {
+      name: session.user?.name || '',
+      username: session.user?.username || '',
+      date: getDateKey(session.date, timeZone),
+      routeNumber: session.route_number || '',
+      routeName: session.route?.name || '',
+      vehicle: session.vehicle?.plate || '',
+      startTime: formatShiftTime(session.start_time, session.start_time, timeZone),
+      endTime: formatShiftTime(session.end_time, session.start_time, timeZone),
+      totalHours: toHours(metrics.totalTime),
+      breakHours: toHours(metrics.breakTime),
+      paidBreakHours: toHours(metrics.paidBreakTime),
+      workHours: toHours(metrics.workTime),
+      payableHours: toHours(metrics.payableTime),
+      breakCount: (session.breaks || []).length,
+      breakDetails: formatBreakDetails(session.breaks, session.start_time, timeZone),
+      positiveDeliveries,
+      negativeDeliveries,
+      totalDeliveries: positiveDeliveries + negativeDeliveries,
+      deliveryComments: session.delivery_comments || '',
+      deliveryFailureReasons: formatFailureReasons(session.failure_reasons, 'delivery', failureReasons),
+      positivePickups,
+      negativePickups,
+      totalPickups: positivePickups + negativePickups,
+      pickupComments: session.pickup_comments || '',
+      pickupFailureReasons: formatFailureReasons(session.failure_reasons, 'pickup', failureReasons),
+      startKm: toKm(session.start_km),
+      endKm: toKm(session.end_km),
+      totalKm: toKm(session.total_km)
+    };
+  });
+};
+
+/**
+ * Render session export rows as CSV
+ * @param {Array} rows - Result of buildSessionExportRows
+ * @returns {string} CSV text
+ */
+export const sessionsToCSV = (rows) => toCSV(SESSION_EXPORT_COLUMNS, rows);
+
+/**
+ * Render session export rows as an Excel workbook
+ * @param {Array} rows - Result of buildSessionExportRows
+ * @returns {Uint8Array} XLSX file
+ */
+export const sessionsToXLSX = (rows) => toXLSX(SESSION_EXPORT_COLUMNS, rows, 'Sessions');
+
+/**
+ * Load every ended session matching the filters, oldest first
+ * @param {Object} filters - {userId, from, to}: a null user means every
+ *   driver the caller can see; from/to are Dates
+ * @returns {Object} {success: boolean, sessions: Array, error: string}
+ */
+export const loadSessionsForExport = async ({ userId = null, from = null, to = null }) => {
+  try {
+    const sessions = [];
+    for (let offset = 0; ; ) {
+      let query = supabase
+        .from('sessions')
+        .select(`
+          *,
+          user:user_id (
+            id,
+            name,
+            username
+          ),
+          route:route_id (
+            code,
+            name
+          ),
+          vehicle:vehicle_id (
+            plate
+          )
+        `)
+        .not('end_time', 'is', null);
+
+      if (userId) query = query.eq('user_id', userId);
+      if (from) query = query.gte('date', from.toISOString());
+      if (to) query = query.lte('date', to.toISOString());
+
+      const { data, error } = await query
+        .order('date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + EXPORT_BATCH_SIZE - 1);
+
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+      sessions.push(...data);
+      offset += data.length;
+    }
+    return { success: true, sessions };
+  } catch (error) {
+    console.error('Error loading sessions for export:', error.message);
+    return { success: false, sessions: [], error: error.message };
+  }
+};
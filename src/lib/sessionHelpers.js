@@ -1,16 +1,31 @@
 // Helper functions for session calculations and validation
 // Used by TimeTracking and other components
+import {
+  getZonedParts,
+  zonedTimeToDate,
+  getDateKey,
+  getCalendarDayDifference
+} from './timezone';
+import { getStopTotals, getStopReasonCounts, hasStopLog, validateStops } from './stops';
+import { validateReasonCounts } from './failureReasons';
+import { isPaidBreak, validateBreakTypes } from './breakTypes';
 
 /**
  * Calculate total deliveries/pickups for backward compatibility
+ * Sessions with a stop log get their positive/negative counts and failure
+ * reason counts from it.
  * @param {Object} session - Session object with positive/negative counts
  * @returns {Object} Session with calculated totals
  */
 export const calculateTotals = (session) => {
-  const positiveDeliveries = parseInt(session.positive_deliveries) || 0;
-  const negativeDeliveries = parseInt(session.negative_deliveries) || 0;
-  const positivePickups = parseInt(session.positive_pickups) || 0;
-  const negativePickups = parseInt(session.negative_pickups) || 0;
+  const counted = hasStopLog(session)
+    ? { ...session, ...getStopTotals(session.stops), failure_reasons: getStopReasonCounts(session.stops) }
+    : session;
+
+  const positiveDeliveries = parseInt(counted.positive_deliveries) || 0;
+  const negativeDeliveries = parseInt(counted.negative_deliveries) || 0;
+  const positivePickups = parseInt(counted.positive_pickups) || 0;
+  const negativePickups = parseInt(counted.negative_pickups) || 0;
   
   let totalKm = null;
   if (session.end_km != null && session.start_km != null) {
@@ -22,7 +37,7 @@ export const calculateTotals = (session) => {
   }
   
   return {
-    ...session,
+    ...counted,
     deliveries: positiveDeliveries + negativeDeliveries,
     pickups: positivePickups + negativePickups,
     total_km: totalKm
@@ -31,45 +46,63 @@ export const calculateTotals = (session) => {
 
 /**
  * Calculate enhanced time metrics for KPI reporting
+ * Overnight shifts saved before times were anchored to the shift start can
+ * have an end (or break) time that lands before the start; those times are
+ * moved forward to the next day before measuring.
+ * Work time leaves out every break; payable time only leaves out unpaid
+ * breaks (paid breaks such as loading waits are the company's time).
  * @param {Object} session - Session object with time data
- * @returns {Object} Time metrics in hours
+ * @param {string} timeZone - Driver's timezone (optional, defaults to the browser's)
+ * @returns {Object} Time metrics in hours: {totalTime, breakTime,
+ *   paidBreakTime, workTime, payableTime}
  */
-export const calculateTimeMetrics = (session) => {
+export const calculateTimeMetrics = (session, timeZone = null) => {
   if (!session.start_time || !session.end_time) {
     return {
       totalTime: 0,
       breakTime: 0,
-      workTime: 0
+      paidBreakTime: 0,
+      workTime: 0,
+      payableTime: 0
     };
   }
 
-  const start = new Date(session.start_time);
-  const end = new Date(session.end_time);
+  const { start_time, end_time, breaks } = normalizeShiftTimes(session, timeZone);
+  const start = new Date(start_time);
+  const end = new Date(end_time);
   const totalTime = end - start;
   
-  const breakTime = (session.breaks || []).reduce((total, brk) => {
+  let breakTime = 0;
+  let paidBreakTime = 0;
+  breaks.forEach(brk => {
     if (brk.end) {
-      return total + (new Date(brk.end) - new Date(brk.start));
+      const length = new Date(brk.end) - new Date(brk.start);
+      breakTime += length;
+      if (isPaidBreak(brk)) paidBreakTime += length;
     }
-    return total;
-  }, 0);
+  });
   
   const workTime = totalTime - breakTime;
   
   return {
-    totalTime: totalTime / (1000 * 60 * 60), // hours
-    breakTime: breakTime / (1000 * 60 * 60), // hours
-    workTime: workTime / (1000 * 60 * 60)    // hours
+    totalTime: totalTime / (1000 * 60 * 60),         // hours
+    breakTime: breakTime / (1000 * 60 * 60),         // hours
+    paidBreakTime: paidBreakTime / (1000 * 60 * 60), // hours
+    workTime: workTime / (1000 * 60 * 60),           // hours
+    payableTime: (workTime + paidBreakTime) / (1000 * 60 * 60) // hours
   };
 };
 
 /**
  * Validate session data before saving
  * @param {Object} sessionData - Session data to validate
+ * @param {Object} options - {previousEndKm}: the vehicle's last recorded
+ *   odometer reading, when starting a session on a known vehicle
  * @returns {Array} Array of error messages (empty if valid)
  */
-export const validateSession = (sessionData) => {
+export const validateSession = (sessionData, options = {}) => {
   const errors = [];
+  const { previousEndKm = null } = options;
   
   // Mileage validation
   if (sessionData.end_km != null && sessionData.start_km != null) {
@@ -83,6 +116,22 @@ export const validateSession = (sessionData) => {
     }
   }
   
+  // Odometer continuity: a vehicle cannot start below where it last ended
+  if (sessionData.start_km != null && previousEndKm != null) {
+    const startKm = parseFloat(sessionData.start_km);
+    const lastKm = parseFloat(previousEndKm);
+    
+    if (!isNaN(startKm) && !isNaN(lastKm) && startKm < lastKm) {
+      errors.push(`Starting KM cannot be below the vehicle's last recorded reading (${lastKm} KM)`);
+    }
+  }
+  
+  // Shift end must come after the start (overnight ends are on the next day)
+  if (sessionData.start_time && sessionData.end_time &&
+      new Date(sessionData.end_time) <= new Date(sessionData.start_time)) {
+    errors.push('End time must be after start time');
+  }
+  
   // Delivery/pickup validation
   const posDeliveries = parseInt(sessionData.positive_deliveries) || 0;
   const negDeliveries = parseInt(sessionData.negative_deliveries) || 0;
@@ -97,6 +146,15 @@ export const validateSession = (sessionData) => {
     errors.push('Pickup counts cannot be negative');
   }
   
+  // Failure reasons cannot account for more failures than were recorded
+  errors.push(...validateReasonCounts(sessionData));
+  
+  // Logged stops must fall inside the shift
+  errors.push(...validateStops(sessionData.stops, sessionData));
+  
+  // Break types must be known ones
+  errors.push(...validateBreakTypes(sessionData.breaks));
+  
   // Time sequence validation for breaks
   if (sessionData.breaks && Array.isArray(sessionData.breaks)) {
     sessionData.breaks.forEach((brk, idx) => {
@@ -142,55 +200,181 @@ export const validateSession = (sessionData) => {
 /**
  * Format time for display
  * @param {string} isoString - ISO timestamp string
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
  * @returns {string} Formatted time string
  */
-export const formatTime = (isoString) => {
+export const formatTime = (isoString, timeZone = null) => {
   if (!isoString) return '';
   return new Date(isoString).toLocaleTimeString('en-US', {
     hour: '2-digit',
     minute: '2-digit',
+    timeZone: timeZone || undefined,
   });
 };
 
 /**
  * Format time for HTML time input
  * @param {string} isoString - ISO timestamp string
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
  * @returns {string} Time string in HH:MM format
  */
-export const formatTimeForInput = (isoString) => {
+export const formatTimeForInput = (isoString, timeZone = null) => {
   if (!isoString) return '';
-  const date = new Date(isoString);
-  return date.toTimeString().slice(0, 5); // HH:MM format
+  const { hour, minute } = getZonedParts(isoString, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
 };
 
 /**
  * Convert time input value to ISO string for current date
  * @param {string} timeValue - Time in HH:MM format
  * @param {string} baseDate - Base date ISO string (optional, defaults to today)
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
+ * @returns {string} ISO timestamp string
+ */
+export const timeInputToISO = (timeValue, baseDate = null, timeZone = null) => {
+  if (!timeValue) return null;
+  
+  const { year, month, day } = getZonedParts(baseDate || new Date(), timeZone);
+  const [hour, minute] = timeValue.split(':').map(Number);
+  
+  return zonedTimeToDate({ year, month, day, hour, minute }, timeZone).toISOString();
+};
+
+/**
+ * Format date for HTML date input
+ * @param {string} isoString - ISO timestamp string
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+export const formatDateForInput = (isoString, timeZone = null) => {
+  return getDateKey(isoString, timeZone);
+};
+
+/**
+ * Convert date and time input values to an ISO string
+ * @param {string} dateValue - Date in YYYY-MM-DD format
+ * @param {string} timeValue - Time in HH:MM format
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
+ * @returns {string} ISO timestamp string
+ */
+export const dateTimeInputToISO = (dateValue, timeValue, timeZone = null) => {
+  if (!dateValue || !timeValue) return null;
+  
+  const [year, month, day] = dateValue.split('-').map(Number);
+  const [hour, minute] = timeValue.split(':').map(Number);
+  
+  return zonedTimeToDate({ year, month, day, hour, minute }, timeZone).toISOString();
+};
+
+/**
+ * Convert a time input value to the first matching moment at or after the
+ * shift start, so times after midnight land on the next day
+ * (e.g. 04:00 in a shift that started at 22:00)
+ * @param {string} timeValue - Time in HH:MM format
+ * @param {string} shiftStart - Shift start ISO string
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
  * @returns {string} ISO timestamp string
  */
-export const timeInputToISO = (timeValue, baseDate = null) => {
+export const shiftTimeToISO = (timeValue, shiftStart, timeZone = null) => {
   if (!timeValue) return null;
+  if (!shiftStart) return timeInputToISO(timeValue, null, timeZone);
+  
+  const result = timeInputToISO(timeValue, shiftStart, timeZone);
+  if (new Date(result) >= new Date(shiftStart)) {
+    return result;
+  }
+  
+  const { year, month, day } = getZonedParts(shiftStart, timeZone);
+  const [hour, minute] = timeValue.split(':').map(Number);
+  return zonedTimeToDate({ year, month, day: day + 1, hour, minute }, timeZone).toISOString();
+};
+
+/**
+ * Count the calendar days between the shift start and a time in the shift
+ * @param {string} isoString - ISO timestamp string
+ * @param {string} shiftStart - Shift start ISO string
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
+ * @returns {number} 0 for the start day, 1 for the next day, ...
+ */
+export const getShiftDayOffset = (isoString, shiftStart, timeZone = null) => {
+  if (!isoString || !shiftStart) return 0;
+  return getCalendarDayDifference(shiftStart, isoString, timeZone);
+};
+
+/**
+ * Format a time within a shift, marking times after midnight
+ * @param {string} isoString - ISO timestamp string
+ * @param {string} shiftStart - Shift start ISO string
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
+ * @returns {string} Formatted time, e.g. "02:15 AM (+1 day)"
+ */
+export const formatShiftTime = (isoString, shiftStart, timeZone = null) => {
+  if (!isoString) return '';
+  
+  const offset = getShiftDayOffset(isoString, shiftStart, timeZone);
+  if (offset <= 0) return formatTime(isoString, timeZone);
   
-  const base = baseDate ? new Date(baseDate) : new Date();
-  const [hours, minutes] = timeValue.split(':').map(Number);
+  return `${formatTime(isoString, timeZone)} (+${offset} day${offset === 1 ? '' : 's'})`;
+};
+
+// Move a time that falls before the shift start forward by whole calendar
+// days in the driver's timezone, keeping its wall-clock time across DST
+// changes (same rule as roll_forward_past in supabase-performance-aggregates.sql)
+const rollForwardPast = (isoString, shiftStart, timeZone = null) => {
+  if (!isoString || !shiftStart) return isoString;
+  if (new Date(isoString) >= new Date(shiftStart)) return isoString;
+  
+  const { year, month, day, hour, minute } = getZonedParts(isoString, timeZone);
+  const secondsMs = new Date(isoString).getTime() % (60 * 1000);
+  const onDay = (offset) => new Date(
+    zonedTimeToDate({ year, month, day: day + offset, hour, minute }, timeZone).getTime() + secondsMs
+  );
   
-  const result = new Date(base);
-  result.setHours(hours, minutes, 0, 0);
+  const days = getCalendarDayDifference(isoString, shiftStart, timeZone);
+  const moved = onDay(days);
+  return (moved >= new Date(shiftStart) ? moved : onDay(days + 1)).toISOString();
+};
+
+/**
+ * Repair overnight sessions whose end or break times were saved on the
+ * shift's start date (before the start time) instead of the next day
+ * @param {Object} session - Session object with time data
+ * @param {string} timeZone - Driver's timezone (optional, defaults to the browser's)
+ * @returns {Object} Session with end_time and breaks at or after start_time
+ */
+export const normalizeShiftTimes = (session, timeZone = null) => {
+  const breaks = session.breaks || [];
+  if (!session.start_time) {
+    return { ...session, breaks };
+  }
   
-  return result.toISOString();
+  return {
+    ...session,
+    end_time: rollForwardPast(session.end_time, session.start_time, timeZone),
+    breaks: breaks.map(brk => {
+      const start = rollForwardPast(brk.start, session.start_time, timeZone);
+      return {
+        ...brk,
+        start,
+        end: brk.end && start ? rollForwardPast(brk.end, start, timeZone) : brk.end
+      };
+    })
+  };
 };
 
 /**
  * Validate break time edit
+ * Times are placed at or after the shift start, so breaks after midnight in
+ * an overnight shift are on the next day. Open shifts end "now".
  * @param {Array} breaks - Current breaks array
  * @param {number} breakIndex - Index of break being edited
  * @param {string} field - 'start' or 'end'
  * @param {string} newTime - New time value in HH:MM format
  * @param {Object} session - Full session object for context
+ * @param {string} timeZone - IANA timezone (optional, defaults to the browser's)
  * @returns {Object} {isValid: boolean, error: string}
  */
-export const validateBreakTimeEdit = (breaks, breakIndex, field, newTime, session) => {
+export const validateBreakTimeEdit = (breaks, breakIndex, field, newTime, session, timeZone = null) => {
   if (!newTime) {
     return { isValid: false, error: 'Time is required' };
   }
@@ -202,7 +386,20 @@ export const validateBreakTimeEdit = (breaks, breakIndex, field, newTime, sessio
   
   // Create updated break with new time
   const updatedBreak = { ...breakToEdit };
-  updatedBreak[field] = timeInputToISO(newTime, session.date);
+  updatedBreak[field] = session.start_time
+    ? shiftTimeToISO(newTime, session.start_time, timeZone)
+    : timeInputToISO(newTime, session.date, timeZone);
+  
+  // Check against work period
+  if (session.start_time) {
+    const workStart = new Date(session.start_time);
+    const workEnd = session.end_time ? new Date(session.end_time) : new Date();
+    const newTimeDate = new Date(updatedBreak[field]);
+    
+    if (newTimeDate < workStart || newTimeDate > workEnd) {
+      return { isValid: false, error: 'Break time must be within work period' };
+    }
+  }
   
   // Validate the updated break
   if (updatedBreak.start && updatedBreak.end) {
@@ -214,17 +411,6 @@ export const validateBreakTimeEdit = (breaks, breakIndex, field, newTime, sessio
     }
   }
   
-  // Check against work period
-  if (session.start_time && session.end_time) {
-    const workStart = new Date(session.start_time);
-    const workEnd = new Date(session.end_time);
-    const newTimeDate = new Date(updatedBreak[field]);
-    
-    if (newTimeDate < workStart || newTimeDate > workEnd) {
-      return { isValid: false, error: 'Break time must be within work period' };
-    }
-  }
-  
   // Check for overlaps with other breaks
   const updatedBreaks = [...breaks];
   updatedBreaks[breakIndex] = updatedBreak;
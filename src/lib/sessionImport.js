@@ -0,0 +1,371 @@
+// Helper functions for importing historical sessions from a CSV file
+// Every row is checked the same way as an admin edit (validateAdminEditForm
+// and validateSession) before anything is written, so admins can review a
+// dry-run report first. Imported sessions are saved together with a
+// 'session_imported' entry in the audit history (import_sessions in
+// supabase-session-import.sql).
+import { supabase } from './supabase';
+import { parseCSV, toCSV } from './exportUtils';
+import { validateAdminEditForm } from './validationUtils';
+import { validateSession, calculateTotals, dateTimeInputToISO, shiftTimeToISO } from './sessionHelpers';
+import { BREAK_TYPES, DEFAULT_BREAK_TYPE, createBreak } from './breakTypes';
+import { findSessionRoute } from './routes';
+import { startOfDayInTimezone } from './timezone';
+
+// Rows written per request
+const IMPORT_BATCH_SIZE = 100;
+
+// Saved sessions read per request. The server may return fewer (its
+// max-rows setting), so pages are read until one comes back empty.
+const EXISTING_BATCH_SIZE = 1000;
+
+// Columns the importer reads. Headers are matched without case, spaces or
+// punctuation, so the session export's own headers are accepted too.
+export const IMPORT_FIELDS = {
+  username: { label: 'username', required: true, aliases: ['driver_username'] },
+  date: { label: 'date', required: true, aliases: [] },
+  start_time: { label: 'start_time', required: true, aliases: ['start'] },
+  end_time: { label: 'end_time', required: true, aliases: ['end'] },
+  breaks: { label: 'breaks', aliases: ['break_details'] },
+  route_number: { label: 'route_number', aliases: ['route'] },
+  positive_deliveries: { label: 'positive_deliveries', aliases: ['successful_deliveries'] },
+  negative_deliveries: { label: 'negative_deliveries', aliases: ['failed_deliveries'] },
+  positive_pickups: { label: 'positive_pickups', aliases: ['successful_pickups'] },
+  negative_pickups: { label: 'negative_pickups', aliases: ['failed_pickups'] },
+  delivery_comments: { label: 'delivery_comments', aliases: [] },
+  pickup_comments: { label: 'pickup_comments', aliases: [] },
+  start_km: { label: 'start_km', aliases: [] },
+  end_km: { label: 'end_km', aliases: [] }
+};
+
+// 24-hour or 12-hour times; the "(+1 day)" marker of the session export is
+// ignored, as times before the shift start already count as the next day
+const TIME_PATTERN = /^(\d{1,2}):([0-5]\d)(?:\s*([AP]M))?(?:\s*\(\+\d+ days?\))?$/i;
+const TIME_TEXT = '\\d{1,2}:\\d{2}(?:\\s*[AaPp][Mm])?(?:\\s*\\(\\+\\d+ days?\\))?';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BREAK_PATTERN = new RegExp(`^(${TIME_TEXT})\\s*-\\s*(${TIME_TEXT})\\s*(.*)$`);
+const BREAK_PAY_PATTERN = /\(?\b(paid|unpaid)\)?\s*$/i;
+
+// The CSV export writes text starting with = + - @ as '=..., so it opens as
+// plain text in a spreadsheet
+const unescapeFormulaCell = (value) => value.replace(/^'(?=[=+\-@])/, '');
+
+const normaliseHeader = (header) => {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+};
+
+const normaliseTime = (value) => {
+  const match = String(value || '').trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return `${String(hour).padStart(2, '0')}:${match[2]}`;
+};
+
+const isValidDateKey = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Build a CSV template with the import columns and an example row
+ * @returns {string} CSV text
+ */
+export const buildImportTemplate = () => {
+  const columns = Object.entries(IMPORT_FIELDS).map(([key, field]) => ({ key, label: field.label }));
+  return toCSV(columns, [{
+    username: 'driver1',
+    date: '2024-01-15',
+    start_time: '07:30',
+    end_time: '16:15',
+    breaks: '12:00-12:30 Meal; 14:10-14:25 Traffic (paid)',
+    route_number: 'R12',
+    positive_deliveries: 42,
+    negative_deliveries: 2,
+    positive_pickups: 3,
+    negative_pickups: 0,
+    delivery_comments: 'Customer absent at 2 stops',
+    pickup_comments: '',
+    start_km: 10250,
+    end_km: 10388
+  }]);
+};
+
+/**
+ * Read an import CSV into rows keyed by import field
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} {rows: [{rowNumber, values}], errors: Array}; rowNumber
+ *   is the line in the spreadsheet (the header is row 1)
+ */
+export const parseImportCSV = (text) => {
+  const [header = [], ...lines] = parseCSV(text);
+  const headerKeys = header.map(normaliseHeader);
+
+  const columnIndex = {};
+  Object.entries(IMPORT_FIELDS).forEach(([key, field]) => {
+    const idx = headerKeys.findIndex(h => h === key || field.aliases.includes(h));
+    if (idx !== -1) columnIndex[key] = idx;
+  });
+
+  const missing = Object.entries(IMPORT_FIELDS)
+    .filter(([key, field]) => field.required && columnIndex[key] === undefined)
+    .map(([, field]) => field.label);
+  if (header.length === 0) {
+    return { rows: [], errors: ['The file is empty'] };
+  }
+  if (missing.length > 0) {
+    return { rows: [], errors: [`Missing required column(s): ${missing.join(', ')}`] };
+  }
+
+  const rows = lines.map((cells, idx) => ({
+    rowNumber: idx + 2,
+    values: Object.fromEntries(
+      Object.entries(columnIndex).map(([key, col]) => [key, unescapeFormulaCell((cells[col] || '').trim())])
+    )
+  }));
+
+  return { rows, errors: [] };
+};
+
+/**
+ * Parse a breaks cell
+ * Breaks are separated by ";" and written as "HH:MM-HH:MM [type] [(paid|unpaid)]",
+ * e.g. "12:00-12:30 Meal; 14:10-14:25 Traffic (paid)". Types are matched by
+ * code or label; breaks without a type use the default type.
+ * @param {string} text - Breaks cell
+ * @param {string} shiftStart - Shift start ISO string
+ * @param {string} timeZone - Driver's timezone
+ * @returns {Object} {breaks: Array, errors: Array}
+ */
+export const parseBreaksCell = (text, shiftStart, timeZone = null) => {
+  const breaks = [];
+  const errors = [];
+
+  String(text || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach((part, idx) => {
+      const match = part.match(BREAK_PATTERN);
+      const startTime = match && normaliseTime(match[1]);
+      const endTime = match && normaliseTime(match[2]);
+      if (!startTime || !endTime) {
+        errors.push(`Break ${idx + 1}: Use HH:MM-HH:MM, e.g. 12:00-12:30`);
+        return;
+      }
+
+      let description = match[3].trim();
+      let paid = null;
+      const payMatch = description.match(BREAK_PAY_PATTERN);
+      if (payMatch) {
+        paid = payMatch[1].toLowerCase() === 'paid';
+        description = description.slice(0, payMatch.index).trim();
+      }
+
+      const typeKey = description
+        ? Object.keys(BREAK_TYPES).find(key =>
+            normaliseHeader(key) === normaliseHeader(description) ||
+            normaliseHeader(BREAK_TYPES[key].label) === normaliseHeader(description))
+        : DEFAULT_BREAK_TYPE;
+      if (!typeKey) {
+        errors.push(`Break ${idx + 1}: Unknown break type "${description}"`);
+        return;
+      }
+
+      const start = shiftTimeToISO(startTime, shiftStart, timeZone);
+      const brk = { ...createBreak(typeKey), start, end: shiftTimeToISO(endTime, start, timeZone) };
+      breaks.push(paid === null ? brk : { ...brk, paid });
+    });
+
+  return { breaks, errors };
+};
+
+/**
+ * Check whether two sessions overlap in time
+ * @param {Object} a - Session with start_time and end_time
+ * @param {Object} b - Session with start_time and end_time
+ * @returns {boolean} Whether they overlap
+ */
+export const sessionsOverlap = (a, b) => {
+  return a.user_id === b.user_id &&
+    new Date(a.start_time) < new Date(b.end_time) &&
+    new Date(b.start_time) < new Date(a.end_time);
+};
+
+/**
+ * Turn one import row into a session ready to save
+ * @param {Object} values - Row values keyed by import field
+ * @param {Object} options - {drivers, getTimezone(userId), routes}
+ * @returns {Object} {session, driver, errors}
+ */
+export const buildImportSession = (values, options = {}) => {
+  const { drivers = [], getTimezone = () => null, routes = [] } = options;
+  const errors = [];
+
+  const username = (values.username || '').toLowerCase();
+  const driver = drivers.find(d => (d.username || '').toLowerCase() === username);
+  if (!values.username) {
+    errors.push('Driver username is required');
+  } else if (!driver) {
+    errors.push(`Unknown driver "${values.username}"`);
+  }
+
+  if (!isValidDateKey(values.date)) {
+    errors.push('Date must be a valid date in YYYY-MM-DD format');
+  }
+  const startTime = normaliseTime(values.start_time);
+  const endTime = normaliseTime(values.end_time);
+  if (!startTime) errors.push('Start time must be in HH:MM format');
+  if (!endTime) errors.push('End time must be in HH:MM format');
+
+  if (errors.length > 0) {
+    return { session: null, driver, errors };
+  }
+
+  const timeZone = getTimezone(driver.id);
+  const start = dateTimeInputToISO(values.date, startTime, timeZone);
+  // Shifts that end after midnight end on the next day
+  const end = shiftTimeToISO(endTime, start, timeZone);
+  const breakResult = parseBreaksCell(values.breaks, start, timeZone);
+
+  const validation = validateAdminEditForm(values);
+  const session = {
+    ...validation.cleanData,
+    user_id: driver.id,
+    date: start,
+    start_time: start,
+    end_time: end,
+    status: 'ended',
+    breaks: breakResult.breaks,
+    stops: [],
+    failure_reasons: {}
+  };
+  const route = findSessionRoute(session, routes);
+  session.route_id = route?.id || null;
+  if (route) session.route_number = route.code;
+
+  const allErrors = [
+    ...breakResult.errors,
+    ...validation.errors,
+    ...(breakResult.errors.length === 0 && validation.isValid ? validateSession(session) : [])
+  ];
+
+  return { session: calculateTotals(session), driver, errors: [...new Set(allErrors)] };
+};
+
+/**
+ * Check every import row and split them into valid and invalid rows
+ * Rows that overlap a saved session of the same driver, or an earlier row
+ * in the file, are invalid.
+ * @param {Array} rows - Result of parseImportCSV
+ * @param {Object} options - {drivers, getTimezone, routes, existingSessions}
+ * @returns {Object} {valid: [{rowNumber, session, driver}],
+ *   invalid: [{rowNumber, values, errors}]}
+ */
+export const planSessionImport = (rows, options = {}) => {
+  const { existingSessions = [] } = options;
+  const valid = [];
+  const invalid = [];
+
+  rows.forEach(({ rowNumber, values }) => {
+    const { session, driver, errors } = buildImportSession(values, options);
+
+    if (errors.length === 0) {
+      if (existingSessions.some(existing => sessionsOverlap(session, existing))) {
+        errors.push('Overlaps a session already saved for this driver');
+      }
+      const clash = valid.find(row => sessionsOverlap(session, row.session));
+      if (clash) {
+        errors.push(`Overlaps row ${clash.rowNumber}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ rowNumber, values, errors });
+    } else {
+      valid.push({ rowNumber, session, driver });
+    }
+  });
+
+  return { valid, invalid };
+};
+
+/**
+ * Load saved sessions of the drivers in an import, around its dates
+ * @param {Array} rows - Result of parseImportCSV
+ * @param {Array} drivers - Known drivers
+ * @returns {Object} {success: boolean, sessions: Array, error: string}
+ */
+export const loadExistingSessionsForImport = async (rows, drivers) => {
+  const usernames = new Set(rows.map(row => (row.values.username || '').toLowerCase()));
+  const userIds = drivers.filter(d => usernames.has((d.username || '').toLowerCase())).map(d => d.id);
+  const dates = rows.map(row => row.values.date).filter(isValidDateKey).sort();
+  if (userIds.length === 0 || dates.length === 0) {
+    return { success: true, sessions: [] };
+  }
+
+  // Two extra days either side cover every timezone and overnight shifts
+  const from = startOfDayInTimezone(dates[0], 'UTC', -2);
+  const to = startOfDayInTimezone(dates[dates.length - 1], 'UTC', 2);
+
+  try {
+    const sessions = [];
+    for (let offset = 0; ; ) {
+      const { data, error } = await supabase
+        .from('sessions')
+        .select('id, user_id, start_time, end_time')
+        .in('user_id', userIds)
+        .gte('date', from.toISOString())
+        .lte('date', to.toISOString())
+        .order('date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + EXISTING_BATCH_SIZE - 1);
+
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+      sessions.push(...data);
+      offset += data.length;
+    }
+    // Open sessions count as running until now
+    const now = new Date().toISOString();
+    return { success: true, sessions: sessions.map(s => ({ ...s, end_time: s.end_time || now })) };
+  } catch (error) {
+    console.error('Error loading existing sessions:', error.message);
+    return { success: false, sessions: [], error: error.message };
+  }
+};
+
+/**
+ * Save the valid rows of an import, each with an audit entry
+ * Each batch is saved in one transaction. Stops at the first failed batch;
+ * earlier batches stay saved.
+ * @param {Array} validRows - planSessionImport(...).valid
+ * @param {Object} options - {fileName}
+ * @returns {Object} {success: boolean, imported: number, error: string}
+ */
+export const importSessions = async (validRows, { fileName }) => {
+  let imported = 0;
+
+  try {
+    for (let i = 0; i < validRows.length; i += IMPORT_BATCH_SIZE) {
+      const batch = validRows.slice(i, i + IMPORT_BATCH_SIZE);
+      const { data, error } = await supabase.rpc('import_sessions', {
+        p_rows: batch.map(row => ({ session: row.session, note: `${fileName}, row ${row.rowNumber}` }))
+      });
+
+      if (error) throw error;
+      imported += data;
+    }
+    return { success: true, imported };
+  } catch (error) {
+    console.error('Error importing sessions:', error.message);
+    return { success: false, imported, error: error.message };
+  }
+};
@@ -0,0 +1,70 @@
+// Company-wide settings stored in the app_settings table
+// Every logged-in user can read settings; only admins can change them (RLS).
+import { supabase } from './supabase';
+
+export const SETTING_KEYS = {
+  COMPANY_TIMEZONE: 'company_timezone',
+  PAYROLL: 'payroll',
+  LABOUR_RULES: 'labour_rules',
+  FAILURE_REASONS: 'failure_reasons',
+  GEOFENCE: 'geofence'
+};
+
+/**
+ * Fill in defaults for an object-valued setting
+ * @param {Object|null} value - Stored setting value
+ * @param {Object} defaults - Default values
+ * @returns {Object} Stored values over the defaults
+ */
+export const withDefaults = (value, defaults) => {
+  return { ...defaults, ...(value && typeof value === 'object' ? value : {}) };
+};
+
+/**
+ * Load all settings
+ * @returns {Object} {success: boolean, settings: Object, error: string}
+ */
+export const loadSettings = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('app_settings')
+      .select('key, value');
+
+    if (error) throw error;
+
+    const settings = {};
+    (data || []).forEach(row => {
+      settings[row.key] = row.value;
+    });
+    return { success: true, settings };
+  } catch (error) {
+    console.error('Error loading settings:', error.message);
+    return { success: false, settings: {}, error: error.message };
+  }
+};
+
+/**
+ * Save a setting (admins only)
+ * @param {string} key - Setting key from SETTING_KEYS
+ * @param {any} value - JSON-serialisable value
+ * @param {string} userId - Admin making the change
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const saveSetting = async (key, value, userId) => {
+  try {
+    const { error } = await supabase
+      .from('app_settings')
+      .upsert({
+        key,
+        value,
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' });
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving setting:', error.message);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,121 @@
+// Helper functions for per-stop delivery and pickup logging
+// Each stop is logged with its time as it happens. When a session has a
+// stop log, its delivery and pickup counts are derived from it.
+
+export const STOP_TYPES = {
+  delivered: { label: 'Delivered', icon: '📦', kind: 'delivery', successful: true, field: 'positive_deliveries' },
+  failed_delivery: { label: 'Failed Delivery', icon: '❌', kind: 'delivery', successful: false, field: 'negative_deliveries' },
+  picked_up: { label: 'Picked Up', icon: '📥', kind: 'pickup', successful: true, field: 'positive_pickups' },
+  failed_pickup: { label: 'Failed Pickup', icon: '⚠️', kind: 'pickup', successful: false, field: 'negative_pickups' }
+};
+
+/**
+ * Create a stop log entry
+ * @param {string} type - One of STOP_TYPES
+ * @param {Object} details - {note, reason}: optional note and, for failed
+ *   stops, the failure reason code
+ * @param {Date} now - Time of the stop
+ * @returns {Object} Stop {id, type, time, note, reason}
+ */
+export const createStop = (type, details = {}, now = new Date()) => ({
+  id: `stop-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  time: now.toISOString(),
+  note: (details.note || '').trim() || null,
+  reason: STOP_TYPES[type]?.successful === false ? details.reason || null : null
+});
+
+/**
+ * Check whether a session has a stop log
+ * @param {Object} session - Session object
+ * @returns {boolean} Whether any stops were logged
+ */
+export const hasStopLog = (session) => {
+  return Array.isArray(session?.stops) && session.stops.length > 0;
+};
+
+/**
+ * Count stops per outcome
+ * @param {Array} stops - Stop log
+ * @returns {Object} {positive_deliveries, negative_deliveries, positive_pickups, negative_pickups}
+ */
+export const getStopTotals = (stops = []) => {
+  const totals = {
+    positive_deliveries: 0,
+    negative_deliveries: 0,
+    positive_pickups: 0,
+    negative_pickups: 0
+  };
+
+  stops.forEach(stop => {
+    const type = STOP_TYPES[stop.type];
+    if (type) totals[type.field] += 1;
+  });
+
+  return totals;
+};
+
+/**
+ * Count failed stops per reason code
+ * @param {Array} stops - Stop log
+ * @returns {Object} {delivery: {code: count}, pickup: {code: count}};
+ *   failed stops without a reason are left out
+ */
+export const getStopReasonCounts = (stops = []) => {
+  const counts = { delivery: {}, pickup: {} };
+
+  stops.forEach(stop => {
+    const type = STOP_TYPES[stop.type];
+    if (!type || type.successful || !stop.reason) return;
+    counts[type.kind][stop.reason] = (counts[type.kind][stop.reason] || 0) + 1;
+  });
+
+  return counts;
+};
+
+/**
+ * Join the notes of failed stops into a comment for the session
+ * @param {Array} stops - Stop log
+ * @param {string} kind - 'delivery' or 'pickup'
+ * @returns {string|null} Notes separated by "; ", or null when there are none
+ */
+export const summariseFailedStopNotes = (stops = [], kind) => {
+  const notes = stops
+    .filter(stop => {
+      const type = STOP_TYPES[stop.type];
+      return type && type.kind === kind && !type.successful && stop.note;
+    })
+    .map(stop => stop.note);
+
+  return notes.length > 0 ? notes.join('; ') : null;
+};
+
+/**
+ * Validate a stop log against the session it belongs to
+ * @param {Array} stops - Stop log
+ * @param {Object} session - Session with start_time and end_time
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateStops = (stops, session) => {
+  const errors = [];
+  if (!Array.isArray(stops)) return errors;
+
+  const workStart = session.start_time ? new Date(session.start_time) : null;
+  const workEnd = session.end_time ? new Date(session.end_time) : null;
+
+  stops.forEach((stop, idx) => {
+    if (!STOP_TYPES[stop.type]) {
+      errors.push(`Stop ${idx + 1}: Unknown stop type`);
+      return;
+    }
+
+    const time = new Date(stop.time);
+    if (!stop.time || isNaN(time.getTime())) {
+      errors.push(`Stop ${idx + 1}: Time is required`);
+    } else if ((workStart && time < workStart) || (workEnd && time > workEnd)) {
+      errors.push(`Stop ${idx + 1}: Stop time must be within work period`);
+    }
+  });
+
+  return errors;
+};
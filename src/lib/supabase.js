@@ -7,4 +7,19 @@ if (!supabaseUrl || !supabaseAnonKey) {
   throw new Error('Missing Supabase environment variables. Please check your .env file.');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// Signed access token issued by the authenticate_user RPC.
+// Requests fall back to the anon key when no one is logged in.
+let accessToken = null;
+
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  accessToken: async () => accessToken,
+});
+
+/**
+ * Set the access token sent with every API and realtime request
+ * @param {string|null} token - Signed JWT, or null to clear it
+ */
+export const setAccessToken = (token) => {
+  accessToken = token || null;
+  supabase.realtime.setAuth(accessToken || supabaseAnonKey);
+};
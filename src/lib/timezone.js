@@ -0,0 +1,231 @@
+// Helper functions for working with dates in a named timezone
+// Used so day boundaries, times and charts follow the company (or driver)
+// timezone instead of the timezone of whichever browser is viewing them.
+// A missing timezone means the browser's own timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when the browser cannot list its supported timezones
+const FALLBACK_TIMEZONES = [
+  'UTC',
+  'Europe/London',
+  'Europe/Oslo',
+  'Europe/Stockholm',
+  'Europe/Copenhagen',
+  'Europe/Berlin',
+  'Europe/Paris',
+  'Asia/Karachi',
+  'Asia/Dubai',
+  'America/New_York',
+  'America/Chicago',
+  'America/Los_Angeles'
+];
+
+const partsFormatters = new Map();
+
+const getPartsFormatter = (timeZone) => {
+  const key = timeZone || 'local';
+  if (!partsFormatters.has(key)) {
+    partsFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(key);
+};
+
+/**
+ * Get the timezone of this browser
+ * @returns {string} IANA timezone name, e.g. "Europe/Oslo"
+ */
+export const getBrowserTimezone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Check whether a string is a timezone the browser understands
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * List timezones for pickers
+ * @returns {Array} IANA timezone names
+ */
+export const getTimezoneOptions = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return ['UTC', ...Intl.supportedValuesOf('timeZone').filter(tz => tz !== 'UTC')];
+  }
+  return FALLBACK_TIMEZONES;
+};
+
+/**
+ * Pick the timezone that applies to a user
+ * @param {string|null} userTimezone - The user's own override
+ * @param {string|null} companyTimezone - Company-wide setting
+ * @returns {string} IANA timezone name
+ */
+export const resolveTimezone = (userTimezone, companyTimezone) => {
+  if (isValidTimezone(userTimezone)) return userTimezone;
+  if (isValidTimezone(companyTimezone)) return companyTimezone;
+  return getBrowserTimezone();
+};
+
+/**
+ * Split an instant into its wall-clock parts in a timezone
+ * @param {string|Date} value - ISO string or Date
+ * @param {string} timeZone - IANA timezone name (browser timezone if empty)
+ * @returns {Object} {year, month, day, hour, minute, second} (month is 1-12)
+ */
+export const getZonedParts = (value, timeZone) => {
+  const parts = getPartsFormatter(timeZone).formatToParts(new Date(value));
+  const result = {};
+  parts.forEach(({ type, value: partValue }) => {
+    if (type !== 'literal') result[type] = parseInt(partValue, 10);
+  });
+  return {
+    year: result.year,
+    month: result.month,
+    day: result.day,
+    hour: result.hour,
+    minute: result.minute,
+    second: result.second
+  };
+};
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+const getOffsetMs = (timestamp, timeZone) => {
+  const p = getZonedParts(timestamp, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * Days and months out of range roll over like Date.UTC (day 32 = next month).
+ * @param {Object} parts - {year, month, day, hour, minute} (month is 1-12)
+ * @param {string} timeZone - IANA timezone name (browser timezone if empty)
+ * @returns {Date} The matching instant
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+  let result = wallClock - getOffsetMs(wallClock, timeZone);
+
+  // Offset can differ on the other side of a DST change
+  const correctedOffset = getOffsetMs(result, timeZone);
+  result = wallClock - correctedOffset;
+
+  return new Date(result);
+};
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {string|Date} value - ISO string or Date
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const getDateKey = (value, timeZone) => {
+  if (!value) return '';
+  const { year, month, day } = getZonedParts(value, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the first instant of a calendar day in a timezone
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone name
+ * @param {number} addDays - Days to move forward (negative for back)
+ * @returns {Date} Start of the day
+ */
+export const startOfDayInTimezone = (dateKey, timeZone, addDays = 0) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return zonedTimeToDate({ year, month, day: day + addDays }, timeZone);
+};
+
+/**
+ * Get the last instant of a calendar day in a timezone
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} End of the day (one millisecond before the next day)
+ */
+export const endOfDayInTimezone = (dateKey, timeZone) => {
+  return new Date(startOfDayInTimezone(dateKey, timeZone, 1).getTime() - 1);
+};
+
+/**
+ * Count calendar days between two instants in a timezone
+ * @param {string|Date} from - Earlier instant
+ * @param {string|Date} to - Later instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Whole days (0 for the same day)
+ */
+export const getCalendarDayDifference = (from, to, timeZone) => {
+  const fromKey = getDateKey(from, timeZone);
+  const toKey = getDateKey(to, timeZone);
+  const toUTC = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(toKey) - toUTC(fromKey)) / DAY_MS);
+};
+
+/**
+ * Format an instant as a date in a timezone
+ * @param {string|Date} value - ISO string or Date
+ * @param {string} timeZone - IANA timezone name
+ * @param {Object} options - Intl date format options
+ * @returns {string} Formatted date
+ */
+export const formatDateInTimezone = (value, timeZone, options = { month: 'short', day: 'numeric', year: 'numeric' }) => {
+  if (!value) return '';
+  return new Date(value).toLocaleDateString('en-US', { ...options, timeZone: timeZone || undefined });
+};
+
+/**
+ * Format a calendar date key (YYYY-MM-DD) for display
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {Object} options - Intl date format options
+ * @returns {string} Formatted date
+ */
+export const formatDateKey = (dateKey, options = { month: 'short', day: 'numeric' }) => {
+  if (!dateKey) return '';
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+};
+
+/**
+ * Move a calendar date key by whole days
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative for back)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Get the Monday of the ISO week containing a date
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} Monday in YYYY-MM-DD format
+ */
+export const getWeekStartKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDaysToDateKey(dateKey, -((weekday + 6) % 7));
+};
@@ -0,0 +1,161 @@
+// Helper functions for the vehicle registry
+// Admins manage vehicles; everyone logged in can read them (RLS). The
+// odometer is moved forward by a database trigger when a session ends.
+import { supabase } from './supabase';
+
+/**
+ * Tidy a number plate for storage and comparison
+ * @param {string} plate - Plate as typed
+ * @returns {string} Upper-case plate with single spaces
+ */
+export const normalizePlate = (plate) => {
+  return (plate || '').trim().replace(/\s+/g, ' ').toUpperCase();
+};
+
+/**
+ * Validate vehicle form data
+ * @param {Object} vehicleData - {plate, model, current_odometer}
+ * @param {Array} vehicles - Existing vehicles (for duplicate plates)
+ * @param {string} editingId - Id of the vehicle being edited, if any
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+export const validateVehicle = (vehicleData, vehicles = [], editingId = null) => {
+  const errors = [];
+  const plate = normalizePlate(vehicleData.plate);
+
+  if (!plate) {
+    errors.push('Number plate is required');
+  } else if (vehicles.some(v => v.id !== editingId && normalizePlate(v.plate) === plate)) {
+    errors.push('A vehicle with this number plate already exists');
+  }
+
+  if (vehicleData.current_odometer !== '' && vehicleData.current_odometer != null) {
+    const odometer = parseFloat(vehicleData.current_odometer);
+    if (isNaN(odometer) || odometer < 0) {
+      errors.push('Odometer must be a positive number');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Describe a vehicle for pickers and tables
+ * @param {Object} vehicle - Vehicle row
+ * @returns {string} e.g. "AB 12345 (Ford Transit)"
+ */
+export const formatVehicleLabel = (vehicle) => {
+  if (!vehicle) return '';
+  return vehicle.model ? `${vehicle.plate} (${vehicle.model})` : vehicle.plate;
+};
+
+/**
+ * Load vehicles
+ * @param {boolean} activeOnly - Leave out retired vehicles
+ * @returns {Object} {success: boolean, vehicles: Array, error: string}
+ */
+export const loadVehicles = async (activeOnly = false) => {
+  try {
+    let query = supabase
+      .from('vehicles')
+      .select('*')
+      .order('plate', { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq('active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, vehicles: data || [] };
+  } catch (error) {
+    console.error('Error loading vehicles:', error.message);
+    return { success: false, vehicles: [], error: error.message };
+  }
+};
+
+// Form values to table columns
+const toVehicleRow = (vehicleData) => {
+  const odometer = vehicleData.current_odometer === '' || vehicleData.current_odometer == null
+    ? null
+    : parseFloat(vehicleData.current_odometer);
+
+  return {
+    plate: normalizePlate(vehicleData.plate),
+    model: (vehicleData.model || '').trim() || null,
+    current_odometer: odometer,
+    active: vehicleData.active !== false
+  };
+};
+
+/**
+ * Create a vehicle (admins only)
+ * @param {Object} vehicleData - Form values
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const createVehicle = async (vehicleData) => {
+  try {
+    const row = toVehicleRow(vehicleData);
+    const { error } = await supabase
+      .from('vehicles')
+      .insert([{
+        ...row,
+        odometer_updated_at: row.current_odometer !== null ? new Date().toISOString() : null
+      }]);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error creating vehicle:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Update a vehicle (admins only)
+ * @param {string} vehicleId - Vehicle to update
+ * @param {Object} vehicleData - Form values
+ * @param {Object} previous - The vehicle before editing
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const updateVehicle = async (vehicleId, vehicleData, previous = {}) => {
+  try {
+    const row = toVehicleRow(vehicleData);
+    // A corrected reading counts as the latest one
+    if (row.current_odometer !== (previous.current_odometer ?? null)) {
+      row.odometer_updated_at = new Date().toISOString();
+    }
+
+    const { error } = await supabase
+      .from('vehicles')
+      .update(row)
+      .eq('id', vehicleId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error updating vehicle:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a vehicle (admins only)
+ * Sessions keep their mileage but lose the link to the vehicle.
+ * @param {string} vehicleId - Vehicle to delete
+ * @returns {Object} {success: boolean, error: string}
+ */
+export const deleteVehicle = async (vehicleId) => {
+  try {
+    const { error } = await supabase
+      .from('vehicles')
+      .delete()
+      .eq('id', vehicleId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting vehicle:', error.message);
+    return { success: false, error: error.message };
+  }
+};
@@ -9,7 +9,12 @@ import {
   formatTime,
   formatTimeForInput,
   timeInputToISO,
-  validateBreakTimeEdit
+  validateBreakTimeEdit,
+  shiftTimeToISO,
+  dateTimeInputToISO,
+  getShiftDayOffset,
+  formatShiftTime,
+  normalizeShiftTimes
 } from '../lib/sessionHelpers';
 import { 
   validateNumericInput,
@@ -20,6 +25,121 @@ import {
   validateFieldRealTime,
   sanitizeTextInput
 } from '../lib/validationUtils';
+import {
+  createLoginSession,
+  getLoginSessionState,
+  getLogoutMessage
+} from '../lib/loginSession';
+import {
+  mergeSessionChanges,
+  saveSessionLocally,
+  getLocalOpenSession,
+  hasPendingChanges,
+  isTemporarySessionId,
+  getPendingCount,
+  getPendingWrites,
+  queueProofUpload,
+  getPendingProofs,
+  isStalledWrite,
+  syncPendingSessions,
+  MAX_SYNC_ATTEMPTS
+} from '../lib/offlineSync';
+import {
+  resolveTimezone,
+  isValidTimezone,
+  zonedTimeToDate,
+  getDateKey,
+  startOfDayInTimezone,
+  endOfDayInTimezone,
+  getCalendarDayDifference,
+  formatDateKey
+} from '../lib/timezone';
+import {
+  DEFAULT_PAYROLL_SETTINGS,
+  getPayPeriod,
+  shiftPayPeriod,
+  roundPayableMinutes,
+  buildPayrollReport,
+  formatHoursMinutes,
+  payrollReportToCSV,
+  payrollReportToHTML
+} from '../lib/payroll';
+import { toCSV, escapeCSVValue, escapeHTML, createZip, buildSheetXML, toXLSX, parseCSV } from '../lib/exportUtils';
+import { SESSION_EXPORT_COLUMNS, formatBreakDetails, formatFailureReasons, buildSessionExportRows, sessionsToCSV } from '../lib/sessionExport';
+import {
+  DEFAULT_LABOUR_RULES,
+  evaluateCompliance,
+  getContinuousWorkMinutes,
+  validateLabourRules,
+  countViolations
+} from '../lib/compliance';
+import { applySessionChange, getFleetStatus, countFleetStatus } from '../lib/fleetStatus';
+import { normalizePlate, validateVehicle, formatVehicleLabel } from '../lib/vehicles';
+import { getMaintenanceStatus, buildMaintenanceSchedule, validateMaintenancePlan } from '../lib/maintenance';
+import { getRouteKey, findSessionRoute, validateRoute, formatRouteLabel, buildRouteReport } from '../lib/routes';
+import { createStop, getStopTotals, getStopReasonCounts, summariseFailedStopNotes, validateStops } from '../lib/stops';
+import {
+  DEFAULT_FAILURE_REASONS,
+  getFailureReasons,
+  getReasonsFor,
+  toReasonCode,
+  validateFailureReasons,
+  cleanFailureReasons,
+  validateReasonCounts,
+  getFailureReasonBreakdown
+} from '../lib/failureReasons';
+import { getProofPath, attachProof, getProofKinds, dataUrlToBlob } from '../lib/proofOfDelivery';
+import {
+  toTrackPoint,
+  getDistanceMeters,
+  shouldRecordPoint,
+  getTrackDistanceKm,
+  compareWithOdometer,
+  projectPoint,
+  fitTrackToView,
+  queueTrackPoint,
+  getQueuedTrackPoints,
+  reassignQueuedTrackPoints
+} from '../lib/gpsTracking';
+import {
+  validateDepot,
+  formatDistance,
+  findNearestDepot,
+  buildClockLocation,
+  getLocationFlag,
+  getGeofenceError
+} from '../lib/depots';
+import {
+  BREAK_TYPES,
+  createBreak,
+  setBreakType,
+  getBreakTypeInfo,
+  isPaidBreak,
+  formatBreakType,
+  validateBreakTypes
+} from '../lib/breakTypes';
+import {
+  isSameBreak,
+  buildBreakChangeRequest,
+  getLatestRequestForBreak,
+  applyBreakChange,
+  applyApprovedBreakChanges
+} from '../lib/breakChangeRequests';
+import { buildDriverComparison, sortComparisonRows, formatComparisonMetric } from '../lib/driverComparison';
+import {
+  toDailyStat,
+  toPeriodTotals,
+  buildTotalStats,
+  toFailureReasonSession,
+  getBucketKey,
+  formatBucketLabel,
+  bucketDailyStats,
+  getPeriodLength,
+  getPreviousPeriod,
+  getPercentChange,
+  alignPreviousBuckets
+} from '../lib/performanceStats';
+import { parseImportCSV, parseBreaksCell, buildImportSession, planSessionImport } from '../lib/sessionImport';
 import { generateValidSession, generateInvalidSession, testHelpers } from './testUtils';
 
 describe('Unit Tests for Session Helpers', () => {
@@ -256,6 +376,90 @@ describe('Unit Tests for Session Helpers', () => {
       expect(result.error).toContain('Break time must be within work period');
     });
   });
+
+  describe('Overnight shifts', () => {
+    // Local times so the tests hold in any timezone
+    const nightStart = new Date(2024, 0, 1, 22, 0).toISOString();
+    const nightEnd = new Date(2024, 0, 2, 4, 0).toISOString();
+
+    it('should place times after midnight on the next day', () => {
+      expect(shiftTimeToISO('04:00', nightStart)).toBe(nightEnd);
+      expect(shiftTimeToISO('23:15', nightStart)).toBe(new Date(2024, 0, 1, 23, 15).toISOString());
+    });
+
+    it('should combine date and time inputs', () => {
+      expect(dateTimeInputToISO('2024-01-02', '04:00')).toBe(nightEnd);
+      expect(dateTimeInputToISO('', '04:00')).toBe(null);
+    });
+
+    it('should count and label days after the shift start', () => {
+      expect(getShiftDayOffset(nightEnd, nightStart)).toBe(1);
+      expect(getShiftDayOffset(nightStart, nightStart)).toBe(0);
+      expect(formatShiftTime(nightEnd, nightStart)).toContain('(+1 day)');
+    });
+
+    it('should calculate metrics across midnight', () => {
+      const session = {
+        start_time: nightStart,
+        end_time: nightEnd,
+        breaks: [{
+          start: new Date(2024, 0, 1, 23, 45).toISOString(),
+          end: new Date(2024, 0, 2, 0, 15).toISOString()
+        }]
+      };
+
+      const result = calculateTimeMetrics(session);
+
+      expect(result.totalTime).toBeCloseTo(6, 2);
+      expect(result.breakTime).toBeCloseTo(0.5, 2);
+      expect(result.workTime).toBeCloseTo(5.5, 2);
+    });
+
+    it('should repair end and break times saved on the start date', () => {
+      const session = {
+        start_time: nightStart,
+        end_time: new Date(2024, 0, 1, 4, 0).toISOString(),
+        breaks: [{
+          start: new Date(2024, 0, 1, 1, 0).toISOString(),
+          end: new Date(2024, 0, 1, 1, 30).toISOString()
+        }]
+      };
+
+      const normalized = normalizeShiftTimes(session);
+      expect(normalized.end_time).toBe(nightEnd);
+      expect(normalized.breaks[0].start).toBe(new Date(2024, 0, 2, 1, 0).toISOString());
+      expect(calculateTimeMetrics(session).workTime).toBeCloseTo(5.5, 2);
+    });
+
+    it('should keep the clock time when repairing across a daylight saving change', () => {
+      // Berlin clocks go back from 03:00 to 02:00 on 27 October 2024
+      const session = {
+        start_time: '2024-10-26T20:00:00.000Z', // 22:00 CEST
+        end_time: '2024-10-26T04:00:00.000Z', // 06:00 CEST, saved on the start date
+        breaks: []
+      };
+
+      const normalized = normalizeShiftTimes(session, 'Europe/Berlin');
+      expect(normalized.end_time).toBe('2024-10-27T05:00:00.000Z'); // 06:00 CET
+      expect(calculateTimeMetrics(session, 'Europe/Berlin').totalTime).toBeCloseTo(9, 2);
+    });
+
+    it('should accept break edits after midnight', () => {
+      const session = { date: nightStart, start_time: nightStart, end_time: nightEnd };
+      const breaks = [{
+        start: new Date(2024, 0, 1, 23, 0).toISOString(),
+        end: new Date(2024, 0, 1, 23, 30).toISOString()
+      }];
+
+      expect(validateBreakTimeEdit(breaks, 0, 'end', '00:20', session).isValid).toBe(true);
+      expect(validateBreakTimeEdit(breaks, 0, 'start', '05:00', session).isValid).toBe(false);
+    });
+
+    it('should reject a session that ends before it starts', () => {
+      const errors = validateSession({ start_time: nightEnd, end_time: nightStart, breaks: [] });
+      expect(errors).toContain('End time must be after start time');
+    });
+  });
 });
 
 describe('Unit Tests for Validation Utils', () => {
@@ -444,6 +648,1638 @@ describe('Unit Tests for Validation Utils', () => {
   });
 });
 
+describe('Unit Tests for Login Sessions', () => {
+  const now = new Date('2024-01-01T12:00:00.000Z').getTime();
+  const activeSession = {
+    token: 'signed-token',
+    expiresAt: '2024-01-01T20:00:00.000Z',
+    idleTimeoutMinutes: 30,
+    lastActivityAt: '2024-01-01T11:50:00.000Z'
+  };
+
+  describe('createLoginSession', () => {
+    it('should build a session from the login response', () => {
+      const session = createLoginSession({
+        access_token: 'signed-token',
+        session_expires_at: '2024-01-01T20:00:00.000Z',
+        idle_timeout_minutes: 30
+      }, now);
+
+      expect(session.token).toBe('signed-token');
+      expect(session.expiresAt).toBe('2024-01-01T20:00:00.000Z');
+      expect(session.idleTimeoutMinutes).toBe(30);
+      expect(session.lastActivityAt).toBe('2024-01-01T12:00:00.000Z');
+    });
+  });
+
+  describe('getLoginSessionState', () => {
+    it('should report a recent session as active', () => {
+      expect(getLoginSessionState(activeSession, now)).toBe('active');
+    });
+
+    it('should report a session past its expiry as expired', () => {
+      const session = { ...activeSession, expiresAt: '2024-01-01T11:59:59.000Z' };
+      expect(getLoginSessionState(session, now)).toBe('expired');
+    });
+
+    it('should report a session without activity as idle', () => {
+      const session = { ...activeSession, lastActivityAt: '2024-01-01T11:30:00.000Z' };
+      expect(getLoginSessionState(session, now)).toBe('idle');
+    });
+
+    it('should treat missing sessions and tokens as expired', () => {
+      expect(getLoginSessionState(null, now)).toBe('expired');
+      expect(getLoginSessionState({ ...activeSession, token: null }, now)).toBe('expired');
+    });
+  });
+
+  describe('getLogoutMessage', () => {
+    it('should explain forced logouts', () => {
+      expect(getLogoutMessage('idle')).toContain('inactivity');
+      expect(getLogoutMessage('revoked')).toContain('administrator');
+    });
+
+    it('should return empty message for normal logout', () => {
+      expect(getLogoutMessage(null)).toBe('');
+    });
+  });
+});
+
+describe('Unit Tests for Offline Sync', () => {
+
+  describe('mergeSessionChanges', () => {
+    const base = {
+      id: 'session-1',
+      status: 'working',
+      route_number: null,
+      breaks: []
+    };
+
+    it('should keep local changes when server is unchanged', () => {
+      const local = { ...base, status: 'on-break', breaks: [{ start: '2024-01-01T12:00:00.000Z' }] };
+      const { session, conflicts } = mergeSessionChanges(base, local, { ...base });
+
+      expect(session.status).toBe('on-break');
+      expect(session.breaks).toHaveLength(1);
+      expect(conflicts).toHaveLength(0);
+    });
+
+    it('should keep server changes to fields not edited locally', () => {
+      const local = { ...base, status: 'on-break' };
+      const remote = { ...base, route_number: 'Route #7' };
+      const { session, conflicts } = mergeSessionChanges(base, local, remote);
+
+      expect(session.status).toBe('on-break');
+      expect(session.route_number).toBe('Route #7');
+      expect(conflicts).toHaveLength(0);
+    });
+
+    it('should keep server values and report fields changed on both sides', () => {
+      const local = { ...base, route_number: 'Route #1' };
+      const remote = { ...base, route_number: 'Route #2' };
+      const { session, conflicts } = mergeSessionChanges(base, local, remote);
+
+      expect(session.route_number).toBe('Route #2');
+      expect(conflicts).toEqual(['route_number']);
+    });
+
+    it('should keep an admin\'s break edit and add the driver\'s offline breaks', () => {
+      const lunch = { start: '2024-01-01T12:00:00.000Z', end: '2024-01-01T12:30:00.000Z' };
+      const withLunch = { ...base, breaks: [lunch] };
+      // Admin shortened lunch while the driver, offline, edited it and
+      // then started and ended another break
+      const remote = { ...withLunch, breaks: [{ ...lunch, end: '2024-01-01T12:20:00.000Z' }] };
+      const local = {
+        ...withLunch,
+        breaks: [
+          { ...lunch, end: '2024-01-01T12:45:00.000Z' },
+          { start: '2024-01-01T15:00:00.000Z', end: '2024-01-01T15:10:00.000Z' }
+        ]
+      };
+      const { session, conflicts } = mergeSessionChanges(withLunch, local, remote);
+
+      expect(session.breaks).toEqual([remote.breaks[0], local.breaks[1]]);
+      expect(conflicts).toEqual(['breaks']);
+    });
+
+    it('should close a break that is still open on the server', () => {
+      const open = { start: '2024-01-01T12:00:00.000Z' };
+      const withBreak = { ...base, status: 'on-break', breaks: [open] };
+      const remote = { ...withBreak, route_number: 'Route #7', breaks: [{ ...open, type: 'meal' }] };
+      const local = { ...withBreak, status: 'working', breaks: [{ ...open, end: '2024-01-01T12:30:00.000Z' }] };
+      const { session, conflicts } = mergeSessionChanges(withBreak, local, remote);
+
+      expect(session.breaks).toEqual([{ ...open, type: 'meal', end: '2024-01-01T12:30:00.000Z' }]);
+      expect(session.status).toBe('working');
+      expect(conflicts).toEqual(['breaks']);
+    });
+
+    it('should use the local session when there is no server base', () => {
+      const local = { ...base, id: 'temp-1' };
+      const { session } = mergeSessionChanges(null, local, null);
+      expect(session).toEqual(local);
+    });
+  });
+
+  describe('local session store', () => {
+    it('should recognise temporary session ids', () => {
+      expect(isTemporarySessionId('temp-123')).toBe(true);
+      expect(isTemporarySessionId('7b1c0e9a-0000-4000-8000-000000000000')).toBe(false);
+      expect(isTemporarySessionId(null)).toBe(false);
+    });
+
+    it('should queue a saved session and return it as the open session', async () => {
+      const session = {
+        id: 'temp-offline-1',
+        user_id: 'offline-driver',
+        start_time: '2024-01-01T08:00:00.000Z',
+        status: 'working',
+        breaks: []
+      };
+
+      const pending = await saveSessionLocally(session);
+      expect(pending).toBeGreaterThan(0);
+      expect(await hasPendingChanges('temp-offline-1')).toBe(true);
+
+      const open = await getLocalOpenSession('offline-driver');
+      expect(open.id).toBe('temp-offline-1');
+      expect(open.status).toBe('working');
+    });
+
+    it('should not be affected by later changes to the saved object', async () => {
+      const session = {
+        id: 'temp-offline-2',
+        user_id: 'offline-driver-2',
+        start_time: '2024-01-01T08:00:00.000Z',
+        status: 'working',
+        breaks: []
+      };
+
+      await saveSessionLocally(session);
+      session.status = 'ended';
+
+      const open = await getLocalOpenSession('offline-driver-2');
+      expect(open.status).toBe('working');
+    });
+
+    it('should count and list only the driver\'s own queued writes', async () => {
+      await saveSessionLocally({ id: 'temp-shared-a', user_id: 'shared-a', start_time: '2024-01-01T08:00:00.000Z', status: 'working', breaks: [] });
+      await saveSessionLocally({ id: 'temp-shared-b', user_id: 'shared-b', start_time: '2024-01-01T09:00:00.000Z', status: 'working', breaks: [] });
+
+      expect(await getPendingCount('shared-a')).toBe(1);
+      expect(await getPendingWrites('shared-b')).toEqual([
+        expect.objectContaining({ sessionId: 'temp-shared-b', attempts: 0, lastError: null, stalled: false })
+      ]);
+    });
+
+    it('should not replay another driver\'s writes', async () => {
+      await saveSessionLocally({ id: 'temp-shared-c', user_id: 'shared-c', start_time: '2024-01-01T08:00:00.000Z', status: 'working', breaks: [] });
+
+      expect(await syncPendingSessions('someone-else')).toEqual({ synced: 0, failed: 0, conflicts: [] });
+      expect(await syncPendingSessions(null)).toEqual({ synced: 0, failed: 0, conflicts: [] });
+      expect(await hasPendingChanges('temp-shared-c')).toBe(true);
+    });
+
+    it('should keep proof files taken offline until they are uploaded', async () => {
+      const file = new Blob(['signature'], { type: 'image/png' });
+      await queueProofUpload('proof-driver', 'proof-driver/stop-1-signature-1.png', file);
+
+      expect(await getPendingProofs('proof-driver')).toEqual([
+        expect.objectContaining({ path: 'proof-driver/stop-1-signature-1.png', attempts: 0, lastError: null, stalled: false })
+      ]);
+      expect(await getPendingProofs('someone-else')).toEqual([]);
+    });
+
+    it('should stop retrying a write after the attempt limit', () => {
+      expect(isStalledWrite({ attempts: MAX_SYNC_ATTEMPTS - 1 })).toBe(false);
+      expect(isStalledWrite({ attempts: MAX_SYNC_ATTEMPTS })).toBe(true);
+      expect(isStalledWrite({})).toBe(false);
+    });
+  });
+});
+
+describe('Unit Tests for Timezones', () => {
+
+  describe('resolveTimezone', () => {
+    it('should prefer the user override, then the company timezone', () => {
+      expect(resolveTimezone('Asia/Karachi', 'Europe/Oslo')).toBe('Asia/Karachi');
+      expect(resolveTimezone(null, 'Europe/Oslo')).toBe('Europe/Oslo');
+      expect(resolveTimezone('Not/AZone', 'Europe/Oslo')).toBe('Europe/Oslo');
+    });
+
+    it('should validate timezone names', () => {
+      expect(isValidTimezone('America/New_York')).toBe(true);
+      expect(isValidTimezone('Mars/Base')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('day boundaries', () => {
+    it('should convert wall-clock time in a timezone to UTC', () => {
+      const date = zonedTimeToDate({ year: 2024, month: 1, day: 1, hour: 8, minute: 30 }, 'Asia/Karachi');
+      expect(date.toISOString()).toBe('2024-01-01T03:30:00.000Z');
+    });
+
+    it('should handle daylight saving time', () => {
+      const winter = zonedTimeToDate({ year: 2024, month: 1, day: 15, hour: 9 }, 'America/New_York');
+      const summer = zonedTimeToDate({ year: 2024, month: 7, day: 15, hour: 9 }, 'America/New_York');
+      expect(winter.toISOString()).toBe('2024-01-15T14:00:00.000Z');
+      expect(summer.toISOString()).toBe('2024-07-15T13:00:00.000Z');
+    });
+
+    it('should put the same instant on different days per timezone', () => {
+      const instant = '2024-01-01T21:00:00.000Z';
+      expect(getDateKey(instant, 'UTC')).toBe('2024-01-01');
+      expect(getDateKey(instant, 'Asia/Karachi')).toBe('2024-01-02');
+    });
+
+    it('should return the start and end of a day in a timezone', () => {
+      expect(startOfDayInTimezone('2024-01-02', 'Asia/Karachi').toISOString()).toBe('2024-01-01T19:00:00.000Z');
+      expect(endOfDayInTimezone('2024-01-02', 'Asia/Karachi').toISOString()).toBe('2024-01-02T18:59:59.999Z');
+      expect(startOfDayInTimezone('2024-01-31', 'UTC', 1).toISOString()).toBe('2024-02-01T00:00:00.000Z');
+    });
+
+    it('should count calendar days in a timezone', () => {
+      expect(getCalendarDayDifference('2024-01-01T17:00:00.000Z', '2024-01-01T20:00:00.000Z', 'Asia/Karachi')).toBe(1);
+      expect(getCalendarDayDifference('2024-01-01T17:00:00.000Z', '2024-01-01T20:00:00.000Z', 'UTC')).toBe(0);
+    });
+
+    it('should format date keys without shifting the day', () => {
+      expect(formatDateKey('2024-03-05')).toBe('Mar 5');
+    });
+  });
+
+  describe('session times in a timezone', () => {
+    it('should read and write time inputs in the given timezone', () => {
+      expect(formatTimeForInput('2024-01-01T03:30:00.000Z', 'Asia/Karachi')).toBe('08:30');
+      expect(timeInputToISO('08:30', '2024-01-01T03:00:00.000Z', 'Asia/Karachi')).toBe('2024-01-01T03:30:00.000Z');
+    });
+
+    it('should roll overnight times forward in the given timezone', () => {
+      // 22:00 in Karachi is 17:00 UTC
+      expect(shiftTimeToISO('04:00', '2024-01-01T17:00:00.000Z', 'Asia/Karachi')).toBe('2024-01-01T23:00:00.000Z');
+    });
+  });
+});
+
+describe('Unit Tests for Payroll', () => {
+  const settings = {
+    periodType: 'biweekly',
+    periodAnchor: '2024-01-01',
+    roundingMinutes: 15,
+    roundingMode: 'nearest',
+    roundingScope: 'session'
+  };
+
+  describe('pay periods', () => {
+    it('should find weekly and biweekly periods from the anchor', () => {
+      expect(getPayPeriod('2024-01-20', settings)).toEqual({ start: '2024-01-15', end: '2024-01-28' });
+      expect(getPayPeriod('2023-12-31', settings)).toEqual({ start: '2023-12-18', end: '2023-12-31' });
+      expect(getPayPeriod('2024-01-10', { ...settings, periodType: 'weekly' })).toEqual({ start: '2024-01-08', end: '2024-01-14' });
+    });
+
+    it('should use calendar months for monthly periods', () => {
+      expect(getPayPeriod('2024-02-10', { ...settings, periodType: 'monthly' })).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+    });
+
+    it('should move to the previous and next period', () => {
+      const period = { start: '2024-01-15', end: '2024-01-28' };
+      expect(shiftPayPeriod(period, -1, settings)).toEqual({ start: '2024-01-01', end: '2024-01-14' });
+      expect(shiftPayPeriod(period, 1, settings)).toEqual({ start: '2024-01-29', end: '2024-02-11' });
+    });
+  });
+
+  describe('rounding', () => {
+    it('should round to the configured increment', () => {
+      expect(roundPayableMinutes(487, settings)).toBe(480);
+      expect(roundPayableMinutes(488, settings)).toBe(495);
+      expect(roundPayableMinutes(481, { ...settings, roundingMode: 'up' })).toBe(495);
+      expect(roundPayableMinutes(494, { ...settings, roundingMode: 'down' })).toBe(480);
+      expect(roundPayableMinutes(487, { ...settings, roundingMinutes: 0 })).toBe(487);
+    });
+
+    it('should format hours as h:mm', () => {
+      expect(formatHoursMinutes(7.75)).toBe('7:45');
+      expect(formatHoursMinutes(0)).toBe('0:00');
+    });
+  });
+
+  describe('buildPayrollReport', () => {
+    const drivers = [
+      { id: 'd1', name: 'Ali', username: 'ali' },
+      { id: 'd2', name: 'Bilal', username: 'bilal' }
+    ];
+    const sessions = [
+      // 8h07m worked -> 8h00m payable
+      { user_id: 'd1', date: '2024-01-15T08:00:00.000Z', start_time: '2024-01-15T08:00:00.000Z', end_time: '2024-01-15T16:37:00.000Z', breaks: [{ start: '2024-01-15T12:00:00.000Z', end: '2024-01-15T12:30:00.000Z' }] },
+      // 4h08m worked -> 4h15m payable
+      { user_id: 'd1', date: '2024-01-16T08:00:00.000Z', start_time: '2024-01-16T08:00:00.000Z', end_time: '2024-01-16T12:08:00.000Z', breaks: [] },
+      // Outside the period
+      { user_id: 'd1', date: '2024-01-30T08:00:00.000Z', start_time: '2024-01-30T08:00:00.000Z', end_time: '2024-01-30T16:00:00.000Z', breaks: [] },
+      // Still open
+      { user_id: 'd2', date: '2024-01-17T08:00:00.000Z', start_time: '2024-01-17T08:00:00.000Z', end_time: null, breaks: [] }
+    ];
+    const period = { start: '2024-01-15', end: '2024-01-28' };
+
+    it('should total worked and payable hours per driver', () => {
+      const report = buildPayrollReport(sessions, drivers, period, settings, () => 'UTC');
+      const ali = report.rows.find(row => row.userId === 'd1');
+      const bilal = report.rows.find(row => row.userId === 'd2');
+
+      expect(ali.daysWorked).toBe(2);
+      expect(ali.workHours).toBeCloseTo(12.25, 2);
+      expect(ali.payableHours).toBeCloseTo(12.25, 2);
+      expect(ali.breakHours).toBeCloseTo(0.5, 2);
+      expect(bilal.sessions).toBe(0);
+      expect(report.totals.payableHours).toBeCloseTo(12.25, 2);
+    });
+
+    it('should round the period total when configured', () => {
+      const report = buildPayrollReport(sessions, drivers, period, { ...settings, roundingMode: 'up', roundingScope: 'period' }, () => 'UTC');
+      const ali = report.rows.find(row => row.userId === 'd1');
+      expect(ali.payableHours).toBeCloseTo(12.25, 2);
+    });
+
+    it('should export CSV and HTML with a totals row', () => {
+      const report = buildPayrollReport(sessions, drivers, period, settings, () => 'UTC');
+      const csv = payrollReportToCSV(report);
+      const lines = csv.split('\r\n');
+
+      expect(lines[0]).toContain('Payable Hours');
+      expect(lines).toHaveLength(4);
+      expect(lines[3]).toContain('TOTAL');
+      expect(payrollReportToHTML(report)).toContain('<table>');
+    });
+  });
+
+  describe('export helpers', () => {
+    it('should escape CSV cells', () => {
+      expect(escapeCSVValue('plain')).toBe('plain');
+      expect(escapeCSVValue('a,b')).toBe('"a,b"');
+      expect(escapeCSVValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCSVValue(null)).toBe('');
+      expect(toCSV([{ key: 'a', label: 'A' }], [{ a: 1 }])).toBe('A\r\n1');
+    });
+
+    it('should stop CSV text cells from running as formulas', () => {
+      expect(escapeCSVValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCSVValue('+1')).toBe("'+1");
+      expect(escapeCSVValue('-late')).toBe("'-late");
+      expect(escapeCSVValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCSVValue(-12.5)).toBe('-12.5');
+      expect(parseImportCSV(`username,date,start_time,end_time,delivery_comments\nalice,2024-01-15,08:00,17:00,${escapeCSVValue('-late')}`)
+        .rows[0].values.delivery_comments).toBe('-late');
+    });
+
+    it('should escape HTML', () => {
+      expect(escapeHTML('<b>"x"</b>')).toBe('&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+    });
+  });
+});
+
+describe('Unit Tests for Labour Rule Compliance', () => {
+  const rules = { maxDailyHours: 10, maxWeeklyHours: 48, breakAfterHours: 6, minBreakMinutes: 30 };
+  const utc = () => 'UTC';
+  const session = (id, start, end, breaks = [], extra = {}) => ({
+    id,
+    user_id: 'driver-1',
+    date: start,
+    start_time: start,
+    end_time: end,
+    status: end ? 'ended' : 'working',
+    breaks,
+    ...extra
+  });
+
+  it('should pass a normal day with a proper break', () => {
+    const findings = evaluateCompliance([
+      session('a', '2024-03-04T07:00:00.000Z', '2024-03-04T15:30:00.000Z', [
+        { start: '2024-03-04T11:00:00.000Z', end: '2024-03-04T11:30:00.000Z' }
+      ])
+    ], rules, { getTimezone: utc });
+    expect(findings.a).toEqual([]);
+  });
+
+  it('should flag too many hours in a day across sessions', () => {
+    const findings = evaluateCompliance([
+      session('a', '2024-03-04T05:00:00.000Z', '2024-03-04T10:00:00.000Z'),
+      session('b', '2024-03-04T12:00:00.000Z', '2024-03-04T18:00:00.000Z')
+    ], { ...rules, breakAfterHours: 0 }, { getTimezone: utc });
+    expect(findings.a).toEqual([]);
+    expect(findings.b.map(f => f.rule)).toEqual(['daily_hours']);
+  });
+
+  it('should flag the weekly cap once it is crossed', () => {
+    const week = ['04', '05', '06', '07', '08'].map(day =>
+      session(day, `2024-03-${day}T06:00:00.000Z`, `2024-03-${day}T16:00:00.000Z`)
+    );
+    const findings = evaluateCompliance(week, { ...rules, breakAfterHours: 0 }, { getTimezone: utc });
+    expect(countViolations(findings['07'])).toBe(0);
+    expect(findings['08'].map(f => f.rule)).toEqual(['weekly_hours']);
+
+    // A new ISO week starts the count again
+    const nextWeek = evaluateCompliance(
+      [...week, session('11', '2024-03-11T06:00:00.000Z', '2024-03-11T16:00:00.000Z')],
+      { ...rules, breakAfterHours: 0 },
+      { getTimezone: utc }
+    );
+    expect(nextWeek['11']).toEqual([]);
+  });
+
+  it('should only let breaks of the minimum length reset continuous work', () => {
+    const shortBreakSession = session('a', '2024-03-04T06:00:00.000Z', '2024-03-04T14:00:00.000Z', [
+      { start: '2024-03-04T10:00:00.000Z', end: '2024-03-04T10:10:00.000Z' }
+    ]);
+    expect(getContinuousWorkMinutes(shortBreakSession, 30).longestMinutes).toBe(470);
+    expect(getContinuousWorkMinutes(shortBreakSession, 10).longestMinutes).toBe(240);
+
+    const findings = evaluateCompliance([shortBreakSession], rules, { getTimezone: utc });
+    expect(findings.a.map(f => f.rule).sort()).toEqual(['break_required', 'short_break']);
+  });
+
+  it('should warn an open session before a break is due and measure it up to now', () => {
+    const open = session('a', '2024-03-04T06:00:00.000Z', null);
+    const warning = evaluateCompliance([open], rules, {
+      getTimezone: utc,
+      now: new Date('2024-03-04T11:45:00.000Z')
+    });
+    expect(warning.a).toHaveLength(1);
+    expect(warning.a[0]).toMatchObject({ rule: 'break_required', severity: 'warning' });
+
+    const overdue = evaluateCompliance([open], rules, {
+      getTimezone: utc,
+      now: new Date('2024-03-04T12:30:00.000Z')
+    });
+    expect(overdue.a[0]).toMatchObject({ rule: 'break_required', severity: 'violation' });
+  });
+
+  it('should skip rules set to 0', () => {
+    const findings = evaluateCompliance([
+      session('a', '2024-03-04T00:00:00.000Z', '2024-03-04T20:00:00.000Z')
+    ], { maxDailyHours: 0, maxWeeklyHours: 0, breakAfterHours: 0, minBreakMinutes: 0 }, { getTimezone: utc });
+    expect(findings.a).toEqual([]);
+  });
+
+  it('should validate rule values', () => {
+    expect(validateLabourRules(DEFAULT_LABOUR_RULES)).toEqual([]);
+    expect(validateLabourRules({ ...DEFAULT_LABOUR_RULES, maxDailyHours: 30 })).toHaveLength(1);
+    expect(validateLabourRules({ ...DEFAULT_LABOUR_RULES, minBreakMinutes: '' })).toHaveLength(1);
+    expect(validateLabourRules({ ...DEFAULT_LABOUR_RULES, maxWeeklyHours: 8 })).toContain(
+      'Max weekly hours cannot be less than max daily hours'
+    );
+  });
+});
+
+describe('Unit Tests for Fleet Status', () => {
+  const drivers = [
+    { id: 'd1', name: 'Ali' },
+    { id: 'd2', name: 'Bilal' },
+    { id: 'd3', name: 'Cyrus' },
+    { id: 'd4', name: 'Dara' }
+  ];
+  const now = new Date('2024-03-04T12:00:00.000Z');
+  const utc = () => 'UTC';
+  const sessions = [
+    { id: 's1', user_id: 'd1', start_time: '2024-03-04T08:00:00.000Z', end_time: null, start_km: 1200, breaks: [] },
+    {
+      id: 's2', user_id: 'd2', start_time: '2024-03-04T07:00:00.000Z', end_time: null, start_km: null,
+      breaks: [{ start: '2024-03-04T11:45:00.000Z' }]
+    },
+    { id: 's3', user_id: 'd3', start_time: '2024-03-04T04:00:00.000Z', end_time: '2024-03-04T10:30:00.000Z', breaks: [] },
+    { id: 's4', user_id: 'd4', start_time: '2024-03-03T06:00:00.000Z', end_time: '2024-03-03T14:00:00.000Z', breaks: [] }
+  ];
+
+  it('should work out each driver status with elapsed and break times', () => {
+    const rows = getFleetStatus(drivers, sessions, utc, now);
+    expect(rows.map(r => [r.driver.id, r.status])).toEqual([
+      ['d1', 'working'],
+      ['d2', 'on-break'],
+      ['d3', 'ended'],
+      ['d4', 'not-started']
+    ]);
+    expect(rows[0]).toMatchObject({ elapsedMinutes: 240, currentBreakMinutes: 0, startKm: 1200 });
+    expect(rows[1]).toMatchObject({ elapsedMinutes: 300, currentBreakMinutes: 15 });
+    expect(rows[2].elapsedMinutes).toBe(390);
+    expect(countFleetStatus(rows)).toEqual({ working: 1, 'on-break': 1, ended: 1, 'not-started': 1 });
+  });
+
+  it('should keep an overnight shift from yesterday as working', () => {
+    const overnight = [{ id: 's5', user_id: 'd4', start_time: '2024-03-03T22:00:00.000Z', end_time: null, breaks: [] }];
+    const rows = getFleetStatus([drivers[3]], overnight, utc, now);
+    expect(rows[0].status).toBe('working');
+    expect(rows[0].elapsedMinutes).toBe(840);
+  });
+
+  it('should apply realtime inserts, updates and deletes', () => {
+    let list = applySessionChange([], { eventType: 'INSERT', new: sessions[0] });
+    expect(list).toHaveLength(1);
+
+    list = applySessionChange(list, { eventType: 'UPDATE', new: { ...sessions[0], end_time: '2024-03-04T12:00:00.000Z' } });
+    expect(list).toHaveLength(1);
+    expect(list[0].end_time).toBe('2024-03-04T12:00:00.000Z');
+
+    list = applySessionChange(list, { eventType: 'DELETE', old: { id: 's1' } });
+    expect(list).toEqual([]);
+  });
+});
+
+describe('Unit Tests for Vehicles', () => {
+  const vehicles = [{ id: 'v1', plate: 'AB 12345', model: 'Ford Transit', current_odometer: 15000 }];
+
+  it('should reject a start KM below the vehicle\'s last reading', () => {
+    const session = { start_km: 14990, breaks: [] };
+    const errors = validateSession(session, { previousEndKm: 15000 });
+    expect(errors).toContain("Starting KM cannot be below the vehicle's last recorded reading (15000 KM)");
+  });
+
+  it('should accept a start KM at or above the last reading', () => {
+    expect(validateSession({ start_km: 15000, breaks: [] }, { previousEndKm: 15000 })).toEqual([]);
+    expect(validateSession({ start_km: 15020.5, breaks: [] }, { previousEndKm: 15000 })).toEqual([]);
+  });
+
+  it('should skip the continuity check without a vehicle reading or start KM', () => {
+    expect(validateSession({ start_km: 100, breaks: [] })).toEqual([]);
+    expect(validateSession({ start_km: null, breaks: [] }, { previousEndKm: 15000 })).toEqual([]);
+  });
+
+  it('should normalise plates and catch duplicates', () => {
+    expect(normalizePlate('  ab   12345 ')).toBe('AB 12345');
+    expect(validateVehicle({ plate: 'ab 12345' }, vehicles)).toContain('A vehicle with this number plate already exists');
+    expect(validateVehicle({ plate: 'AB 12345' }, vehicles, 'v1')).toEqual([]);
+    expect(validateVehicle({ plate: '' }, vehicles)).toContain('Number plate is required');
+    expect(validateVehicle({ plate: 'CD 1', current_odometer: '-5' }, vehicles)).toContain('Odometer must be a positive number');
+  });
+
+  it('should label vehicles with their model', () => {
+    expect(formatVehicleLabel(vehicles[0])).toBe('AB 12345 (Ford Transit)');
+    expect(formatVehicleLabel({ plate: 'CD 1' })).toBe('CD 1');
+  });
+});
+
+describe('Unit Tests for Maintenance', () => {
+  it('should report km-based plans as ok, due soon or overdue', () => {
+    const plan = { interval_km: 1000, interval_days: null, last_service_date: '2024-03-01' };
+    expect(getMaintenanceStatus(plan, 500, '2024-03-10')).toMatchObject({ status: 'ok', remainingKm: 500 });
+    expect(getMaintenanceStatus(plan, 950, '2024-03-10').status).toBe('due');
+    expect(getMaintenanceStatus(plan, 1000, '2024-03-10').status).toBe('overdue');
+  });
+
+  it('should report date-based plans from the last service date', () => {
+    const plan = { interval_km: null, interval_days: 90, last_service_date: '2024-01-01' };
+    expect(getMaintenanceStatus(plan, 0, '2024-02-01')).toMatchObject({ status: 'ok', dueDate: '2024-03-31', remainingDays: 59 });
+    expect(getMaintenanceStatus(plan, 0, '2024-03-25').status).toBe('due');
+    expect(getMaintenanceStatus(plan, 0, '2024-04-02')).toMatchObject({ status: 'overdue', remainingDays: -2 });
+  });
+
+  it('should use whichever interval comes first and sort the most urgent first', () => {
+    const plans = [
+      { id: 'p1', vehicle_id: 'v2', name: 'Tyres', interval_km: 20000, interval_days: null, last_service_date: '2024-03-01' },
+      { id: 'p2', vehicle_id: 'v1', name: 'Oil', interval_km: 10000, interval_days: 30, last_service_date: '2024-01-01' }
+    ];
+    const schedule = buildMaintenanceSchedule(plans, [{ id: 'v1', plate: 'AB 1' }], { p1: 999 }, 'UTC', new Date('2024-03-10T12:00:00.000Z'));
+    expect(schedule.map(row => [row.plan.id, row.status])).toEqual([['p2', 'overdue'], ['p1', 'ok']]);
+    expect(schedule.map(row => row.kmSinceService)).toEqual([0, 999]);
+    expect(schedule[0].vehicle.plate).toBe('AB 1');
+  });
+
+  it('should require a vehicle, a name and at least one interval', () => {
+    expect(validateMaintenancePlan({ vehicle_id: 'v1', name: 'Oil', interval_km: '15000', interval_days: '', last_service_date: '2024-01-01' })).toEqual([]);
+    expect(validateMaintenancePlan({ vehicle_id: '', name: ' ', interval_km: '', interval_days: '', last_service_date: '2024-01-01' })).toEqual([
+      'Please choose a vehicle',
+      'Service name is required',
+      'Enter a distance interval, a time interval or both'
+    ]);
+    expect(validateMaintenancePlan({ vehicle_id: 'v1', name: 'Oil', interval_km: '', interval_days: '1.5', last_service_date: '2024-01-01' }))
+      .toContain('Time interval must be a whole number of days');
+  });
+});
+
+describe('Unit Tests for Routes', () => {
+  const routes = [
+    { id: 'r1', code: 'R42', name: 'City Centre', depot: 'North', expected_stops: 80, expected_km: 100 },
+    { id: 'r2', code: '7', name: null, depot: null, expected_stops: null, expected_km: null }
+  ];
+
+  it('should match typed route numbers to route codes', () => {
+    expect(getRouteKey('Route #42')).toBe('42');
+    expect(getRouteKey('r 42')).toBe('R42');
+    expect(findSessionRoute({ route_number: 'route #7' }, routes).id).toBe('r2');
+    expect(findSessionRoute({ route_number: 'r42' }, routes).id).toBe('r1');
+    expect(findSessionRoute({ route_id: 'r1', route_number: 'something else' }, routes).id).toBe('r1');
+    expect(findSessionRoute({ route_number: 'Unknown 9' }, routes)).toBeNull();
+  });
+
+  it('should validate route codes and numbers', () => {
+    expect(validateRoute({ code: 'R43', expected_stops: '60', expected_km: '88.5' }, routes)).toEqual([]);
+    expect(validateRoute({ code: 'r 42' }, routes)).toContain('A route with this code already exists');
+    expect(validateRoute({ code: 'R42' }, routes, 'r1')).toEqual([]);
+    expect(validateRoute({ code: '' }, routes)).toContain('Route code is required');
+    expect(validateRoute({ code: 'R1', expected_stops: '2.5' }, routes)).toContain('Expected stops must be a whole number');
+  });
+
+  it('should label routes with name and depot', () => {
+    expect(formatRouteLabel(routes[0])).toBe('R42 - City Centre (North)');
+    expect(formatRouteLabel(routes[1])).toBe('7');
+  });
+
+  it('should compare expected and actual stops and distance per route', () => {
+    const sessions = [
+      { route_id: 'r1', route_number: 'R42', positive_deliveries: 60, negative_deliveries: 4, positive_pickups: 20, negative_pickups: 0, total_km: 110 },
+      { route_id: null, route_number: 'r 42', positive_deliveries: 50, negative_deliveries: 2, positive_pickups: 16, negative_pickups: 0, total_km: 90 },
+      { route_id: null, route_number: 'R24', positive_deliveries: 10, negative_deliveries: 0, positive_pickups: 0, negative_pickups: 0, total_km: null }
+    ];
+    const report = buildRouteReport(sessions, routes);
+
+    expect(report.rows).toHaveLength(1);
+    expect(report.rows[0]).toMatchObject({
+      sessions: 2,
+      avgStops: 76,
+      avgSuccessfulDeliveries: 55,
+      expectedStops: 80,
+      stopsVariance: -5,
+      avgKm: 100,
+      kmVariance: 0
+    });
+    expect(report.unmatched).toEqual([{ routeNumber: 'R24', sessions: 1 }]);
+  });
+});
+
+describe('Unit Tests for Stop Logging', () => {
+  const session = {
+    start_time: '2024-01-15T08:00:00.000Z',
+    end_time: '2024-01-15T16:00:00.000Z',
+    positive_deliveries: 40,
+    negative_deliveries: 5,
+    positive_pickups: 3,
+    negative_pickups: 1,
+    stops: [
+      { id: 's1', type: 'delivered', time: '2024-01-15T08:30:00.000Z', note: null },
+      { id: 's2', type: 'failed_delivery', time: '2024-01-15T09:00:00.000Z', note: 'Customer not home' },
+      { id: 's3', type: 'delivered', time: '2024-01-15T09:30:00.000Z', note: null },
+      { id: 's4', type: 'failed_pickup', time: '2024-01-15T10:00:00.000Z', note: 'Business closed' },
+      { id: 's5', type: 'failed_delivery', time: '2024-01-15T11:00:00.000Z', note: 'Wrong address' }
+    ]
+  };
+
+  it('should create stops with a time and optional note', () => {
+    const now = new Date('2024-01-15T12:00:00.000Z');
+    const stop = createStop('picked_up', { note: '  ', reason: 'closed' }, now);
+    expect(stop.type).toBe('picked_up');
+    expect(stop.time).toBe(now.toISOString());
+    expect(stop.note).toBeNull();
+    // Only failed stops keep a reason
+    expect(stop.reason).toBeNull();
+    expect(stop.id).not.toBe(createStop('picked_up', {}, now).id);
+    const failed = createStop('failed_delivery', { note: ' Gate locked ', reason: 'access_denied' }, now);
+    expect(failed.note).toBe('Gate locked');
+    expect(failed.reason).toBe('access_denied');
+  });
+
+  it('should count stops per outcome', () => {
+    expect(getStopTotals(session.stops)).toEqual({
+      positive_deliveries: 2,
+      negative_deliveries: 2,
+      positive_pickups: 0,
+      negative_pickups: 1
+    });
+    expect(getStopTotals([])).toEqual({
+      positive_deliveries: 0,
+      negative_deliveries: 0,
+      positive_pickups: 0,
+      negative_pickups: 0
+    });
+  });
+
+  it('should derive session totals from the stop log', () => {
+    const totals = calculateTotals(session);
+    expect(totals.positive_deliveries).toBe(2);
+    expect(totals.negative_deliveries).toBe(2);
+    expect(totals.deliveries).toBe(4);
+    expect(totals.pickups).toBe(1);
+
+    // Without a stop log the typed counts are kept
+    const typed = calculateTotals({ ...session, stops: [] });
+    expect(typed.positive_deliveries).toBe(40);
+    expect(typed.deliveries).toBe(45);
+  });
+
+  it('should join the notes of failed stops', () => {
+    expect(summariseFailedStopNotes(session.stops, 'delivery')).toBe('Customer not home; Wrong address');
+    expect(summariseFailedStopNotes(session.stops, 'pickup')).toBe('Business closed');
+    expect(summariseFailedStopNotes([session.stops[0]], 'delivery')).toBeNull();
+  });
+
+  it('should reject stops outside the shift or of unknown type', () => {
+    expect(validateStops(session.stops, session)).toEqual([]);
+    expect(validateStops([{ type: 'delivered', time: '2024-01-15T17:00:00.000Z' }], session))
+      .toContain('Stop 1: Stop time must be within work period');
+    expect(validateStops([{ type: 'lost', time: '2024-01-15T09:00:00.000Z' }], session))
+      .toContain('Stop 1: Unknown stop type');
+    // Open shifts have no end yet
+    expect(validateStops(
+      [{ type: 'delivered', time: '2024-01-15T17:00:00.000Z' }],
+      { ...session, end_time: null }
+    )).toEqual([]);
+    expect(validateSession({ ...session, end_time: '2024-01-15T10:30:00.000Z' }))
+      .toContain('Stop 5: Stop time must be within work period');
+  });
+});
+
+describe('Unit Tests for Failure Reasons', () => {
+  const reasons = [
+    { code: 'customer_absent', label: 'Customer absent', appliesTo: 'both', active: true },
+    { code: 'refused', label: 'Refused', appliesTo: 'delivery', active: true },
+    { code: 'not_ready', label: 'Not ready', appliesTo: 'pickup', active: true },
+    { code: 'old_reason', label: 'Old reason', appliesTo: 'both', active: false }
+  ];
+
+  it('should fall back to the built-in catalogue', () => {
+    expect(getFailureReasons(null)).toBe(DEFAULT_FAILURE_REASONS);
+    expect(getFailureReasons([])).toBe(DEFAULT_FAILURE_REASONS);
+    expect(getFailureReasons(reasons)).toBe(reasons);
+  });
+
+  it('should offer active reasons that apply to the failure kind', () => {
+    expect(getReasonsFor(reasons, 'delivery').map(r => r.code)).toEqual(['customer_absent', 'refused']);
+    expect(getReasonsFor(reasons, 'pickup').map(r => r.code)).toEqual(['customer_absent', 'not_ready']);
+  });
+
+  it('should validate the catalogue', () => {
+    expect(toReasonCode('  Gate / door locked! ')).toBe('gate_door_locked');
+    expect(validateFailureReasons(reasons)).toEqual([]);
+    expect(validateFailureReasons([...reasons, { code: 'refused', label: 'Refused', appliesTo: 'both' }]))
+      .toContain('Reason 5: "Refused" is listed twice');
+    expect(validateFailureReasons([{ code: '', label: ' ', appliesTo: 'both' }]))
+      .toContain('Reason 1: Label is required');
+    expect(validateFailureReasons([{ ...reasons[0], active: false }]))
+      .toContain('Keep at least one reason in use');
+  });
+
+  it('should keep only positive whole counts', () => {
+    expect(cleanFailureReasons({ delivery: { refused: '2', customer_absent: '', damaged: 0 } }))
+      .toEqual({ delivery: { refused: 2 }, pickup: {} });
+  });
+
+  it('should not allow more reasons than failures', () => {
+    const session = { negative_deliveries: 2, negative_pickups: 0 };
+    expect(validateReasonCounts({ ...session, failure_reasons: { delivery: { refused: 2 } } })).toEqual([]);
+    expect(validateReasonCounts({ ...session, failure_reasons: { delivery: { refused: 2, customer_absent: 1 } } }))
+      .toContain('Failure reasons add up to more than the failed deliveries');
+    expect(validateReasonCounts({ ...session, failure_reasons: { pickup: { not_ready: 1 } } }))
+      .toContain('Failure reasons add up to more than the failed pickups');
+    expect(validateSession({ ...session, failure_reasons: { pickup: { not_ready: 1 } } }))
+      .toContain('Failure reasons add up to more than the failed pickups');
+  });
+
+  it('should count failed stops per reason', () => {
+    const stops = [
+      createStop('failed_delivery', { reason: 'refused' }),
+      createStop('failed_delivery', { reason: 'refused' }),
+      createStop('failed_delivery', {}),
+      createStop('failed_pickup', { reason: 'not_ready' }),
+      createStop('delivered', { reason: 'refused' })
+    ];
+    expect(getStopReasonCounts(stops)).toEqual({ delivery: { refused: 2 }, pickup: { not_ready: 1 } });
+    expect(calculateTotals({ stops }).failure_reasons).toEqual({ delivery: { refused: 2 }, pickup: { not_ready: 1 } });
+  });
+
+  it('should break failures down by reason across sessions', () => {
+    const sessions = [
+      { negative_deliveries: 3, negative_pickups: 1, failure_reasons: { delivery: { refused: 2 }, pickup: { not_ready: 1 } } },
+      { negative_deliveries: 2, negative_pickups: 0, failure_reasons: { delivery: { customer_absent: 1, old_reason: 1 } } },
+      { negative_deliveries: 1, negative_pickups: 0 }
+    ];
+    const breakdown = getFailureReasonBreakdown(sessions, reasons);
+
+    expect(breakdown[0]).toEqual({ code: 'refused', label: 'Refused', delivery: 2, pickup: 0, total: 2 });
+    expect(breakdown.find(row => row.code === 'unspecified')).toMatchObject({ label: 'Not specified', delivery: 2, total: 2 });
+    expect(breakdown.find(row => row.code === 'old_reason').label).toBe('Old reason');
+    expect(breakdown.reduce((sum, row) => sum + row.total, 0)).toBe(7);
+  });
+});
+
+describe('Unit Tests for Proof of Delivery', () => {
+  it('should store proof in the driver\'s folder', () => {
+    const now = new Date('2024-01-15T10:00:00.000Z');
+    expect(getProofPath('user-1', 'stop-9', 'photo', 'jpg', now))
+      .toBe(`user-1/stop-9-photo-${now.getTime()}.jpg`);
+  });
+
+  it('should attach proof to a stop without losing other proof', () => {
+    const stop = { id: 'stop-9', type: 'delivered', time: '2024-01-15T10:00:00.000Z' };
+    const withPhoto = attachProof(stop, 'photo', 'user-1/photo.jpg');
+    const withBoth = attachProof(withPhoto, 'signature', 'user-1/signature.png');
+
+    expect(stop.proof).toBeUndefined();
+    expect(getProofKinds(stop)).toEqual([]);
+    expect(getProofKinds(withPhoto)).toEqual(['photo']);
+    expect(withBoth.proof).toEqual({ photo: 'user-1/photo.jpg', signature: 'user-1/signature.png' });
+    expect(getProofKinds(withBoth)).toEqual(['photo', 'signature']);
+  });
+
+  it('should convert signature data URLs to images', () => {
+    const blob = dataUrlToBlob('data:image/png;base64,' + btoa('signature'));
+    expect(blob.type).toBe('image/png');
+    expect(blob.size).toBe('signature'.length);
+  });
+});
+
+describe('Unit Tests for GPS Tracking', () => {
+  // Roughly 1.11 km apart (0.01 degrees of latitude)
+  const a = { latitude: 59.91, longitude: 10.75, accuracy: 10, recorded_at: '2024-01-15T08:00:00.000Z' };
+  const b = { latitude: 59.92, longitude: 10.75, accuracy: 10, recorded_at: '2024-01-15T08:05:00.000Z' };
+  const c = { latitude: 59.93, longitude: 10.75, accuracy: 10, recorded_at: '2024-01-15T08:10:00.000Z' };
+
+  it('should convert geolocation positions to track points', () => {
+    const point = toTrackPoint({
+      coords: { latitude: 59.9123456789, longitude: 10.7512345678, accuracy: 12.6 },
+      timestamp: Date.parse('2024-01-15T08:00:00.000Z')
+    });
+    expect(point).toEqual({
+      latitude: 59.912346,
+      longitude: 10.751235,
+      accuracy: 13,
+      recorded_at: '2024-01-15T08:00:00.000Z'
+    });
+  });
+
+  it('should measure distances along the track', () => {
+    expect(getDistanceMeters(a, b)).toBeCloseTo(1112, -1);
+    expect(getDistanceMeters(a, a)).toBe(0);
+    // Order of points does not matter
+    expect(getTrackDistanceKm([c, a, b])).toBeCloseTo(2.224, 2);
+    expect(getTrackDistanceKm([a])).toBe(0);
+  });
+
+  it('should skip inaccurate, too frequent or stationary fixes', () => {
+    expect(shouldRecordPoint(a, null)).toBe(true);
+    expect(shouldRecordPoint({ ...b, accuracy: 500 }, a)).toBe(false);
+    expect(shouldRecordPoint({ ...b, recorded_at: '2024-01-15T08:00:30.000Z' }, a)).toBe(false);
+    expect(shouldRecordPoint({ ...a, recorded_at: '2024-01-15T08:05:00.000Z' }, a)).toBe(false);
+    expect(shouldRecordPoint(b, a)).toBe(true);
+  });
+
+  it('should flag large GPS and odometer differences', () => {
+    expect(compareWithOdometer(100, null)).toBeNull();
+    expect(compareWithOdometer(95, '100').mismatch).toBe(false);
+    const far = compareWithOdometer(60, 100);
+    expect(far.mismatch).toBe(true);
+    expect(far.differenceKm).toBe(-40);
+    expect(far.differencePercent).toBe(-40);
+    // Small absolute differences on short trips are not flagged
+    expect(compareWithOdometer(1, 2).mismatch).toBe(false);
+  });
+
+  it('should fit the track inside the map view', () => {
+    expect(projectPoint({ latitude: 0, longitude: 0 }, 0)).toEqual({ x: 128, y: 128 });
+
+    const view = fitTrackToView([a, b, c], 640, 380);
+    const projected = [a, b, c].map(point => projectPoint(point, view.zoom));
+    projected.forEach(({ x, y }) => {
+      expect(x - view.originX).toBeGreaterThanOrEqual(0);
+      expect(x - view.originX).toBeLessThanOrEqual(640);
+      expect(y - view.originY).toBeGreaterThanOrEqual(0);
+      expect(y - view.originY).toBeLessThanOrEqual(380);
+    });
+    // One zoom level closer would not fit
+    const closer = [a, c].map(point => projectPoint(point, view.zoom + 1));
+    expect(closer[0].y - closer[1].y).toBeGreaterThan(380 - 48);
+  });
+
+  it('should keep points of unsaved sessions until the session has an id', () => {
+    queueTrackPoint('temp-gps-1', 'user-1', a);
+    queueTrackPoint('temp-gps-1', 'user-1', b);
+    expect(getQueuedTrackPoints('temp-gps-1', 'user-1')).toHaveLength(2);
+
+    reassignQueuedTrackPoints('temp-gps-1', 'session-gps-1', 'user-1');
+    expect(getQueuedTrackPoints('temp-gps-1', 'user-1')).toEqual([]);
+    expect(getQueuedTrackPoints('session-gps-1', 'user-1')[0]).toMatchObject({ ...a, user_id: 'user-1' });
+  });
+
+  it('should keep each driver\'s points apart', () => {
+    queueTrackPoint('session-gps-2', 'user-2', a);
+    expect(getQueuedTrackPoints('session-gps-2', 'user-3')).toEqual([]);
+    expect(getQueuedTrackPoints('session-gps-2', 'user-2')).toHaveLength(1);
+  });
+
+  it('should move the driver\'s points out of the old shared queue', () => {
+    localStorage.setItem('gps-track-queue', JSON.stringify({
+      'session-gps-3': [{ ...a, user_id: 'user-4' }, { ...b, user_id: 'user-5' }]
+    }));
+
+    expect(getQueuedTrackPoints('session-gps-3', 'user-4')).toEqual([{ ...a, user_id: 'user-4' }]);
+    expect(JSON.parse(localStorage.getItem('gps-track-queue'))['session-gps-3']).toEqual([{ ...b, user_id: 'user-5' }]);
+    expect(getQueuedTrackPoints('session-gps-3', 'user-5')).toHaveLength(1);
+    expect(localStorage.getItem('gps-track-queue')).toBeNull();
+  });
+});
+
+describe('Unit Tests for Depot Geofences', () => {
+  const depots = [
+    { id: 'd1', name: 'North Depot', latitude: 59.9, longitude: 10.75, radius_m: 200, active: true },
+    { id: 'd2', name: 'South Depot', latitude: 59.8, longitude: 10.75, radius_m: 200, active: true },
+    { id: 'd3', name: 'Old Depot', latitude: 59.95, longitude: 10.75, radius_m: 200, active: false }
+  ];
+  const at = (latitude, accuracy = 10) => ({
+    latitude,
+    longitude: 10.75,
+    accuracy,
+    recorded_at: '2024-01-15T08:00:00.000Z'
+  });
+
+  it('should validate depot form data', () => {
+    expect(validateDepot({ name: 'West', latitude: '59.9', longitude: '10.7', radius_m: '150' }, depots)).toEqual([]);
+    expect(validateDepot({ name: ' north depot ', latitude: '59.9', longitude: '10.7', radius_m: '150' }, depots))
+      .toContain('A depot with this name already exists');
+    expect(validateDepot({ name: 'North Depot', latitude: '59.9', longitude: '10.7', radius_m: '150' }, depots, 'd1'))
+      .toEqual([]);
+
+    const errors = validateDepot({ name: '', latitude: '91', longitude: '', radius_m: '10' }, depots);
+    expect(errors).toHaveLength(4);
+  });
+
+  it('should find the nearest active depot', () => {
+    const inside = findNearestDepot(at(59.901), depots);
+    expect(inside.depot.id).toBe('d1');
+    expect(inside.distanceMeters).toBeCloseTo(111, -1);
+    expect(inside.inside).toBe(true);
+
+    // Closest to the retired depot, but only active depots count
+    const outside = findNearestDepot(at(59.94), depots);
+    expect(outside.depot.id).toBe('d1');
+    expect(outside.inside).toBe(false);
+
+    expect(findNearestDepot(at(59.9), [])).toBeNull();
+  });
+
+  it('should count the fix accuracy in the driver\'s favour', () => {
+    // About 278 m from the centre of a 200 m depot
+    expect(findNearestDepot(at(59.9025, 10), depots).inside).toBe(false);
+    expect(findNearestDepot(at(59.9025, 90), depots).inside).toBe(true);
+    // Very poor fixes do not stretch the geofence further
+    expect(findNearestDepot(at(59.904, 1000), depots).inside).toBe(false);
+  });
+
+  it('should build the location saved on the session', () => {
+    const location = buildClockLocation(at(59.91), depots);
+    expect(location).toMatchObject({
+      latitude: 59.91,
+      depot_id: 'd1',
+      depot_name: 'North Depot',
+      inside_depot: false
+    });
+    expect(location.distance_m).toBeCloseTo(1112, -1);
+
+    expect(buildClockLocation(at(59.91), []).inside_depot).toBeNull();
+    expect(buildClockLocation(null, depots, 'denied', new Date('2024-01-15T08:00:00.000Z')))
+      .toEqual({ error: 'denied', recorded_at: '2024-01-15T08:00:00.000Z' });
+  });
+
+  it('should flag locations away from a depot or missing', () => {
+    expect(formatDistance(850.4)).toBe('850 m');
+    expect(formatDistance(3240)).toBe('3.2 km');
+
+    expect(getLocationFlag(null)).toBeNull();
+    expect(getLocationFlag(buildClockLocation(at(59.9), depots))).toBeNull();
+    expect(getLocationFlag(buildClockLocation(at(59.91), []))).toBe('Not checked - no depots set up');
+    expect(getLocationFlag(buildClockLocation(at(59.91), depots))).toBe('1.1 km from North Depot');
+    expect(getLocationFlag({ error: 'denied' })).toBe('Location access was denied');
+  });
+
+  it('should only block clock-in when the policy requires a depot', () => {
+    const away = buildClockLocation(at(59.91), depots);
+    const missing = buildClockLocation(null, depots, 'unavailable');
+
+    expect(getGeofenceError(away, 'record', 'start work')).toBeNull();
+    expect(getGeofenceError(missing, 'record', 'start work')).toBeNull();
+    expect(getGeofenceError(away, 'require', 'start work')).toContain('You can only start work at a depot');
+    expect(getGeofenceError(missing, 'require', 'start work')).toContain('Location could not be found');
+    expect(getGeofenceError(buildClockLocation(at(59.9), depots), 'require', 'start work')).toBeNull();
+    // Nothing to check against until depots are set up
+    expect(getGeofenceError(buildClockLocation(at(59.91), []), 'require', 'start work')).toContain('No depots have been set up');
+    expect(getGeofenceError(buildClockLocation(at(59.91), []), 'record', 'start work')).toBeNull();
+  });
+
+  it('should not pass a location that could not be checked against depots', () => {
+    const unchecked = buildClockLocation(at(59.91), null);
+
+    expect(unchecked).toMatchObject({ inside_depot: null, depots_unavailable: true });
+    expect(getGeofenceError(unchecked, 'require', 'start work')).toContain('depot list could not be loaded');
+    expect(getGeofenceError(unchecked, 'record', 'start work')).toBeNull();
+    expect(getLocationFlag(unchecked)).toBe('Not checked - depot list unavailable');
+  });
+});
+
+describe('Unit Tests for Break Types', () => {
+  const session = {
+    user_id: 'd1',
+    date: '2024-01-15T08:00:00.000Z',
+    start_time: '2024-01-15T08:00:00.000Z',
+    end_time: '2024-01-15T17:00:00.000Z',
+    breaks: [
+      { start: '2024-01-15T12:00:00.000Z', end: '2024-01-15T12:30:00.000Z', type: 'meal', paid: false },
+      { start: '2024-01-15T14:00:00.000Z', end: '2024-01-15T15:00:00.000Z', type: 'loading_wait', paid: true }
+    ]
+  };
+
+  it('should create breaks with the type\'s paid flag', () => {
+    const now = new Date('2024-01-15T12:00:00.000Z');
+    expect(createBreak('meal', now)).toEqual({ start: '2024-01-15T12:00:00.000Z', type: 'meal', paid: false });
+    expect(createBreak('traffic', now).paid).toBe(true);
+    expect(setBreakType({ start: 'x', type: 'meal', paid: false }, 'vehicle_breakdown'))
+      .toEqual({ start: 'x', type: 'vehicle_breakdown', paid: true });
+  });
+
+  it('should treat older breaks without a type as unpaid', () => {
+    expect(isPaidBreak({ start: 'x', end: 'y' })).toBe(false);
+    expect(getBreakTypeInfo({ start: 'x' }).label).toBe('Break');
+    // The break's own flag wins over the type default
+    expect(isPaidBreak({ type: 'meal', paid: true })).toBe(true);
+    expect(isPaidBreak({ type: 'loading_wait' })).toBe(true);
+    expect(formatBreakType({ type: 'loading_wait', paid: true })).toBe('⏳ Loading Wait (paid)');
+  });
+
+  it('should validate break types', () => {
+    expect(validateBreakTypes(session.breaks)).toEqual([]);
+    expect(validateBreakTypes([{ start: 'x' }])).toEqual([]);
+    expect(validateBreakTypes([{ start: 'x', type: 'nap' }])).toEqual(['Break 1: Unknown break type']);
+    expect(validateSession({ ...session, breaks: [{ ...session.breaks[0], type: 'nap' }] }))
+      .toContain('Break 1: Unknown break type');
+    expect(Object.keys(BREAK_TYPES)).toHaveLength(5);
+  });
+
+  it('should count paid breaks as payable time', () => {
+    const metrics = calculateTimeMetrics(session);
+    expect(metrics.breakTime).toBeCloseTo(1.5, 5);
+    expect(metrics.paidBreakTime).toBeCloseTo(1, 5);
+    expect(metrics.workTime).toBeCloseTo(7.5, 5);
+    expect(metrics.payableTime).toBeCloseTo(8.5, 5);
+  });
+
+  it('should pay for paid breaks in the payroll report', () => {
+    const report = buildPayrollReport(
+      [session],
+      [{ id: 'd1', name: 'Ali', username: 'ali' }],
+      { start: '2024-01-15', end: '2024-01-21' },
+      { ...DEFAULT_PAYROLL_SETTINGS, roundingMinutes: 0 },
+      () => 'UTC'
+    );
+    expect(report.rows[0].workHours).toBeCloseTo(7.5, 5);
+    expect(report.rows[0].paidBreakHours).toBeCloseTo(1, 5);
+    expect(report.rows[0].payableHours).toBeCloseTo(8.5, 5);
+  });
+
+  it('should not count paid breaks as rest for labour rules', () => {
+    const rules = { maxDailyHours: 8, maxWeeklyHours: 0, breakAfterHours: 4.5, minBreakMinutes: 45 };
+    const waited = {
+      id: 's1',
+      ...session,
+      breaks: [{ start: '2024-01-15T12:00:00.000Z', end: '2024-01-15T12:05:00.000Z', type: 'traffic', paid: true }]
+    };
+    const findings = evaluateCompliance([waited], rules, { now: new Date('2024-01-16T00:00:00.000Z') })['s1'];
+    const ruleNames = findings.map(finding => finding.rule);
+
+    // A short traffic stop is neither a rest break nor a too-short one
+    expect(ruleNames).toContain('break_required');
+    expect(ruleNames).not.toContain('short_break');
+    // Paid waiting counts as working time: 9h against an 8h cap
+    expect(ruleNames).toContain('daily_hours');
+  });
+});
+
+describe('Unit Tests for Break Change Requests', () => {
+  const lunch = { start: '2024-01-15T12:00:00.000Z', end: '2024-01-15T12:30:00.000Z', type: 'meal', paid: false };
+  const wait = { start: '2024-01-15T14:00:00.000Z', end: '2024-01-15T14:20:00.000Z', type: 'loading_wait', paid: true };
+  const session = { id: 's1', user_id: 'd1', start_time: '2024-01-15T08:00:00.000Z', breaks: [lunch, wait] };
+  const requested = { ...lunch, start: '2024-01-15T12:10:00.000Z', end: '2024-01-15T12:45:00.000Z' };
+
+  it('should compare breaks by their times', () => {
+    expect(isSameBreak(lunch, { ...lunch, type: 'rest' })).toBe(true);
+    expect(isSameBreak(lunch, { ...lunch, start: '2024-01-15T12:00:00Z' })).toBe(true);
+    expect(isSameBreak(lunch, requested)).toBe(false);
+    expect(isSameBreak(lunch, undefined)).toBe(false);
+  });
+
+  it('should keep the original break on the request', () => {
+    const request = buildBreakChangeRequest(session, 0, requested, '  Forgot to end the break  ');
+    expect(request).toEqual({
+      session_id: 's1',
+      user_id: 'd1',
+      break_index: 0,
+      original_break: lunch,
+      requested_break: requested,
+      reason: 'Forgot to end the break',
+      status: 'pending'
+    });
+    expect(buildBreakChangeRequest(session, 0, requested).reason).toBeNull();
+  });
+
+  it('should find the latest request for a break', () => {
+    const requests = [
+      { id: 'r1', break_index: 0, status: 'rejected', requested_at: '2024-01-15T13:00:00.000Z' },
+      { id: 'r2', break_index: 0, status: 'pending', requested_at: '2024-01-15T13:30:00.000Z' },
+      { id: 'r3', break_index: 1, status: 'approved', requested_at: '2024-01-15T15:00:00.000Z' }
+    ];
+    expect(getLatestRequestForBreak(requests, 0).id).toBe('r2');
+    expect(getLatestRequestForBreak(requests, 1).id).toBe('r3');
+    expect(getLatestRequestForBreak(requests, 2)).toBeNull();
+  });
+
+  it('should only apply a change to the break it was made for', () => {
+    const request = buildBreakChangeRequest(session, 0, requested);
+    const updated = applyBreakChange(session.breaks, request);
+    expect(updated[0]).toEqual(requested);
+    expect(updated[1]).toBe(wait);
+    // The session is not changed in place
+    expect(session.breaks[0]).toBe(lunch);
+
+    // The break was changed by someone else in the meantime
+    expect(applyBreakChange([{ ...lunch, end: '2024-01-15T12:40:00.000Z' }, wait], request)).toBeNull();
+    expect(applyBreakChange([], request)).toBeNull();
+  });
+
+  it('should bring the driver\'s copy up to date with approved changes', () => {
+    const approved = { ...buildBreakChangeRequest(session, 0, requested), status: 'approved' };
+    const pending = { ...buildBreakChangeRequest(session, 1, { ...wait, end: '2024-01-15T14:40:00.000Z' }) };
+
+    const updated = applyApprovedBreakChanges(session.breaks, [approved, pending]);
+    expect(updated[0]).toEqual(requested);
+    expect(updated[1]).toBe(wait);
+
+    // Already applied: nothing to save
+    expect(applyApprovedBreakChanges(updated, [approved, pending])).toBeNull();
+    expect(applyApprovedBreakChanges(session.breaks, [pending])).toBeNull();
+  });
+});
+
+describe('Unit Tests for Driver Comparison', () => {
+  const drivers = [
+    { id: 'd1', name: 'Alice', username: 'alice' },
+    { id: 'd2', name: 'Bob', username: 'bob' },
+    { id: 'd3', name: 'Cara', username: 'cara' }
+  ];
+  const totals = (userId, overrides = {}) => ({
+    user_id: userId,
+    sessions: 1,
+    work_hours: 4,
+    positive_deliveries: 0,
+    negative_deliveries: 0,
+    positive_pickups: 0,
+    negative_pickups: 0,
+    total_km: 0,
+    km_work_hours: 0,
+    ...overrides
+  });
+
+  it('should rate each driver\'s totals', () => {
+    const rows = buildDriverComparison([
+      totals('d1', {
+        sessions: 2,
+        work_hours: 8,
+        positive_deliveries: 28,
+        negative_deliveries: 2,
+        positive_pickups: 3,
+        negative_pickups: 1,
+        total_km: '120',
+        km_work_hours: 8
+      })
+    ], drivers);
+    const alice = rows.find(row => row.userId === 'd1');
+
+    expect(alice.sessions).toBe(2);
+    expect(alice.workHours).toBe(8);
+    expect(alice.deliverySuccessRate).toBeCloseTo(28 / 30 * 100);
+    expect(alice.pickupSuccessRate).toBe(75);
+    expect(alice.kmPerHour).toBe(15);
+    expect(alice.deliveriesPerHour).toBe(3.5);
+  });
+
+  it('should leave rates empty for drivers without data', () => {
+    const rows = buildDriverComparison([totals('d2')], drivers);
+    const bob = rows.find(row => row.userId === 'd2');
+    const cara = rows.find(row => row.userId === 'd3');
+
+    expect(bob.deliverySuccessRate).toBeNull();
+    expect(bob.kmPerHour).toBeNull();
+    expect(bob.deliveriesPerHour).toBe(0);
+    expect(cara.sessions).toBe(0);
+    expect(cara.deliveriesPerHour).toBeNull();
+    expect(formatComparisonMetric(cara.workHours, 'workHours')).toBe('0.0h');
+    expect(formatComparisonMetric(null, 'kmPerHour')).toBe('-');
+  });
+
+  it('should only use hours of sessions with mileage for km per hour', () => {
+    const rows = buildDriverComparison([
+      totals('d1', { sessions: 2, work_hours: 8, total_km: 60, km_work_hours: 4 })
+    ], drivers);
+
+    expect(rows.find(row => row.userId === 'd1').kmPerHour).toBe(15);
+  });
+
+  it('should ignore totals of unknown users', () => {
+    const rows = buildDriverComparison([totals('someone-else')], drivers);
+    expect(rows.every(row => row.sessions === 0)).toBe(true);
+  });
+
+  it('should sort by a metric with empty values last', () => {
+    const rows = [
+      { name: 'Alice', deliverySuccessRate: 90 },
+      { name: 'Bob', deliverySuccessRate: null },
+      { name: 'Cara', deliverySuccessRate: 95 }
+    ];
+
+    expect(sortComparisonRows(rows, 'deliverySuccessRate', 'desc').map(row => row.name)).toEqual(['Cara', 'Alice', 'Bob']);
+    expect(sortComparisonRows(rows, 'deliverySuccessRate', 'asc').map(row => row.name)).toEqual(['Alice', 'Cara', 'Bob']);
+  });
+
+  it('should sort by name alphabetically', () => {
+    const rows = [{ name: 'Cara' }, { name: 'alice' }, { name: 'Bob' }];
+    expect(sortComparisonRows(rows, 'name', 'asc').map(row => row.name)).toEqual(['alice', 'Bob', 'Cara']);
+  });
+});
+
+describe('Unit Tests for Performance Stats', () => {
+  it('should convert daily rows to numbers', () => {
+    const stat = toDailyStat({
+      day: '2024-01-15',
+      sessions: 2,
+      total_hours: '17.5',
+      break_hours: '1.5',
+      paid_break_hours: '0.5',
+      work_hours: '16',
+      positive_deliveries: 30,
+      negative_deliveries: 2,
+      positive_pickups: 5,
+      negative_pickups: 0,
+      total_km: '210.40'
+    });
+
+    expect(stat.day).toBe('2024-01-15');
+    expect(stat.workHours).toBe(16);
+    expect(stat.paidBreakHours).toBe(0.5);
+    expect(stat.totalKm).toBe(210.4);
+  });
+
+  it('should treat a missing totals row as an empty period', () => {
+    const totals = toPeriodTotals();
+
+    expect(totals.sessions).toBe(0);
+    expect(totals.awayFromDepot).toBe(0);
+    expect(totals.failureReasons).toEqual({});
+    expect(buildTotalStats(totals).avgWorkHours).toBe('0.0');
+  });
+
+  it('should build summary figures from period totals', () => {
+    const stats = buildTotalStats(toPeriodTotals({
+      sessions: 4,
+      total_hours: 36,
+      break_hours: 4,
+      work_hours: 32,
+      positive_deliveries: 90,
+      negative_deliveries: 10,
+      positive_pickups: 8,
+      negative_pickups: 2,
+      total_km: 401.25
+    }));
+
+    expect(stats.totalDeliveries).toBe(100);
+    expect(stats.totalPickups).toBe(10);
+    expect(stats.totalWorkHours).toBe('32.0');
+    expect(stats.avgWorkHours).toBe('8.0');
+    expect(stats.avgBreakHours).toBe('1.0');
+    expect(stats.totalKm).toBe('401.3');
+    expect(stats.totalDays).toBe(4);
+  });
+
+  it('should break down period failure reasons like a single session', () => {
+    const totals = toPeriodTotals({
+      negative_deliveries: 5,
+      negative_pickups: 1,
+      failure_reasons: { delivery: { customer_absent: 3 } }
+    });
+    const breakdown = getFailureReasonBreakdown([toFailureReasonSession(totals)], DEFAULT_FAILURE_REASONS);
+
+    expect(breakdown.find(row => row.code === 'customer_absent').delivery).toBe(3);
+    expect(breakdown.find(row => row.code === 'unspecified').total).toBe(3);
+  });
+});
+
+describe('Unit Tests for Performance Rollup', () => {
+  const day = (key, overrides = {}) => toDailyStat({
+    day: key,
+    sessions: 1,
+    work_hours: 8,
+    break_hours: 1,
+    positive_deliveries: 10,
+    negative_deliveries: 1,
+    ...overrides
+  });
+
+  it('should find the bucket of a day', () => {
+    expect(getBucketKey('2024-01-17', 'day')).toBe('2024-01-17');
+    expect(getBucketKey('2024-01-17', 'week')).toBe('2024-01-15');
+    expect(getBucketKey('2024-01-21', 'week')).toBe('2024-01-15');
+    expect(getBucketKey('2024-01-17', 'month')).toBe('2024-01-01');
+  });
+
+  it('should label buckets per granularity', () => {
+    expect(formatBucketLabel('2024-01-15', 'day')).toBe('Jan 15');
+    expect(formatBucketLabel('2024-01-15', 'week')).toBe('Wk of Jan 15');
+    expect(formatBucketLabel('2024-01-01', 'month')).toBe('Jan 2024');
+  });
+
+  it('should sum counts and average hours per ISO week', () => {
+    const buckets = bucketDailyStats([
+      day('2024-01-22', { work_hours: 6 }),
+      day('2024-01-15'),
+      day('2024-01-16', { sessions: 2, work_hours: 12 })
+    ], 'week');
+
+    expect(buckets.map(bucket => bucket.bucket)).toEqual(['2024-01-15', '2024-01-22']);
+    expect(buckets[0].sessions).toBe(3);
+    expect(buckets[0].positiveDeliveries).toBe(20);
+    expect(buckets[0].workHours).toBe(20);
+    expect(buckets[0].avgWorkHours).toBeCloseTo(20 / 3);
+    expect(buckets[1].avgWorkHours).toBe(6);
+  });
+
+  it('should group days into months', () => {
+    const buckets = bucketDailyStats([day('2024-01-31'), day('2024-02-01'), day('2024-02-29')], 'month');
+    expect(buckets.map(bucket => bucket.sessions)).toEqual([1, 2]);
+  });
+
+  it('should find the previous period of the same length', () => {
+    expect(getPeriodLength('2024-01-08', '2024-01-14')).toBe(7);
+    expect(getPreviousPeriod('2024-01-08', '2024-01-14')).toEqual({ fromKey: '2024-01-01', toKey: '2024-01-07' });
+    expect(getPreviousPeriod('2024-03-01', '2024-03-31')).toEqual({ fromKey: '2024-01-30', toKey: '2024-02-29' });
+  });
+
+  it('should calculate the change from the previous period', () => {
+    expect(getPercentChange(110, 100)).toBe(10);
+    expect(getPercentChange(50, 100)).toBe(-50);
+    expect(getPercentChange(5, 0)).toBeNull();
+  });
+
+  it('should match buckets one period earlier, skipping days without work', () => {
+    const current = bucketDailyStats([day('2024-01-09'), day('2024-01-10')]);
+    const previous = bucketDailyStats([day('2024-01-02', { work_hours: 5, positive_deliveries: 4 })]);
+    const aligned = alignPreviousBuckets(current, previous, 7);
+
+    expect(aligned[0].previousAvgWorkHours).toBe(5);
+    expect(aligned[0].previousDeliveries).toBe(5);
+    expect(aligned[1].previousAvgWorkHours).toBeNull();
+  });
+});
+
+describe('Unit Tests for Session Export', () => {
+  const session = {
+    id: 's1',
+    user_id: 'd1',
+    user: { id: 'd1', name: 'Alice Smith', username: 'alice' },
+    date: '2024-01-15T08:00:00Z',
+    start_time: '2024-01-15T08:00:00Z',
+    end_time: '2024-01-15T17:00:00Z',
+    route_number: 'R12',
+    route: { code: 'R12', name: 'North Loop' },
+    vehicle: { plate: 'VAN-1' },
+    failure_reasons: { delivery: { customer_absent: 1, wrong_address: 1 }, pickup: {} },
+    breaks: [
+      { start: '2024-01-15T12:00:00Z', end: '2024-01-15T12:30:00Z', type: 'meal', paid: false },
+      { start: '2024-01-15T14:00:00Z', end: '2024-01-15T14:30:00Z', type: 'traffic', paid: true }
+    ],
+    positive_deliveries: 40,
+    negative_deliveries: 2,
+    delivery_comments: 'Gate locked, "back" door',
+    positive_pickups: 3,
+    negative_pickups: 0,
+    pickup_comments: null,
+    start_km: '1000.5',
+    end_km: '1120.5',
+    total_km: '120.00'
+  };
+
+  it('should describe breaks with type and pay', () => {
+    expect(formatBreakDetails(session.breaks, session.start_time, 'UTC'))
+      .toBe('12:00 PM-12:30 PM Meal (unpaid); 02:00 PM-02:30 PM Traffic (paid)');
+    expect(formatBreakDetails([{ start: '2024-01-15T12:00:00Z', end: null }], session.start_time, 'UTC'))
+      .toBe('12:00 PM-open Break (unpaid)');
+  });
+
+  it('should build an export row with calculated hours', () => {
+    const [row] = buildSessionExportRows([session], { getTimezone: () => 'UTC' });
+
+    expect(row.name).toBe('Alice Smith');
+    expect(row.date).toBe('2024-01-15');
+    expect(row.startTime).toBe('08:00 AM');
+    expect(row.endTime).toBe('05:00 PM');
+    expect(row.totalHours).toBe(9);
+    expect(row.breakHours).toBe(1);
+    expect(row.paidBreakHours).toBe(0.5);
+    expect(row.workHours).toBe(8);
+    expect(row.payableHours).toBe(8.5);
+    expect(row.totalDeliveries).toBe(42);
+    expect(row.startKm).toBe(1000.5);
+    expect(row.totalKm).toBe(120);
+  });
+
+  it('should use each driver\'s timezone for dates and times', () => {
+    const [row] = buildSessionExportRows([{ ...session, date: '2024-01-15T23:30:00Z', start_time: '2024-01-15T23:30:00Z', end_time: '2024-01-16T06:00:00Z', breaks: [] }], {
+      getTimezone: () => 'Europe/Berlin'
+    });
+    expect(row.date).toBe('2024-01-16');
+    expect(row.startTime).toBe('12:30 AM');
+  });
+
+  it('should mark end and break times after midnight', () => {
+    const [row] = buildSessionExportRows([{
+      ...session,
+      date: '2024-01-15T20:00:00Z',
+      start_time: '2024-01-15T20:00:00Z',
+      end_time: '2024-01-16T04:00:00Z',
+      breaks: [{ start: '2024-01-16T01:00:00Z', end: '2024-01-16T01:30:00Z', type: 'meal', paid: false }]
+    }], { getTimezone: () => 'UTC' });
+
+    expect(row.endTime).toBe('04:00 AM (+1 day)');
+    expect(row.breakDetails).toBe('01:00 AM (+1 day)-01:30 AM (+1 day) Meal (unpaid)');
+  });
+
+  it('should export route, vehicle and failure reasons', () => {
+    const [row] = buildSessionExportRows([session], { getTimezone: () => 'UTC' });
+
+    expect(row.routeName).toBe('North Loop');
+    expect(row.vehicle).toBe('VAN-1');
+    expect(row.deliveryFailureReasons).toBe('Customer absent: 1; Wrong address: 1');
+    expect(row.pickupFailureReasons).toBe('');
+    expect(formatFailureReasons({ delivery: { gone: 2, unspecified: 1 } }, 'delivery', []))
+      .toBe('gone: 2; Not specified: 1');
+  });
+
+  it('should export every column to CSV', () => {
+    const csv = sessionsToCSV(buildSessionExportRows([session], { getTimezone: () => 'UTC' }));
+    const [header, line] = csv.split('\r\n');
+
+    expect(header.split(',')).toHaveLength(SESSION_EXPORT_COLUMNS.length);
+    expect(line).toContain('"Gate locked, ""back"" door"');
+    expect(line.startsWith('Alice Smith,alice,2024-01-15,R12,North Loop,VAN-1,08:00 AM,05:00 PM,9,1,0.5,8,8.5,2,')).toBe(true);
+  });
+
+  it('should write number and text cells to the sheet', () => {
+    const xml = buildSheetXML(
+      [{ key: 'name', label: 'Driver' }, { key: 'hours', label: 'Hours' }],
+      [{ name: 'Tom & Jerry', hours: 7.5 }, { name: 'Empty', hours: null }]
+    );
+
+    expect(xml).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Driver</t></is></c>');
+    expect(xml).toContain('<t xml:space="preserve">Tom &amp; Jerry</t>');
+    expect(xml).toContain('<c r="B2"><v>7.5</v></c>');
+    expect(xml).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">Empty</t></is></c></row>');
+  });
+
+  it('should pack files into a ZIP archive', () => {
+    const zip = createZip([{ name: 'a.txt', content: 'hello' }]);
+    const view = new DataView(zip.buffer);
+
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(0x3610a686); // CRC-32 of "hello"
+    expect(view.getUint32(zip.length - 22, true)).toBe(0x06054b50);
+  });
+
+  it('should build an XLSX workbook with the sheet inside', () => {
+    const file = toXLSX([{ key: 'name', label: 'Driver' }], [{ name: 'Alice' }], 'Sessions');
+    const text = new TextDecoder().decode(file);
+
+    expect(text).toContain('xl/worksheets/sheet1.xml');
+    expect(text).toContain('<sheet name="Sessions"');
+    expect(text).toContain('Alice');
+  });
+});
+
+describe('Unit Tests for Session Import', () => {
+  const drivers = [
+    { id: 'd1', name: 'Alice Smith', username: 'alice', role: 'driver' },
+    { id: 'd2', name: 'Bob Jones', username: 'bob', role: 'driver' }
+  ];
+  const options = { drivers, getTimezone: () => 'UTC', routes: [{ id: 'r1', code: 'R12' }] };
+  const values = {
+    username: 'Alice',
+    date: '2024-01-15',
+    start_time: '08:00',
+    end_time: '17:00',
+    breaks: '12:00-12:30 Meal; 14:00-14:15 traffic',
+    route_number: 'route #r12',
+    positive_deliveries: '40',
+    negative_deliveries: '2',
+    positive_pickups: '',
+    negative_pickups: '',
+    start_km: '1000',
+    end_km: '1120'
+  };
+
+  it('should parse quoted CSV cells', () => {
+    expect(parseCSV('﻿a,b\r\n"x, ""y""",\n\n1,2')).toEqual([['a', 'b'], ['x, "y"', ''], ['1', '2']]);
+  });
+
+  it('should map import and export headers to fields', () => {
+    const { rows, errors } = parseImportCSV('Username,Date,Start Time,End Time,Successful Deliveries,Total Hours\nalice,2024-01-15,08:00,17:00,40,9');
+
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([{
+      rowNumber: 2,
+      values: { username: 'alice', date: '2024-01-15', start_time: '08:00', end_time: '17:00', positive_deliveries: '40' }
+    }]);
+  });
+
+  it('should reject a file without the required columns', () => {
+    expect(parseImportCSV('username,date\nalice,2024-01-15').errors).toEqual([
+      'Missing required column(s): start_time, end_time'
+    ]);
+  });
+
+  it('should parse breaks with type and pay', () => {
+    const { breaks, errors } = parseBreaksCell('12:00-12:30 Meal; 14:00-14:15 Rest (paid); 15:00-15:10', '2024-01-15T08:00:00Z', 'UTC');
+
+    expect(errors).toEqual([]);
+    expect(breaks).toEqual([
+      { start: '2024-01-15T12:00:00.000Z', end: '2024-01-15T12:30:00.000Z', type: 'meal', paid: false },
+      { start: '2024-01-15T14:00:00.000Z', end: '2024-01-15T14:15:00.000Z', type: 'rest', paid: true },
+      { start: '2024-01-15T15:00:00.000Z', end: '2024-01-15T15:10:00.000Z', type: 'rest', paid: false }
+    ]);
+  });
+
+  it('should read break times written by the session export', () => {
+    const { breaks, errors } = parseBreaksCell('11:50 PM-12:20 AM (+1 day) Meal (unpaid)', '2024-01-15T20:00:00Z', 'UTC');
+
+    expect(errors).toEqual([]);
+    expect(breaks).toEqual([
+      { start: '2024-01-15T23:50:00.000Z', end: '2024-01-16T00:20:00.000Z', type: 'meal', paid: false }
+    ]);
+  });
+
+  it('should report malformed breaks', () => {
+    expect(parseBreaksCell('noon; 13:00-13:30 Nap', '2024-01-15T08:00:00Z', 'UTC').errors).toEqual([
+      'Break 1: Use HH:MM-HH:MM, e.g. 12:00-12:30',
+      'Break 2: Unknown break type "Nap"'
+    ]);
+  });
+
+  it('should build a session from a valid row', () => {
+    const { session, driver, errors } = buildImportSession(values, options);
+
+    expect(errors).toEqual([]);
+    expect(driver.id).toBe('d1');
+    expect(session.user_id).toBe('d1');
+    expect(session.start_time).toBe('2024-01-15T08:00:00.000Z');
+    expect(session.end_time).toBe('2024-01-15T17:00:00.000Z');
+    expect(session.status).toBe('ended');
+    expect(session.route_id).toBe('r1');
+    expect(session.route_number).toBe('R12');
+    expect(session.breaks[1].paid).toBe(true);
+    expect(session.positive_pickups).toBe(0);
+    expect(session.total_km).toBe('120.00');
+  });
+
+  it('should end overnight shifts on the next day', () => {
+    const { session, errors } = buildImportSession({ ...values, start_time: '22:00', end_time: '06:00', breaks: '02:00-02:30 Rest' }, options);
+
+    expect(errors).toEqual([]);
+    expect(session.end_time).toBe('2024-01-16T06:00:00.000Z');
+    expect(session.breaks[0].start).toBe('2024-01-16T02:00:00.000Z');
+  });
+
+  it('should collect validation errors for a row', () => {
+    expect(buildImportSession({ ...values, username: 'carol', date: '2024-02-30', start_time: '8am' }, options).errors).toEqual([
+      'Unknown driver "carol"',
+      'Date must be a valid date in YYYY-MM-DD format',
+      'Start time must be in HH:MM format'
+    ]);
+
+    const { errors } = buildImportSession({ ...values, positive_deliveries: '-1', start_km: '1200', breaks: '18:00-18:30 Meal' }, options);
+    expect(errors).toContain('Ending KM must be greater than starting KM');
+    expect(errors.length).toBeGreaterThan(1);
+    expect(errors.filter(e => e === 'Ending KM must be greater than starting KM')).toHaveLength(1);
+  });
+
+  it('should reject rows overlapping saved sessions or earlier rows', () => {
+    const rows = [
+      { rowNumber: 2, values },
+      { rowNumber: 3, values: { ...values, start_time: '16:00', end_time: '20:00', breaks: '' } },
+      { rowNumber: 4, values: { ...values, username: 'bob', breaks: '' } },
+      { rowNumber: 5, values: { ...values, date: '2024-01-16', breaks: '' } }
+    ];
+    const existingSessions = [
+      { id: 's1', user_id: 'd2', start_time: '2024-01-15T07:00:00Z', end_time: '2024-01-15T09:00:00Z' }
+    ];
+
+    const { valid, invalid } = planSessionImport(rows, { ...options, existingSessions });
+
+    expect(valid.map(row => row.rowNumber)).toEqual([2, 5]);
+    expect(invalid).toEqual([
+      { rowNumber: 3, values: rows[1].values, errors: ['Overlaps row 2'] },
+      { rowNumber: 4, values: rows[2].values, errors: ['Overlaps a session already saved for this driver'] }
+    ]);
+  });
+});
+
 describe('Edge Case Tests', () => {
   
   describe('Boundary value testing', () => {
@@ -0,0 +1,196 @@
+-- Break Change Requests - Database Migration Script
+-- Drivers no longer change their break times directly: an edit creates a
+-- pending request that keeps both the original and the requested break.
+-- An admin approves (the session is updated) or rejects it, and the
+-- decision is written to session_edit_history, all in one transaction
+-- (decide_break_change_request). A trigger stops drivers from changing
+-- ended breaks on their sessions directly.
+--
+-- Requires supabase-row-level-security.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Requests table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS break_change_requests (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Position of the break in sessions.breaks
+  break_index INTEGER NOT NULL CHECK (break_index >= 0),
+  original_break JSONB NOT NULL,
+  requested_break JSONB NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  decided_by UUID REFERENCES users(id),
+  decided_at TIMESTAMP WITH TIME ZONE,
+  decision_note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_break_change_requests_session
+  ON break_change_requests(session_id);
+CREATE INDEX IF NOT EXISTS idx_break_change_requests_pending
+  ON break_change_requests(requested_at) WHERE status = 'pending';
+
+-- One open request per break at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_break_change_requests_one_pending
+  ON break_change_requests(session_id, break_index) WHERE status = 'pending';
+
+ALTER TABLE break_change_requests ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON break_change_requests FROM anon;
+GRANT SELECT, INSERT ON break_change_requests TO authenticated;
+-- Decisions go through decide_break_change_request (PHASE 3)
+REVOKE UPDATE ON break_change_requests FROM authenticated;
+
+DROP POLICY IF EXISTS "Users can read own requests, admins all" ON break_change_requests;
+DROP POLICY IF EXISTS "Drivers can request changes to own breaks" ON break_change_requests;
+DROP POLICY IF EXISTS "Admins can decide requests" ON break_change_requests;
+
+CREATE POLICY "Users can read own requests, admins all" ON break_change_requests
+  FOR SELECT TO authenticated
+  USING (user_id = app_user_id() OR is_app_admin());
+
+-- Drivers can only open pending requests on their own sessions
+CREATE POLICY "Drivers can request changes to own breaks" ON break_change_requests
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    user_id = app_user_id()
+    AND status = 'pending'
+    AND decided_by IS NULL
+    AND EXISTS (
+      SELECT 1 FROM sessions s
+      WHERE s.id = session_id AND s.user_id = app_user_id()
+    )
+  );
+
+-- ============================================================================
+-- PHASE 2: Ended breaks can only be changed by admins
+-- ============================================================================
+
+-- Drivers may add breaks and end the open one, but an ended break stays as
+-- it is unless an admin changes it (directly or by approving a request).
+-- Requests without a login token (SQL editor, service role) are trusted.
+CREATE OR REPLACE FUNCTION protect_ended_breaks()
+RETURNS TRIGGER AS $$
+DECLARE
+  i INTEGER;
+BEGIN
+  IF auth.jwt() IS NULL OR is_app_admin() THEN
+    RETURN NEW;
+  END IF;
+
+  FOR i IN 0 .. COALESCE(jsonb_array_length(OLD.breaks), 0) - 1 LOOP
+    IF OLD.breaks->i->>'end' IS NOT NULL
+       AND (NEW.breaks->i) IS DISTINCT FROM (OLD.breaks->i) THEN
+      RAISE EXCEPTION 'Ended breaks can only be changed by an admin. Send a change request instead.'
+        USING ERRCODE = '42501';
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_protect_ended_breaks ON sessions;
+CREATE TRIGGER trigger_protect_ended_breaks
+  BEFORE UPDATE OF breaks ON sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_ended_breaks();
+
+-- ============================================================================
+-- PHASE 3: Deciding a request
+-- ============================================================================
+
+-- Approve or reject a pending request (admins only). Approving replaces the
+-- break on the session, unless it has changed since the request was made.
+-- The session, the request and the audit entry are updated together.
+CREATE OR REPLACE FUNCTION decide_break_change_request(
+  p_request_id UUID,
+  p_approve BOOLEAN,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS VOID AS $$
+DECLARE
+  admin_id UUID := app_user_id();
+  request break_change_requests%ROWTYPE;
+  current_breaks JSONB;
+  current_break JSONB;
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'permission denied: only admins can decide break change requests';
+  END IF;
+
+  SELECT * INTO request
+  FROM break_change_requests
+  WHERE id = p_request_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Break change request not found';
+  END IF;
+  IF request.status <> 'pending' THEN
+    RAISE EXCEPTION 'This request has already been decided';
+  END IF;
+
+  IF p_approve THEN
+    SELECT COALESCE(breaks, '[]'::JSONB) INTO current_breaks
+    FROM sessions
+    WHERE id = request.session_id
+    FOR UPDATE;
+
+    current_break := current_breaks -> request.break_index;
+    IF current_break IS NULL
+       OR (current_break->>'start')::TIMESTAMPTZ IS DISTINCT FROM (request.original_break->>'start')::TIMESTAMPTZ
+       OR (current_break->>'end')::TIMESTAMPTZ IS DISTINCT FROM (request.original_break->>'end')::TIMESTAMPTZ THEN
+      RAISE EXCEPTION 'This break has changed since the request was made. Reject it and ask the driver to try again.';
+    END IF;
+
+    UPDATE sessions
+    SET breaks = jsonb_set(current_breaks, ARRAY[request.break_index::TEXT], current_break || request.requested_break)
+    WHERE id = request.session_id;
+  END IF;
+
+  UPDATE break_change_requests
+  SET status = CASE WHEN p_approve THEN 'approved' ELSE 'rejected' END,
+      decided_by = admin_id,
+      decided_at = NOW(),
+      decision_note = NULLIF(TRIM(p_note), '')
+  WHERE id = p_request_id;
+
+  -- Field names are labelled in AuditHistoryViewer
+  INSERT INTO session_edit_history (session_id, field_name, old_value, new_value, edited_by)
+  VALUES (
+    request.session_id,
+    CASE WHEN p_approve THEN 'break_edit_approved' ELSE 'break_edit_rejected' END,
+    request.original_break::TEXT,
+    request.requested_break::TEXT,
+    admin_id
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION decide_break_change_request(UUID, BOOLEAN, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION decide_break_change_request(UUID, BOOLEAN, TEXT) TO authenticated;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Requests waiting for a decision
+SELECT r.requested_at, u.name AS driver, r.break_index, r.original_break, r.requested_break, r.reason
+FROM break_change_requests r
+JOIN users u ON u.id = r.user_id
+WHERE r.status = 'pending'
+ORDER BY r.requested_at;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP FUNCTION IF EXISTS decide_break_change_request(UUID, BOOLEAN, TEXT);
+DROP TRIGGER IF EXISTS trigger_protect_ended_breaks ON sessions;
+DROP FUNCTION IF EXISTS protect_ended_breaks();
+DROP TABLE IF EXISTS break_change_requests;
+*/
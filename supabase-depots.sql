@@ -0,0 +1,151 @@
+-- Depot Geofences - Database Migration Script
+-- Adds depots (a centre point and a radius) managed by admins, and stores
+-- the driver's location at clock-in and clock-out on the session. Whether
+-- the location is recorded or required is a company setting ('geofence' in
+-- app_settings). When it is 'require', the database checks the location
+-- against the depots too, so a session cannot be started or ended away from
+-- a depot by writing to it directly.
+--
+-- Requires supabase-row-level-security.sql and
+-- supabase-timezone-settings.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Depots table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS depots (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+  -- Geofence radius in metres
+  radius_m INTEGER NOT NULL DEFAULT 200 CHECK (radius_m BETWEEN 25 AND 5000),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE depots ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON depots FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON depots TO authenticated;
+
+DROP POLICY IF EXISTS "Logged-in users can read depots" ON depots;
+DROP POLICY IF EXISTS "Admins can insert depots" ON depots;
+DROP POLICY IF EXISTS "Admins can update depots" ON depots;
+DROP POLICY IF EXISTS "Admins can delete depots" ON depots;
+
+CREATE POLICY "Logged-in users can read depots" ON depots
+  FOR SELECT TO authenticated USING (app_user_id() IS NOT NULL);
+CREATE POLICY "Admins can insert depots" ON depots
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can update depots" ON depots
+  FOR UPDATE TO authenticated USING (is_app_admin()) WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can delete depots" ON depots
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- ============================================================================
+-- PHASE 2: Clock-in and clock-out location per session
+-- ============================================================================
+
+-- {latitude, longitude, accuracy, recorded_at, depot_id, depot_name,
+--  distance_m, inside_depot} or {error, recorded_at} when the phone could
+-- not provide a location. NULL when the policy was off.
+-- The depot name is copied so the record survives renaming or deleting it.
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS start_location JSONB;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS end_location JSONB;
+
+-- ============================================================================
+-- PHASE 3: Enforce the 'require' policy
+-- ============================================================================
+
+-- Whether a recorded location is inside an active depot. Uses the same rule
+-- as findNearestDepot in src/lib/depots.js: the fix's accuracy (up to 100 m)
+-- counts in the driver's favour. The client's inside_depot is not trusted.
+CREATE OR REPLACE FUNCTION location_at_depot(p_location JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM depots d
+    CROSS JOIN LATERAL (
+      SELECT
+        (p_location->>'latitude')::DOUBLE PRECISION AS latitude,
+        (p_location->>'longitude')::DOUBLE PRECISION AS longitude,
+        LEAST(COALESCE((p_location->>'accuracy')::DOUBLE PRECISION, 0), 100) AS slack
+    ) p
+    WHERE d.active
+      AND p.latitude IS NOT NULL
+      AND p.longitude IS NOT NULL
+      -- Haversine distance in metres
+      AND 2 * 6371000 * ASIN(SQRT(
+            POWER(SIN(RADIANS(d.latitude - p.latitude) / 2), 2)
+            + COS(RADIANS(p.latitude)) * COS(RADIANS(d.latitude))
+              * POWER(SIN(RADIANS(d.longitude - p.longitude) / 2), 2)
+          )) - p.slack <= d.radius_m
+  );
+$$ LANGUAGE sql STABLE;
+
+REVOKE ALL ON FUNCTION location_at_depot(JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION location_at_depot(JSONB) TO authenticated;
+
+-- Drivers must start a session, and end it, at a depot while the policy is
+-- 'require'. Admin edits and requests without a login token (SQL editor,
+-- service role) are trusted.
+CREATE OR REPLACE FUNCTION enforce_depot_geofence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.jwt() IS NULL OR is_app_admin() THEN
+    RETURN NEW;
+  END IF;
+
+  IF COALESCE((SELECT value->>'policy' FROM app_settings WHERE key = 'geofence'), 'off') <> 'require' THEN
+    RETURN NEW;
+  END IF;
+
+  IF (TG_OP = 'INSERT' OR NEW.start_location IS DISTINCT FROM OLD.start_location)
+     AND NOT location_at_depot(NEW.start_location) THEN
+    RAISE EXCEPTION 'Work can only be started at a depot'
+      USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.end_time IS NOT NULL
+     AND (TG_OP = 'INSERT' OR OLD.end_time IS NULL OR NEW.end_location IS DISTINCT FROM OLD.end_location)
+     AND NOT location_at_depot(NEW.end_location) THEN
+    RAISE EXCEPTION 'The day can only be ended at a depot'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_enforce_depot_geofence ON sessions;
+CREATE TRIGGER trigger_enforce_depot_geofence
+  BEFORE INSERT OR UPDATE OF start_location, end_location, end_time ON sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_depot_geofence();
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+SELECT name, latitude, longitude, radius_m, active FROM depots ORDER BY name;
+
+-- Sessions started away from a depot, or not checked, over the last 7 days
+SELECT id, user_id, date, start_location->>'depot_name' AS nearest_depot,
+       start_location->>'distance_m' AS distance_m, start_location->>'error' AS error
+FROM sessions
+WHERE date >= NOW() - INTERVAL '7 days'
+  AND start_location IS NOT NULL
+  AND (start_location ? 'error' OR (start_location->>'inside_depot') IS DISTINCT FROM 'true');
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP TRIGGER IF EXISTS trigger_enforce_depot_geofence ON sessions;
+DROP FUNCTION IF EXISTS enforce_depot_geofence();
+DROP FUNCTION IF EXISTS location_at_depot(JSONB);
+ALTER TABLE sessions DROP COLUMN IF EXISTS end_location;
+ALTER TABLE sessions DROP COLUMN IF EXISTS start_location;
+DROP TABLE IF EXISTS depots;
+*/
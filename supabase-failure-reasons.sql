@@ -0,0 +1,39 @@
+-- Failure Reason Codes - Database Migration Script
+-- Stores how many failed deliveries and pickups had each reason, so failures
+-- can be broken down by reason instead of only by free-text comments.
+-- The reason catalogue itself is the 'failure_reasons' row in app_settings
+-- (edited in Company Settings); the app falls back to a built-in list.
+--
+-- Format: {"delivery": {"customer_absent": 2}, "pickup": {"not_ready": 1}}
+-- Failures not covered by a reason count as "not specified".
+
+-- ============================================================================
+-- PHASE 1: Reason counts per session
+-- ============================================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS failure_reasons JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_failure_reasons_is_object;
+ALTER TABLE sessions ADD CONSTRAINT sessions_failure_reasons_is_object
+  CHECK (jsonb_typeof(failure_reasons) = 'object');
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Failed deliveries per reason over the last 30 days
+SELECT r.key AS reason, SUM(r.value::INTEGER) AS failures
+FROM sessions s, jsonb_each_text(s.failure_reasons->'delivery') r
+WHERE s.date >= NOW() - INTERVAL '30 days'
+GROUP BY r.key
+ORDER BY failures DESC;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_failure_reasons_is_object;
+ALTER TABLE sessions DROP COLUMN IF EXISTS failure_reasons;
+DELETE FROM app_settings WHERE key = 'failure_reasons';
+*/
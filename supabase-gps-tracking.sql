@@ -0,0 +1,67 @@
+-- GPS Breadcrumbs - Database Migration Script
+-- Stores the location points recorded by the driver's phone while a session
+-- is working (not on break). Used to cross-check the odometer distance and
+-- to show the session's track to admins.
+--
+-- Requires supabase-row-level-security.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Location points table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS session_locations (
+  id BIGSERIAL PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+  -- Reported accuracy radius in metres
+  accuracy INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_locations_session
+  ON session_locations(session_id, recorded_at);
+
+ALTER TABLE session_locations ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON session_locations FROM anon;
+GRANT SELECT, INSERT ON session_locations TO authenticated;
+GRANT USAGE ON SEQUENCE session_locations_id_seq TO authenticated;
+
+DROP POLICY IF EXISTS "Users can read own locations, admins all" ON session_locations;
+DROP POLICY IF EXISTS "Drivers can add locations to own sessions" ON session_locations;
+
+CREATE POLICY "Users can read own locations, admins all" ON session_locations
+  FOR SELECT TO authenticated
+  USING (user_id = app_user_id() OR is_app_admin());
+
+-- Points can only be added to the driver's own sessions; they are never
+-- edited afterwards
+CREATE POLICY "Drivers can add locations to own sessions" ON session_locations
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    user_id = app_user_id()
+    AND EXISTS (
+      SELECT 1 FROM sessions s
+      WHERE s.id = session_id AND s.user_id = app_user_id()
+    )
+  );
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Points per session over the last 7 days
+SELECT session_id, COUNT(*) AS points, MIN(recorded_at) AS first_point, MAX(recorded_at) AS last_point
+FROM session_locations
+WHERE recorded_at >= NOW() - INTERVAL '7 days'
+GROUP BY session_id
+ORDER BY last_point DESC;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP TABLE IF EXISTS session_locations;
+*/
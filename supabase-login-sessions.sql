@@ -0,0 +1,252 @@
+-- Login Sessions - Database Migration Script
+-- Tracks every login as a server-side session with an absolute expiry and an
+-- idle timeout. Tokens are only honoured while their login session is active,
+-- so sessions can be revoked ("log out everywhere") and are ended
+-- automatically when a user is deleted, demoted or has their password changed.
+--
+-- Requires supabase-row-level-security.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Create login sessions table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS login_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_sessions_user_id ON login_sessions(user_id);
+
+-- Only reachable through the functions below
+ALTER TABLE login_sessions ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON login_sessions FROM anon, authenticated;
+
+-- ============================================================================
+-- PHASE 2: Session lifetime settings
+-- ============================================================================
+
+-- Defaults; override with rows in private.app_config
+INSERT INTO private.app_config (key, value) VALUES
+  ('login_session_hours', '12'),
+  ('login_idle_minutes', '60')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION private.login_session_hours()
+RETURNS INTEGER AS $$
+  SELECT COALESCE((SELECT value::INTEGER FROM private.app_config WHERE key = 'login_session_hours'), 12);
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION private.login_idle_minutes()
+RETURNS INTEGER AS $$
+  SELECT COALESCE((SELECT value::INTEGER FROM private.app_config WHERE key = 'login_idle_minutes'), 60);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================================
+-- PHASE 3: Identity helpers honour only active login sessions
+-- ============================================================================
+
+-- The login session id carried in the token's sid claim
+CREATE OR REPLACE FUNCTION private.current_login_session_id()
+RETURNS UUID AS $$
+  SELECT NULLIF(auth.jwt() ->> 'sid', '')::UUID;
+$$ LANGUAGE sql STABLE;
+
+-- The id of the app user making the request, or NULL if the token's login
+-- session has expired, gone idle, been revoked or the user no longer exists.
+-- A driver with an open work session is never idle: they may be driving or
+-- out of signal, and their queued changes still have to reach the server.
+CREATE OR REPLACE FUNCTION app_user_id()
+RETURNS UUID AS $$
+  SELECT u.id
+  FROM login_sessions ls
+  JOIN users u ON u.id = ls.user_id
+  WHERE ls.id = private.current_login_session_id()
+    AND ls.user_id = auth.uid()
+    AND ls.revoked_at IS NULL
+    AND ls.expires_at > NOW()
+    AND (
+      ls.last_seen_at > NOW() - make_interval(mins => private.login_idle_minutes())
+      OR EXISTS (
+        SELECT 1 FROM sessions s
+        WHERE s.user_id = ls.user_id
+          AND s.end_time IS NULL
+      )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================================================
+-- PHASE 4: Login creates a login session
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS authenticate_user(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION authenticate_user(p_username TEXT, p_password TEXT)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  username TEXT,
+  mobile TEXT,
+  email TEXT,
+  role TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  access_token TEXT,
+  session_expires_at TIMESTAMP WITH TIME ZONE,
+  idle_timeout_minutes INTEGER
+) AS $$
+DECLARE
+  matched users%ROWTYPE;
+  new_session login_sessions%ROWTYPE;
+BEGIN
+  SELECT * INTO matched
+  FROM users u
+  WHERE u.username = p_username
+    AND u.password = extensions.crypt(p_password, u.password);
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO login_sessions (user_id, expires_at)
+  VALUES (matched.id, NOW() + make_interval(hours => private.login_session_hours()))
+  RETURNING * INTO new_session;
+
+  RETURN QUERY
+  SELECT matched.id, matched.name, matched.username, matched.mobile,
+         matched.email, matched.role, matched.created_at,
+         private.sign_jwt(jsonb_build_object(
+           'role', 'authenticated',
+           'sub', matched.id,
+           'sid', new_session.id,
+           'iat', extract(epoch FROM new_session.created_at)::BIGINT,
+           'exp', extract(epoch FROM new_session.expires_at)::BIGINT
+         )),
+         new_session.expires_at,
+         private.login_idle_minutes();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION authenticate_user(TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION authenticate_user(TEXT, TEXT) TO anon, authenticated;
+
+-- ============================================================================
+-- PHASE 5: Session management functions
+-- ============================================================================
+
+-- Record activity on the caller's login session.
+-- Returns false when the session is no longer active.
+CREATE OR REPLACE FUNCTION touch_login_session()
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF app_user_id() IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE login_sessions
+  SET last_seen_at = NOW()
+  WHERE id = private.current_login_session_id();
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- End the caller's login session (normal logout)
+CREATE OR REPLACE FUNCTION end_login_session()
+RETURNS VOID AS $$
+BEGIN
+  UPDATE login_sessions
+  SET revoked_at = NOW()
+  WHERE id = private.current_login_session_id()
+    AND user_id = auth.uid()
+    AND revoked_at IS NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- End every login session of a user ("log out everywhere"). Admins only.
+-- Returns the number of sessions revoked.
+CREATE OR REPLACE FUNCTION revoke_user_login_sessions(p_user_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  revoked_count INTEGER;
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'permission denied: only admins can revoke login sessions';
+  END IF;
+
+  UPDATE login_sessions
+  SET revoked_at = NOW()
+  WHERE user_id = p_user_id
+    AND revoked_at IS NULL;
+
+  GET DIAGNOSTICS revoked_count = ROW_COUNT;
+  RETURN revoked_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION touch_login_session() FROM PUBLIC;
+REVOKE ALL ON FUNCTION end_login_session() FROM PUBLIC;
+REVOKE ALL ON FUNCTION revoke_user_login_sessions(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION touch_login_session() TO authenticated;
+GRANT EXECUTE ON FUNCTION end_login_session() TO authenticated;
+GRANT EXECUTE ON FUNCTION revoke_user_login_sessions(UUID) TO authenticated;
+
+-- ============================================================================
+-- PHASE 6: Revoke sessions when a user's role or password changes
+-- ============================================================================
+
+-- Deleting a user removes their login sessions through ON DELETE CASCADE
+CREATE OR REPLACE FUNCTION revoke_sessions_on_user_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.role IS DISTINCT FROM OLD.role OR NEW.password IS DISTINCT FROM OLD.password THEN
+    UPDATE login_sessions
+    SET revoked_at = NOW()
+    WHERE user_id = NEW.id
+      AND revoked_at IS NULL;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_revoke_sessions_on_user_change ON users;
+CREATE TRIGGER trigger_revoke_sessions_on_user_change
+  AFTER UPDATE OF role, password ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION revoke_sessions_on_user_change();
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Active login sessions per user
+SELECT u.username, COUNT(ls.id) AS active_sessions, MAX(ls.last_seen_at) AS last_seen
+FROM users u
+LEFT JOIN login_sessions ls
+  ON ls.user_id = u.id
+  AND ls.revoked_at IS NULL
+  AND ls.expires_at > NOW()
+GROUP BY u.username
+ORDER BY u.username;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+-- WARNING: Re-run PHASE 3 and PHASE 4 of supabase-row-level-security.sql
+-- afterwards to restore token-only identity and the previous login function.
+
+DROP TRIGGER IF EXISTS trigger_revoke_sessions_on_user_change ON users;
+DROP FUNCTION IF EXISTS revoke_sessions_on_user_change();
+DROP FUNCTION IF EXISTS revoke_user_login_sessions(UUID);
+DROP FUNCTION IF EXISTS end_login_session();
+DROP FUNCTION IF EXISTS touch_login_session();
+DROP FUNCTION IF EXISTS private.current_login_session_id();
+DROP FUNCTION IF EXISTS private.login_idle_minutes();
+DROP FUNCTION IF EXISTS private.login_session_hours();
+DROP TABLE IF EXISTS login_sessions;
+*/
@@ -0,0 +1,104 @@
+-- Vehicle Maintenance - Database Migration Script
+-- Adds maintenance plans per vehicle (service every N km and/or N days).
+-- The database works out the distance driven since each plan's last service
+-- (from the odometer, else from session mileage); the app works out from
+-- that whether a service is due.
+--
+-- Requires supabase-vehicles.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Maintenance plans table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  interval_km NUMERIC(10, 1) CHECK (interval_km IS NULL OR interval_km > 0),
+  interval_days INTEGER CHECK (interval_days IS NULL OR interval_days > 0),
+  last_service_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  last_service_km NUMERIC(10, 1),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT maintenance_plans_has_interval CHECK (interval_km IS NOT NULL OR interval_days IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_vehicle_id ON maintenance_plans(vehicle_id);
+
+-- ============================================================================
+-- PHASE 2: Access (admins only)
+-- ============================================================================
+
+ALTER TABLE maintenance_plans ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON maintenance_plans FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON maintenance_plans TO authenticated;
+
+DROP POLICY IF EXISTS "Admins can read maintenance plans" ON maintenance_plans;
+DROP POLICY IF EXISTS "Admins can insert maintenance plans" ON maintenance_plans;
+DROP POLICY IF EXISTS "Admins can update maintenance plans" ON maintenance_plans;
+DROP POLICY IF EXISTS "Admins can delete maintenance plans" ON maintenance_plans;
+
+CREATE POLICY "Admins can read maintenance plans" ON maintenance_plans
+  FOR SELECT TO authenticated USING (is_app_admin());
+CREATE POLICY "Admins can insert maintenance plans" ON maintenance_plans
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can update maintenance plans" ON maintenance_plans
+  FOR UPDATE TO authenticated USING (is_app_admin()) WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can delete maintenance plans" ON maintenance_plans
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- ============================================================================
+-- PHASE 3: Mileage since the last service
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_sessions_vehicle_start_time ON sessions(vehicle_id, start_time);
+
+-- Kilometres driven on each plan's vehicle since its last service. With an
+-- odometer reading at the service this is the vehicle's current odometer
+-- minus that reading. Without one it is the mileage of sessions started from
+-- the last service date (in the given timezone) onward, which also counts
+-- that day's sessions from before the service. Runs with the caller's
+-- rights, so only admins (who can read the plans) get rows.
+CREATE OR REPLACE FUNCTION maintenance_mileage(p_time_zone TEXT)
+RETURNS TABLE (
+  plan_id UUID,
+  km_since_service NUMERIC
+) AS $$
+  SELECT
+    p.id,
+    CASE
+      WHEN p.last_service_km IS NOT NULL AND v.current_odometer IS NOT NULL
+        THEN GREATEST(v.current_odometer - p.last_service_km, 0)
+      ELSE COALESCE(SUM(s.total_km), 0)
+    END
+  FROM maintenance_plans p
+  JOIN vehicles v ON v.id = p.vehicle_id
+  LEFT JOIN sessions s
+    ON s.vehicle_id = p.vehicle_id
+    AND (p.last_service_km IS NULL OR v.current_odometer IS NULL)
+    AND s.start_time >= (p.last_service_date::TIMESTAMP AT TIME ZONE p_time_zone)
+  GROUP BY p.id, p.last_service_km, v.current_odometer;
+$$ LANGUAGE sql STABLE;
+
+REVOKE ALL ON FUNCTION maintenance_mileage(TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION maintenance_mileage(TEXT) TO authenticated;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Plans with the mileage logged on each vehicle since its last service
+SELECT v.plate, p.name, p.interval_km, p.interval_days, p.last_service_date, m.km_since_service
+FROM maintenance_plans p
+JOIN vehicles v ON v.id = p.vehicle_id
+JOIN maintenance_mileage('UTC') m ON m.plan_id = p.id
+ORDER BY v.plate, p.name;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP FUNCTION IF EXISTS maintenance_mileage(TEXT);
+DROP INDEX IF EXISTS idx_sessions_vehicle_start_time;
+DROP TABLE IF EXISTS maintenance_plans;
+*/
@@ -0,0 +1,106 @@
+-- Password Hashing - Database Migration Script
+-- Replaces plain text passwords with salted bcrypt hashes and moves
+-- credential checks into the database so hashes never leave the server
+
+-- ============================================================================
+-- PHASE 1: Enable pgcrypto for bcrypt hashing
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- ============================================================================
+-- PHASE 2: Hash passwords on write
+-- ============================================================================
+
+-- Trigger function to hash any plain text password written to users.
+-- Values that are already bcrypt hashes are left untouched so the
+-- migration below and repeated runs are safe.
+CREATE OR REPLACE FUNCTION hash_user_password()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.password IS NOT DISTINCT FROM OLD.password THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.password IS NOT NULL AND NEW.password !~ '^\$2[aby]\$' THEN
+    NEW.password = extensions.crypt(NEW.password, extensions.gen_salt('bf'));
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_hash_user_password ON users;
+CREATE TRIGGER trigger_hash_user_password
+  BEFORE INSERT OR UPDATE OF password ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION hash_user_password();
+
+-- ============================================================================
+-- PHASE 3: Migrate existing plain text passwords
+-- ============================================================================
+
+UPDATE users
+SET password = extensions.crypt(password, extensions.gen_salt('bf'))
+WHERE password !~ '^\$2[aby]\$';
+
+-- ============================================================================
+-- PHASE 4: Server-side credential verification
+-- ============================================================================
+
+-- Verify a username/password pair and return the user without the hash.
+-- Runs as the function owner so callers never need read access to password.
+CREATE OR REPLACE FUNCTION authenticate_user(p_username TEXT, p_password TEXT)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  username TEXT,
+  mobile TEXT,
+  email TEXT,
+  role TEXT,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT u.id, u.name, u.username, u.mobile, u.email, u.role, u.created_at
+  FROM users u
+  WHERE u.username = p_username
+    AND u.password = extensions.crypt(p_password, u.password);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION authenticate_user(TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION authenticate_user(TEXT, TEXT) TO anon, authenticated;
+
+-- ============================================================================
+-- PHASE 5: Hide password hashes from API clients
+-- ============================================================================
+
+-- Column privileges: API roles may read every column except password.
+-- Writes still include password so createUser/updateUser can set it.
+REVOKE SELECT ON users FROM anon, authenticated;
+GRANT SELECT (id, name, username, mobile, email, role, created_at) ON users TO anon, authenticated;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Every password should now be a bcrypt hash
+SELECT
+  COUNT(*) AS total_users,
+  COUNT(CASE WHEN password ~ '^\$2[aby]\$' THEN 1 END) AS hashed_passwords
+FROM users;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+-- WARNING: Hashed passwords cannot be converted back to plain text.
+-- Users will need new passwords set by an admin after rollback.
+
+GRANT SELECT ON users TO anon, authenticated;
+DROP FUNCTION IF EXISTS authenticate_user(TEXT, TEXT);
+DROP TRIGGER IF EXISTS trigger_hash_user_password ON users;
+DROP FUNCTION IF EXISTS hash_user_password();
+*/
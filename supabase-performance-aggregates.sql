@@ -0,0 +1,289 @@
+-- Performance Aggregates - Database Migration Script
+-- Adds a per-session metrics view and functions that total ended sessions
+-- per day, per period and per driver, so the Performance dashboard and the
+-- driver comparison no longer download every session row to add them up in
+-- the browser.
+--
+-- Hours follow calculateTimeMetrics in src/lib/sessionHelpers.js: work hours
+-- leave out every break, paid break hours are the breaks counted as paid
+-- time, and overnight end/break times saved before the shift start are moved
+-- forward to the same clock time on a later day in the driver's timezone.
+-- A session's work hours are never below zero here.
+--
+-- The view and functions run with the caller's rights, so the sessions
+-- policies still apply: drivers only get totals of their own sessions.
+--
+-- Requires supabase-row-level-security.sql, supabase-timezone-settings.sql,
+-- supabase-failure-reasons.sql and supabase-depots.sql to have been applied
+-- first.
+
+-- ============================================================================
+-- PHASE 1: Helpers and index
+-- ============================================================================
+
+-- Move a time forward by calendar days in the given timezone until it is at
+-- or after the anchor, keeping its clock time across daylight saving changes.
+-- Matches rollForwardPast in src/lib/sessionHelpers.js. STABLE, not
+-- IMMUTABLE: AT TIME ZONE depends on the timezone data loaded at runtime.
+CREATE OR REPLACE FUNCTION roll_forward_past(p_time TIMESTAMPTZ, p_anchor TIMESTAMPTZ, p_time_zone TEXT)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  local_time TIMESTAMP;
+  days INTEGER;
+  moved TIMESTAMPTZ;
+BEGIN
+  IF p_time IS NULL OR p_anchor IS NULL OR p_time >= p_anchor THEN
+    RETURN p_time;
+  END IF;
+
+  local_time := p_time AT TIME ZONE p_time_zone;
+  days := (p_anchor AT TIME ZONE p_time_zone)::DATE - local_time::DATE;
+  moved := (local_time + days * INTERVAL '1 day') AT TIME ZONE p_time_zone;
+
+  IF moved < p_anchor THEN
+    moved := (local_time + (days + 1) * INTERVAL '1 day') AT TIME ZONE p_time_zone;
+  END IF;
+
+  RETURN moved;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Whether a break is paid: its own flag, else the default of its type.
+-- Keep the type list in step with BREAK_TYPES in src/lib/breakTypes.js.
+CREATE OR REPLACE FUNCTION is_paid_break(p_break JSONB)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(
+    (p_break->>'paid')::BOOLEAN,
+    p_break->>'type' IN ('loading_wait', 'vehicle_breakdown', 'traffic')
+  );
+$$ LANGUAGE sql STABLE;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_date ON sessions(user_id, date);
+
+-- ============================================================================
+-- PHASE 2: Per-session metrics view
+-- ============================================================================
+
+CREATE OR REPLACE VIEW session_metrics
+WITH (security_invoker = true) AS
+SELECT
+  s.id,
+  s.user_id,
+  s.date,
+  EXTRACT(EPOCH FROM shift.end_time - s.start_time) / 3600 AS total_hours,
+  COALESCE(b.break_hours, 0) AS break_hours,
+  COALESCE(b.paid_break_hours, 0) AS paid_break_hours,
+  -- Breaks longer than the shift count as zero work, so every total agrees
+  GREATEST(EXTRACT(EPOCH FROM shift.end_time - s.start_time) / 3600 - COALESCE(b.break_hours, 0), 0) AS work_hours,
+  COALESCE(s.positive_deliveries, 0) AS positive_deliveries,
+  COALESCE(s.negative_deliveries, 0) AS negative_deliveries,
+  COALESCE(s.positive_pickups, 0) AS positive_pickups,
+  COALESCE(s.negative_pickups, 0) AS negative_pickups,
+  s.total_km,
+  s.failure_reasons,
+  -- Started away from a depot, or with a location that could not be checked
+  -- (no fix, no depot list or no depots set up)
+  (s.start_location IS NOT NULL
+    AND (s.start_location ? 'error'
+      OR (s.start_location->>'inside_depot') IS DISTINCT FROM 'true')) AS started_away_from_depot
+FROM sessions s
+CROSS JOIN LATERAL (
+  SELECT user_timezone(s.user_id) AS time_zone
+) tz
+CROSS JOIN LATERAL (
+  SELECT roll_forward_past(s.end_time, s.start_time, tz.time_zone) AS end_time
+) shift
+LEFT JOIN LATERAL (
+  SELECT
+    SUM(EXTRACT(EPOCH FROM brk.end_time - brk.start_time)) / 3600 AS break_hours,
+    SUM(EXTRACT(EPOCH FROM brk.end_time - brk.start_time)) FILTER (WHERE brk.paid) / 3600 AS paid_break_hours
+  FROM (
+    SELECT
+      bs.start_time,
+      roll_forward_past((item->>'end')::TIMESTAMPTZ, bs.start_time, tz.time_zone) AS end_time,
+      is_paid_break(item) AS paid
+    FROM jsonb_array_elements(COALESCE(s.breaks, '[]'::JSONB)) item
+    CROSS JOIN LATERAL (
+      SELECT roll_forward_past((item->>'start')::TIMESTAMPTZ, s.start_time, tz.time_zone) AS start_time
+    ) bs
+    WHERE item->>'end' IS NOT NULL
+  ) brk
+) b ON TRUE
+WHERE s.end_time IS NOT NULL;
+
+REVOKE ALL ON session_metrics FROM anon;
+GRANT SELECT ON session_metrics TO authenticated;
+
+-- Replaced by the timezone-aware version above
+DROP FUNCTION IF EXISTS roll_forward_past(TIMESTAMPTZ, TIMESTAMPTZ);
+
+-- ============================================================================
+-- PHASE 3: Aggregate functions
+-- ============================================================================
+
+-- Totals per calendar day in the given timezone. A null user means every
+-- session the caller can see; null bounds leave the range open.
+CREATE OR REPLACE FUNCTION performance_daily(
+  p_user_id UUID,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_time_zone TEXT
+)
+RETURNS TABLE (
+  day DATE,
+  sessions INTEGER,
+  total_hours NUMERIC,
+  break_hours NUMERIC,
+  paid_break_hours NUMERIC,
+  work_hours NUMERIC,
+  positive_deliveries INTEGER,
+  negative_deliveries INTEGER,
+  positive_pickups INTEGER,
+  negative_pickups INTEGER,
+  total_km NUMERIC
+) AS $$
+  SELECT
+    (m.date AT TIME ZONE p_time_zone)::DATE,
+    COUNT(*)::INTEGER,
+    SUM(m.total_hours),
+    SUM(m.break_hours),
+    SUM(m.paid_break_hours),
+    SUM(m.work_hours),
+    SUM(m.positive_deliveries)::INTEGER,
+    SUM(m.negative_deliveries)::INTEGER,
+    SUM(m.positive_pickups)::INTEGER,
+    SUM(m.negative_pickups)::INTEGER,
+    COALESCE(SUM(m.total_km), 0)
+  FROM session_metrics m
+  WHERE (p_user_id IS NULL OR m.user_id = p_user_id)
+    AND (p_from IS NULL OR m.date >= p_from)
+    AND (p_to IS NULL OR m.date <= p_to)
+  GROUP BY 1
+  ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+-- Totals for the whole period, with failure reason counts in the
+-- sessions.failure_reasons format
+CREATE OR REPLACE FUNCTION performance_totals(
+  p_user_id UUID,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+)
+RETURNS TABLE (
+  sessions INTEGER,
+  total_hours NUMERIC,
+  break_hours NUMERIC,
+  paid_break_hours NUMERIC,
+  work_hours NUMERIC,
+  positive_deliveries INTEGER,
+  negative_deliveries INTEGER,
+  positive_pickups INTEGER,
+  negative_pickups INTEGER,
+  total_km NUMERIC,
+  away_from_depot INTEGER,
+  failure_reasons JSONB
+) AS $$
+  WITH period AS (
+    SELECT *
+    FROM session_metrics m
+    WHERE (p_user_id IS NULL OR m.user_id = p_user_id)
+      AND (p_from IS NULL OR m.date >= p_from)
+      AND (p_to IS NULL OR m.date <= p_to)
+  ),
+  reasons AS (
+    SELECT kind.key AS kind, r.key AS code, SUM(r.value::INTEGER) AS total
+    FROM period p,
+      jsonb_each(p.failure_reasons) kind,
+      jsonb_each_text(kind.value) r
+    WHERE jsonb_typeof(kind.value) = 'object'
+    GROUP BY kind.key, r.key
+  )
+  SELECT
+    COUNT(*)::INTEGER,
+    COALESCE(SUM(p.total_hours), 0),
+    COALESCE(SUM(p.break_hours), 0),
+    COALESCE(SUM(p.paid_break_hours), 0),
+    COALESCE(SUM(p.work_hours), 0),
+    COALESCE(SUM(p.positive_deliveries), 0)::INTEGER,
+    COALESCE(SUM(p.negative_deliveries), 0)::INTEGER,
+    COALESCE(SUM(p.positive_pickups), 0)::INTEGER,
+    COALESCE(SUM(p.negative_pickups), 0)::INTEGER,
+    COALESCE(SUM(p.total_km), 0),
+    (COUNT(*) FILTER (WHERE p.started_away_from_depot))::INTEGER,
+    (
+      SELECT COALESCE(jsonb_object_agg(kinds.kind, kinds.counts), '{}'::JSONB)
+      FROM (
+        SELECT kind, jsonb_object_agg(code, total) AS counts
+        FROM reasons
+        GROUP BY kind
+      ) kinds
+    )
+  FROM period p;
+$$ LANGUAGE sql STABLE;
+
+-- Totals per driver for the driver comparison. km_work_hours only adds up
+-- sessions with a mileage reading, for KM per hour.
+CREATE OR REPLACE FUNCTION performance_by_driver(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+)
+RETURNS TABLE (
+  user_id UUID,
+  sessions INTEGER,
+  work_hours NUMERIC,
+  positive_deliveries INTEGER,
+  negative_deliveries INTEGER,
+  positive_pickups INTEGER,
+  negative_pickups INTEGER,
+  total_km NUMERIC,
+  km_work_hours NUMERIC
+) AS $$
+  SELECT
+    m.user_id,
+    COUNT(*)::INTEGER,
+    SUM(m.work_hours),
+    SUM(m.positive_deliveries)::INTEGER,
+    SUM(m.negative_deliveries)::INTEGER,
+    SUM(m.positive_pickups)::INTEGER,
+    SUM(m.negative_pickups)::INTEGER,
+    COALESCE(SUM(m.total_km), 0),
+    COALESCE(SUM(m.work_hours) FILTER (WHERE m.total_km IS NOT NULL), 0)
+  FROM session_metrics m
+  WHERE (p_from IS NULL OR m.date >= p_from)
+    AND (p_to IS NULL OR m.date <= p_to)
+  GROUP BY m.user_id;
+$$ LANGUAGE sql STABLE;
+
+REVOKE ALL ON FUNCTION performance_daily(UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION performance_totals(UUID, TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC;
+REVOKE ALL ON FUNCTION performance_by_driver(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION performance_daily(UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION performance_totals(UUID, TIMESTAMPTZ, TIMESTAMPTZ) TO authenticated;
+GRANT EXECUTE ON FUNCTION performance_by_driver(TIMESTAMPTZ, TIMESTAMPTZ) TO authenticated;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Daily totals across all drivers for the last 7 days
+SELECT * FROM performance_daily(NULL, NOW() - INTERVAL '7 days', NULL, 'UTC');
+
+-- Period totals across all drivers for the last 30 days
+SELECT * FROM performance_totals(NULL, NOW() - INTERVAL '30 days', NULL);
+
+-- Totals per driver for the last 30 days
+SELECT * FROM performance_by_driver(NOW() - INTERVAL '30 days', NULL);
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP FUNCTION IF EXISTS performance_by_driver(TIMESTAMPTZ, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS performance_totals(UUID, TIMESTAMPTZ, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS performance_daily(UUID, TIMESTAMPTZ, TIMESTAMPTZ, TEXT);
+DROP VIEW IF EXISTS session_metrics;
+DROP FUNCTION IF EXISTS is_paid_break(JSONB);
+DROP FUNCTION IF EXISTS roll_forward_past(TIMESTAMPTZ, TIMESTAMPTZ, TEXT);
+DROP INDEX IF EXISTS idx_sessions_user_date;
+*/
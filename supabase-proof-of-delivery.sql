@@ -0,0 +1,74 @@
+-- Proof of Delivery - Database Migration Script
+-- Creates a private storage bucket for delivery photos and signatures.
+-- Files are stored as <driver id>/<stop id>-<photo|signature>-<time>.<ext>
+-- and the path is saved on the stop in sessions.stops ("proof" field).
+-- Drivers can upload and view files in their own folder; admins can view all.
+--
+-- Requires supabase-row-level-security.sql and supabase-stops.sql to have
+-- been applied first.
+
+-- ============================================================================
+-- PHASE 1: Storage bucket
+-- ============================================================================
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'proof-of-delivery',
+  'proof-of-delivery',
+  FALSE,
+  5242880, -- 5 MB
+  ARRAY['image/jpeg', 'image/png']
+)
+ON CONFLICT (id) DO UPDATE SET
+  public = EXCLUDED.public,
+  file_size_limit = EXCLUDED.file_size_limit,
+  allowed_mime_types = EXCLUDED.allowed_mime_types;
+
+-- ============================================================================
+-- PHASE 2: Access policies
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Drivers can upload their own proof" ON storage.objects;
+DROP POLICY IF EXISTS "Drivers and admins can view proof" ON storage.objects;
+
+-- Files are never overwritten or deleted from the app: a retake is a new file
+CREATE POLICY "Drivers can upload their own proof" ON storage.objects
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    bucket_id = 'proof-of-delivery'
+    AND (storage.foldername(name))[1] = public.app_user_id()::TEXT
+  );
+
+CREATE POLICY "Drivers and admins can view proof" ON storage.objects
+  FOR SELECT TO authenticated
+  USING (
+    bucket_id = 'proof-of-delivery'
+    AND (
+      (storage.foldername(name))[1] = public.app_user_id()::TEXT
+      OR public.is_app_admin()
+    )
+  );
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+SELECT id, public, file_size_limit, allowed_mime_types
+FROM storage.buckets
+WHERE id = 'proof-of-delivery';
+
+-- Stops with proof attached over the last 7 days
+SELECT s.id AS session_id, stop->>'type' AS type, stop->'proof' AS proof
+FROM sessions s, jsonb_array_elements(s.stops) stop
+WHERE stop ? 'proof' AND s.date >= NOW() - INTERVAL '7 days';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP POLICY IF EXISTS "Drivers can upload their own proof" ON storage.objects;
+DROP POLICY IF EXISTS "Drivers and admins can view proof" ON storage.objects;
+-- Empty the bucket in the dashboard first, then:
+DELETE FROM storage.buckets WHERE id = 'proof-of-delivery';
+*/
@@ -0,0 +1,50 @@
+-- Realtime Sessions - Database Migration Script
+-- Publishes changes to the sessions table over Supabase Realtime so the
+-- admin Live Fleet board updates as drivers start work, take breaks and
+-- end their day.
+--
+-- Realtime respects the row level security policies from
+-- supabase-row-level-security.sql: admins receive every driver's changes,
+-- drivers only their own.
+
+-- ============================================================================
+-- PHASE 1: Add sessions to the realtime publication
+-- ============================================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime'
+      AND schemaname = 'public'
+      AND tablename = 'sessions'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE sessions;
+  END IF;
+END $$;
+
+-- ============================================================================
+-- PHASE 2: Index for the board's "open or started recently" query
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_sessions_open ON sessions(user_id) WHERE end_time IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_start_time ON sessions(start_time);
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Should return one row for sessions
+SELECT pubname, schemaname, tablename
+FROM pg_publication_tables
+WHERE pubname = 'supabase_realtime' AND tablename = 'sessions';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+ALTER PUBLICATION supabase_realtime DROP TABLE sessions;
+DROP INDEX IF EXISTS idx_sessions_open;
+DROP INDEX IF EXISTS idx_sessions_start_time;
+*/
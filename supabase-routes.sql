@@ -0,0 +1,103 @@
+-- Route Master Data - Database Migration Script
+-- Adds a routes table managed by admins and links each session to a route,
+-- so statistics are no longer split by typos in the free-text route number.
+-- sessions.route_number is kept and filled with the route code for older
+-- screens and exports.
+--
+-- Requires supabase-row-level-security.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Routes table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS routes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  name TEXT,
+  depot TEXT,
+  expected_stops INTEGER CHECK (expected_stops IS NULL OR expected_stops >= 0),
+  expected_km NUMERIC(10, 1) CHECK (expected_km IS NULL OR expected_km >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE routes ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON routes FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON routes TO authenticated;
+
+DROP POLICY IF EXISTS "Logged-in users can read routes" ON routes;
+DROP POLICY IF EXISTS "Admins can insert routes" ON routes;
+DROP POLICY IF EXISTS "Admins can update routes" ON routes;
+DROP POLICY IF EXISTS "Admins can delete routes" ON routes;
+
+CREATE POLICY "Logged-in users can read routes" ON routes
+  FOR SELECT TO authenticated USING (app_user_id() IS NOT NULL);
+CREATE POLICY "Admins can insert routes" ON routes
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can update routes" ON routes
+  FOR UPDATE TO authenticated USING (is_app_admin()) WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can delete routes" ON routes
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- ============================================================================
+-- PHASE 2: Route per session
+-- ============================================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS route_id UUID REFERENCES routes(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_route_id ON sessions(route_id);
+
+-- ============================================================================
+-- PHASE 3: Link existing sessions to routes
+-- ============================================================================
+
+-- Matches free-text route numbers to route codes ignoring case, spaces,
+-- '#' and a leading "Route". Safe to run again after adding more routes.
+CREATE OR REPLACE FUNCTION link_sessions_to_routes()
+RETURNS INTEGER AS $$
+DECLARE
+  linked INTEGER;
+BEGIN
+  UPDATE sessions s
+  SET route_id = r.id
+  FROM routes r
+  WHERE s.route_id IS NULL
+    AND s.route_number IS NOT NULL
+    AND regexp_replace(upper(s.route_number), '^ROUTE|[\s#]', '', 'g') =
+        regexp_replace(upper(r.code), '^ROUTE|[\s#]', '', 'g');
+  GET DIAGNOSTICS linked = ROW_COUNT;
+  RETURN linked;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE ALL ON FUNCTION link_sessions_to_routes() FROM PUBLIC;
+
+SELECT link_sessions_to_routes();
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Sessions per route (NULL = not linked to a route yet)
+SELECT r.code, COUNT(s.id) AS sessions
+FROM sessions s
+LEFT JOIN routes r ON r.id = s.route_id
+GROUP BY r.code
+ORDER BY r.code NULLS LAST;
+
+-- Free-text route numbers that still do not match a route
+SELECT route_number, COUNT(*) AS sessions
+FROM sessions
+WHERE route_id IS NULL AND route_number IS NOT NULL
+GROUP BY route_number
+ORDER BY sessions DESC;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP FUNCTION IF EXISTS link_sessions_to_routes();
+DROP INDEX IF EXISTS idx_sessions_route_id;
+ALTER TABLE sessions DROP COLUMN IF EXISTS route_id;
+DROP TABLE IF EXISTS routes;
+*/
@@ -0,0 +1,231 @@
+-- Row Level Security - Database Migration Script
+-- Issues signed access tokens at login and replaces the open USING (true)
+-- policies so drivers only reach their own sessions and only admins can
+-- manage users and the audit log.
+--
+-- Requires supabase-password-hashing.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Private configuration for token signing
+-- ============================================================================
+
+-- The private schema is not exposed through the Supabase API
+CREATE SCHEMA IF NOT EXISTS private;
+
+CREATE TABLE IF NOT EXISTS private.app_config (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+
+REVOKE ALL ON SCHEMA private FROM anon, authenticated;
+REVOKE ALL ON ALL TABLES IN SCHEMA private FROM anon, authenticated;
+
+-- Store the project's JWT secret (Settings -> API -> JWT Settings) so tokens
+-- signed here are accepted by PostgREST and Realtime:
+--
+-- INSERT INTO private.app_config (key, value)
+-- VALUES ('jwt_secret', 'your-project-jwt-secret')
+-- ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value;
+
+-- ============================================================================
+-- PHASE 2: Token signing helpers
+-- ============================================================================
+
+-- Base64url encoding as required by the JWT spec
+CREATE OR REPLACE FUNCTION private.base64url_encode(data BYTEA)
+RETURNS TEXT AS $$
+BEGIN
+  RETURN translate(rtrim(encode(data, 'base64'), '='), E'+/\n', '-_');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Sign a claims object as an HS256 JWT with the configured secret
+CREATE OR REPLACE FUNCTION private.sign_jwt(claims JSONB)
+RETURNS TEXT AS $$
+DECLARE
+  secret TEXT;
+  signing_input TEXT;
+BEGIN
+  SELECT value INTO secret FROM private.app_config WHERE key = 'jwt_secret';
+  IF secret IS NULL THEN
+    RAISE EXCEPTION 'jwt_secret is not configured in private.app_config';
+  END IF;
+
+  signing_input =
+    private.base64url_encode(convert_to('{"alg":"HS256","typ":"JWT"}', 'utf8')) || '.' ||
+    private.base64url_encode(convert_to(claims::TEXT, 'utf8'));
+
+  RETURN signing_input || '.' ||
+    private.base64url_encode(extensions.hmac(signing_input, secret, 'sha256'));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================================================
+-- PHASE 3: Identity helpers used by policies
+-- ============================================================================
+
+-- The id of the app user making the request (from the token's sub claim)
+CREATE OR REPLACE FUNCTION app_user_id()
+RETURNS UUID AS $$
+  SELECT u.id FROM users u WHERE u.id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the requesting user is currently an admin. The role is read from
+-- the users table, not the token, so a demotion takes effect immediately.
+CREATE OR REPLACE FUNCTION is_app_admin()
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM users u WHERE u.id = app_user_id() AND u.role = 'admin'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ============================================================================
+-- PHASE 4: Login returns a signed access token
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS authenticate_user(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION authenticate_user(p_username TEXT, p_password TEXT)
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  username TEXT,
+  mobile TEXT,
+  email TEXT,
+  role TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  access_token TEXT
+) AS $$
+DECLARE
+  matched users%ROWTYPE;
+BEGIN
+  SELECT * INTO matched
+  FROM users u
+  WHERE u.username = p_username
+    AND u.password = extensions.crypt(p_password, u.password);
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT matched.id, matched.name, matched.username, matched.mobile,
+         matched.email, matched.role, matched.created_at,
+         private.sign_jwt(jsonb_build_object(
+           'role', 'authenticated',
+           'sub', matched.id,
+           'iat', extract(epoch FROM now())::BIGINT,
+           'exp', extract(epoch FROM now() + interval '12 hours')::BIGINT
+         ));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION authenticate_user(TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION authenticate_user(TEXT, TEXT) TO anon, authenticated;
+
+-- ============================================================================
+-- PHASE 5: Remove anonymous table access
+-- ============================================================================
+
+-- Anonymous callers can only log in; every table needs a signed token
+REVOKE ALL ON users, sessions, session_edit_history FROM anon;
+
+-- ============================================================================
+-- PHASE 6: Replace open policies
+-- ============================================================================
+
+-- users
+DROP POLICY IF EXISTS "Users can read all users" ON users;
+DROP POLICY IF EXISTS "Admins can insert users" ON users;
+DROP POLICY IF EXISTS "Admins can update users" ON users;
+DROP POLICY IF EXISTS "Admins can delete users" ON users;
+
+CREATE POLICY "Users can read themselves, admins read all" ON users
+  FOR SELECT TO authenticated USING (id = app_user_id() OR is_app_admin());
+CREATE POLICY "Admins can insert users" ON users
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can update users" ON users
+  FOR UPDATE TO authenticated USING (is_app_admin()) WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can delete users" ON users
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- sessions
+DROP POLICY IF EXISTS "Users can read their own sessions" ON sessions;
+DROP POLICY IF EXISTS "Users can insert their own sessions" ON sessions;
+DROP POLICY IF EXISTS "Users can update their own sessions" ON sessions;
+DROP POLICY IF EXISTS "Users can delete their own sessions" ON sessions;
+
+CREATE POLICY "Users can read their own sessions" ON sessions
+  FOR SELECT TO authenticated USING (user_id = app_user_id() OR is_app_admin());
+CREATE POLICY "Users can insert their own sessions" ON sessions
+  FOR INSERT TO authenticated WITH CHECK (user_id = app_user_id() OR is_app_admin());
+CREATE POLICY "Users can update their own sessions" ON sessions
+  FOR UPDATE TO authenticated
+  USING (user_id = app_user_id() OR is_app_admin())
+  WITH CHECK (user_id = app_user_id() OR is_app_admin());
+CREATE POLICY "Admins can delete sessions" ON sessions
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- session_edit_history
+DROP POLICY IF EXISTS "Admins can view all edit history" ON session_edit_history;
+DROP POLICY IF EXISTS "Admins can insert edit history" ON session_edit_history;
+
+CREATE POLICY "Admins can view all edit history" ON session_edit_history
+  FOR SELECT TO authenticated USING (is_app_admin());
+CREATE POLICY "Admins can insert edit history" ON session_edit_history
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin() AND edited_by = app_user_id());
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- List active policies on the protected tables
+SELECT tablename, policyname, cmd, qual, with_check
+FROM pg_policies
+WHERE tablename IN ('users', 'sessions', 'session_edit_history')
+ORDER BY tablename, policyname;
+
+-- Confirm the signing secret is configured (should return 1)
+SELECT COUNT(*) AS jwt_secret_configured
+FROM private.app_config
+WHERE key = 'jwt_secret';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+-- WARNING: This reopens every table to anyone holding the anon key!
+
+DROP POLICY IF EXISTS "Users can read themselves, admins read all" ON users;
+DROP POLICY IF EXISTS "Admins can insert users" ON users;
+DROP POLICY IF EXISTS "Admins can update users" ON users;
+DROP POLICY IF EXISTS "Admins can delete users" ON users;
+DROP POLICY IF EXISTS "Users can read their own sessions" ON sessions;
+DROP POLICY IF EXISTS "Users can insert their own sessions" ON sessions;
+DROP POLICY IF EXISTS "Users can update their own sessions" ON sessions;
+DROP POLICY IF EXISTS "Admins can delete sessions" ON sessions;
+DROP POLICY IF EXISTS "Admins can view all edit history" ON session_edit_history;
+DROP POLICY IF EXISTS "Admins can insert edit history" ON session_edit_history;
+
+CREATE POLICY "Users can read all users" ON users FOR SELECT USING (true);
+CREATE POLICY "Admins can insert users" ON users FOR INSERT WITH CHECK (true);
+CREATE POLICY "Admins can update users" ON users FOR UPDATE USING (true);
+CREATE POLICY "Admins can delete users" ON users FOR DELETE USING (true);
+CREATE POLICY "Users can read their own sessions" ON sessions FOR SELECT USING (true);
+CREATE POLICY "Users can insert their own sessions" ON sessions FOR INSERT WITH CHECK (true);
+CREATE POLICY "Users can update their own sessions" ON sessions FOR UPDATE USING (true);
+CREATE POLICY "Users can delete their own sessions" ON sessions FOR DELETE USING (true);
+CREATE POLICY "Admins can view all edit history" ON session_edit_history FOR SELECT USING (true);
+CREATE POLICY "Admins can insert edit history" ON session_edit_history FOR INSERT WITH CHECK (true);
+
+GRANT SELECT (id, name, username, mobile, email, role, created_at) ON users TO anon;
+GRANT INSERT, UPDATE, DELETE ON users, sessions, session_edit_history TO anon;
+GRANT SELECT ON sessions, session_edit_history TO anon;
+
+DROP FUNCTION IF EXISTS is_app_admin();
+DROP FUNCTION IF EXISTS app_user_id();
+DROP FUNCTION IF EXISTS private.sign_jwt(JSONB);
+DROP FUNCTION IF EXISTS private.base64url_encode(BYTEA);
+DROP TABLE IF EXISTS private.app_config;
+*/
@@ -0,0 +1,80 @@
+-- Session Import - Database Migration Script
+-- Saves sessions imported from a CSV file together with their
+-- 'session_imported' audit entries, so a session is never saved without
+-- its audit entry (or the other way round).
+--
+-- Requires supabase-row-level-security.sql, supabase-routes.sql,
+-- supabase-stops.sql and supabase-failure-reasons.sql to have been applied
+-- first.
+
+-- ============================================================================
+-- PHASE 1: Import function
+-- ============================================================================
+
+-- Insert a batch of sessions and one audit entry per session in one
+-- transaction. p_rows is an array of {session: {...columns}, note: TEXT}.
+-- Runs with the caller's rights, so the sessions and edit history policies
+-- still apply. Returns the number of sessions saved.
+CREATE OR REPLACE FUNCTION import_sessions(p_rows JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  admin_id UUID := app_user_id();
+  import_row JSONB;
+  new_session_id UUID;
+  imported INTEGER := 0;
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'permission denied: only admins can import sessions';
+  END IF;
+
+  FOR import_row IN SELECT * FROM jsonb_array_elements(COALESCE(p_rows, '[]'::JSONB)) LOOP
+    INSERT INTO sessions (
+      user_id, date, start_time, end_time, status, route_number, route_id,
+      deliveries, pickups, breaks, stops, failure_reasons,
+      positive_deliveries, negative_deliveries, positive_pickups, negative_pickups,
+      delivery_comments, pickup_comments, start_km, end_km, total_km
+    )
+    SELECT
+      s.user_id, s.date, s.start_time, s.end_time, s.status, s.route_number, s.route_id,
+      s.deliveries, s.pickups, COALESCE(s.breaks, '[]'::JSONB), COALESCE(s.stops, '[]'::JSONB),
+      COALESCE(s.failure_reasons, '{}'::JSONB),
+      COALESCE(s.positive_deliveries, 0), COALESCE(s.negative_deliveries, 0),
+      COALESCE(s.positive_pickups, 0), COALESCE(s.negative_pickups, 0),
+      s.delivery_comments, s.pickup_comments, s.start_km, s.end_km, s.total_km
+    FROM jsonb_populate_record(NULL::sessions, import_row->'session') s
+    RETURNING id INTO new_session_id;
+
+    -- Field names are labelled in AuditHistoryViewer
+    INSERT INTO session_edit_history (session_id, field_name, old_value, new_value, edited_by)
+    VALUES (new_session_id, 'session_imported', NULL, import_row->>'note', admin_id);
+
+    imported := imported + 1;
+  END LOOP;
+
+  RETURN imported;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE ALL ON FUNCTION import_sessions(JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION import_sessions(JSONB) TO authenticated;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Latest imported sessions with their audit notes
+SELECT h.edited_at, u.name AS driver, s.date, s.start_time, s.end_time, h.new_value AS source
+FROM session_edit_history h
+JOIN sessions s ON s.id = h.session_id
+JOIN users u ON u.id = s.user_id
+WHERE h.field_name = 'session_imported'
+ORDER BY h.edited_at DESC
+LIMIT 20;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP FUNCTION IF EXISTS import_sessions(JSONB);
+*/
@@ -1,3 +1,6 @@
+-- Enable pgcrypto for password hashing
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
 -- Create users table
 CREATE TABLE users (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -30,9 +33,9 @@ CREATE INDEX idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX idx_sessions_date ON sessions(date);
 CREATE INDEX idx_users_username ON users(username);
 
--- Insert default admin user (password: test2025)
+-- Insert default admin user (password: test2025, stored as a bcrypt hash)
 INSERT INTO users (name, username, password, mobile, email, role)
-VALUES ('Admin', 'admin', 'test2025', '12345678', 'admin@transport.com', 'admin');
+VALUES ('Admin', 'admin', extensions.crypt('test2025', extensions.gen_salt('bf')), '12345678', 'admin@transport.com', 'admin');
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,42 @@
+-- Per-Stop Logging - Database Migration Script
+-- Drivers log each delivery and pickup as it happens. The stop log is kept
+-- on the session (like breaks) and the positive/negative delivery and
+-- pickup counts are derived from it by the app when the session is saved.
+-- Sessions without a stop log keep the counts typed at the end of the day.
+--
+-- Stop format: {"id": "...", "type": "delivered" | "failed_delivery" |
+--               "picked_up" | "failed_pickup", "time": "<ISO>", "note": "..."}
+
+-- ============================================================================
+-- PHASE 1: Stop log per session
+-- ============================================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS stops JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_stops_is_array;
+ALTER TABLE sessions ADD CONSTRAINT sessions_stops_is_array
+  CHECK (jsonb_typeof(stops) = 'array');
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Sessions with a stop log whose counts do not match it (should be empty)
+SELECT id, positive_deliveries, negative_deliveries, positive_pickups, negative_pickups
+FROM sessions
+WHERE jsonb_array_length(stops) > 0
+  AND (
+    positive_deliveries <> (SELECT COUNT(*) FROM jsonb_array_elements(stops) s WHERE s->>'type' = 'delivered')
+    OR negative_deliveries <> (SELECT COUNT(*) FROM jsonb_array_elements(stops) s WHERE s->>'type' = 'failed_delivery')
+    OR positive_pickups <> (SELECT COUNT(*) FROM jsonb_array_elements(stops) s WHERE s->>'type' = 'picked_up')
+    OR negative_pickups <> (SELECT COUNT(*) FROM jsonb_array_elements(stops) s WHERE s->>'type' = 'failed_pickup')
+  );
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_stops_is_array;
+ALTER TABLE sessions DROP COLUMN IF EXISTS stops;
+*/
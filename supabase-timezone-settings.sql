@@ -0,0 +1,104 @@
+-- Timezone Settings - Database Migration Script
+-- Adds a company settings table holding the company timezone and a per-user
+-- timezone override, so a driver's working day is split the same way for
+-- the driver and for admins viewing it from another timezone.
+--
+-- Requires supabase-login-sessions.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Timezone validation
+-- ============================================================================
+
+-- True if Postgres knows the timezone name (e.g. 'Europe/Oslo')
+CREATE OR REPLACE FUNCTION private.is_valid_timezone(tz TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = tz);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================================================
+-- PHASE 2: Company settings table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT app_settings_valid_timezone CHECK (
+    key <> 'company_timezone' OR private.is_valid_timezone(value #>> '{}')
+  )
+);
+
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON app_settings FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON app_settings TO authenticated;
+
+DROP POLICY IF EXISTS "Logged-in users can read settings" ON app_settings;
+DROP POLICY IF EXISTS "Admins can insert settings" ON app_settings;
+DROP POLICY IF EXISTS "Admins can update settings" ON app_settings;
+DROP POLICY IF EXISTS "Admins can delete settings" ON app_settings;
+
+CREATE POLICY "Logged-in users can read settings" ON app_settings
+  FOR SELECT TO authenticated USING (app_user_id() IS NOT NULL);
+CREATE POLICY "Admins can insert settings" ON app_settings
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can update settings" ON app_settings
+  FOR UPDATE TO authenticated USING (is_app_admin()) WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can delete settings" ON app_settings
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- ============================================================================
+-- PHASE 3: Per-user timezone override
+-- ============================================================================
+
+-- NULL means the user follows the company timezone
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_valid_timezone;
+ALTER TABLE users ADD CONSTRAINT users_valid_timezone
+  CHECK (timezone IS NULL OR private.is_valid_timezone(timezone));
+
+-- users is readable column by column (password hashes stay hidden)
+GRANT SELECT (timezone) ON users TO authenticated;
+
+-- ============================================================================
+-- PHASE 4: Timezone lookup for server-side reporting
+-- ============================================================================
+
+-- The timezone a user's working days are counted in:
+-- their own override, else the company timezone, else UTC
+CREATE OR REPLACE FUNCTION user_timezone(p_user_id UUID)
+RETURNS TEXT AS $$
+  SELECT COALESCE(
+    (SELECT timezone FROM users WHERE id = p_user_id),
+    (SELECT value #>> '{}' FROM app_settings WHERE key = 'company_timezone'),
+    'UTC'
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION user_timezone(UUID) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION user_timezone(UUID) TO authenticated;
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Company timezone (set it from the admin Settings tab)
+SELECT key, value, updated_at FROM app_settings WHERE key = 'company_timezone';
+
+-- Effective timezone per user
+SELECT username, timezone AS override, user_timezone(id) AS effective_timezone
+FROM users
+ORDER BY username;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP FUNCTION IF EXISTS user_timezone(UUID);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_valid_timezone;
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
+DROP TABLE IF EXISTS app_settings;
+DROP FUNCTION IF EXISTS private.is_valid_timezone(TEXT);
+*/
@@ -0,0 +1,99 @@
+-- Vehicle Registry - Database Migration Script
+-- Adds a vehicles table and links each session to the vehicle that was
+-- driven. Every vehicle keeps its last recorded odometer reading so a new
+-- session cannot start below where the previous one ended.
+--
+-- Requires supabase-row-level-security.sql to have been applied first.
+
+-- ============================================================================
+-- PHASE 1: Vehicles table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS vehicles (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  plate TEXT NOT NULL UNIQUE,
+  model TEXT,
+  current_odometer NUMERIC(10, 1) CHECK (current_odometer IS NULL OR current_odometer >= 0),
+  -- When current_odometer was last recorded (end of the session that set it)
+  odometer_updated_at TIMESTAMP WITH TIME ZONE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE vehicles ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON vehicles FROM anon;
+GRANT SELECT, INSERT, UPDATE, DELETE ON vehicles TO authenticated;
+
+DROP POLICY IF EXISTS "Logged-in users can read vehicles" ON vehicles;
+DROP POLICY IF EXISTS "Admins can insert vehicles" ON vehicles;
+DROP POLICY IF EXISTS "Admins can update vehicles" ON vehicles;
+DROP POLICY IF EXISTS "Admins can delete vehicles" ON vehicles;
+
+CREATE POLICY "Logged-in users can read vehicles" ON vehicles
+  FOR SELECT TO authenticated USING (app_user_id() IS NOT NULL);
+CREATE POLICY "Admins can insert vehicles" ON vehicles
+  FOR INSERT TO authenticated WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can update vehicles" ON vehicles
+  FOR UPDATE TO authenticated USING (is_app_admin()) WITH CHECK (is_app_admin());
+CREATE POLICY "Admins can delete vehicles" ON vehicles
+  FOR DELETE TO authenticated USING (is_app_admin());
+
+-- ============================================================================
+-- PHASE 2: Vehicle per session
+-- ============================================================================
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_sessions_vehicle_id ON sessions(vehicle_id);
+
+-- ============================================================================
+-- PHASE 3: Keep the vehicle odometer up to date
+-- ============================================================================
+
+-- Runs as the table owner so drivers can move the odometer of the vehicle
+-- they drove without being allowed to edit vehicles directly. An older
+-- session edited later never moves the odometer backwards in time.
+CREATE OR REPLACE FUNCTION update_vehicle_odometer()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.vehicle_id IS NOT NULL AND NEW.end_km IS NOT NULL THEN
+    UPDATE vehicles
+    SET current_odometer = NEW.end_km,
+        odometer_updated_at = COALESCE(NEW.end_time, NOW())
+    WHERE id = NEW.vehicle_id
+      AND (odometer_updated_at IS NULL OR COALESCE(NEW.end_time, NOW()) >= odometer_updated_at);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_update_vehicle_odometer ON sessions;
+CREATE TRIGGER trigger_update_vehicle_odometer
+  AFTER INSERT OR UPDATE OF end_km, end_time, vehicle_id ON sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_vehicle_odometer();
+
+-- ============================================================================
+-- VERIFICATION QUERIES
+-- ============================================================================
+
+-- Verify the vehicle column was added to sessions
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'sessions' AND column_name = 'vehicle_id';
+
+-- Vehicles with their last reading
+SELECT plate, model, current_odometer, odometer_updated_at, active
+FROM vehicles
+ORDER BY plate;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT (commented out - uncomment if rollback needed)
+-- ============================================================================
+
+/*
+DROP TRIGGER IF EXISTS trigger_update_vehicle_odometer ON sessions;
+DROP FUNCTION IF EXISTS update_vehicle_odometer();
+DROP INDEX IF EXISTS idx_sessions_vehicle_id;
+ALTER TABLE sessions DROP COLUMN IF EXISTS vehicle_id;
+DROP TABLE IF EXISTS vehicles;
+*/